@@ -0,0 +1,1092 @@
+/**
+ * backendcaldav.js
+ * CalDAV server (RFC 4791) so native calendar apps can read and edit calendars
+ *
+ * Layout under CALDAV_BASE_PATH:
+ *   /                          service root
+ *   /principals/:userId/       the signed-in user
+ *   /calendars/                calendar home (one collection per visible calendar)
+ *   /calendars/:calendarId/    calendar collection
+ *   /calendars/:calendarId/:name.ics
+ *                              one event series with its overridden occurrences
+ *
+ * Clients sign in with HTTP Basic auth: any username and a CalDAV-scoped
+ * calendar token as the password. The token decides the user and tenant.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { buildCalendar, parseEvents } = require('./backendical');
+const { parseICalDate, normalizeRecurrence, formatExdates } = require('./backendcalendarrecurrence');
+const {
+  CALENDAR_ACCESS,
+  CHANGE_TYPES,
+  FEED_TOKEN_SCOPES,
+  CALDAV_BASE_PATH,
+  DEFAULT_TIMEZONE,
+  ensureCalendarTables,
+  loadCalendarAccess,
+  hasCalendarAccess,
+  canModifyEvent,
+  resolveFeedToken,
+  feedTokenRequest,
+  loadFeedEvents,
+  mapICalEvent,
+  refreshRecurrenceEnd,
+  recordCalendarChange,
+  publishCalendarChanges
+} = require('./backendcalendars');
+
+// XML namespaces and the prefixes used in responses
+const NS = {
+  DAV: 'DAV:',
+  CALDAV: 'urn:ietf:params:xml:ns:caldav',
+  CALSERVER: 'http://calendarserver.org/ns/',
+  APPLE: 'http://apple.com/ns/ical/'
+};
+
+const NS_PREFIXES = {
+  [NS.DAV]: 'd',
+  [NS.CALDAV]: 'c',
+  [NS.CALSERVER]: 'cs',
+  [NS.APPLE]: 'a'
+};
+
+// Properties only returned when asked for by name
+const EXPENSIVE_PROPS = [`{${NS.CALDAV}}calendar-data`];
+
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+/**
+ * Decode the XML entities of a text or attribute value
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape a value for XML text or attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a small XML request body into { ns, name, attrs, children, text } nodes
+ * Enough for PROPFIND and REPORT bodies; returns the root element or null.
+ */
+function parseXml(text) {
+  const document = { children: [], namespaces: {} };
+  const stack = [document];
+  const tokenPattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>/]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attrPattern = /([^\s=>/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const [, cdata, closing, tagName, attrText, selfClosing, textValue] = match;
+    const parent = stack[stack.length - 1];
+    
+    if (cdata !== undefined || textValue !== undefined) {
+      if (parent !== document) {
+        parent.text += cdata !== undefined ? cdata : decodeXml(textValue);
+      }
+      continue;
+    }
+    
+    if (!tagName) {
+      continue;
+    }
+    
+    if (closing) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+    
+    // Namespace declarations are scoped to the element and its children
+    const namespaces = { ...parent.namespaces };
+    const attrs = {};
+    let attrMatch;
+    
+    while ((attrMatch = attrPattern.exec(attrText || '')) !== null) {
+      const value = decodeXml(attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3]);
+      
+      if (attrMatch[1] === 'xmlns') {
+        namespaces[''] = value;
+      } else if (attrMatch[1].startsWith('xmlns:')) {
+        namespaces[attrMatch[1].substring(6)] = value;
+      } else {
+        attrs[attrMatch[1].replace(/^[^:]*:/, '')] = value;
+      }
+    }
+    
+    const separator = tagName.indexOf(':');
+    const prefix = separator >= 0 ? tagName.substring(0, separator) : '';
+    const node = {
+      ns: namespaces[prefix] || '',
+      name: separator >= 0 ? tagName.substring(separator + 1) : tagName,
+      attrs,
+      children: [],
+      text: '',
+      namespaces
+    };
+    
+    parent.children.push(node);
+    
+    if (!selfClosing) {
+      stack.push(node);
+    }
+  }
+  
+  return document.children[0] || null;
+}
+
+/**
+ * Find the first descendant element with the given namespace and name
+ */
+function findElement(node, ns, name) {
+  for (const child of node.children) {
+    if (child.ns === ns && child.name === name) {
+      return child;
+    }
+    
+    const found = findElement(child, ns, name);
+    
+    if (found) {
+      return found;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Clark notation ({namespace}name) used as property keys
+ */
+function clark(ns, name) {
+  return `{${ns}}${name}`;
+}
+
+/**
+ * Render an empty element for a property key, declaring unknown namespaces inline
+ */
+function propElement(key, content = '') {
+  const [, ns, name] = /^\{(.*)\}(.+)$/.exec(key);
+  const prefix = NS_PREFIXES[ns];
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const declaration = prefix ? '' : ` xmlns:x="${escapeXml(ns)}"`;
+  
+  return content ? `<${tag}${declaration}>${content}</${tag}>` : `<${tag}${declaration}/>`;
+}
+
+/**
+ * Read which properties a PROPFIND or REPORT body asks for
+ * Returns { all: true } for allprop (or an empty body) or { keys: [...] }
+ */
+function requestedProps(root) {
+  if (!root || findElement(root, NS.DAV, 'allprop')) {
+    return { all: true };
+  }
+  
+  const prop = root.ns === NS.DAV && root.name === 'prop' ? root : findElement(root, NS.DAV, 'prop');
+  
+  if (!prop) {
+    return { all: true };
+  }
+  
+  return { keys: prop.children.map(child => clark(child.ns, child.name)) };
+}
+
+/**
+ * Build one <response> of a multistatus document
+ * props maps property keys to their XML content.
+ */
+function buildResponse(href, props, requested) {
+  const keys = requested.all
+    ? Object.keys(props).filter(key => !EXPENSIVE_PROPS.includes(key))
+    : requested.keys;
+  
+  const found = keys.filter(key => props[key] !== undefined);
+  const missing = keys.filter(key => props[key] === undefined);
+  const propstats = [];
+  
+  if (found.length > 0) {
+    propstats.push(
+      `<d:propstat><d:prop>${found.map(key => propElement(key, props[key])).join('')}</d:prop>` +
+      '<d:status>HTTP/1.1 200 OK</d:status></d:propstat>'
+    );
+  }
+  
+  if (missing.length > 0) {
+    propstats.push(
+      `<d:propstat><d:prop>${missing.map(key => propElement(key)).join('')}</d:prop>` +
+      '<d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>'
+    );
+  }
+  
+  return `<d:response><d:href>${escapeXml(href)}</d:href>${propstats.join('')}</d:response>`;
+}
+
+/**
+ * Send a 207 Multi-Status response
+ */
+function sendMultistatus(res, responses) {
+  const namespaces = Object.entries(NS_PREFIXES)
+    .map(([ns, prefix]) => `xmlns:${prefix}="${ns}"`)
+    .join(' ');
+  
+  res.status(207);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  return res.send(`<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${namespaces}>${responses.join('')}</d:multistatus>`);
+}
+
+/**
+ * Send a WebDAV error with a precondition element
+ */
+function sendDavError(res, status, conditionKey, message) {
+  res.status(status);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  return res.send(
+    `<?xml version="1.0" encoding="utf-8"?>\n<d:error xmlns:d="DAV:" xmlns:c="${NS.CALDAV}">` +
+    `${propElement(conditionKey)}${message ? `<d:responsedescription>${escapeXml(message)}</d:responsedescription>` : ''}</d:error>`
+  );
+}
+
+/**
+ * Strong ETag of a resource body
+ */
+function computeEtag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+/**
+ * Authenticate CalDAV requests with HTTP Basic auth and a CalDAV token
+ */
+async function authenticateCaldav(req, res, next) {
+  try {
+    const db = req.db;
+    const header = req.get('Authorization') || '';
+    const match = /^Basic\s+(.+)$/i.exec(header);
+    let feedToken = null;
+    
+    if (match) {
+      await ensureCalendarTables(db);
+      
+      const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+      const password = credentials.substring(credentials.indexOf(':') + 1);
+      feedToken = await resolveFeedToken(db, password, FEED_TOKEN_SCOPES.CALDAV);
+    }
+    
+    if (!feedToken) {
+      res.set('WWW-Authenticate', 'Basic realm="Calendar", charset="UTF-8"');
+      return res.status(401).send('Authentication required');
+    }
+    
+    req.caldav = {
+      token: feedToken,
+      user: feedTokenRequest(feedToken)
+    };
+    
+    return next();
+    
+  } catch (error) {
+    console.error('Error authenticating CalDAV request:', error);
+    return res.status(500).send('Failed to authenticate');
+  }
+}
+
+/**
+ * Describe the OPTIONS a CalDAV client can use
+ */
+function sendOptions(req, res) {
+  res.set('DAV', '1, 3, calendar-access');
+  res.set('Allow', 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, REPORT');
+  return res.status(200).end();
+}
+
+/**
+ * Load the calendars of the token's tenant the user can see
+ */
+async function loadDavCalendars(db, dav) {
+  const [calendars] = await db.query(
+    `SELECT id, name, color, timezone FROM calendars
+     WHERE client_id = ? AND app_id = ?
+     ORDER BY is_default DESC, name ASC`,
+    [dav.token.client_id, dav.token.app_id]
+  );
+  
+  const access = await loadCalendarAccess(db, dav.user);
+  
+  return {
+    access,
+    calendars: calendars.filter(calendar => hasCalendarAccess(access, calendar.id, CALENDAR_ACCESS.FREE_BUSY))
+  };
+}
+
+/**
+ * Load the event resources of a calendar
+ * Each resource is a series (or single event) with its overridden occurrences.
+ * Pass seriesIds to load specific resources regardless of age.
+ */
+async function loadResources(db, dav, calendar, access, seriesIds = null) {
+  const events = await loadFeedEvents(db, dav.token, [calendar.id], access, seriesIds);
+  const groups = new Map();
+  
+  events.forEach(event => {
+    if (!groups.has(event.seriesId)) {
+      groups.set(event.seriesId, []);
+    }
+    
+    groups.get(event.seriesId).push(event);
+  });
+  
+  const resources = [];
+  
+  groups.forEach((group, seriesId) => {
+    const master = group.find(event => event.id === seriesId);
+    
+    if (!master) {
+      return;
+    }
+    
+    const body = buildCalendar({ events: group, method: null });
+    
+    resources.push({
+      name: master.davName || `${master.id}.ics`,
+      eventId: master.id,
+      events: group,
+      body,
+      etag: computeEtag(body)
+    });
+  });
+  
+  return resources;
+}
+
+/**
+ * Find the stored series behind a resource name in a calendar
+ */
+async function findResourceEvent(db, dav, calendarId, name) {
+  const idMatch = /^(\d+)\.ics$/.exec(name);
+  
+  const [events] = await db.query(
+    `SELECT * FROM calendar_events
+     WHERE calendar_id = ? AND client_id = ? AND app_id = ? AND recurrence_parent_id IS NULL
+       AND (dav_name = ? OR (dav_name IS NULL AND id = ?))`,
+    [calendarId, dav.token.client_id, dav.token.app_id, name, idMatch ? parseInt(idMatch[1]) : 0]
+  );
+  
+  return events[0] || null;
+}
+
+/**
+ * Check whether any event of a resource overlaps a time range
+ * Recurring series are kept when they start before the range ends.
+ */
+function resourceInRange(resource, rangeStart, rangeEnd) {
+  return resource.events.some(event => {
+    const start = new Date(event.start);
+    
+    if (rangeEnd && start >= rangeEnd) {
+      return false;
+    }
+    
+    if (event.rrule || !rangeStart) {
+      return true;
+    }
+    
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + (event.isAllDay ? 24 * 60 * 60 * 1000 : 0));
+    return end > rangeStart || (end.getTime() === start.getTime() && start >= rangeStart);
+  });
+}
+
+/**
+ * Privileges of the user on a calendar, for current-user-privilege-set
+ */
+function privilegeSet(access, calendarId) {
+  const privileges = ['<d:privilege><d:read/></d:privilege>'];
+  
+  if (hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.WRITE)) {
+    privileges.push(
+      '<d:privilege><d:write/></d:privilege>',
+      '<d:privilege><d:write-content/></d:privilege>',
+      '<d:privilege><d:bind/></d:privilege>',
+      '<d:privilege><d:unbind/></d:privilege>'
+    );
+  }
+  
+  return privileges.join('');
+}
+
+/**
+ * Properties shared by every collection: who the user is and where calendars live
+ */
+function principalProps(base, dav) {
+  return {
+    [clark(NS.DAV, 'current-user-principal')]: `<d:href>${escapeXml(`${base}/principals/${dav.token.user_id}/`)}</d:href>`,
+    [clark(NS.CALDAV, 'calendar-home-set')]: `<d:href>${escapeXml(`${base}/calendars/`)}</d:href>`
+  };
+}
+
+/**
+ * Properties of a calendar collection
+ */
+async function calendarProps(db, base, dav, calendar, access) {
+  const [latest] = await db.query(
+    `SELECT MAX(id) as id FROM calendar_changes
+     WHERE client_id = ? AND app_id = ? AND (calendar_id = ? OR previous_calendar_id = ?)`,
+    [dav.token.client_id, dav.token.app_id, calendar.id, calendar.id]
+  );
+  
+  return {
+    ...principalProps(base, dav),
+    [clark(NS.DAV, 'resourcetype')]: '<d:collection/><c:calendar/>',
+    [clark(NS.DAV, 'displayname')]: escapeXml(calendar.name),
+    [clark(NS.DAV, 'current-user-privilege-set')]: privilegeSet(access, calendar.id),
+    [clark(NS.CALSERVER, 'getctag')]: `"${latest[0].id || 0}"`,
+    [clark(NS.CALDAV, 'supported-calendar-component-set')]: '<c:comp name="VEVENT"/>',
+    [clark(NS.CALDAV, 'supported-calendar-data')]: '<c:calendar-data content-type="text/calendar" version="2.0"/>',
+    [clark(NS.APPLE, 'calendar-color')]: escapeXml(calendar.color || ''),
+    [clark(NS.DAV, 'supported-report-set')]:
+      '<d:supported-report><d:report><c:calendar-query/></d:report></d:supported-report>' +
+      '<d:supported-report><d:report><c:calendar-multiget/></d:report></d:supported-report>'
+  };
+}
+
+/**
+ * Properties of an event resource
+ */
+function resourceProps(resource) {
+  return {
+    [clark(NS.DAV, 'resourcetype')]: '',
+    [clark(NS.DAV, 'getetag')]: escapeXml(resource.etag),
+    [clark(NS.DAV, 'getcontenttype')]: `${ICS_CONTENT_TYPE}; component=vevent`,
+    [clark(NS.CALDAV, 'calendar-data')]: escapeXml(resource.body)
+  };
+}
+
+/**
+ * Split a CalDAV path into its parts
+ */
+function parseDavPath(path) {
+  const segments = path.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  
+  if (segments.length === 0) {
+    return { type: 'root' };
+  }
+  
+  if (segments[0] === 'principals' && segments.length === 2) {
+    return { type: 'principal', userId: segments[1] };
+  }
+  
+  if (segments[0] === 'calendars') {
+    if (segments.length === 1) {
+      return { type: 'home' };
+    }
+    
+    if (segments.length === 2) {
+      return { type: 'calendar', calendarId: segments[1] };
+    }
+    
+    if (segments.length === 3) {
+      return { type: 'object', calendarId: segments[1], name: segments[2] };
+    }
+  }
+  
+  return { type: 'unknown' };
+}
+
+/**
+ * PROPFIND: discovery of principals, calendars and event resources
+ */
+async function handlePropfind(req, res) {
+  const db = req.db;
+  const dav = req.caldav;
+  const base = req.baseUrl;
+  const path = parseDavPath(req.path);
+  const depth = req.get('Depth') === '0' ? 0 : 1;
+  const requested = requestedProps(typeof req.body === 'string' && req.body.trim() ? parseXml(req.body) : null);
+  const responses = [];
+  
+  if (path.type === 'root') {
+    responses.push(buildResponse(`${base}/`, {
+      ...principalProps(base, dav),
+      [clark(NS.DAV, 'resourcetype')]: '<d:collection/>'
+    }, requested));
+    
+    return sendMultistatus(res, responses);
+  }
+  
+  if (path.type === 'principal') {
+    if (path.userId !== String(dav.token.user_id)) {
+      return res.status(404).send('Not found');
+    }
+    
+    const [users] = await db.query('SELECT name, email FROM app_users WHERE id = ?', [dav.token.user_id]);
+    const user = users[0] || {};
+    const props = {
+      ...principalProps(base, dav),
+      [clark(NS.DAV, 'resourcetype')]: '<d:principal/>',
+      [clark(NS.DAV, 'principal-URL')]: `<d:href>${escapeXml(`${base}/principals/${dav.token.user_id}/`)}</d:href>`,
+      [clark(NS.DAV, 'displayname')]: escapeXml(user.name || `User ${dav.token.user_id}`)
+    };
+    
+    if (user.email) {
+      props[clark(NS.CALDAV, 'calendar-user-address-set')] = `<d:href>mailto:${escapeXml(user.email)}</d:href>`;
+    }
+    
+    responses.push(buildResponse(`${base}/principals/${dav.token.user_id}/`, props, requested));
+    return sendMultistatus(res, responses);
+  }
+  
+  const { access, calendars } = await loadDavCalendars(db, dav);
+  
+  if (path.type === 'home') {
+    responses.push(buildResponse(`${base}/calendars/`, {
+      ...principalProps(base, dav),
+      [clark(NS.DAV, 'resourcetype')]: '<d:collection/>',
+      [clark(NS.DAV, 'displayname')]: 'Calendars'
+    }, requested));
+    
+    if (depth > 0) {
+      for (const calendar of calendars) {
+        const href = `${base}/calendars/${encodeURIComponent(calendar.id)}/`;
+        responses.push(buildResponse(href, await calendarProps(db, base, dav, calendar, access), requested));
+      }
+    }
+    
+    return sendMultistatus(res, responses);
+  }
+  
+  const calendar = calendars.find(c => c.id === path.calendarId);
+  
+  if (!calendar) {
+    return res.status(404).send('Calendar not found');
+  }
+  
+  const calendarHref = `${base}/calendars/${encodeURIComponent(calendar.id)}/`;
+  
+  if (path.type === 'calendar') {
+    responses.push(buildResponse(calendarHref, await calendarProps(db, base, dav, calendar, access), requested));
+    
+    if (depth > 0) {
+      const resources = await loadResources(db, dav, calendar, access);
+      resources.forEach(resource => {
+        responses.push(buildResponse(`${calendarHref}${encodeURIComponent(resource.name)}`, resourceProps(resource), requested));
+      });
+    }
+    
+    return sendMultistatus(res, responses);
+  }
+  
+  if (path.type === 'object') {
+    const event = await findResourceEvent(db, dav, calendar.id, path.name);
+    const resources = event ? await loadResources(db, dav, calendar, access, [event.id]) : [];
+    
+    if (resources.length === 0) {
+      return res.status(404).send('Not found');
+    }
+    
+    responses.push(buildResponse(`${calendarHref}${encodeURIComponent(resources[0].name)}`, resourceProps(resources[0]), requested));
+    return sendMultistatus(res, responses);
+  }
+  
+  return res.status(404).send('Not found');
+}
+
+/**
+ * REPORT: calendar-query (optionally by time range) and calendar-multiget
+ */
+async function handleReport(req, res) {
+  const db = req.db;
+  const dav = req.caldav;
+  const base = req.baseUrl;
+  const path = parseDavPath(req.path);
+  const root = typeof req.body === 'string' ? parseXml(req.body) : null;
+  
+  if (path.type !== 'calendar') {
+    return sendDavError(res, 403, clark(NS.DAV, 'supported-report'), 'Reports are only supported on calendars');
+  }
+  
+  if (!root || root.ns !== NS.CALDAV || !['calendar-query', 'calendar-multiget'].includes(root.name)) {
+    return sendDavError(res, 403, clark(NS.DAV, 'supported-report'), 'Unsupported report');
+  }
+  
+  const { access, calendars } = await loadDavCalendars(db, dav);
+  const calendar = calendars.find(c => c.id === path.calendarId);
+  
+  if (!calendar) {
+    return res.status(404).send('Calendar not found');
+  }
+  
+  const calendarHref = `${base}/calendars/${encodeURIComponent(calendar.id)}/`;
+  const requested = requestedProps(root);
+  const responses = [];
+  
+  if (root.name === 'calendar-query') {
+    const timeRange = findElement(root, NS.CALDAV, 'time-range');
+    const rangeStart = timeRange && timeRange.attrs.start ? parseICalDate(timeRange.attrs.start) : null;
+    const rangeEnd = timeRange && timeRange.attrs.end ? parseICalDate(timeRange.attrs.end) : null;
+    const resources = await loadResources(db, dav, calendar, access);
+    
+    resources
+      .filter(resource => resourceInRange(resource, rangeStart, rangeEnd))
+      .forEach(resource => {
+        responses.push(buildResponse(`${calendarHref}${encodeURIComponent(resource.name)}`, resourceProps(resource), requested));
+      });
+    
+    return sendMultistatus(res, responses);
+  }
+  
+  // calendar-multiget: each href names a resource in this calendar
+  const hrefs = root.children
+    .filter(child => child.ns === NS.DAV && child.name === 'href')
+    .map(child => child.text.trim());
+  
+  for (const href of hrefs) {
+    let name = null;
+    
+    try {
+      const pathname = new URL(href, 'http://localhost').pathname;
+      name = pathname.startsWith(calendarHref) ? decodeURIComponent(pathname.substring(calendarHref.length)) : null;
+    } catch (error) {
+      name = null;
+    }
+    
+    const event = name ? await findResourceEvent(db, dav, calendar.id, name) : null;
+    const resources = event ? await loadResources(db, dav, calendar, access, [event.id]) : [];
+    
+    if (resources.length === 0) {
+      responses.push(`<d:response><d:href>${escapeXml(href)}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`);
+    } else {
+      responses.push(buildResponse(href, resourceProps(resources[0]), requested));
+    }
+  }
+  
+  return sendMultistatus(res, responses);
+}
+
+/**
+ * Resolve the calendar and resource of an object request with access checks
+ * Returns null after sending an error response.
+ */
+async function resolveObject(req, res) {
+  const db = req.db;
+  const dav = req.caldav;
+  const path = parseDavPath(req.path);
+  
+  if (path.type !== 'object' || !/\.ics$/i.test(path.name)) {
+    res.status(405).send('Method not allowed here');
+    return null;
+  }
+  
+  const { access, calendars } = await loadDavCalendars(db, dav);
+  const calendar = calendars.find(c => c.id === path.calendarId);
+  
+  if (!calendar) {
+    res.status(404).send('Calendar not found');
+    return null;
+  }
+  
+  const event = await findResourceEvent(db, dav, calendar.id, path.name);
+  const resources = event ? await loadResources(db, dav, calendar, access, [event.id]) : [];
+  
+  return { dav, path, access, calendar, event, resource: resources[0] || null };
+}
+
+/**
+ * Check If-Match / If-None-Match against the current ETag
+ */
+function preconditionFailed(req, resource) {
+  const ifMatch = req.get('If-Match');
+  const ifNoneMatch = req.get('If-None-Match');
+  
+  if (ifMatch && (!resource || (ifMatch !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(resource.etag)))) {
+    return true;
+  }
+  
+  if (ifNoneMatch && resource && (ifNoneMatch === '*' || ifNoneMatch.split(',').map(tag => tag.trim()).includes(resource.etag))) {
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * GET / HEAD: download one event resource
+ */
+async function handleGet(req, res) {
+  const target = await resolveObject(req, res);
+  
+  if (!target) {
+    return res;
+  }
+  
+  if (!target.resource) {
+    return res.status(404).send('Not found');
+  }
+  
+  res.set('Content-Type', ICS_CONTENT_TYPE);
+  res.set('ETag', target.resource.etag);
+  
+  if (req.get('If-None-Match') && preconditionFailed(req, target.resource)) {
+    return res.status(304).end();
+  }
+  
+  return req.method === 'HEAD' ? res.status(200).end() : res.send(target.resource.body);
+}
+
+/**
+ * PUT: create or replace an event resource
+ * The body holds one UID: the series (or single event) and any overridden
+ * occurrences. Attendees are managed through the API, not over CalDAV.
+ */
+async function handlePut(req, res) {
+  const db = req.db;
+  const target = await resolveObject(req, res);
+  
+  if (!target) {
+    return res;
+  }
+  
+  const { dav, path, access, calendar, event: existing, resource } = target;
+  
+  if (!hasCalendarAccess(access, calendar.id, CALENDAR_ACCESS.WRITE) ||
+      (existing && !canModifyEvent(access, dav.user, existing))) {
+    return sendDavError(res, 403, clark(NS.DAV, 'need-privileges'), 'You do not have permission to change this calendar');
+  }
+  
+  if (preconditionFailed(req, resource)) {
+    return res.status(412).send('Precondition failed');
+  }
+  
+  const calendarTimeZone = calendar.timezone || DEFAULT_TIMEZONE;
+  const parsedEvents = typeof req.body === 'string'
+    ? parseEvents(req.body, { floatingTimeZone: calendarTimeZone })
+    : null;
+  
+  if (!parsedEvents || parsedEvents.length === 0) {
+    return sendDavError(res, 403, clark(NS.CALDAV, 'valid-calendar-data'), 'Body must be an iCalendar object with a VEVENT');
+  }
+  
+  const uids = new Set(parsedEvents.map(e => e.uid));
+  const master = parsedEvents.find(e => !e.recurrenceId);
+  const overrides = parsedEvents.filter(e => e.recurrenceId);
+  
+  if (uids.size !== 1 || !master || !master.uid || parsedEvents.some(e => !e.start)) {
+    return sendDavError(res, 403, clark(NS.CALDAV, 'valid-calendar-object-resource'),
+      'Resource must contain one event (with its overridden occurrences) with a UID and DTSTART');
+  }
+  
+  // A resource keeps its UID once stored (RFC 4791)
+  if (existing && master.uid !== (existing.ical_uid || `event-${existing.id}@calendar`)) {
+    return sendDavError(res, 409, clark(NS.CALDAV, 'no-uid-conflict'), 'The UID of an existing resource cannot change');
+  }
+  
+  let recurrenceRule = null;
+  
+  if (master.rrule) {
+    recurrenceRule = normalizeRecurrence(master.rrule);
+    
+    if (!recurrenceRule) {
+      return sendDavError(res, 403, clark(NS.CALDAV, 'supported-calendar-data'), 'Unsupported recurrence rule');
+    }
+  }
+  
+  // A UID may only be stored once per calendar
+  if (!existing) {
+    const [duplicates] = await db.query(
+      `SELECT id FROM calendar_events
+       WHERE calendar_id = ? AND client_id = ? AND app_id = ? AND recurrence_parent_id IS NULL
+         AND (ical_uid = ? OR (ical_uid IS NULL AND CONCAT('event-', id, '@calendar') = ?))`,
+      [calendar.id, dav.token.client_id, dav.token.app_id, master.uid, master.uid]
+    );
+    
+    if (duplicates.length > 0) {
+      return sendDavError(res, 403, clark(NS.CALDAV, 'no-uid-conflict'), 'An event with this UID already exists');
+    }
+  }
+  
+  const masterValues = mapICalEvent(master, recurrenceRule, calendarTimeZone);
+  
+  // Overridden occurrences are excluded from the series and stored as their own rows
+  if (recurrenceRule) {
+    const exdates = [...master.exdates];
+    
+    overrides.forEach(override => {
+      if (!exdates.some(d => d.getTime() === override.recurrenceId.getTime())) {
+        exdates.push(override.recurrenceId);
+      }
+    });
+    
+    masterValues.recurrence_exdates = formatExdates(exdates);
+  }
+  
+  // Start a transaction
+  const conn = await db.getConnection();
+  await conn.beginTransaction();
+  
+  try {
+    const changes = [];
+    let masterId;
+    
+    if (existing) {
+      masterId = existing.id;
+      
+      await conn.query(
+        `UPDATE calendar_events
+         SET ${Object.keys(masterValues).map(column => `${column} = ?`).join(', ')}
+         WHERE id = ?`,
+        [...Object.values(masterValues), masterId]
+      );
+      
+      changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_UPDATED, {
+        eventId: masterId,
+        calendarId: calendar.id
+      }));
+    } else {
+      const [eventResult] = await conn.query(
+        `INSERT INTO calendar_events (
+           ${Object.keys(masterValues).join(', ')},
+           ical_uid,
+           dav_name,
+           calendar_id,
+           created_by,
+           client_id,
+           app_id
+         ) VALUES (${Object.keys(masterValues).map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?)`,
+        [
+          ...Object.values(masterValues),
+          master.uid,
+          path.name,
+          calendar.id,
+          dav.token.user_id,
+          dav.token.client_id,
+          dav.token.app_id
+        ]
+      );
+      
+      masterId = eventResult.insertId;
+      
+      changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_CREATED, {
+        eventId: masterId,
+        calendarId: calendar.id
+      }));
+    }
+    
+    // Sync overridden occurrences: update matches, add new ones, drop the rest
+    const [storedOverrides] = await conn.query(
+      'SELECT id, recurrence_original_start FROM calendar_events WHERE recurrence_parent_id = ?',
+      [masterId]
+    );
+    
+    const keptIds = new Set();
+    
+    for (const override of recurrenceRule ? overrides : []) {
+      const values = {
+        ...mapICalEvent(override, null, masterValues.timezone),
+        recurrence_parent_id: masterId,
+        recurrence_original_start: override.recurrenceId
+      };
+      
+      const stored = storedOverrides.find(row =>
+        new Date(row.recurrence_original_start).getTime() === override.recurrenceId.getTime()
+      );
+      
+      if (stored) {
+        keptIds.add(stored.id);
+        
+        await conn.query(
+          `UPDATE calendar_events
+           SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')}
+           WHERE id = ?`,
+          [...Object.values(values), stored.id]
+        );
+        
+        changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_UPDATED, {
+          eventId: stored.id,
+          calendarId: calendar.id
+        }));
+      } else {
+        const [overrideResult] = await conn.query(
+          `INSERT INTO calendar_events (
+             ${Object.keys(values).join(', ')},
+             ical_uid,
+             calendar_id,
+             created_by,
+             client_id,
+             app_id
+           ) VALUES (${Object.keys(values).map(() => '?').join(', ')}, ?, ?, ?, ?, ?)`,
+          [
+            ...Object.values(values),
+            existing ? existing.ical_uid : master.uid,
+            calendar.id,
+            existing ? existing.created_by : dav.token.user_id,
+            dav.token.client_id,
+            dav.token.app_id
+          ]
+        );
+        
+        changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_CREATED, {
+          eventId: overrideResult.insertId,
+          calendarId: calendar.id
+        }));
+      }
+    }
+    
+    for (const stored of storedOverrides.filter(row => !keptIds.has(row.id))) {
+      await conn.query('DELETE FROM calendar_events WHERE id = ?', [stored.id]);
+      
+      changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_DELETED, {
+        eventId: stored.id,
+        calendarId: calendar.id
+      }));
+    }
+    
+    await refreshRecurrenceEnd(conn, masterId);
+    
+    // Commit the transaction
+    await conn.commit();
+    publishCalendarChanges(db, changes);
+    
+    // The stored form differs from the request, so no ETag is returned
+    return res.status(existing ? 204 : 201).end();
+    
+  } catch (err) {
+    // Rollback in case of error
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * DELETE: remove an event resource with its overridden occurrences
+ */
+async function handleDelete(req, res) {
+  const db = req.db;
+  const target = await resolveObject(req, res);
+  
+  if (!target) {
+    return res;
+  }
+  
+  const { dav, access, calendar, event, resource } = target;
+  
+  if (!event) {
+    return res.status(404).send('Not found');
+  }
+  
+  if (!canModifyEvent(access, dav.user, event)) {
+    return sendDavError(res, 403, clark(NS.DAV, 'need-privileges'), 'You do not have permission to delete this event');
+  }
+  
+  if (preconditionFailed(req, resource)) {
+    return res.status(412).send('Precondition failed');
+  }
+  
+  // Start a transaction
+  const conn = await db.getConnection();
+  await conn.beginTransaction();
+  
+  try {
+    const [overrides] = await conn.query(
+      'SELECT id FROM calendar_events WHERE recurrence_parent_id = ? AND client_id = ? AND app_id = ?',
+      [event.id, dav.token.client_id, dav.token.app_id]
+    );
+    
+    // Note: event_attendees will be deleted via ON DELETE CASCADE constraint
+    await conn.query(
+      'DELETE FROM calendar_events WHERE recurrence_parent_id = ? AND client_id = ? AND app_id = ?',
+      [event.id, dav.token.client_id, dav.token.app_id]
+    );
+    await conn.query('DELETE FROM calendar_events WHERE id = ?', [event.id]);
+    
+    const changes = [];
+    
+    for (const deleted of [...overrides, event]) {
+      changes.push(await recordCalendarChange(conn, dav.user, CHANGE_TYPES.EVENT_DELETED, {
+        eventId: deleted.id,
+        calendarId: calendar.id
+      }));
+    }
+    
+    // Commit the transaction
+    await conn.commit();
+    publishCalendarChanges(db, changes);
+    
+    return res.status(204).end();
+    
+  } catch (err) {
+    // Rollback in case of error
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Dispatch an authenticated CalDAV request by method
+ */
+async function handleCaldav(req, res) {
+  try {
+    switch (req.method) {
+      case 'PROPFIND':
+        return await handlePropfind(req, res);
+      case 'REPORT':
+        return await handleReport(req, res);
+      case 'GET':
+      case 'HEAD':
+        return await handleGet(req, res);
+      case 'PUT':
+        return await handlePut(req, res);
+      case 'DELETE':
+        return await handleDelete(req, res);
+      default:
+        res.set('Allow', 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, REPORT');
+        return res.status(405).send('Method not allowed');
+    }
+  } catch (error) {
+    console.error(`Error handling CalDAV ${req.method}:`, error);
+    return res.status(500).send('Failed to process CalDAV request');
+  }
+}
+
+/**
+ * Register the CalDAV server and its well-known discovery URL
+ */
+function registerCaldavRoutes(app) {
+  const router = express.Router();
+  
+  // Request bodies are XML or iCalendar text
+  router.use(express.text({ type: () => true, limit: '5mb' }));
+  
+  router.options('*', sendOptions);
+  router.use(authenticateCaldav);
+  router.all('*', handleCaldav);
+  
+  app.use(CALDAV_BASE_PATH, router);
+  
+  // Clients that only know the server name look here first
+  app.all('/.well-known/caldav', (req, res) => res.redirect(301, `${CALDAV_BASE_PATH}/`));
+  
+  console.log('CalDAV routes registered');
+}
+
+module.exports = {
+  registerCaldavRoutes,
+  parseXml
+};
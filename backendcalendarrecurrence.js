@@ -0,0 +1,595 @@
+/**
+ * backendcalendarrecurrence.js
+ * Recurrence rule (RRULE) parsing and occurrence expansion for calendar events
+ */
+
+const { isValidTimeZone, utcToZonedTime, zonedTimeToUtc } = require('./backendtimezones');
+
+// Supported recurrence frequencies
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Weekday codes indexed the same way as Date.getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Edit scopes accepted when updating a recurring event
+const RECURRENCE_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  ALL: 'all'
+};
+
+// Safety limit on the number of periods walked for a single series
+const MAX_PERIODS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an iCalendar date or date-time value (YYYYMMDD or YYYYMMDDTHHMMSS[Z])
+ */
+function parseICalDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+  return new Date(Date.UTC(
+    parseInt(year), parseInt(month) - 1, parseInt(day),
+    parseInt(hours), parseInt(minutes), parseInt(seconds)
+  ));
+}
+
+/**
+ * Format a date as a UTC iCalendar date-time (YYYYMMDDTHHMMSSZ)
+ */
+function formatICalDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse an RRULE string into a rule object
+ * Returns null when the rule is malformed or uses unsupported parts
+ */
+function parseRRule(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    count: null,
+    until: null
+  };
+
+  const source = value.trim().replace(/^RRULE:/i, '');
+
+  for (const part of source.split(';')) {
+    if (!part) {
+      continue;
+    }
+
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const partValue = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!RECURRENCE_FREQUENCIES.includes(partValue)) {
+          return null;
+        }
+        rule.freq = partValue;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(partValue);
+        if (!(rule.interval >= 1)) {
+          return null;
+        }
+        break;
+      case 'COUNT':
+        rule.count = parseInt(partValue);
+        if (!(rule.count >= 1)) {
+          return null;
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseICalDate(partValue);
+        if (!rule.until) {
+          return null;
+        }
+        break;
+      case 'BYDAY':
+        for (const token of partValue.split(',')) {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token.trim());
+          if (!match) {
+            return null;
+          }
+          rule.byDay.push({
+            ordinal: match[1] ? parseInt(match[1]) : null,
+            weekday: WEEKDAYS.indexOf(match[2])
+          });
+        }
+        break;
+      case 'BYMONTHDAY':
+        for (const token of partValue.split(',')) {
+          const day = parseInt(token);
+          if (isNaN(day) || day === 0 || day < -31 || day > 31) {
+            return null;
+          }
+          rule.byMonthDay.push(day);
+        }
+        break;
+      case 'WKST':
+        // Weeks always start on Monday; accepted for compatibility
+        break;
+      default:
+        return null;
+    }
+  }
+
+  // FREQ is mandatory and COUNT/UNTIL are mutually exclusive (RFC 5545)
+  if (!rule.freq || (rule.count && rule.until)) {
+    return null;
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a rule object back to an RRULE string
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+
+  if (rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  if (rule.until) {
+    parts.push(`UNTIL=${formatICalDate(rule.until)}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Parse the stored exception dates (JSON array of ISO strings)
+ */
+function parseExdates(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const dates = JSON.parse(value);
+    return Array.isArray(dates) ? dates.map(d => new Date(d)).filter(d => !isNaN(d)) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Serialize exception dates for storage
+ */
+function formatExdates(dates) {
+  if (!dates || dates.length === 0) {
+    return null;
+  }
+
+  return JSON.stringify(dates.map(d => new Date(d).toISOString()));
+}
+
+/**
+ * Normalize recurrence input from the API
+ * Accepts an RRULE string or an object such as
+ * { frequency: 'weekly', interval: 1, byDay: ['MO'], count: 10, until, exceptions: [] }
+ * Returns { rule, exdates } or null when the input is invalid.
+ * exdates is undefined when the input does not mention exceptions.
+ */
+function normalizeRecurrence(input) {
+  if (typeof input === 'string') {
+    const parsed = parseRRule(input);
+    return parsed ? { rule: formatRRule(parsed), exdates: undefined } : null;
+  }
+
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+
+  let parsed;
+
+  if (input.rule) {
+    parsed = parseRRule(input.rule);
+  } else {
+    const parts = [`FREQ=${String(input.frequency || '').toUpperCase()}`];
+
+    if (input.interval !== undefined) {
+      parts.push(`INTERVAL=${input.interval}`);
+    }
+
+    if (input.byDay) {
+      const byDay = Array.isArray(input.byDay) ? input.byDay : String(input.byDay).split(',');
+      parts.push(`BYDAY=${byDay.join(',')}`);
+    }
+
+    if (input.byMonthDay) {
+      const byMonthDay = Array.isArray(input.byMonthDay) ? input.byMonthDay : [input.byMonthDay];
+      parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    }
+
+    if (input.count !== undefined && input.count !== null) {
+      parts.push(`COUNT=${input.count}`);
+    }
+
+    parsed = parseRRule(parts.join(';'));
+
+    if (parsed && input.until) {
+      const until = new Date(input.until);
+      parsed = isNaN(until) || parsed.count ? null : { ...parsed, until };
+    }
+  }
+
+  if (!parsed) {
+    return null;
+  }
+
+  let exdates;
+
+  if (input.exceptions !== undefined) {
+    if (!Array.isArray(input.exceptions)) {
+      return null;
+    }
+
+    exdates = input.exceptions.map(d => new Date(d));
+
+    if (exdates.some(d => isNaN(d))) {
+      return null;
+    }
+  }
+
+  return { rule: formatRRule(parsed), exdates };
+}
+
+/**
+ * Build a candidate date in a given month using the series start time of day
+ */
+function atStartTime(year, month, day, seriesStart) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  if (day < 1 || day > daysInMonth) {
+    return null;
+  }
+
+  return new Date(Date.UTC(
+    year, month, day,
+    seriesStart.getUTCHours(), seriesStart.getUTCMinutes(), seriesStart.getUTCSeconds()
+  ));
+}
+
+/**
+ * Candidate dates for a single month (used by MONTHLY and YEARLY rules)
+ */
+function monthCandidates(rule, seriesStart, year, month) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    rule.byMonthDay.forEach(day => days.push(day > 0 ? day : daysInMonth + day + 1));
+  } else if (rule.byDay.length > 0) {
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const firstDay = 1 + ((weekday - firstWeekday + 7) % 7);
+      const matching = [];
+
+      for (let day = firstDay; day <= daysInMonth; day += 7) {
+        matching.push(day);
+      }
+
+      if (!ordinal) {
+        days.push(...matching);
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) {
+          days.push(day);
+        }
+      }
+    });
+  } else {
+    days.push(seriesStart.getUTCDate());
+  }
+
+  return days
+    .map(day => atStartTime(year, month, day, seriesStart))
+    .filter(Boolean);
+}
+
+/**
+ * Candidate dates for the nth period of a series
+ */
+function periodCandidates(rule, seriesStart, period) {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(seriesStart.getTime() + step * DAY_MS)];
+
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const mondayOffset = (seriesStart.getUTCDay() + 6) % 7;
+      const weekStart = seriesStart.getTime() - mondayOffset * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(d => d.weekday)
+        : [seriesStart.getUTCDay()];
+
+      return weekdays.map(weekday => new Date(weekStart + ((weekday + 6) % 7) * DAY_MS));
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = seriesStart.getUTCMonth() + step;
+      const year = seriesStart.getUTCFullYear() + Math.floor(monthIndex / 12);
+      return monthCandidates(rule, seriesStart, year, monthIndex % 12);
+    }
+
+    case 'YEARLY':
+      return monthCandidates(rule, seriesStart, seriesStart.getUTCFullYear() + step, seriesStart.getUTCMonth());
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check whether any period of a series can produce a date
+ * MONTHLY and YEARLY rules can name days a month never has (BYMONTHDAY=30
+ * on a February-only rule). A 28-year sample covers every leap year and
+ * weekday layout of a month.
+ */
+function canProduceDates(rule, seriesStart) {
+  if (rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+    return true;
+  }
+
+  const months = new Set();
+
+  for (let period = 0; period < 12; period++) {
+    months.add(rule.freq === 'MONTHLY'
+      ? (seriesStart.getUTCMonth() + period * rule.interval) % 12
+      : seriesStart.getUTCMonth());
+  }
+
+  for (const month of months) {
+    for (let year = 2000; year < 2028; year++) {
+      if (monthCandidates(rule, seriesStart, year, month).length > 0) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Estimate the first period that can produce dates on or after fromDate
+ */
+function firstPeriodFrom(rule, seriesStart, fromDate) {
+  if (!fromDate || rule.count || fromDate <= seriesStart) {
+    return 0;
+  }
+
+  let periods;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      periods = (fromDate - seriesStart) / (rule.interval * DAY_MS);
+      break;
+    case 'WEEKLY':
+      periods = (fromDate - seriesStart) / (rule.interval * 7 * DAY_MS);
+      break;
+    case 'MONTHLY':
+      periods = ((fromDate.getUTCFullYear() - seriesStart.getUTCFullYear()) * 12 +
+        fromDate.getUTCMonth() - seriesStart.getUTCMonth()) / rule.interval;
+      break;
+    default:
+      periods = (fromDate.getUTCFullYear() - seriesStart.getUTCFullYear()) / rule.interval;
+  }
+
+  return Math.max(0, Math.floor(periods) - 1);
+}
+
+/**
+ * Walk every instance generated by a series in chronological order
+ * The visitor receives each instance start and may return false to stop.
+ * DTSTART counts as the first instance, and COUNT and UNTIL are applied
+ * before exception dates, as in RFC 5545.
+ * Timed series are expanded on the wall clock of their time zone so
+ * occurrences keep their local time across daylight saving changes.
+ */
+function forEachInstance(series, visit, fromDate) {
+  const rule = parseRRule(series.recurrence_rule);
+
+  if (!rule) {
+    return;
+  }
+
+  const timeZone = !series.is_all_day && isValidTimeZone(series.timezone) ? series.timezone : null;
+  const toLocal = date => (timeZone ? utcToZonedTime(date, timeZone) : date);
+  const toInstant = date => (timeZone ? zonedTimeToUtc(date, timeZone) : date);
+
+  const seriesStart = new Date(series.start_date);
+  const localStart = toLocal(seriesStart);
+  const firstPeriod = firstPeriodFrom(rule, localStart, fromDate ? toLocal(fromDate) : null);
+  let generated = 0;
+
+  // DTSTART is always the first instance, even when it does not match the rule
+  if (firstPeriod === 0) {
+    generated++;
+
+    if (visit(seriesStart) === false) {
+      return;
+    }
+  }
+
+  if (!canProduceDates(rule, localStart)) {
+    return;
+  }
+
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    const candidates = periodCandidates(rule, localStart, period)
+      .map(toInstant)
+      .filter(candidate => candidate > seriesStart)
+      .sort((a, b) => a - b);
+
+    for (const candidate of candidates) {
+      if (rule.until && candidate > rule.until) {
+        return;
+      }
+
+      if (rule.count && generated >= rule.count) {
+        return;
+      }
+
+      generated++;
+
+      if (visit(candidate) === false) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Expand a recurring event row into occurrences overlapping [rangeStart, rangeEnd]
+ * Either bound may be null; limit caps the number of occurrences returned.
+ */
+function expandOccurrences(series, rangeStart, rangeEnd, limit) {
+  const seriesStart = new Date(series.start_date);
+  const duration = series.end_date ? new Date(series.end_date) - seriesStart : 0;
+  const exdates = new Set(parseExdates(series.recurrence_exdates).map(d => d.getTime()));
+  const occurrences = [];
+  const fromDate = rangeStart ? new Date(rangeStart.getTime() - duration) : null;
+
+  forEachInstance(series, start => {
+    if (rangeEnd && start > rangeEnd) {
+      return false;
+    }
+
+    const end = new Date(start.getTime() + duration);
+
+    if ((rangeStart && end < rangeStart) || exdates.has(start.getTime())) {
+      return true;
+    }
+
+    occurrences.push({
+      start,
+      end: series.end_date ? end : null
+    });
+
+    return !(limit && occurrences.length >= limit);
+  }, fromDate);
+
+  return occurrences;
+}
+
+/**
+ * Check whether a date is a generated instance of the series
+ */
+function isInstanceStart(series, date) {
+  let found = false;
+
+  forEachInstance(series, start => {
+    if (start.getTime() === date.getTime()) {
+      found = true;
+    }
+    return start < date;
+  }, date);
+
+  return found;
+}
+
+/**
+ * Count the instances generated strictly before a date (exceptions included)
+ */
+function countInstancesBefore(series, date) {
+  let count = 0;
+
+  forEachInstance(series, start => {
+    if (start >= date) {
+      return false;
+    }
+    count++;
+    return true;
+  });
+
+  return count;
+}
+
+/**
+ * Compute the end of the last occurrence of a series, or null if it never ends
+ * Stored on the event so range queries can skip finished series.
+ */
+function computeRecurrenceEnd(series) {
+  const rule = parseRRule(series.recurrence_rule);
+
+  if (!rule || (!rule.count && !rule.until)) {
+    return null;
+  }
+
+  const seriesStart = new Date(series.start_date);
+  const duration = series.end_date ? new Date(series.end_date) - seriesStart : 0;
+  let last = seriesStart;
+
+  forEachInstance(series, start => {
+    last = start;
+    return true;
+  });
+
+  return new Date(last.getTime() + duration);
+}
+
+/**
+ * Describe the recurrence of an event row for API responses
+ */
+function formatRecurrence(event) {
+  if (!event.recurrence_rule) {
+    return null;
+  }
+
+  return {
+    rule: event.recurrence_rule,
+    exceptions: parseExdates(event.recurrence_exdates).map(d => d.toISOString())
+  };
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_SCOPES,
+  WEEKDAYS,
+  parseICalDate,
+  formatICalDate,
+  parseRRule,
+  formatRRule,
+  parseExdates,
+  formatExdates,
+  normalizeRecurrence,
+  expandOccurrences,
+  isInstanceStart,
+  countInstancesBefore,
+  computeRecurrenceEnd,
+  formatRecurrence
+};
@@ -3,10 +3,45 @@
  * Comprehensive Calendar API implementation with multi-tenant support
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('./auth');
+const {
+  RECURRENCE_SCOPES,
+  formatExdates,
+  parseExdates,
+  normalizeRecurrence,
+  expandOccurrences,
+  isInstanceStart,
+  countInstancesBefore,
+  computeRecurrenceEnd,
+  formatRecurrence,
+  parseRRule,
+  formatRRule
+} = require('./backendcalendarrecurrence');
+const { buildCalendar, parseEvents } = require('./backendical');
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  formatWallClock,
+  formatFloatingDate,
+  parseDateInput
+} = require('./backendtimezones');
+const {
+  REMINDER_CHANNELS,
+  registerReminderChannel,
+  getReminderChannel,
+  isReminderChannel,
+  createInAppChannel,
+  createEmailChannel,
+  createWebhookChannel
+} = require('./backendreminderchannels');
+const { triggerWebhook } = require('./backendwebhooks');
 
 // Calendar constants
 const EVENT_TYPES = {
@@ -17,6 +52,136 @@ const EVENT_TYPES = {
   PERSONAL: 'personal'
 };
 
+// Who may see the details of an event
+const EVENT_VISIBILITY = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+  CONFIDENTIAL: 'confidential'
+};
+
+// Calendar share access levels, lowest to highest
+const CALENDAR_ACCESS = {
+  FREE_BUSY: 'free_busy',
+  READ: 'read',
+  WRITE: 'write',
+  MANAGE: 'manage'
+};
+
+const ACCESS_RANK = {
+  [CALENDAR_ACCESS.FREE_BUSY]: 1,
+  [CALENDAR_ACCESS.READ]: 2,
+  [CALENDAR_ACCESS.WRITE]: 3,
+  [CALENDAR_ACCESS.MANAGE]: 4
+};
+
+// Who a calendar share is granted to
+const SHARE_GRANTEE_TYPES = {
+  USER: 'user',
+  ROLE: 'role'
+};
+
+// CRM records an event can be linked to (request field -> column and table)
+const EVENT_LINKS = {
+  companyId: { column: 'company_id', table: 'companies', label: 'Company' },
+  contactId: { column: 'contact_id', table: 'contacts', label: 'Contact' },
+  dealId: { column: 'deal_id', table: 'deals', label: 'Deal' }
+};
+
+// Title shown instead of event details to viewers without read access
+const BUSY_TITLE = 'Busy';
+
+// Zone used when neither the event, its calendar nor the user has one
+const DEFAULT_TIMEZONE = 'UTC';
+
+// What a calendar token can be used for
+const FEED_TOKEN_SCOPES = {
+  FEED: 'feed',
+  CALDAV: 'caldav'
+};
+
+// Where the CalDAV server (backendcaldav.js) is mounted
+const CALDAV_BASE_PATH = '/api/caldav';
+
+// How far back subscription feeds include past events
+const FEED_PAST_DAYS = 365;
+
+// How far ahead the occurrences of a recurring event are checked for conflicts
+const CONFLICT_HORIZON_DAYS = 90;
+const MAX_CONFLICT_OCCURRENCES = 100;
+
+// Longest window a free/busy query may cover
+const MAX_FREEBUSY_DAYS = 62;
+
+// Defaults for meeting time suggestions
+const SLOT_DEFAULTS = {
+  WORK_START: '09:00',
+  WORK_END: '17:00',
+  WORK_DAYS: [1, 2, 3, 4, 5],
+  STEP_MINUTES: 30,
+  LIMIT: 10
+};
+
+// Reminder scheduling
+const REMINDER_INTERVAL_MS = 60 * 1000;
+const REMINDER_LOOKBACK_MINUTES = 60;
+const MAX_REMINDER_MINUTES = 4 * 7 * 24 * 60;
+const MAX_REMINDER_ATTEMPTS = 3;
+
+// Reminder deliveries stuck in "sending" this long (e.g. after a crash) are retried
+const REMINDER_SENDING_TIMEOUT_MINUTES = 10;
+
+// Channels used by reminders that do not name one (and by legacy reminder_minutes)
+const DEFAULT_REMINDER_CHANNELS = [REMINDER_CHANNELS.IN_APP, REMINDER_CHANNELS.EMAIL];
+
+// Change notifications pushed to live streams
+const CHANGE_TYPES = {
+  EVENT_CREATED: 'event.created',
+  EVENT_UPDATED: 'event.updated',
+  EVENT_DELETED: 'event.deleted',
+  CALENDAR_CREATED: 'calendar.created',
+  CALENDAR_UPDATED: 'calendar.updated',
+  CALENDAR_DELETED: 'calendar.deleted',
+  // A share of the calendar was granted, changed or revoked
+  CALENDAR_SHARED: 'calendar.shared'
+};
+
+// How long changes are kept for reconnecting streams
+const CHANGE_RETENTION_DAYS = 30;
+const CHANGE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Changes returned by one incremental sync request
+const MAX_SYNC_CHANGES = 1000;
+
+// Signs sync tokens; without CALENDAR_SYNC_SECRET one is generated once and kept in calendar_server_settings
+let syncTokenSecret = process.env.CALENDAR_SYNC_SECRET || null;
+
+// Live stream keep-alive and replay limits
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAM_REPLAY = 500;
+
+// Committed changes are published here for open streams in this process
+const calendarChanges = new EventEmitter();
+calendarChanges.setMaxListeners(0);
+
+let lastChangePrune = 0;
+
+// Slugs of public booking pages
+const BOOKING_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Uploaded .ics files are kept in memory and parsed directly
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Attendee response statuses stored in event_attendees.status
+const ATTENDEE_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative'
+};
+
 const DEFAULT_CALENDARS = [
   { id: 'work', name: 'Work', color: '#4361ee' },
   { id: 'sales', name: 'Sales', color: '#10b981' },
@@ -24,11 +189,56 @@ const DEFAULT_CALENDARS = [
   { id: 'personal', name: 'Personal', color: '#8b5cf6' }
 ];
 
+/**
+ * Add a column to an existing table if it is missing
+ */
+async function ensureColumn(db, table, column, definition) {
+  const [columnCheck] = await db.query(
+    `SELECT COUNT(*) as count 
+     FROM information_schema.columns 
+     WHERE table_schema = DATABASE() 
+     AND table_name = ? 
+     AND column_name = ?`,
+    [table, column]
+  );
+  
+  if (columnCheck[0].count === 0) {
+    console.log(`Adding ${column} column to ${table}`);
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Make an existing NOT NULL column nullable
+ */
+async function ensureColumnNullable(db, table, column, definition) {
+  const [columnCheck] = await db.query(
+    `SELECT is_nullable 
+     FROM information_schema.columns 
+     WHERE table_schema = DATABASE() 
+     AND table_name = ? 
+     AND column_name = ?`,
+    [table, column]
+  );
+  
+  if (columnCheck.length > 0 && columnCheck[0].is_nullable === 'NO') {
+    console.log(`Making ${column} column of ${table} nullable`);
+    await db.query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+  }
+}
+
+// Set once the calendar schema is known to be current in this process
+let calendarTablesReady = false;
+
 /**
  * Ensure calendar tables exist
  * This function creates necessary tables if they don't exist yet
  */
 async function ensureCalendarTables(db) {
+  if (calendarTablesReady) {
+    return true;
+  }
+  
   try {
     // Check and create calendars table
     const [calendarCheck] = await db.query(
@@ -141,6 +351,301 @@ async function ensureCalendarTables(db) {
       `);
     }
     
+    // Check and create calendar_feed_tokens table
+    const [feedTokensCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'calendar_feed_tokens'`
+    );
+    
+    if (feedTokensCheck[0].count === 0) {
+      console.log('Creating calendar_feed_tokens table');
+      await db.query(`
+        CREATE TABLE calendar_feed_tokens (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          token_hash CHAR(64) NOT NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          last_used_at DATETIME NULL,
+          revoked_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY token_hash_idx (token_hash),
+          INDEX idx_client_app (client_id, app_id)
+        )
+      `);
+    }
+    
+    // Check and create user_calendar_settings table
+    const [settingsCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'user_calendar_settings'`
+    );
+    
+    if (settingsCheck[0].count === 0) {
+      console.log('Creating user_calendar_settings table');
+      await db.query(`
+        CREATE TABLE user_calendar_settings (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          timezone VARCHAR(64) NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY user_settings_idx (user_id, client_id, app_id),
+          INDEX idx_client_app (client_id, app_id)
+        )
+      `);
+    }
+    
+    // Check and create calendar_shares table
+    const [sharesCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'calendar_shares'`
+    );
+    
+    if (sharesCheck[0].count === 0) {
+      console.log('Creating calendar_shares table');
+      await db.query(`
+        CREATE TABLE calendar_shares (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          calendar_id VARCHAR(50) NOT NULL,
+          grantee_type VARCHAR(10) NOT NULL,
+          grantee_id VARCHAR(100) NOT NULL,
+          access_level VARCHAR(20) NOT NULL,
+          created_by INT,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY calendar_grantee_idx (calendar_id, grantee_type, grantee_id),
+          INDEX idx_client_app (client_id, app_id)
+        )
+      `);
+    }
+    
+    // Check and create booking_pages table
+    const [bookingPagesCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'booking_pages'`
+    );
+    
+    if (bookingPagesCheck[0].count === 0) {
+      console.log('Creating booking_pages table');
+      await db.query(`
+        CREATE TABLE booking_pages (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          slug VARCHAR(100) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          owner_id INT NOT NULL,
+          calendar_id VARCHAR(50) NOT NULL,
+          duration_minutes INT NOT NULL,
+          buffer_minutes INT NOT NULL DEFAULT 0,
+          max_per_day INT NULL,
+          min_notice_minutes INT NOT NULL DEFAULT 0,
+          max_days_ahead INT NOT NULL DEFAULT 60,
+          availability TEXT NOT NULL,
+          timezone VARCHAR(64) NOT NULL,
+          location VARCHAR(255),
+          is_active BOOLEAN DEFAULT 1,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY app_slug_idx (app_id, slug),
+          INDEX idx_client_app (client_id, app_id),
+          INDEX idx_owner (owner_id)
+        )
+      `);
+    }
+    
+    // Check and create event_reminders table
+    const [remindersCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'event_reminders'`
+    );
+    
+    if (remindersCheck[0].count === 0) {
+      console.log('Creating event_reminders table');
+      await db.query(`
+        CREATE TABLE event_reminders (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          event_id INT NOT NULL,
+          minutes_before INT NOT NULL,
+          channel VARCHAR(50) NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_client_app (client_id, app_id),
+          FOREIGN KEY (event_id) REFERENCES calendar_events(id) ON DELETE CASCADE
+        )
+      `);
+    }
+    
+    // Check and create event_reminder_deliveries table
+    const [deliveriesCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'event_reminder_deliveries'`
+    );
+    
+    if (deliveriesCheck[0].count === 0) {
+      console.log('Creating event_reminder_deliveries table');
+      await db.query(`
+        CREATE TABLE event_reminder_deliveries (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          event_id INT NOT NULL,
+          occurrence_start DATETIME NOT NULL,
+          minutes_before INT NOT NULL,
+          channel VARCHAR(50) NOT NULL,
+          recipient VARCHAR(255) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          attempts INT NOT NULL DEFAULT 1,
+          last_error TEXT,
+          claimed_at DATETIME NULL,
+          sent_at DATETIME NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY delivery_idx (event_id, occurrence_start, minutes_before, channel, recipient),
+          INDEX idx_client_app (client_id, app_id),
+          FOREIGN KEY (event_id) REFERENCES calendar_events(id) ON DELETE CASCADE
+        )
+      `);
+    }
+    
+    // Check and create calendar_notifications table
+    const [notificationsCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'calendar_notifications'`
+    );
+    
+    if (notificationsCheck[0].count === 0) {
+      console.log('Creating calendar_notifications table');
+      await db.query(`
+        CREATE TABLE calendar_notifications (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          event_id INT NULL,
+          occurrence_start DATETIME NULL,
+          title VARCHAR(255) NOT NULL,
+          message TEXT,
+          read_at DATETIME NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_user (user_id, read_at),
+          INDEX idx_client_app (client_id, app_id)
+        )
+      `);
+    }
+    
+    // Check and create calendar_changes table
+    const [changesCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'calendar_changes'`
+    );
+    
+    if (changesCheck[0].count === 0) {
+      console.log('Creating calendar_changes table');
+      await db.query(`
+        CREATE TABLE calendar_changes (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          change_type VARCHAR(30) NOT NULL,
+          event_id INT NULL,
+          calendar_id VARCHAR(50) NULL,
+          previous_calendar_id VARCHAR(50) NULL,
+          actor_id INT NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_client_app (client_id, app_id, id),
+          INDEX idx_created (created_at)
+        )
+      `);
+    }
+    
+    // Check and create calendar_server_settings table
+    const [serverSettingsCheck] = await db.query(
+      `SELECT COUNT(*) as count 
+       FROM information_schema.tables 
+       WHERE table_schema = DATABASE() 
+       AND table_name = 'calendar_server_settings'`
+    );
+    
+    if (serverSettingsCheck[0].count === 0) {
+      console.log('Creating calendar_server_settings table');
+      await db.query(`
+        CREATE TABLE calendar_server_settings (
+          name VARCHAR(50) PRIMARY KEY,
+          value TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+    
+    // Recurrence columns (added after the initial schema)
+    await ensureColumn(db, 'calendar_events', 'recurrence_rule', 'VARCHAR(500) NULL');
+    await ensureColumn(db, 'calendar_events', 'recurrence_exdates', 'TEXT NULL');
+    await ensureColumn(db, 'calendar_events', 'recurrence_end', 'DATETIME NULL');
+    await ensureColumn(db, 'calendar_events', 'recurrence_parent_id', 'INT NULL');
+    await ensureColumn(db, 'calendar_events', 'recurrence_original_start', 'DATETIME NULL');
+    
+    // iCalendar UID of imported events, used to update them on re-import
+    await ensureColumn(db, 'calendar_events', 'ical_uid', 'VARCHAR(255) NULL');
+    
+    // IANA time zones of events and default zones of calendars
+    await ensureColumn(db, 'calendar_events', 'timezone', 'VARCHAR(64) NULL');
+    await ensureColumn(db, 'calendars', 'timezone', 'VARCHAR(64) NULL');
+    
+    // Attendee responses
+    await ensureColumn(db, 'event_attendees', 'response_comment', 'TEXT NULL');
+    await ensureColumn(db, 'event_attendees', 'responded_at', 'DATETIME NULL');
+    
+    // External attendees have no app user, only a name and email
+    await ensureColumnNullable(db, 'event_attendees', 'user_id', 'INT NULL');
+    await ensureColumn(db, 'event_attendees', 'email', 'VARCHAR(255) NULL');
+    await ensureColumn(db, 'event_attendees', 'name', 'VARCHAR(255) NULL');
+    await ensureColumn(db, 'event_attendees', 'contact_id', 'INT NULL');
+    
+    // Event visibility (public, private, confidential)
+    await ensureColumn(db, 'calendar_events', 'visibility', `VARCHAR(20) NOT NULL DEFAULT '${EVENT_VISIBILITY.PUBLIC}'`);
+    
+    // CalDAV tokens and client-chosen resource names of events created over CalDAV
+    await ensureColumn(db, 'calendar_feed_tokens', 'scope', `VARCHAR(20) NOT NULL DEFAULT '${FEED_TOKEN_SCOPES.FEED}'`);
+    await ensureColumn(db, 'calendar_events', 'dav_name', 'VARCHAR(255) NULL');
+    
+    // Events created through a public booking page
+    await ensureColumn(db, 'calendar_events', 'booking_page_id', 'INT NULL');
+    
+    // Company, contact and deal the event is about
+    await ensureColumn(db, 'calendar_events', 'company_id', 'INT NULL');
+    await ensureColumn(db, 'calendar_events', 'contact_id', 'INT NULL');
+    await ensureColumn(db, 'calendar_events', 'deal_id', 'INT NULL');
+    
+    // When a reminder delivery was last claimed, to retry ones stuck in "sending"
+    await ensureColumn(db, 'event_reminder_deliveries', 'claimed_at', 'DATETIME NULL');
+    
+    // Who a share change was for (user:<id> or role:<role>)
+    await ensureColumn(db, 'calendar_changes', 'grantee', 'VARCHAR(70) NULL');
+    
+    calendarTablesReady = true;
     return true;
   } catch (error) {
     console.error('Error ensuring calendar tables:', error);
@@ -182,483 +687,4905 @@ async function initDefaultCalendars(db, clientId, appId) {
   }
 }
 
+// Attendee emails end up in ICS ATTENDEE lines and mail headers
+const ATTENDEE_EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+/**
+ * Check that an attendee email cannot break an ICS line or a mail header
+ */
+function isSafeAttendeeEmail(email) {
+  return typeof email === 'string' && ATTENDEE_EMAIL_PATTERN.test(email.trim());
+}
+
 /**
- * Get all events with filtering
+ * Normalize an attendee from the API into { userId, email, name }
+ * Accepts a user ID, an email address or an object with userId/email/name.
+ * Malformed emails are dropped.
  */
-async function getEvents(req, res) {
-  try {
-    const db = req.db;
-    
-    // Ensure tables exist
-    await ensureCalendarTables(db);
+function normalizeAttendee(attendee) {
+  if (attendee && typeof attendee === 'object') {
+    return {
+      userId: attendee.userId || attendee.id || null,
+      email: isSafeAttendeeEmail(attendee.email) ? attendee.email.trim().toLowerCase() : null,
+      name: typeof attendee.name === 'string' && attendee.name.trim() ? attendee.name.trim().replace(/[\r\n]+/g, ' ') : null
+    };
+  }
+  
+  if (typeof attendee === 'string' && attendee.includes('@')) {
+    return isSafeAttendeeEmail(attendee)
+      ? { userId: null, email: attendee.trim().toLowerCase(), name: null }
+      : null;
+  }
+  
+  if (typeof attendee === 'number' || !isNaN(parseInt(attendee))) {
+    return { userId: attendee, email: null, name: null };
+  }
+  
+  return null;
+}
+
+/**
+ * Add attendees (user IDs, emails or { email, name } objects) to an event
+ * Emails that do not belong to an app user in this tenant are stored as
+ * external attendees and linked to a matching contact when there is one.
+ * Existing attendees keep their response. Returns the attendee row IDs.
+ */
+async function saveEventAttendees(conn, req, eventId, attendees) {
+  const attendeeRowIds = [];
+  
+  if (!attendees || !Array.isArray(attendees) || attendees.length === 0) {
+    return attendeeRowIds;
+  }
+
+  const seenUsers = new Set();
+  const seenEmails = new Set();
+
+  for (const attendee of attendees) {
+    const normalized = normalizeAttendee(attendee);
     
-    // Initialize default calendars if needed
-    if (req.applyRLS) {
-      await initDefaultCalendars(db, req.clientId, req.appId);
+    if (!normalized || (!normalized.userId && !normalized.email)) {
+      continue;
     }
     
-    // Parse query parameters
-    const start = req.query.start ? new Date(req.query.start) : null;
-    const end = req.query.end ? new Date(req.query.end) : null;
-    const calendars = req.query.calendars ? req.query.calendars.split(',') : null;
-    const type = req.query.type || null;
-    const search = req.query.search || null;
-    
-    // Build the WHERE clause based on filters
-    let whereClause = '1=1';
-    let params = [];
+    let userCheck = [];
     
-    // Apply tenant isolation
-    if (req.applyRLS) {
-      whereClause += ` AND e.client_id = ? AND e.app_id = ?`;
-      params.push(req.clientId, req.appId);
+    if (normalized.userId) {
+      // Handle user ID - verify user belongs to this tenant
+      [userCheck] = await conn.query(
+        'SELECT id FROM app_users WHERE id = ? AND client_id = ? AND app_id = ?',
+        [normalized.userId, req.clientId, req.appId]
+      );
+      
+      // Unknown user IDs are ignored
+      if (userCheck.length === 0) {
+        continue;
+      }
+    } else {
+      // Handle email - check if user exists within this tenant
+      [userCheck] = await conn.query(
+        'SELECT id FROM app_users WHERE email = ? AND client_id = ? AND app_id = ?',
+        [normalized.email, req.clientId, req.appId]
+      );
     }
     
-    // Date filtering
-    if (start) {
-      whereClause += ` AND (
-        (e.end_date >= ? OR e.is_all_day = 1)
-      )`;
-      params.push(start.toISOString());
+    if (userCheck.length > 0) {
+      const userId = userCheck[0].id;
+      
+      if (seenUsers.has(userId)) {
+        continue;
+      }
+      seenUsers.add(userId);
+      
+      const [existing] = await conn.query(
+        'SELECT id FROM event_attendees WHERE event_id = ? AND user_id = ?',
+        [eventId, userId]
+      );
+      
+      if (existing.length > 0) {
+        attendeeRowIds.push(existing[0].id);
+      } else {
+        const [result] = await conn.query(
+          'INSERT INTO event_attendees (event_id, user_id, client_id, app_id) VALUES (?, ?, ?, ?)',
+          [eventId, userId, req.clientId, req.appId]
+        );
+        attendeeRowIds.push(result.insertId);
+      }
+      continue;
     }
     
-    if (end) {
-      whereClause += ` AND (
-        (e.start_date <= ? OR e.is_all_day = 1)
-      )`;
-      params.push(end.toISOString());
+    // External attendee
+    if (seenEmails.has(normalized.email)) {
+      continue;
     }
+    seenEmails.add(normalized.email);
     
-    // Calendar filtering
-    if (calendars && calendars.length > 0) {
-      whereClause += ` AND e.calendar_id IN (${calendars.map(() => '?').join(',')})`;
-      params = [...params, ...calendars];
+    // Link to a contact from the companies module when the email matches
+    const [contactCheck] = await conn.query(
+      `SELECT id, CONCAT(first_name, ' ', last_name) AS full_name 
+       FROM contacts 
+       WHERE email = ? AND client_id = ? AND app_id = ? 
+       LIMIT 1`,
+      [normalized.email, req.clientId, req.appId]
+    );
+    
+    const contactId = contactCheck.length > 0 ? contactCheck[0].id : null;
+    const name = normalized.name || (contactCheck.length > 0 ? contactCheck[0].full_name : null);
+    
+    const [existing] = await conn.query(
+      'SELECT id FROM event_attendees WHERE event_id = ? AND user_id IS NULL AND email = ?',
+      [eventId, normalized.email]
+    );
+    
+    if (existing.length > 0) {
+      await conn.query(
+        'UPDATE event_attendees SET name = COALESCE(?, name), contact_id = ? WHERE id = ?',
+        [name, contactId, existing[0].id]
+      );
+      attendeeRowIds.push(existing[0].id);
+    } else {
+      const [result] = await conn.query(
+        'INSERT INTO event_attendees (event_id, email, name, contact_id, client_id, app_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [eventId, normalized.email, name, contactId, req.clientId, req.appId]
+      );
+      attendeeRowIds.push(result.insertId);
     }
+  }
+  
+  return attendeeRowIds;
+}
+
+/**
+ * Copy the attendees of one event to another (used when splitting recurring events)
+ */
+async function copyEventAttendees(conn, fromEventId, toEventId) {
+  await conn.query(
+    `INSERT INTO event_attendees (event_id, user_id, email, name, contact_id, status, response_comment, responded_at, client_id, app_id)
+     SELECT ?, user_id, email, name, contact_id, status, response_comment, responded_at, client_id, app_id
+     FROM event_attendees
+     WHERE event_id = ?`,
+    [toEventId, fromEventId]
+  );
+}
+
+/**
+ * Resolve the company, contact and deal links requested for an event
+ * Only fields present in the body are returned (null unlinks). Each ID must be
+ * a record of the tenant the user can see; otherwise error names the missing one.
+ */
+async function resolveEventLinks(conn, req, body) {
+  const links = {};
+  
+  for (const [field, link] of Object.entries(EVENT_LINKS)) {
+    const value = body[field];
     
-    // Type filtering
-    if (type) {
-      whereClause += ' AND e.type = ?';
-      params.push(type);
+    if (value === undefined) {
+      continue;
     }
     
-    // Search term
-    if (search) {
-      whereClause += ' AND (e.title LIKE ? OR e.description LIKE ? OR e.location LIKE ?)';
-      const searchParam = `%${search}%`;
-      params.push(searchParam, searchParam, searchParam);
+    if (value === null || value === '') {
+      links[link.column] = null;
+      continue;
     }
     
-    // Query for events with filtering and proper joins
-    const [events] = await db.query(
-      `SELECT 
-         e.id,
-         e.title,
-         e.description,
-         e.type,
-         e.start_date,
-         e.end_date,
-         e.is_all_day,
-         e.location,
-         e.reminder_minutes,
-         e.calendar_id,
-         c.name as calendar_name,
-         c.color as calendar_color,
-         COUNT(DISTINCT ea.id) as attendee_count
-       FROM calendar_events e
-       LEFT JOIN calendars c ON e.calendar_id = c.id 
-         AND c.client_id = e.client_id 
-         AND c.app_id = e.app_id
-       LEFT JOIN event_attendees ea ON e.id = ea.event_id 
-         AND ea.client_id = e.client_id 
-         AND ea.app_id = e.app_id
-       WHERE ${whereClause}
-       GROUP BY e.id
-       ORDER BY e.start_date ASC`,
+    let whereClause = 'id = ? AND client_id = ? AND app_id = ?';
+    const params = [value, req.clientId, req.appId];
+    
+    // Private records are only linkable by their creator, as on the list routes
+    if (req.authenticatedUser) {
+      whereClause += ' AND (created_by = ? OR is_public = 1)';
+      params.push(req.userId);
+    }
+    
+    const [records] = await conn.query(
+      `SELECT id FROM ${link.table} WHERE ${whereClause}`,
       params
     );
     
-    // Format the event data for the frontend
-    const formattedEvents = events.map(event => ({
-      id: event.id,
-      title: event.title,
-      description: event.description || '',
-      type: event.type,
-      start: event.start_date,
-      end: event.end_date,
-      isAllDay: Boolean(event.is_all_day),
-      location: event.location || '',
-      reminderMinutes: event.reminder_minutes,
-      calendar: {
-        id: event.calendar_id,
-        name: event.calendar_name,
-        color: event.calendar_color
-      },
-      attendeeCount: event.attendee_count
-    }));
+    if (records.length === 0) {
+      return { error: `${link.label} not found` };
+    }
+    
+    links[link.column] = records[0].id;
+  }
+  
+  return { links };
+}
+
+/**
+ * Replace the reminders of an event
+ * Each reminder is { minutes, channel }; without a channel the default channels
+ * are used. reminder_minutes keeps the earliest reminder for older clients.
+ */
+async function saveEventReminders(conn, req, eventId, reminders) {
+  await conn.query('DELETE FROM event_reminders WHERE event_id = ?', [eventId]);
+  
+  const list = (reminders || []).filter(r => r && !isNaN(parseInt(r.minutes)));
+  
+  for (const reminder of list) {
+    await conn.query(
+      'INSERT INTO event_reminders (event_id, minutes_before, channel, client_id, app_id) VALUES (?, ?, ?, ?, ?)',
+      [eventId, parseInt(reminder.minutes), reminder.channel || null, req.clientId, req.appId]
+    );
+  }
+  
+  const firstReminder = list.length > 0 ? Math.max(...list.map(r => parseInt(r.minutes))) : null;
+  
+  await conn.query(
+    'UPDATE calendar_events SET reminder_minutes = ? WHERE id = ?',
+    [firstReminder, eventId]
+  );
+}
+
+/**
+ * Work out the reminders to store from a request body
+ * reminders wins over the legacy single reminderMinutes; undefined means unchanged
+ */
+function requestedReminders(body) {
+  if (body.reminders !== undefined) {
+    return body.reminders || [];
+  }
+  
+  if (body.reminderMinutes !== undefined) {
+    return body.reminderMinutes === null ? [] : [{ minutes: body.reminderMinutes }];
+  }
+  
+  return undefined;
+}
+
+/**
+ * Copy the reminders of one event to another (used when splitting recurring events)
+ */
+async function copyEventReminders(conn, fromEventId, toEventId) {
+  await conn.query(
+    `INSERT INTO event_reminders (event_id, minutes_before, channel, client_id, app_id)
+     SELECT ?, minutes_before, channel, client_id, app_id
+     FROM event_reminders
+     WHERE event_id = ?`,
+    [toEventId, fromEventId]
+  );
+}
+
+/**
+ * Recompute the stored end of a recurring series after its rule or dates change
+ */
+async function refreshRecurrenceEnd(conn, eventId) {
+  const [rows] = await conn.query(
+    'SELECT start_date, end_date, is_all_day, timezone, recurrence_rule FROM calendar_events WHERE id = ?',
+    [eventId]
+  );
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  await conn.query(
+    'UPDATE calendar_events SET recurrence_end = ? WHERE id = ?',
+    [rows[0].recurrence_rule ? computeRecurrenceEnd(rows[0]) : null, eventId]
+  );
+}
+
+/**
+ * Resolve the time zone for a new event
+ * Falls back to the calendar's zone, then the user's zone, then UTC
+ */
+async function resolveEventTimeZone(conn, req, calendarId, requestedTimeZone) {
+  if (requestedTimeZone) {
+    return requestedTimeZone;
+  }
+  
+  const [calendars] = await conn.query(
+    'SELECT timezone FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+    [calendarId, req.clientId, req.appId]
+  );
+  
+  if (calendars.length > 0 && calendars[0].timezone) {
+    return calendars[0].timezone;
+  }
+  
+  if (req.userId) {
+    const [settings] = await conn.query(
+      'SELECT timezone FROM user_calendar_settings WHERE user_id = ? AND client_id = ? AND app_id = ?',
+      [req.userId, req.clientId, req.appId]
+    );
+    
+    if (settings.length > 0 && settings[0].timezone) {
+      return settings[0].timezone;
+    }
+  }
+  
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Describe event times for API responses
+ * start/end stay UTC instants; startLocal/endLocal are wall-clock times in the
+ * viewer's zone (tz query parameter) or the event's own zone. All-day events
+ * are floating dates and render the same everywhere.
+ */
+function formatEventTimes(event, start, end, viewerTimeZone) {
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  
+  if (event.is_all_day) {
+    return {
+      timezone,
+      startLocal: formatFloatingDate(start),
+      endLocal: end ? formatFloatingDate(end) : null,
+      displayTimeZone: null
+    };
+  }
+  
+  const displayTimeZone = viewerTimeZone || (isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE);
+  
+  return {
+    timezone,
+    startLocal: formatWallClock(start, displayTimeZone),
+    endLocal: end ? formatWallClock(end, displayTimeZone) : null,
+    displayTimeZone
+  };
+}
+
+/**
+ * Split a recurring series for a "this occurrence" or "this and following" edit
+ * The requested changes are applied to a new event row; returns its ID
+ */
+async function splitRecurringEvent(conn, req, event, scope, occurrence, recurrenceRule, links = {}) {
+  const {
+    title,
+    description,
+    type,
+    startDate,
+    endDate,
+    isAllDay,
+    location,
+    reminderMinutes,
+    calendarId,
+    attendees,
+    recurrence,
+    timezone,
+    visibility
+  } = req.body;
+  
+  const pick = (value, fallback) => (value !== undefined ? value : fallback);
+  const newTimeZone = pick(timezone, event.timezone);
+  const newIsAllDay = isAllDay !== undefined ? Boolean(isAllDay) : Boolean(event.is_all_day);
+  const duration = event.end_date ? new Date(event.end_date) - new Date(event.start_date) : null;
+  const exdates = parseExdates(event.recurrence_exdates);
+  let newRule = null;
+  let newExdates = null;
+  
+  if (scope === RECURRENCE_SCOPES.THIS) {
+    // Exclude the occurrence from the series; the new row replaces it
+    exdates.push(occurrence);
+    
+    await conn.query(
+      'UPDATE calendar_events SET recurrence_exdates = ? WHERE id = ?',
+      [formatExdates(exdates), event.id]
+    );
+  } else {
+    // End the original series just before the split and continue it in a new row
+    const rule = parseRRule(event.recurrence_rule);
+    
+    if (recurrenceRule) {
+      newRule = recurrenceRule.rule;
+      newExdates = recurrenceRule.exdates || [];
+    } else if (recurrence !== null) {
+      const remaining = rule.count ? rule.count - countInstancesBefore(event, occurrence) : null;
+      newRule = formatRRule({ ...rule, count: remaining });
+      newExdates = exdates.filter(d => d >= occurrence);
+    }
+    
+    await conn.query(
+      'UPDATE calendar_events SET recurrence_rule = ?, recurrence_exdates = ? WHERE id = ?',
+      [
+        formatRRule({ ...rule, count: null, until: new Date(occurrence.getTime() - 1000) }),
+        formatExdates(exdates.filter(d => d < occurrence)),
+        event.id
+      ]
+    );
+    
+    await refreshRecurrenceEnd(conn, event.id);
+  }
+  
+  // Keep the current calendar unless a valid one for this tenant was requested
+  let newCalendarId = event.calendar_id;
+  
+  if (calendarId !== undefined) {
+    const [calendarCheck] = await conn.query(
+      'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+      [calendarId, event.client_id, event.app_id]
+    );
+    
+    if (calendarCheck.length > 0) {
+      newCalendarId = calendarId;
+    }
+  }
+  
+  const newStart = startDate !== undefined ? parseDateInput(startDate, newTimeZone, newIsAllDay) : occurrence;
+  let newEnd = duration !== null ? new Date(newStart.getTime() + duration) : null;
+  
+  if (endDate !== undefined) {
+    newEnd = parseDateInput(endDate, newTimeZone, newIsAllDay);
+  }
+  
+  const [eventResult] = await conn.query(
+    `INSERT INTO calendar_events (
+       title,
+       description,
+       type,
+       start_date,
+       end_date,
+       is_all_day,
+       location,
+       reminder_minutes,
+       calendar_id,
+       timezone,
+       visibility,
+       recurrence_rule,
+       recurrence_exdates,
+       recurrence_parent_id,
+       recurrence_original_start,
+       company_id,
+       contact_id,
+       deal_id,
+       created_by,
+       client_id,
+       app_id
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      pick(title, event.title),
+      pick(description, event.description),
+      pick(type, event.type),
+      newStart,
+      newEnd,
+      newIsAllDay ? 1 : 0,
+      pick(location, event.location),
+      pick(reminderMinutes, event.reminder_minutes),
+      newCalendarId,
+      newTimeZone,
+      pick(visibility, event.visibility),
+      newRule,
+      formatExdates(newExdates),
+      scope === RECURRENCE_SCOPES.THIS ? event.id : null,
+      scope === RECURRENCE_SCOPES.THIS ? occurrence : null,
+      pick(links.company_id, event.company_id),
+      pick(links.contact_id, event.contact_id),
+      pick(links.deal_id, event.deal_id),
+      event.created_by,
+      event.client_id,
+      event.app_id
+    ]
+  );
+  
+  const newEventId = eventResult.insertId;
+  
+  if (newRule) {
+    await refreshRecurrenceEnd(conn, newEventId);
+  }
+  
+  // Use the requested attendees, otherwise carry over the series attendees
+  if (attendees !== undefined) {
+    await saveEventAttendees(conn, req, newEventId, attendees);
+  } else {
+    await copyEventAttendees(conn, event.id, newEventId);
+  }
+  
+  // Same for reminders
+  const reminders = requestedReminders(req.body);
+  
+  if (reminders !== undefined) {
+    await saveEventReminders(conn, req, newEventId, reminders);
+  } else {
+    await copyEventReminders(conn, event.id, newEventId);
+  }
+  
+  return newEventId;
+}
+
+/**
+ * Role of the current user, used for role-based calendar shares
+ */
+function getUserRole(req) {
+  return req.authenticatedUser && req.authenticatedUser.role ? String(req.authenticatedUser.role) : null;
+}
+
+/**
+ * Name a share grantee as recorded on share changes (user:<id> or role:<role>)
+ */
+function shareGrantee(granteeType, granteeId) {
+  return `${granteeType}:${granteeId}`;
+}
+
+/**
+ * Load the current user's access level for every calendar in the tenant
+ * Owners manage their calendars; default and ownerless calendars are shared
+ * with write access; everything else needs a user or role share. Returns a
+ * map of calendar ID to level (null = no access), or null when there is no
+ * user session and access is not restricted.
+ */
+async function loadCalendarAccess(db, req) {
+  if (!req.userId) {
+    return null;
+  }
+  
+  const [calendars] = await db.query(
+    'SELECT id, owner_id, is_default FROM calendars WHERE client_id = ? AND app_id = ?',
+    [req.clientId, req.appId]
+  );
+  
+  const role = getUserRole(req);
+  const [shares] = await db.query(
+    `SELECT calendar_id, access_level 
+     FROM calendar_shares 
+     WHERE client_id = ? AND app_id = ?
+     AND ((grantee_type = ? AND grantee_id = ?) OR (grantee_type = ? AND grantee_id = ?))`,
+    [
+      req.clientId,
+      req.appId,
+      SHARE_GRANTEE_TYPES.USER,
+      String(req.userId),
+      SHARE_GRANTEE_TYPES.ROLE,
+      role || ''
+    ]
+  );
+  
+  const access = {};
+  
+  calendars.forEach(calendar => {
+    if (calendar.owner_id === req.userId) {
+      access[calendar.id] = CALENDAR_ACCESS.MANAGE;
+    } else if (calendar.is_default || !calendar.owner_id) {
+      access[calendar.id] = CALENDAR_ACCESS.WRITE;
+    } else {
+      access[calendar.id] = null;
+    }
+  });
+  
+  // The highest of the user's and role's grants wins
+  shares.forEach(share => {
+    const current = access[share.calendar_id];
+    
+    if (current !== undefined && (!current || ACCESS_RANK[share.access_level] > ACCESS_RANK[current])) {
+      access[share.calendar_id] = share.access_level;
+    }
+  });
+  
+  return access;
+}
+
+/**
+ * Check whether an access map grants at least the given level on a calendar
+ */
+function hasCalendarAccess(access, calendarId, level) {
+  if (access === null) {
+    return true;
+  }
+  
+  const granted = access[calendarId];
+  return Boolean(granted) && ACCESS_RANK[granted] >= ACCESS_RANK[level];
+}
+
+/**
+ * Build a WHERE fragment limiting events (alias e) to those the user may see
+ * Events on calendars with at least the given level are included, as are
+ * events the user organizes or attends.
+ */
+function buildEventAccessFilter(access, req, level) {
+  if (access === null) {
+    return { clause: '', params: [] };
+  }
+  
+  const calendarIds = Object.keys(access).filter(id => hasCalendarAccess(access, id, level));
+  const calendarClause = calendarIds.length > 0
+    ? `e.calendar_id IN (${calendarIds.map(() => '?').join(',')}) OR `
+    : '';
+  
+  return {
+    clause: ` AND (${calendarClause}e.created_by = ? 
+      OR EXISTS (SELECT 1 FROM event_attendees xa WHERE xa.event_id = e.id AND xa.user_id = ?))`,
+    params: [...calendarIds, req.userId, req.userId]
+  };
+}
+
+/**
+ * Company, contact and deal IDs of an event row
+ */
+function formatEventLinks(event) {
+  const links = {};
+  
+  Object.entries(EVENT_LINKS).forEach(([field, link]) => {
+    links[field] = event[link.column] || null;
+  });
+  
+  return links;
+}
+
+/**
+ * Reduce a formatted event to a busy placeholder with only its times
+ */
+function maskEvent(formattedEvent) {
+  const {
+    description,
+    location,
+    attendees,
+    responseCounts,
+    reminders,
+    reminderMinutes,
+    companyId,
+    contactId,
+    dealId,
+    ...visible
+  } = formattedEvent;
+  
+  return {
+    ...visible,
+    title: BUSY_TITLE,
+    description: '',
+    location: '',
+    isBusyPlaceholder: true
+  };
+}
+
+/**
+ * Check whether the current user may see an event's details
+ * Participants (organizer and attendees) always can. Everyone else needs read
+ * access to the calendar; private events also need manage access and
+ * confidential events are only shown to participants.
+ */
+function canSeeEventDetails(access, event, isParticipant) {
+  if (isParticipant || access === null) {
+    return true;
+  }
+  
+  if (!hasCalendarAccess(access, event.calendar_id, CALENDAR_ACCESS.READ)) {
+    return false;
+  }
+  
+  if (event.visibility === EVENT_VISIBILITY.PRIVATE) {
+    return hasCalendarAccess(access, event.calendar_id, CALENDAR_ACCESS.MANAGE);
+  }
+  
+  return event.visibility !== EVENT_VISIBILITY.CONFIDENTIAL;
+}
+
+/**
+ * Check whether the current user may change or delete an event
+ * Organizers always can; otherwise write access to its calendar is needed.
+ */
+function canModifyEvent(access, req, event) {
+  return access === null ||
+    event.created_by === req.userId ||
+    hasCalendarAccess(access, event.calendar_id, CALENDAR_ACCESS.WRITE);
+}
+
+/**
+ * Load the timed events that make a set of users busy inside a window
+ * Users are busy for events they organize or attend (unless they declined).
+ * Recurring series are expanded; all-day events never block time.
+ */
+async function loadBusyEvents(conn, req, userIds, rangeStart, rangeEnd, excludeEventIds = []) {
+  if (userIds.length === 0) {
+    return [];
+  }
+  
+  const userPlaceholders = userIds.map(() => '?').join(',');
+  let whereClause = `e.is_all_day = 0
+    AND (e.created_by IN (${userPlaceholders}) OR ea.user_id IS NOT NULL)
+    AND e.start_date < ?
+    AND (
+      (e.recurrence_rule IS NULL AND COALESCE(e.end_date, e.start_date) > ?)
+      OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end > ?))
+    )`;
+  let params = [ATTENDEE_STATUSES.DECLINED, ...userIds, ...userIds, rangeEnd, rangeStart, rangeStart];
+  
+  // Apply tenant isolation
+  if (req.applyRLS) {
+    whereClause += ' AND e.client_id = ? AND e.app_id = ?';
+    params.push(req.clientId, req.appId);
+  }
+  
+  if (excludeEventIds.length > 0) {
+    const excludePlaceholders = excludeEventIds.map(() => '?').join(',');
+    whereClause += ` AND e.id NOT IN (${excludePlaceholders})
+      AND (e.recurrence_parent_id IS NULL OR e.recurrence_parent_id NOT IN (${excludePlaceholders}))`;
+    params.push(...excludeEventIds, ...excludeEventIds);
+  }
+  
+  const [rows] = await conn.query(
+    `SELECT 
+       e.id,
+       e.title,
+       e.start_date,
+       e.end_date,
+       e.is_all_day,
+       e.timezone,
+       e.calendar_id,
+       e.visibility,
+       e.created_by,
+       e.recurrence_rule,
+       e.recurrence_exdates,
+       e.recurrence_parent_id,
+       ea.user_id as attendee_id
+     FROM calendar_events e
+     LEFT JOIN event_attendees ea ON ea.event_id = e.id 
+       AND ea.client_id = e.client_id 
+       AND ea.app_id = e.app_id
+       AND ea.status <> ?
+       AND ea.user_id IN (${userPlaceholders})
+     WHERE ${whereClause}`,
+    params
+  );
+  
+  // Collect the busy users of each event
+  const eventMap = new Map();
+  const requestedUsers = new Set(userIds.map(id => parseInt(id)));
+  
+  rows.forEach(row => {
+    if (!eventMap.has(row.id)) {
+      eventMap.set(row.id, { event: row, userIds: new Set() });
+    }
+    
+    const entry = eventMap.get(row.id);
+    
+    if (requestedUsers.has(row.created_by)) {
+      entry.userIds.add(row.created_by);
+    }
+    if (row.attendee_id) {
+      entry.userIds.add(row.attendee_id);
+    }
+  });
+  
+  const busyEvents = [];
+  
+  eventMap.forEach(({ event, userIds: busyUserIds }) => {
+    const base = {
+      eventId: event.id,
+      title: event.title,
+      calendarId: event.calendar_id,
+      visibility: event.visibility,
+      recurringEventId: event.recurrence_parent_id || null,
+      userIds: Array.from(busyUserIds)
+    };
+    
+    if (event.recurrence_rule) {
+      expandOccurrences(event, rangeStart, rangeEnd).forEach(occurrence => {
+        busyEvents.push({
+          ...base,
+          start: occurrence.start,
+          end: occurrence.end || occurrence.start,
+          recurringEventId: event.id
+        });
+      });
+    } else {
+      busyEvents.push({
+        ...base,
+        start: new Date(event.start_date),
+        end: new Date(event.end_date || event.start_date)
+      });
+    }
+  });
+  
+  // Expansion is inclusive at the edges; back-to-back events do not overlap
+  return busyEvents.filter(busy => busy.start < rangeEnd && busy.end > rangeStart);
+}
+
+/**
+ * Find the existing events that overlap any of the given intervals for any of the users
+ * Returns one entry per conflicting event occurrence with the users it blocks.
+ */
+async function detectConflicts(conn, req, userIds, intervals, excludeEventIds = []) {
+  if (userIds.length === 0 || intervals.length === 0) {
+    return [];
+  }
+  
+  const rangeStart = new Date(Math.min(...intervals.map(i => i.start.getTime())));
+  const rangeEnd = new Date(Math.max(...intervals.map(i => i.end.getTime())));
+  const busyEvents = await loadBusyEvents(conn, req, userIds, rangeStart, rangeEnd, excludeEventIds);
+  
+  const conflicts = [];
+  
+  intervals.forEach(interval => {
+    busyEvents.forEach(busy => {
+      if (busy.start < interval.end && busy.end > interval.start) {
+        conflicts.push({
+          ...busy,
+          proposedStart: interval.start,
+          proposedEnd: interval.end
+        });
+      }
+    });
+  });
+  
+  if (conflicts.length === 0) {
+    return [];
+  }
+  
+  // Resolve user names for display
+  const conflictUserIds = Array.from(new Set(conflicts.flatMap(c => c.userIds)));
+  const [users] = await conn.query(
+    `SELECT id, name FROM app_users WHERE id IN (${conflictUserIds.map(() => '?').join(',')})`,
+    conflictUserIds
+  );
+  const userNames = {};
+  users.forEach(u => {
+    userNames[u.id] = u.name;
+  });
+  
+  // Titles the user may not see are hidden
+  const access = await loadCalendarAccess(conn, req);
+  
+  return conflicts.map(conflict => ({
+    eventId: conflict.eventId,
+    title: canSeeEventDetails(
+      access,
+      { calendar_id: conflict.calendarId, visibility: conflict.visibility },
+      conflict.userIds.includes(req.userId)
+    )
+      ? conflict.title
+      : BUSY_TITLE,
+    calendarId: conflict.calendarId,
+    start: conflict.start,
+    end: conflict.end,
+    recurringEventId: conflict.recurringEventId,
+    proposedStart: conflict.proposedStart,
+    proposedEnd: conflict.proposedEnd,
+    users: conflict.userIds.map(id => ({ id, name: userNames[id] || null }))
+  }));
+}
+
+/**
+ * Check a stored event against the calendars of its organizer and internal attendees
+ * Recurring events are checked for their occurrences in the next CONFLICT_HORIZON_DAYS.
+ */
+async function findEventConflicts(conn, req, eventId) {
+  const [eventRows] = await conn.query(
+    'SELECT * FROM calendar_events WHERE id = ?',
+    [eventId]
+  );
+  
+  if (eventRows.length === 0 || eventRows[0].is_all_day) {
+    return [];
+  }
+  
+  const event = eventRows[0];
+  
+  const [attendeeRows] = await conn.query(
+    'SELECT user_id FROM event_attendees WHERE event_id = ? AND user_id IS NOT NULL AND status <> ?',
+    [eventId, ATTENDEE_STATUSES.DECLINED]
+  );
+  
+  const userIds = Array.from(new Set([
+    ...(event.created_by ? [event.created_by] : []),
+    ...attendeeRows.map(a => a.user_id)
+  ]));
+  
+  // Intervals the event occupies
+  let intervals;
+  
+  if (event.recurrence_rule) {
+    const horizonStart = new Date(Math.max(Date.now(), new Date(event.start_date).getTime()));
+    const horizonEnd = new Date(horizonStart.getTime() + CONFLICT_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    
+    intervals = expandOccurrences(event, horizonStart, horizonEnd, MAX_CONFLICT_OCCURRENCES)
+      .map(o => ({ start: o.start, end: o.end || o.start }));
+  } else {
+    intervals = [{
+      start: new Date(event.start_date),
+      end: new Date(event.end_date || event.start_date)
+    }];
+  }
+  
+  // An event never conflicts with itself or the series it belongs to
+  const excludeEventIds = [event.id];
+  if (event.recurrence_parent_id) {
+    excludeEventIds.push(event.recurrence_parent_id);
+  }
+  
+  return detectConflicts(conn, req, userIds, intervals, excludeEventIds);
+}
+
+/**
+ * Merge overlapping or touching intervals into a sorted list
+ */
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(i => ({ start: new Date(i.start), end: new Date(i.end) }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) {
+        last.end = interval.end;
+      }
+    } else {
+      merged.push(interval);
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Load merged busy intervals per user, clipped to the window
+ * Only times are returned so event details never leak.
+ */
+async function loadBusyIntervals(conn, req, userIds, rangeStart, rangeEnd) {
+  const busyEvents = await loadBusyEvents(conn, req, userIds, rangeStart, rangeEnd);
+  const busyByUser = {};
+  
+  userIds.forEach(id => {
+    busyByUser[id] = [];
+  });
+  
+  busyEvents.forEach(busy => {
+    busy.userIds.forEach(id => {
+      busyByUser[id].push({
+        start: busy.start < rangeStart ? rangeStart : busy.start,
+        end: busy.end > rangeEnd ? rangeEnd : busy.end
+      });
+    });
+  });
+  
+  Object.keys(busyByUser).forEach(id => {
+    busyByUser[id] = mergeIntervals(busyByUser[id]);
+  });
+  
+  return busyByUser;
+}
+
+/**
+ * Build the working-hour windows between two instants
+ * Working hours (HH:mm) and weekdays (0 = Sunday) are read in the given zone.
+ */
+function buildWorkingWindows(rangeStart, rangeEnd, timeZone, workStart, workEnd, workDays) {
+  const [startHour, startMinute] = workStart.split(':').map(Number);
+  const [endHour, endMinute] = workEnd.split(':').map(Number);
+  const windows = [];
+  
+  // Walk the local calendar days covered by the range
+  const firstDay = utcToZonedTime(rangeStart, timeZone);
+  const lastDay = utcToZonedTime(rangeEnd, timeZone);
+  const day = new Date(Date.UTC(firstDay.getUTCFullYear(), firstDay.getUTCMonth(), firstDay.getUTCDate()));
+  
+  while (day <= lastDay) {
+    if (workDays.includes(day.getUTCDay())) {
+      const localStart = new Date(day);
+      localStart.setUTCHours(startHour, startMinute, 0, 0);
+      const localEnd = new Date(day);
+      localEnd.setUTCHours(endHour, endMinute, 0, 0);
+      
+      const windowStart = zonedTimeToUtc(localStart, timeZone);
+      const windowEnd = zonedTimeToUtc(localEnd, timeZone);
+      
+      // Clip to the requested range
+      const start = windowStart < rangeStart ? rangeStart : windowStart;
+      const end = windowEnd > rangeEnd ? rangeEnd : windowEnd;
+      
+      if (start < end) {
+        windows.push({ start, end, windowStart, windowEnd });
+      }
+    }
+    
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  
+  return windows;
+}
+
+/**
+ * Find open slots of a given length inside working windows
+ * Busy intervals are padded by the buffer on both sides. Slots are scored by
+ * how soon they are, how far they sit from the edges of the working day and
+ * how much free time surrounds them.
+ */
+function findOpenSlots(windows, busyIntervals, durationMinutes, bufferMinutes, stepMinutes) {
+  const durationMs = durationMinutes * 60 * 1000;
+  const bufferMs = bufferMinutes * 60 * 1000;
+  const stepMs = stepMinutes * 60 * 1000;
+  const busy = mergeIntervals(busyIntervals.map(i => ({
+    start: new Date(new Date(i.start).getTime() - bufferMs),
+    end: new Date(new Date(i.end).getTime() + bufferMs)
+  })));
+  
+  if (windows.length === 0) {
+    return [];
+  }
+  
+  const firstStart = windows[0].start.getTime();
+  const span = Math.max(windows[windows.length - 1].end.getTime() - firstStart, 1);
+  const slots = [];
+  
+  windows.forEach(window => {
+    // Align candidates to the step from the start of the working day
+    const offset = (window.start - window.windowStart) % stepMs;
+    let candidate = window.start.getTime() + (offset ? stepMs - offset : 0);
+    
+    while (candidate + durationMs <= window.end.getTime()) {
+      const slotStart = candidate;
+      const slotEnd = candidate + durationMs;
+      const blocking = busy.find(b => b.start.getTime() < slotEnd && b.end.getTime() > slotStart);
+      
+      if (blocking) {
+        // Jump past the blocking interval
+        const next = blocking.end.getTime();
+        candidate += Math.max(Math.ceil((next - candidate) / stepMs), 1) * stepMs;
+        continue;
+      }
+      
+      // Free time around the slot inside the working day
+      const previous = busy.filter(b => b.end.getTime() <= slotStart).pop();
+      const following = busy.find(b => b.start.getTime() >= slotEnd);
+      const freeBefore = slotStart - Math.max(previous ? previous.end.getTime() : 0, window.windowStart.getTime());
+      const freeAfter = Math.min(following ? following.start.getTime() : Infinity, window.windowEnd.getTime()) - slotEnd;
+      
+      const soonness = 1 - (slotStart - firstStart) / span;
+      const dayMiddle = (window.windowStart.getTime() + window.windowEnd.getTime()) / 2;
+      const halfDay = Math.max((window.windowEnd - window.windowStart) / 2, 1);
+      const centered = Math.max(0, 1 - Math.abs((slotStart + slotEnd) / 2 - dayMiddle) / halfDay);
+      const breathing = Math.min(Math.min(freeBefore, freeAfter) / (60 * 60 * 1000), 1);
+      
+      slots.push({
+        start: new Date(slotStart),
+        end: new Date(slotEnd),
+        score: Math.round((soonness * 0.5 + centered * 0.2 + breathing * 0.3) * 100)
+      });
+      
+      candidate += stepMs;
+    }
+  });
+  
+  return slots.sort((a, b) => b.score - a.score || a.start - b.start);
+}
+
+/**
+ * Whether the caller asked for conflicting writes to be rejected
+ */
+function isStrictRequest(req) {
+  return req.body.strict === true || req.body.strict === 'true' || req.query.strict === 'true';
+}
+
+/**
+ * Record a change in the calendar change log
+ * Call inside the write's transaction and publish the result after commit,
+ * so streams never see a change that was rolled back. grantee names who a
+ * share change was for (see shareGrantee).
+ */
+async function recordCalendarChange(conn, req, type, { eventId = null, calendarId = null, previousCalendarId = null, grantee = null } = {}) {
+  const [result] = await conn.query(
+    `INSERT INTO calendar_changes (change_type, event_id, calendar_id, previous_calendar_id, actor_id, client_id, app_id, grantee)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      type,
+      eventId,
+      calendarId,
+      previousCalendarId && previousCalendarId !== calendarId ? previousCalendarId : null,
+      req.userId || null,
+      req.clientId,
+      req.appId,
+      grantee
+    ]
+  );
+  
+  return {
+    id: result.insertId,
+    type,
+    eventId,
+    calendarId,
+    previousCalendarId: previousCalendarId && previousCalendarId !== calendarId ? previousCalendarId : null,
+    actorId: req.userId || null,
+    clientId: req.clientId,
+    appId: req.appId,
+    occurredAt: new Date()
+  };
+}
+
+/**
+ * Publish committed changes to open streams and webhook subscribers
+ */
+function publishCalendarChanges(db, changes) {
+  changes.forEach(change => {
+    calendarChanges.emit('change', change);
+    
+    buildChangeWebhookData(db, change)
+      .then(data => triggerWebhook(db, { clientId: change.clientId, appId: change.appId }, change.type, data))
+      .catch(error => {
+        console.error('Error preparing calendar webhook:', error);
+      });
+  });
+}
+
+/**
+ * Build the webhook payload data for a change
+ * Events that are not public only expose their times, as for busy placeholders.
+ */
+async function buildChangeWebhookData(db, change) {
+  const data = {
+    changeId: change.id,
+    eventId: change.eventId,
+    calendarId: change.calendarId,
+    previousCalendarId: change.previousCalendarId,
+    actorId: change.actorId
+  };
+  
+  if (change.type === CHANGE_TYPES.EVENT_CREATED || change.type === CHANGE_TYPES.EVENT_UPDATED) {
+    const [events] = await db.query('SELECT * FROM calendar_events WHERE id = ?', [change.eventId]);
+    
+    if (events.length > 0) {
+      const event = events[0];
+      const isPublic = (event.visibility || EVENT_VISIBILITY.PUBLIC) === EVENT_VISIBILITY.PUBLIC;
+      
+      data.event = {
+        id: event.id,
+        title: isPublic ? event.title : BUSY_TITLE,
+        description: isPublic ? event.description : null,
+        type: event.type,
+        location: isPublic ? event.location : null,
+        start: event.start_date,
+        end: event.end_date,
+        isAllDay: Boolean(event.is_all_day),
+        timezone: event.timezone,
+        visibility: event.visibility || EVENT_VISIBILITY.PUBLIC,
+        recurrence: event.recurrence_rule,
+        recurrenceParentId: event.recurrence_parent_id,
+        calendarId: event.calendar_id,
+        createdBy: event.created_by
+      };
+    }
+  } else if ([CHANGE_TYPES.CALENDAR_CREATED, CHANGE_TYPES.CALENDAR_UPDATED, CHANGE_TYPES.CALENDAR_SHARED].includes(change.type)) {
+    const [calendars] = await db.query(
+      'SELECT id, name, color, owner_id, timezone FROM calendars WHERE id = ?',
+      [change.calendarId]
+    );
+    
+    if (calendars.length > 0) {
+      data.calendar = {
+        id: calendars[0].id,
+        name: calendars[0].name,
+        color: calendars[0].color,
+        ownerId: calendars[0].owner_id,
+        timezone: calendars[0].timezone
+      };
+    }
+  }
+  
+  return data;
+}
+
+/**
+ * Map a calendar_changes row to the shape published to streams
+ */
+function formatCalendarChange(row) {
+  return {
+    id: row.id,
+    type: row.change_type,
+    eventId: row.event_id,
+    calendarId: row.calendar_id,
+    previousCalendarId: row.previous_calendar_id,
+    actorId: row.actor_id,
+    clientId: row.client_id,
+    appId: row.app_id,
+    occurredAt: row.created_at
+  };
+}
+
+/**
+ * Load the sync token secret, generating and storing it on first use
+ * Stored in the database so tokens survive restarts and work across processes.
+ */
+async function loadSyncTokenSecret(db) {
+  if (syncTokenSecret) {
+    return syncTokenSecret;
+  }
+  
+  await db.query(
+    'INSERT IGNORE INTO calendar_server_settings (name, value) VALUES (?, ?)',
+    ['sync_token_secret', crypto.randomBytes(32).toString('hex')]
+  );
+  
+  const [settings] = await db.query('SELECT value FROM calendar_server_settings WHERE name = ?', ['sync_token_secret']);
+  syncTokenSecret = settings[0].value;
+  return syncTokenSecret;
+}
+
+/**
+ * Sign a sync token position for the tenant it was issued to
+ */
+function signSyncToken(secret, req, changeId, issuedAt) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${changeId}:${issuedAt}:${req.clientId}:${req.appId}`)
+    .digest('base64url');
+}
+
+/**
+ * Encode a signed sync token for the change log position a client has seen
+ */
+function encodeSyncToken(secret, req, changeId) {
+  const issuedAt = Date.now();
+  return Buffer.from(`${changeId}:${issuedAt}:${signSyncToken(secret, req, changeId, issuedAt)}`).toString('base64url');
+}
+
+/**
+ * Decode a sync token into { changeId, issuedAt, isSigned }, or null if it is malformed
+ * isSigned is false for tokens forged, from another tenant or signed with another secret.
+ */
+function decodeSyncToken(secret, req, token) {
+  const [changeIdPart, issuedAtPart, signature = ''] = Buffer.from(String(token), 'base64url').toString().split(':');
+  const changeId = Number(changeIdPart);
+  const issuedAt = Number(issuedAtPart);
+  
+  if (!Number.isInteger(changeId) || changeId < 0 || !Number.isInteger(issuedAt)) {
+    return null;
+  }
+  
+  const expected = Buffer.from(signSyncToken(secret, req, changeId, issuedAt));
+  const actual = Buffer.from(signature);
+  const isSigned = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  
+  return { changeId, issuedAt: new Date(issuedAt), isSigned };
+}
+
+/**
+ * Delete changes older than the retention window, at most once per interval
+ */
+async function pruneCalendarChanges(db) {
+  if (Date.now() - lastChangePrune < CHANGE_PRUNE_INTERVAL_MS) {
+    return;
+  }
+  
+  lastChangePrune = Date.now();
+  
+  await db.query(
+    'DELETE FROM calendar_changes WHERE created_at < ?',
+    [new Date(Date.now() - CHANGE_RETENTION_DAYS * 24 * 60 * 60 * 1000)]
+  );
+}
+
+/**
+ * Load event rows (alias e) with their calendar and attendee summary
+ * Rows are ordered by start unless orderBy is given; limit caps the row count.
+ */
+async function selectEventRows(db, req, whereClause, params, { orderBy = 'e.start_date ASC', limit = null } = {}) {
+  const [events] = await db.query(
+    `SELECT 
+       e.id,
+       e.title,
+       e.description,
+       e.type,
+       e.start_date,
+       e.end_date,
+       e.is_all_day,
+       e.location,
+       e.reminder_minutes,
+       e.calendar_id,
+       e.recurrence_rule,
+       e.recurrence_exdates,
+       e.recurrence_parent_id,
+       e.recurrence_original_start,
+       e.timezone,
+       e.visibility,
+       e.company_id,
+       e.contact_id,
+       e.deal_id,
+       e.created_by,
+       c.name as calendar_name,
+       c.color as calendar_color,
+       COUNT(DISTINCT ea.id) as attendee_count,
+       MAX(CASE WHEN ea.user_id = ? THEN 1 ELSE 0 END) as is_attendee
+     FROM calendar_events e
+     LEFT JOIN calendars c ON e.calendar_id = c.id 
+       AND c.client_id = e.client_id 
+       AND c.app_id = e.app_id
+     LEFT JOIN event_attendees ea ON e.id = ea.event_id 
+       AND ea.client_id = e.client_id 
+       AND ea.app_id = e.app_id
+     WHERE ${whereClause}
+     GROUP BY e.id
+     ORDER BY ${orderBy}${limit ? ' LIMIT ?' : ''}`,
+    [req.userId || 0, ...params, ...(limit ? [limit] : [])]
+  );
+  
+  return events;
+}
+
+/**
+ * Format an event row from selectEventRows for the frontend
+ * Free/busy viewers and non-participants of private events only see when it happens.
+ */
+function formatEventRow(event, access, req, viewerTimeZone) {
+  const formattedEvent = {
+    id: event.id,
+    title: event.title,
+    description: event.description || '',
+    type: event.type,
+    start: event.start_date,
+    end: event.end_date,
+    ...formatEventTimes(event, event.start_date, event.end_date, viewerTimeZone),
+    isAllDay: Boolean(event.is_all_day),
+    location: event.location || '',
+    reminderMinutes: event.reminder_minutes,
+    calendar: {
+      id: event.calendar_id,
+      name: event.calendar_name,
+      color: event.calendar_color
+    },
+    attendeeCount: event.attendee_count,
+    visibility: event.visibility || EVENT_VISIBILITY.PUBLIC,
+    ...formatEventLinks(event),
+    recurrence: formatRecurrence(event),
+    recurringEventId: event.recurrence_parent_id || null,
+    originalStart: event.recurrence_original_start || null
+  };
+  
+  const isParticipant = event.created_by === req.userId || Boolean(event.is_attendee);
+  
+  return canSeeEventDetails(access, event, isParticipant) ? formattedEvent : maskEvent(formattedEvent);
+}
+
+/**
+ * Get all events with filtering
+ */
+async function getEvents(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Initialize default calendars if needed
+    if (req.applyRLS) {
+      await initDefaultCalendars(db, req.clientId, req.appId);
+    }
+    
+    // Optional viewer time zone for rendering local times
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Parse query parameters (bounds without an offset are in the viewer's zone)
+    const start = req.query.start ? parseDateInput(req.query.start, viewerTimeZone || DEFAULT_TIMEZONE) : null;
+    const end = req.query.end ? parseDateInput(req.query.end, viewerTimeZone || DEFAULT_TIMEZONE) : null;
+    const calendars = req.query.calendars ? req.query.calendars.split(',') : null;
+    const type = req.query.type || null;
+    const search = req.query.search || null;
+    
+    // Build the WHERE clause based on filters
+    let whereClause = '1=1';
+    let params = [];
+    
+    // Apply tenant isolation
+    if (req.applyRLS) {
+      whereClause += ` AND e.client_id = ? AND e.app_id = ?`;
+      params.push(req.clientId, req.appId);
+    }
+    
+    // Date filtering (recurring series match until their last occurrence ends)
+    if (start) {
+      whereClause += ` AND (
+        (e.end_date >= ? OR e.is_all_day = 1)
+        OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?))
+      )`;
+      params.push(start, start);
+    }
+    
+    if (end) {
+      whereClause += ` AND (
+        (e.start_date <= ? OR e.is_all_day = 1)
+      )`;
+      params.push(end);
+    }
+    
+    // Calendar filtering
+    if (calendars && calendars.length > 0) {
+      whereClause += ` AND e.calendar_id IN (${calendars.map(() => '?').join(',')})`;
+      params = [...params, ...calendars];
+    }
+    
+    // Only calendars shared with the user (free/busy shares show placeholders)
+    const access = await loadCalendarAccess(db, req);
+    const accessFilter = buildEventAccessFilter(access, req, CALENDAR_ACCESS.FREE_BUSY);
+    whereClause += accessFilter.clause;
+    params.push(...accessFilter.params);
+    
+    // Type filtering
+    if (type) {
+      whereClause += ' AND e.type = ?';
+      params.push(type);
+    }
+    
+    // Company, contact and deal filtering
+    Object.entries(EVENT_LINKS).forEach(([field, link]) => {
+      if (req.query[field]) {
+        whereClause += ` AND e.${link.column} = ?`;
+        params.push(req.query[field]);
+      }
+    });
+    
+    // Search term
+    if (search) {
+      whereClause += ' AND (e.title LIKE ? OR e.description LIKE ? OR e.location LIKE ?)';
+      const searchParam = `%${search}%`;
+      params.push(searchParam, searchParam, searchParam);
+    }
+    
+    // Query for events with filtering and proper joins
+    const events = await selectEventRows(db, req, whereClause, params);
+    
+    // Format the event data for the frontend
+    const formattedEvents = [];
+    
+    events.forEach(event => {
+      const formattedEvent = formatEventRow(event, access, req, viewerTimeZone);
+      
+      // Expand recurring series into the occurrences inside the requested window
+      if (event.recurrence_rule && start && end) {
+        expandOccurrences(event, start, end).forEach(occurrence => {
+          formattedEvents.push({
+            ...formattedEvent,
+            start: occurrence.start,
+            end: occurrence.end,
+            ...formatEventTimes(event, occurrence.start, occurrence.end, viewerTimeZone),
+            recurringEventId: event.id,
+            originalStart: occurrence.start
+          });
+        });
+      } else {
+        formattedEvents.push(formattedEvent);
+      }
+    });
+    
+    formattedEvents.sort((a, b) => new Date(a.start) - new Date(b.start));
+    
+    return res.json({
+      success: true,
+      events: formattedEvents
+    });
+    
+  } catch (error) {
+    console.error('Error fetching calendar events:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Incrementally sync events for offline clients
+ * Without a syncToken every event the user can see that has not ended more than
+ * FEED_PAST_DAYS ago is returned (series unexpanded). With one, only events
+ * created or changed since then are returned, and deleted events (or events
+ * the user can no longer see) come back as tombstones. When a calendar's
+ * sharing changed, all its events are sent again or as tombstones. Tokens past
+ * the change log retention, or not signed by this server, get a 410 telling the
+ * client to start over with a full sync.
+ */
+async function getEventsSync(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    await pruneCalendarChanges(db);
+    
+    // Initialize default calendars if needed
+    if (req.applyRLS) {
+      await initDefaultCalendars(db, req.clientId, req.appId);
+    }
+    
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    const secret = await loadSyncTokenSecret(db);
+    let syncToken = null;
+    
+    if (req.query.syncToken) {
+      syncToken = decodeSyncToken(secret, req, req.query.syncToken);
+      
+      if (!syncToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sync token'
+        });
+      }
+    }
+    
+    const access = await loadCalendarAccess(db, req);
+    const accessFilter = buildEventAccessFilter(access, req, CALENDAR_ACCESS.FREE_BUSY);
+    
+    // Events that have not ended more than FEED_PAST_DAYS ago
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const windowClause = `(
+      e.end_date >= ? OR (e.end_date IS NULL AND e.start_date >= ?)
+      OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?))
+    )`;
+    const windowParams = [since, since, since];
+    
+    // Full sync: everything current, positioned at the latest change
+    if (!syncToken) {
+      const [latest] = await db.query(
+        'SELECT MAX(id) as id FROM calendar_changes WHERE client_id = ? AND app_id = ?',
+        [req.clientId, req.appId]
+      );
+      
+      const events = await selectEventRows(
+        db,
+        req,
+        `e.client_id = ? AND e.app_id = ? AND ${windowClause}${accessFilter.clause}`,
+        [req.clientId, req.appId, ...windowParams, ...accessFilter.params]
+      );
+      
+      return res.json({
+        success: true,
+        fullSync: true,
+        events: events.map(event => formatEventRow(event, access, req, viewerTimeZone)),
+        deleted: [],
+        calendarsChanged: false,
+        hasMore: false,
+        syncToken: encodeSyncToken(secret, req, latest[0].id || 0)
+      });
+    }
+    
+    // Changes before the oldest retained one are gone
+    const [oldest] = await db.query('SELECT MIN(id) as id FROM calendar_changes');
+    const retentionStart = new Date(Date.now() - CHANGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    
+    if (!syncToken.isSigned || syncToken.issuedAt < retentionStart ||
+        (oldest[0].id && oldest[0].id > syncToken.changeId + 1)) {
+      return res.status(410).json({
+        success: false,
+        message: 'Sync token has expired; a full sync is required',
+        fullSyncRequired: true
+      });
+    }
+    
+    const [changes] = await db.query(
+      `SELECT * FROM calendar_changes
+       WHERE client_id = ? AND app_id = ? AND id > ?
+       ORDER BY id ASC
+       LIMIT ?`,
+      [req.clientId, req.appId, syncToken.changeId, MAX_SYNC_CHANGES + 1]
+    );
+    
+    const hasMore = changes.length > MAX_SYNC_CHANGES;
+    const page = changes.slice(0, MAX_SYNC_CHANGES);
+    const lastChangeId = page.length > 0 ? page[page.length - 1].id : syncToken.changeId;
+    
+    // The latest change to each event decides how it is reported
+    const changedEvents = new Map();
+    
+    page.forEach(change => {
+      if (change.event_id) {
+        changedEvents.set(change.event_id, change);
+      }
+    });
+    
+    const liveIds = [...changedEvents.values()]
+      .filter(change => change.change_type !== CHANGE_TYPES.EVENT_DELETED)
+      .map(change => change.event_id);
+    
+    let events = [];
+    
+    if (liveIds.length > 0) {
+      events = await selectEventRows(
+        db,
+        req,
+        `e.client_id = ? AND e.app_id = ? AND e.id IN (${liveIds.map(() => '?').join(',')})${accessFilter.clause}`,
+        [req.clientId, req.appId, ...liveIds, ...accessFilter.params]
+      );
+    }
+    
+    // Tombstones follow the calendar rule of live rows: only for calendars the
+    // user can see (before or after a move) or for their own changes
+    const returnedIds = new Set(events.map(event => event.id));
+    const canSeeChange = change => access === null || change.actor_id === req.userId ||
+      hasCalendarAccess(access, change.calendar_id, CALENDAR_ACCESS.FREE_BUSY) ||
+      (change.previous_calendar_id && hasCalendarAccess(access, change.previous_calendar_id, CALENDAR_ACCESS.FREE_BUSY));
+    const deleted = [...changedEvents.values()]
+      .filter(change => !returnedIds.has(change.event_id) && canSeeChange(change))
+      .map(change => ({
+        id: change.event_id,
+        calendarId: change.calendar_id,
+        deletedAt: change.change_type === CHANGE_TYPES.EVENT_DELETED ? change.created_at : null
+      }));
+    
+    // A share for this user or their role can add or remove every event of a calendar
+    const role = getUserRole(req);
+    const grantees = [shareGrantee(SHARE_GRANTEE_TYPES.USER, req.userId)];
+    
+    if (role) {
+      grantees.push(shareGrantee(SHARE_GRANTEE_TYPES.ROLE, role));
+    }
+    
+    const sharedCalendarIds = [...new Set(page
+      .filter(change => change.change_type === CHANGE_TYPES.CALENDAR_SHARED && grantees.includes(change.grantee))
+      .map(change => change.calendar_id))];
+    
+    if (sharedCalendarIds.length > 0) {
+      const calendarClause = `e.client_id = ? AND e.app_id = ? AND e.calendar_id IN (${sharedCalendarIds.map(() => '?').join(',')}) AND ${windowClause}`;
+      const calendarParams = [req.clientId, req.appId, ...sharedCalendarIds, ...windowParams];
+      
+      const visible = await selectEventRows(
+        db,
+        req,
+        `${calendarClause}${accessFilter.clause}`,
+        [...calendarParams, ...accessFilter.params]
+      );
+      const [calendarEvents] = await db.query(
+        `SELECT e.id, e.calendar_id FROM calendar_events e WHERE ${calendarClause}`,
+        calendarParams
+      );
+      
+      visible.forEach(event => {
+        if (!returnedIds.has(event.id)) {
+          returnedIds.add(event.id);
+          events.push(event);
+        }
+      });
+      
+      const deletedIds = new Set(deleted.map(tombstone => tombstone.id));
+      
+      calendarEvents.forEach(event => {
+        if (!returnedIds.has(event.id) && !deletedIds.has(event.id)) {
+          deleted.push({ id: event.id, calendarId: event.calendar_id, deletedAt: null });
+        }
+      });
+    }
+    
+    return res.json({
+      success: true,
+      fullSync: false,
+      events: events.map(event => formatEventRow(event, access, req, viewerTimeZone)),
+      deleted,
+      calendarsChanged: page.some(change => change.change_type.startsWith('calendar.')),
+      hasMore,
+      syncToken: encodeSyncToken(secret, req, lastChangeId)
+    });
+    
+  } catch (error) {
+    console.error('Error syncing calendar events:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to sync events',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get upcoming events
+ */
+async function getUpcomingEvents(req, res) {
+  try {
+    const db = req.db;
+    const limit = parseInt(req.query.limit) || 5;
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Initialize default calendars if needed
+    if (req.applyRLS) {
+      await initDefaultCalendars(db, req.clientId, req.appId);
+    }
+    
+    // Current instant
+    const now = new Date();
+    
+    // Apply tenant isolation in WHERE clause
+    let tenantClause = '';
+    let tenantParams = [];
+    
+    if (req.applyRLS) {
+      tenantClause = ` AND e.client_id = ? AND e.app_id = ?`;
+      tenantParams = [req.clientId, req.appId];
+    }
+    
+    // Only calendars the user can read, plus events they organize or attend
+    const access = await loadCalendarAccess(db, req);
+    const accessFilter = buildEventAccessFilter(access, req, CALENDAR_ACCESS.READ);
+    tenantClause += accessFilter.clause;
+    tenantParams = [...tenantParams, ...accessFilter.params];
+    
+    const selectEvents = whereClause => `
+      SELECT 
+        e.id,
+        e.title,
+        e.description,
+        e.type,
+        e.start_date,
+        e.end_date,
+        e.is_all_day,
+        e.location,
+        e.reminder_minutes,
+        e.calendar_id,
+        e.recurrence_rule,
+        e.recurrence_exdates,
+        e.timezone,
+        e.visibility,
+        e.created_by,
+        c.name as calendar_name,
+        c.color as calendar_color,
+        COUNT(DISTINCT ea.id) as attendee_count,
+        MAX(CASE WHEN ea.user_id = ? THEN 1 ELSE 0 END) as is_attendee
+      FROM calendar_events e
+      LEFT JOIN calendars c ON e.calendar_id = c.id 
+        AND c.client_id = e.client_id 
+        AND c.app_id = e.app_id
+      LEFT JOIN event_attendees ea ON e.id = ea.event_id 
+        AND ea.client_id = e.client_id 
+        AND ea.app_id = e.app_id
+      WHERE ${whereClause}
+      GROUP BY e.id
+      ORDER BY e.start_date ASC`;
+    
+    // Query for upcoming single events
+    const [events] = await db.query(
+      `${selectEvents(`e.start_date >= ? AND e.recurrence_rule IS NULL${tenantClause}`)}
+       LIMIT ?`,
+      [req.userId || 0, now, ...tenantParams, limit]
+    );
+    
+    // Query for recurring series that still have occurrences ahead
+    const [series] = await db.query(
+      selectEvents(`e.recurrence_rule IS NOT NULL 
+        AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?)${tenantClause}`),
+      [req.userId || 0, now, ...tenantParams]
+    );
+    
+    // Expand each series into its next occurrences
+    const occurrences = [];
+    
+    series.forEach(event => {
+      expandOccurrences(event, now, null, limit)
+        .filter(occurrence => occurrence.start >= now)
+        .forEach(occurrence => {
+          occurrences.push({
+            ...event,
+            start_date: occurrence.start,
+            end_date: occurrence.end,
+            recurring_event_id: event.id
+          });
+        });
+    });
+    
+    const upcoming = [...events, ...occurrences]
+      .sort((a, b) => new Date(a.start_date) - new Date(b.start_date))
+      .slice(0, limit);
+    
+    // Format the event data
+    const formattedEvents = upcoming.map(event => {
+      const formattedEvent = {
+        id: event.id,
+        title: event.title,
+        start: event.start_date,
+        end: event.end_date,
+        ...formatEventTimes(event, event.start_date, event.end_date, viewerTimeZone),
+        isAllDay: Boolean(event.is_all_day),
+        type: event.type,
+        location: event.location || '',
+        attendeeCount: event.attendee_count,
+        visibility: event.visibility || EVENT_VISIBILITY.PUBLIC,
+        calendar: {
+          id: event.calendar_id,
+          name: event.calendar_name,
+          color: event.calendar_color
+        },
+        recurringEventId: event.recurring_event_id || null
+      };
+      
+      const isParticipant = event.created_by === req.userId || Boolean(event.is_attendee);
+      
+      return canSeeEventDetails(access, event, isParticipant) ? formattedEvent : maskEvent(formattedEvent);
+    });
+    
+    return res.json({
+      success: true,
+      events: formattedEvents
+    });
+    
+  } catch (error) {
+    console.error('Error fetching upcoming events:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upcoming events',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Build the WHERE clause for events linked to a company or deal that the user may see
+ * A company's events include those linked to its contacts and deals.
+ */
+async function buildLinkedEventFilter(db, req, { companyId = null, dealId = null }) {
+  let whereClause;
+  let params;
+  
+  if (dealId) {
+    whereClause = 'e.deal_id = ?';
+    params = [dealId];
+  } else {
+    whereClause = `(e.company_id = ?
+      OR e.contact_id IN (SELECT id FROM contacts WHERE company_id = ?)
+      OR e.deal_id IN (SELECT id FROM deals WHERE company_id = ?))`;
+    params = [companyId, companyId, companyId];
+  }
+  
+  // Apply tenant isolation
+  if (req.applyRLS) {
+    whereClause += ' AND e.client_id = ? AND e.app_id = ?';
+    params.push(req.clientId, req.appId);
+  }
+  
+  // Only calendars shared with the user (free/busy shares show placeholders)
+  const access = await loadCalendarAccess(db, req);
+  const accessFilter = buildEventAccessFilter(access, req, CALENDAR_ACCESS.FREE_BUSY);
+  
+  return {
+    access,
+    whereClause: whereClause + accessFilter.clause,
+    params: [...params, ...accessFilter.params]
+  };
+}
+
+/**
+ * Load the events linked to a company or deal, split into upcoming and past
+ * Recurring series contribute their next (or latest) occurrences; each list
+ * holds at most limit events, nearest first.
+ */
+async function loadLinkedEvents(req, { companyId = null, dealId = null, limit = 25, viewerTimeZone = null }) {
+  const db = req.db;
+  
+  // Ensure tables exist
+  await ensureCalendarTables(db);
+  
+  const { access, whereClause, params } = await buildLinkedEventFilter(db, req, { companyId, dealId });
+  const events = await selectEventRows(db, req, whereClause, params);
+  const now = new Date();
+  const upcoming = [];
+  const past = [];
+  
+  events.forEach(event => {
+    const formattedEvent = formatEventRow(event, access, req, viewerTimeZone);
+    
+    if (!event.recurrence_rule) {
+      const end = event.end_date ? new Date(event.end_date) : new Date(event.start_date);
+      (end >= now ? upcoming : past).push(formattedEvent);
+      return;
+    }
+    
+    const asOccurrence = occurrence => ({
+      ...formattedEvent,
+      start: occurrence.start,
+      end: occurrence.end,
+      ...formatEventTimes(event, occurrence.start, occurrence.end, viewerTimeZone),
+      recurringEventId: event.id,
+      originalStart: occurrence.start
+    });
+    
+    expandOccurrences(event, now, null, limit).forEach(occurrence => upcoming.push(asOccurrence(occurrence)));
+    
+    expandOccurrences(event, null, now)
+      .filter(occurrence => (occurrence.end || occurrence.start) < now)
+      .slice(-limit)
+      .forEach(occurrence => past.push(asOccurrence(occurrence)));
+  });
+  
+  return {
+    upcoming: upcoming.sort((a, b) => new Date(a.start) - new Date(b.start)).slice(0, limit),
+    past: past.sort((a, b) => new Date(b.start) - new Date(a.start)).slice(0, limit)
+  };
+}
+
+/**
+ * Load the events linked to a company or deal that started by a given instant
+ * Series are returned once, at their first occurrence, latest first. With
+ * untilId only events at until with a lower ID are included, for paging;
+ * limit caps the number of events.
+ */
+async function findLinkedEvents(req, { companyId = null, dealId = null, until = new Date(), untilId = null, limit = null, viewerTimeZone = null }) {
+  const db = req.db;
+  
+  // Ensure tables exist
+  await ensureCalendarTables(db);
+  
+  const filter = await buildLinkedEventFilter(db, req, { companyId, dealId });
+  const untilClause = untilId === null
+    ? ' AND e.start_date <= ?'
+    : ' AND (e.start_date < ? OR (e.start_date = ? AND e.id < ?))';
+  const untilParams = untilId === null ? [until] : [until, until, untilId];
+  const events = await selectEventRows(
+    db,
+    req,
+    `${filter.whereClause}${untilClause}`,
+    [...filter.params, ...untilParams],
+    { orderBy: 'e.start_date DESC, e.id DESC', limit }
+  );
+  
+  return events.map(event => formatEventRow(event, filter.access, req, viewerTimeZone));
+}
+
+/**
+ * Get a single event by ID
+ */
+async function getEventById(req, res) {
+  try {
+    const db = req.db;
+    const eventId = req.params.id;
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = 'e.id = ?';
+    let params = [eventId];
+    
+    if (req.applyRLS) {
+      whereClause += ` AND e.client_id = ? AND e.app_id = ?`;
+      params.push(req.clientId, req.appId);
+    }
+    
+    const [events] = await db.query(
+      `SELECT 
+         e.id,
+         e.title,
+         e.description,
+         e.type,
+         e.start_date,
+         e.end_date,
+         e.is_all_day,
+         e.location,
+         e.reminder_minutes,
+         e.calendar_id,
+         e.recurrence_rule,
+         e.recurrence_exdates,
+         e.recurrence_parent_id,
+         e.recurrence_original_start,
+         e.timezone,
+         e.visibility,
+         e.company_id,
+         e.contact_id,
+         e.deal_id,
+         e.created_by,
+         c.name as calendar_name,
+         c.color as calendar_color
+       FROM calendar_events e
+       LEFT JOIN calendars c ON e.calendar_id = c.id 
+         AND c.client_id = e.client_id 
+         AND c.app_id = e.app_id
+       WHERE ${whereClause}`,
+      params
+    );
+    
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    const event = events[0];
+    const access = await loadCalendarAccess(db, req);
+    
+    // Get attendees with tenant isolation
+    let attendeeWhereClause = 'ea.event_id = ?';
+    let attendeeParams = [eventId];
+    
+    if (req.applyRLS) {
+      attendeeWhereClause += ` AND ea.client_id = ? AND ea.app_id = ?`;
+      attendeeParams.push(req.clientId, req.appId);
+    }
+    
+    const [attendees] = await db.query(
+      `SELECT 
+         u.id, 
+         COALESCE(u.name, ea.name) as name, 
+         COALESCE(u.email, ea.email) as email,
+         ea.user_id,
+         ea.contact_id,
+         ea.status,
+         ea.response_comment,
+         ea.responded_at
+       FROM event_attendees ea
+       LEFT JOIN app_users u ON ea.user_id = u.id
+       WHERE ${attendeeWhereClause}
+         AND (ea.user_id IS NULL OR u.id IS NOT NULL)`,
+      attendeeParams
+    );
+    
+    const [reminders] = await db.query(
+      'SELECT minutes_before, channel FROM event_reminders WHERE event_id = ? ORDER BY minutes_before DESC',
+      [eventId]
+    );
+    
+    // Count attendee responses per status
+    const responseCounts = {};
+    Object.values(ATTENDEE_STATUSES).forEach(status => {
+      responseCounts[status] = attendees.filter(a => a.status === status).length;
+    });
+    
+    // Format the response
+    const formattedEvent = {
+      id: event.id,
+      title: event.title,
+      description: event.description || '',
+      type: event.type,
+      start: event.start_date,
+      end: event.end_date,
+      ...formatEventTimes(event, event.start_date, event.end_date, viewerTimeZone),
+      isAllDay: Boolean(event.is_all_day),
+      location: event.location || '',
+      reminderMinutes: event.reminder_minutes,
+      reminders: reminders.length > 0
+        ? reminders.map(r => ({ minutes: r.minutes_before, channel: r.channel }))
+        : (event.reminder_minutes !== null && event.reminder_minutes !== undefined
+          ? [{ minutes: event.reminder_minutes, channel: null }]
+          : []),
+      calendar: {
+        id: event.calendar_id,
+        name: event.calendar_name,
+        color: event.calendar_color
+      },
+      visibility: event.visibility || EVENT_VISIBILITY.PUBLIC,
+      ...formatEventLinks(event),
+      recurrence: formatRecurrence(event),
+      recurringEventId: event.recurrence_parent_id || null,
+      originalStart: event.recurrence_original_start || null,
+      attendees: attendees.map(a => ({
+        id: a.id,
+        name: a.name,
+        email: a.email,
+        isExternal: !a.user_id,
+        contactId: a.contact_id || null,
+        status: a.status,
+        comment: a.response_comment || null,
+        respondedAt: a.responded_at || null
+      })),
+      responseCounts
+    };
+    
+    // Organizers and attendees always see the event; otherwise the calendar share decides
+    const isParticipant = event.created_by === req.userId ||
+      attendees.some(a => a.user_id && a.user_id === req.userId);
+    
+    if (!isParticipant && !hasCalendarAccess(access, event.calendar_id, CALENDAR_ACCESS.FREE_BUSY)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    if (!canSeeEventDetails(access, event, isParticipant)) {
+      return res.json({
+        success: true,
+        event: maskEvent(formattedEvent)
+      });
+    }
+    
+    return res.json({
+      success: true,
+      event: formattedEvent
+    });
+    
+  } catch (error) {
+    console.error('Error fetching event details:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event details',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a new event
+ */
+async function createEvent(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Initialize default calendars if needed
+    if (req.applyRLS) {
+      await initDefaultCalendars(db, req.clientId, req.appId);
+    }
+    
+    const {
+      title,
+      description,
+      type,
+      startDate,
+      endDate,
+      isAllDay,
+      location,
+      reminderMinutes,
+      calendarId,
+      attendees,
+      recurrence,
+      timezone,
+      visibility
+    } = req.body;
+    
+    // Validate required fields
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event title is required'
+      });
+    }
+    
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date is required'
+      });
+    }
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Normalize the recurrence rule if provided
+    let recurrenceRule = null;
+    
+    if (recurrence) {
+      recurrenceRule = normalizeRecurrence(recurrence);
+      
+      if (!recurrenceRule) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence rule'
+        });
+      }
+    }
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      // Ensure valid calendar ID
+      let validCalendarId = calendarId;
+      
+      // Apply tenant isolation to calendar lookup
+      const [calendarCheck] = await conn.query(
+        'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+        [calendarId, req.clientId, req.appId]
+      );
+      
+      if (calendarCheck.length === 0) {
+        // Use default work calendar if specified calendar doesn't exist
+        const appIdClean = req.appId.replace(/[^a-zA-Z0-9]/g, '');
+        validCalendarId = `cal_${req.clientId}_${appIdClean}_work`;
+      }
+      
+      const access = await loadCalendarAccess(conn, req);
+      
+      if (!hasCalendarAccess(access, validCalendarId, CALENDAR_ACCESS.WRITE)) {
+        await conn.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add events to this calendar'
+        });
+      }
+      
+      // Link to the tenant's company, contact and deal
+      const { links, error: linkError } = await resolveEventLinks(conn, req, req.body);
+      
+      if (linkError) {
+        await conn.rollback();
+        return res.status(400).json({
+          success: false,
+          message: linkError
+        });
+      }
+      
+      // Dates without an offset are wall-clock times in the event's zone
+      const eventTimeZone = await resolveEventTimeZone(conn, req, validCalendarId, timezone);
+      const startInstant = parseDateInput(startDate, eventTimeZone, isAllDay);
+      const endInstant = endDate ? parseDateInput(endDate, eventTimeZone, isAllDay) : null;
+      
+      if (!startInstant) {
+        await conn.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid start date'
+        });
+      }
+      
+      // Insert the event with tenant isolation
+      const [eventResult] = await conn.query(
+        `INSERT INTO calendar_events (
+           title,
+           description,
+           type,
+           start_date,
+           end_date,
+           is_all_day,
+           location,
+           reminder_minutes,
+           calendar_id,
+           timezone,
+           visibility,
+           recurrence_rule,
+           recurrence_exdates,
+           company_id,
+           contact_id,
+           deal_id,
+           created_by,
+           client_id,
+           app_id
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          title,
+          description || null,
+          type || EVENT_TYPES.MEETING,
+          startInstant,
+          endInstant,
+          isAllDay ? 1 : 0,
+          location || null,
+          reminderMinutes || null,
+          validCalendarId,
+          eventTimeZone,
+          visibility || EVENT_VISIBILITY.PUBLIC,
+          recurrenceRule ? recurrenceRule.rule : null,
+          recurrenceRule ? formatExdates(recurrenceRule.exdates) : null,
+          links.company_id || null,
+          links.contact_id || null,
+          links.deal_id || null,
+          req.userId || null,
+          req.clientId,
+          req.appId
+        ]
+      );
+      
+      const eventId = eventResult.insertId;
+      
+      // Store the last occurrence so range queries can skip finished series
+      if (recurrenceRule) {
+        await refreshRecurrenceEnd(conn, eventId);
+      }
+      
+      // Add attendees if provided
+      await saveEventAttendees(conn, req, eventId, attendees);
+      
+      // Add reminders if provided
+      const reminders = requestedReminders(req.body);
+      
+      if (reminders !== undefined) {
+        await saveEventReminders(conn, req, eventId, reminders);
+      }
+      
+      // Check the organizer's and attendees' calendars for overlaps
+      const conflicts = await findEventConflicts(conn, req, eventId);
+      
+      if (conflicts.length > 0 && isStrictRequest(req)) {
+        await conn.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'Event conflicts with existing events',
+          conflicts
+        });
+      }
+      
+      const change = await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_CREATED, {
+        eventId,
+        calendarId: validCalendarId
+      });
+      
+      // Commit the transaction
+      await conn.commit();
+      publishCalendarChanges(db, [change]);
+      
+      return res.json({
+        success: true,
+        message: 'Event created successfully',
+        data: {
+          id: eventId
+        },
+        conflicts
+      });
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+  } catch (error) {
+    console.error('Error creating event:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create event',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update an existing event
+ */
+async function updateEvent(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const eventId = req.params.id;
+    const {
+      title,
+      description,
+      type,
+      startDate,
+      endDate,
+      isAllDay,
+      location,
+      reminderMinutes,
+      calendarId,
+      attendees,
+      recurrence,
+      scope,
+      occurrenceStart,
+      timezone,
+      visibility
+    } = req.body;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Normalize the recurrence rule if provided (null clears it)
+    let recurrenceRule = null;
+    
+    if (recurrence) {
+      recurrenceRule = normalizeRecurrence(recurrence);
+      
+      if (!recurrenceRule) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence rule'
+        });
+      }
+    }
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      // Check if event exists with tenant isolation
+      let whereClause = 'id = ?';
+      let params = [eventId];
+      
+      if (req.applyRLS) {
+        whereClause += ' AND client_id = ? AND app_id = ?';
+        params.push(req.clientId, req.appId);
+      }
+      
+      const [eventCheck] = await conn.query(
+        `SELECT * FROM calendar_events WHERE ${whereClause}`,
+        params
+      );
+      
+      if (eventCheck.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found or you do not have permission to update it'
+        });
+      }
+      
+      const event = eventCheck[0];
+      const editScope = scope || RECURRENCE_SCOPES.ALL;
+      
+      // Check calendar shares for the event and any calendar it moves to
+      const access = await loadCalendarAccess(conn, req);
+      
+      if (!canModifyEvent(access, req, event)) {
+        await conn.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to update this event'
+        });
+      }
+      
+      if (calendarId !== undefined && calendarId !== event.calendar_id && access && access[calendarId] !== undefined &&
+          !hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.WRITE)) {
+        await conn.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add events to this calendar'
+        });
+      }
+      
+      // Link to the tenant's company, contact and deal
+      const { links, error: linkError } = await resolveEventLinks(conn, req, req.body);
+      
+      if (linkError) {
+        await conn.rollback();
+        return res.status(400).json({
+          success: false,
+          message: linkError
+        });
+      }
+      
+      // Dates without an offset are wall-clock times in the event's zone
+      const eventTimeZone = timezone || event.timezone || DEFAULT_TIMEZONE;
+      const eventIsAllDay = isAllDay !== undefined ? isAllDay : event.is_all_day;
+      
+      if (startDate !== undefined && !parseDateInput(startDate, eventTimeZone, eventIsAllDay)) {
+        await conn.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid start date'
+        });
+      }
+      
+      if (endDate && !parseDateInput(endDate, eventTimeZone, eventIsAllDay)) {
+        await conn.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid end date'
+        });
+      }
+      
+      // Editing one occurrence or the rest of a series splits it into a new event
+      if (event.recurrence_rule && editScope !== RECURRENCE_SCOPES.ALL) {
+        const occurrence = occurrenceStart ? new Date(occurrenceStart) : null;
+        
+        if (!occurrence || isNaN(occurrence) || !isInstanceStart(event, occurrence)) {
+          await conn.rollback();
+          return res.status(400).json({
+            success: false,
+            message: 'occurrenceStart must match an occurrence of this event'
+          });
+        }
+        
+        // "This and following" from the first occurrence is the same as editing all
+        const isSeriesStart = occurrence.getTime() === new Date(event.start_date).getTime();
+        
+        if (editScope === RECURRENCE_SCOPES.THIS || !isSeriesStart) {
+          const newEventId = await splitRecurringEvent(conn, req, event, editScope, occurrence, recurrenceRule, links);
+          
+          // Check the organizer's and attendees' calendars for overlaps
+          const splitConflicts = await findEventConflicts(conn, req, newEventId);
+          
+          if (splitConflicts.length > 0 && isStrictRequest(req)) {
+            await conn.rollback();
+            return res.status(409).json({
+              success: false,
+              message: 'Event conflicts with existing events',
+              conflicts: splitConflicts
+            });
+          }
+          
+          const [newEvents] = await conn.query(
+            'SELECT calendar_id FROM calendar_events WHERE id = ?',
+            [newEventId]
+          );
+          
+          const changes = [
+            await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, {
+              eventId: event.id,
+              calendarId: event.calendar_id
+            }),
+            await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_CREATED, {
+              eventId: newEventId,
+              calendarId: newEvents[0].calendar_id
+            })
+          ];
+          
+          // Commit the transaction
+          await conn.commit();
+          publishCalendarChanges(db, changes);
+          
+          return res.json({
+            success: true,
+            message: 'Event updated successfully',
+            data: {
+              id: newEventId
+            },
+            conflicts: splitConflicts
+          });
+        }
+      }
+      
+      // Update the event
+      const updateFields = [];
+      const updateParams = [];
+      
+      if (title !== undefined) {
+        updateFields.push('title = ?');
+        updateParams.push(title);
+      }
+      
+      if (description !== undefined) {
+        updateFields.push('description = ?');
+        updateParams.push(description);
+      }
+      
+      if (type !== undefined) {
+        updateFields.push('type = ?');
+        updateParams.push(type);
+      }
+      
+      if (timezone) {
+        updateFields.push('timezone = ?');
+        updateParams.push(timezone);
+      }
+      
+      if (startDate !== undefined) {
+        updateFields.push('start_date = ?');
+        updateParams.push(parseDateInput(startDate, eventTimeZone, eventIsAllDay));
+      }
+      
+      if (endDate !== undefined) {
+        updateFields.push('end_date = ?');
+        updateParams.push(endDate ? parseDateInput(endDate, eventTimeZone, eventIsAllDay) : null);
+      }
+      
+      if (isAllDay !== undefined) {
+        updateFields.push('is_all_day = ?');
+        updateParams.push(isAllDay ? 1 : 0);
+      }
+      
+      if (location !== undefined) {
+        updateFields.push('location = ?');
+        updateParams.push(location);
+      }
+      
+      if (visibility !== undefined) {
+        updateFields.push('visibility = ?');
+        updateParams.push(visibility);
+      }
+      
+      if (reminderMinutes !== undefined) {
+        updateFields.push('reminder_minutes = ?');
+        updateParams.push(reminderMinutes);
+      }
+      
+      Object.entries(links).forEach(([column, value]) => {
+        updateFields.push(`${column} = ?`);
+        updateParams.push(value);
+      });
+      
+      let newCalendarId = event.calendar_id;
+      
+      if (calendarId !== undefined) {
+        // Check if calendar exists with tenant isolation
+        const [calendarCheck] = await conn.query(
+          'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+          [calendarId, req.clientId, req.appId]
+        );
+        
+        if (calendarCheck.length > 0) {
+          updateFields.push('calendar_id = ?');
+          updateParams.push(calendarId);
+          newCalendarId = calendarId;
+        }
+      }
+      
+      if (recurrence !== undefined) {
+        updateFields.push('recurrence_rule = ?');
+        updateParams.push(recurrenceRule ? recurrenceRule.rule : null);
+        
+        // Keep existing exception dates unless new ones were supplied
+        if (!recurrenceRule || recurrenceRule.exdates !== undefined) {
+          updateFields.push('recurrence_exdates = ?');
+          updateParams.push(recurrenceRule ? formatExdates(recurrenceRule.exdates) : null);
+        }
+      }
+      
+      if (updateFields.length > 0) {
+        // Apply tenant isolation in WHERE clause
+        let updateWhereClause = 'id = ?';
+        let whereParams = [eventId];
+        
+        if (req.applyRLS) {
+          updateWhereClause += ' AND client_id = ? AND app_id = ?';
+          whereParams.push(req.clientId, req.appId);
+        }
+        
+        const updateQuery = `
+          UPDATE calendar_events 
+          SET ${updateFields.join(', ')}
+          WHERE ${updateWhereClause}
+        `;
+        
+        await conn.query(updateQuery, [...updateParams, ...whereParams]);
+        await refreshRecurrenceEnd(conn, eventId);
+      }
+      
+      // Replace reminders if provided
+      const reminders = requestedReminders(req.body);
+      
+      if (reminders !== undefined) {
+        await saveEventReminders(conn, req, eventId, reminders);
+      }
+      
+      // Update attendees if provided
+      if (attendees !== undefined) {
+        // Add new attendees; those already invited keep their response
+        const attendeeRowIds = await saveEventAttendees(conn, req, eventId, attendees);
+        
+        // Remove attendees no longer invited with tenant isolation
+        let deleteWhereClause = 'event_id = ?';
+        let deleteParams = [eventId];
+        
+        if (req.applyRLS) {
+          deleteWhereClause += ' AND client_id = ? AND app_id = ?';
+          deleteParams.push(req.clientId, req.appId);
+        }
+        
+        if (attendeeRowIds.length > 0) {
+          deleteWhereClause += ` AND id NOT IN (${attendeeRowIds.map(() => '?').join(',')})`;
+          deleteParams.push(...attendeeRowIds);
+        }
+        
+        await conn.query(
+          `DELETE FROM event_attendees WHERE ${deleteWhereClause}`, 
+          deleteParams
+        );
+      }
+      
+      // Only re-check conflicts when the time or attendees changed
+      let conflicts = [];
+      
+      if (startDate !== undefined || endDate !== undefined || isAllDay !== undefined ||
+          recurrence !== undefined || attendees !== undefined || timezone !== undefined) {
+        conflicts = await findEventConflicts(conn, req, eventId);
+      }
+      
+      if (conflicts.length > 0 && isStrictRequest(req)) {
+        await conn.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'Event conflicts with existing events',
+          conflicts
+        });
+      }
+      
+      const change = await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, {
+        eventId: event.id,
+        calendarId: newCalendarId,
+        previousCalendarId: event.calendar_id
+      });
+      
+      // Commit the transaction
+      await conn.commit();
+      publishCalendarChanges(db, [change]);
+      
+      return res.json({
+        success: true,
+        message: 'Event updated successfully',
+        conflicts
+      });
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+  } catch (error) {
+    console.error('Error updating event:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update event',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete an event
+ */
+async function deleteEvent(req, res) {
+  try {
+    const db = req.db;
+    const eventId = req.params.id;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = 'id = ?';
+    let params = [eventId];
+    
+    if (req.applyRLS) {
+      whereClause += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
+    }
+    
+    // Check if event exists
+    const [eventCheck] = await db.query(
+      `SELECT id, calendar_id, created_by FROM calendar_events WHERE ${whereClause}`,
+      params
+    );
+    
+    if (eventCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you do not have permission to delete it'
+      });
+    }
+    
+    const access = await loadCalendarAccess(db, req);
+    
+    if (!canModifyEvent(access, req, eventCheck[0])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this event'
+      });
+    }
+    
+    // Delete single-occurrence overrides of a recurring series
+    let overrideWhereClause = 'recurrence_parent_id = ?';
+    let overrideParams = [eventId];
+    
+    if (req.applyRLS) {
+      overrideWhereClause += ' AND client_id = ? AND app_id = ?';
+      overrideParams.push(req.clientId, req.appId);
+    }
+    
+    // Delete and record the tombstones together so sync clients always learn of it
+    const changes = [];
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      const [overrides] = await conn.query(
+        `SELECT id, calendar_id FROM calendar_events WHERE ${overrideWhereClause}`,
+        overrideParams
+      );
+      
+      await conn.query(
+        `DELETE FROM calendar_events WHERE ${overrideWhereClause}`,
+        overrideParams
+      );
+      
+      // Delete the event with tenant isolation
+      // Note: event_attendees will be deleted via ON DELETE CASCADE constraint
+      await conn.query(
+        `DELETE FROM calendar_events WHERE ${whereClause}`,
+        params
+      );
+      
+      for (const deleted of [...overrides, eventCheck[0]]) {
+        changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_DELETED, {
+          eventId: deleted.id,
+          calendarId: deleted.calendar_id
+        }));
+      }
+      
+      // Commit the transaction
+      await conn.commit();
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+    publishCalendarChanges(db, changes);
+    
+    return res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete event',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Check a proposed time window against users' calendars before saving
+ */
+async function getEventConflicts(req, res) {
+  try {
+    const db = req.db;
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    // Bounds without an offset are in the viewer's zone
+    const start = req.query.start ? parseDateInput(req.query.start, viewerTimeZone || DEFAULT_TIMEZONE) : null;
+    const end = req.query.end ? parseDateInput(req.query.end, viewerTimeZone || DEFAULT_TIMEZONE) : null;
+    
+    if (!start || !end || end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end are required'
+      });
+    }
+    
+    // Users default to the current user
+    const userIds = req.query.users
+      ? req.query.users.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+      : (req.userId ? [req.userId] : []);
+    
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one user is required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Ignore the event being edited (and its series)
+    const excludeEventIds = req.query.excludeEventId
+      ? [parseInt(req.query.excludeEventId)].filter(id => !isNaN(id))
+      : [];
+    
+    const conflicts = await detectConflicts(db, req, userIds, [{ start, end }], excludeEventIds);
+    
+    return res.json({
+      success: true,
+      hasConflicts: conflicts.length > 0,
+      conflicts
+    });
+    
+  } catch (error) {
+    console.error('Error checking event conflicts:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check conflicts',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get merged busy intervals for a list of users
+ */
+async function getFreeBusy(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { users, timezone } = req.body;
+    const viewerTimeZone = timezone || null;
+    
+    // Bounds without an offset are in the viewer's zone
+    const start = parseDateInput(req.body.start, viewerTimeZone || DEFAULT_TIMEZONE);
+    const end = parseDateInput(req.body.end, viewerTimeZone || DEFAULT_TIMEZONE);
+    
+    if (!start || !end || end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end are required'
+      });
+    }
+    
+    if (end - start > MAX_FREEBUSY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Free/busy range cannot exceed ${MAX_FREEBUSY_DAYS} days`
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Only users of this tenant can be queried
+    const requestedIds = Array.from(new Set(users.map(id => parseInt(id)).filter(id => !isNaN(id))));
+    
+    let userWhereClause = `id IN (${requestedIds.map(() => '?').join(',')})`;
+    let userParams = [...requestedIds];
+    
+    if (req.applyRLS) {
+      userWhereClause += ' AND client_id = ? AND app_id = ?';
+      userParams.push(req.clientId, req.appId);
+    }
+    
+    const [userRows] = await db.query(
+      `SELECT id, name FROM app_users WHERE ${userWhereClause}`,
+      userParams
+    );
+    
+    if (userRows.length !== requestedIds.length) {
+      const foundIds = userRows.map(u => u.id);
+      return res.status(404).json({
+        success: false,
+        message: 'One or more users were not found',
+        notFound: requestedIds.filter(id => !foundIds.includes(id))
+      });
+    }
+    
+    const busyByUser = await loadBusyIntervals(db, req, requestedIds, start, end);
+    
+    const formatInterval = interval => ({
+      start: interval.start,
+      end: interval.end,
+      ...(viewerTimeZone ? {
+        startLocal: formatWallClock(interval.start, viewerTimeZone),
+        endLocal: formatWallClock(interval.end, viewerTimeZone)
+      } : {})
+    });
+    
+    return res.json({
+      success: true,
+      start,
+      end,
+      timezone: viewerTimeZone,
+      users: userRows.map(user => ({
+        id: user.id,
+        name: user.name,
+        busy: busyByUser[user.id].map(formatInterval)
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error fetching free/busy:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch free/busy information',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Suggest meeting times when all attendees are free
+ */
+async function suggestSlots(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const duration = parseInt(req.query.duration);
+    const buffer = parseInt(req.query.buffer) || 0;
+    const step = parseInt(req.query.step) || SLOT_DEFAULTS.STEP_MINUTES;
+    const limit = parseInt(req.query.limit) || SLOT_DEFAULTS.LIMIT;
+    const workStart = req.query.workStart || SLOT_DEFAULTS.WORK_START;
+    const workEnd = req.query.workEnd || SLOT_DEFAULTS.WORK_END;
+    const workDays = req.query.workDays
+      ? req.query.workDays.split(',').map(d => parseInt(d)).filter(d => d >= 0 && d <= 6)
+      : SLOT_DEFAULTS.WORK_DAYS;
+    
+    if (workEnd <= workStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Working hours must end after they start'
+      });
+    }
+    
+    // Working hours are read in the requested zone, otherwise the user's default
+    const timeZone = await resolveEventTimeZone(db, req, null, req.query.tz);
+    
+    // Bounds without an offset are in that zone; the past is never suggested
+    const now = new Date();
+    const requestedStart = parseDateInput(req.query.start, timeZone);
+    const start = requestedStart && requestedStart > now ? requestedStart : now;
+    const end = parseDateInput(req.query.end, timeZone);
+    
+    if (!end || end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end are required and end must be in the future'
+      });
+    }
+    
+    if (end - start > MAX_FREEBUSY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Search range cannot exceed ${MAX_FREEBUSY_DAYS} days`
+      });
+    }
+    
+    // Attendees plus the current user, restricted to this tenant
+    const requestedIds = (req.query.attendees || '')
+      .split(',')
+      .map(id => parseInt(id))
+      .filter(id => !isNaN(id));
+    
+    if (req.userId) {
+      requestedIds.push(req.userId);
+    }
+    
+    const userIds = Array.from(new Set(requestedIds));
+    
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one attendee is required'
+      });
+    }
+    
+    let userWhereClause = `id IN (${userIds.map(() => '?').join(',')})`;
+    let userParams = [...userIds];
+    
+    if (req.applyRLS) {
+      userWhereClause += ' AND client_id = ? AND app_id = ?';
+      userParams.push(req.clientId, req.appId);
+    }
+    
+    const [userRows] = await db.query(
+      `SELECT id FROM app_users WHERE ${userWhereClause}`,
+      userParams
+    );
+    
+    if (userRows.length !== userIds.length) {
+      const foundIds = userRows.map(u => u.id);
+      return res.status(404).json({
+        success: false,
+        message: 'One or more attendees were not found',
+        notFound: userIds.filter(id => !foundIds.includes(id))
+      });
+    }
+    
+    // Busy time of everyone, padded so buffers at the edges are honored
+    const bufferMs = buffer * 60 * 1000;
+    const busyByUser = await loadBusyIntervals(
+      db,
+      req,
+      userIds,
+      new Date(start.getTime() - bufferMs),
+      new Date(end.getTime() + bufferMs)
+    );
+    const busyIntervals = Object.values(busyByUser).flat();
+    
+    const windows = buildWorkingWindows(start, end, timeZone, workStart, workEnd, workDays);
+    const slots = findOpenSlots(windows, busyIntervals, duration, buffer, step)
+      .slice(0, limit)
+      .map(slot => ({
+        ...slot,
+        startLocal: formatWallClock(slot.start, timeZone),
+        endLocal: formatWallClock(slot.end, timeZone)
+      }));
+    
+    return res.json({
+      success: true,
+      timezone: timeZone,
+      attendees: userIds,
+      slots
+    });
+    
+  } catch (error) {
+    console.error('Error suggesting meeting slots:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to suggest meeting slots',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Respond to an event invitation (accept, decline or tentative)
+ */
+async function respondToEvent(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const eventId = req.params.id;
+    const { status, comment } = req.body;
+    
+    // Find the current user's invitation with tenant isolation
+    let whereClause = 'ea.event_id = ? AND ea.user_id = ?';
+    let params = [eventId, req.userId];
+    
+    if (req.applyRLS) {
+      whereClause += ' AND ea.client_id = ? AND ea.app_id = ?';
+      params.push(req.clientId, req.appId);
+    }
+    
+    const [attendeeCheck] = await db.query(
+      `SELECT ea.id, e.calendar_id 
+       FROM event_attendees ea
+       JOIN calendar_events e ON e.id = ea.event_id
+       WHERE ${whereClause}`,
+      params
+    );
+    
+    if (attendeeCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found or you are not an attendee'
+      });
+    }
+    
+    const respondedAt = new Date();
+    
+    await db.query(
+      'UPDATE event_attendees SET status = ?, response_comment = ?, responded_at = ? WHERE id = ?',
+      [status, comment || null, respondedAt, attendeeCheck[0].id]
+    );
+    
+    publishCalendarChanges(db, [
+      await recordCalendarChange(db, req, CHANGE_TYPES.EVENT_UPDATED, {
+        eventId: Number(eventId),
+        calendarId: attendeeCheck[0].calendar_id
+      })
+    ]);
+    
+    return res.json({
+      success: true,
+      message: 'Response saved',
+      data: {
+        status,
+        comment: comment || null,
+        respondedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error saving event response:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save response',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get upcoming events organized by the current user that still have pending replies
+ */
+async function getAwaitingReplies(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const now = new Date();
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = `e.created_by = ? AND (
+      e.start_date >= ? OR e.end_date >= ?
+      OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?))
+    )`;
+    let params = [ATTENDEE_STATUSES.PENDING, req.userId, now, now, now];
+    
+    if (req.applyRLS) {
+      whereClause += ' AND e.client_id = ? AND e.app_id = ?';
+      params.push(req.clientId, req.appId);
+    }
+    
+    const [pending] = await db.query(
+      `SELECT 
+         e.id,
+         e.title,
+         e.start_date,
+         e.end_date,
+         e.is_all_day,
+         e.timezone,
+         e.recurrence_rule,
+         ea.status,
+         ea.user_id,
+         COALESCE(u.name, ea.name) as name,
+         COALESCE(u.email, ea.email) as email
+       FROM calendar_events e
+       JOIN event_attendees ea ON ea.event_id = e.id 
+         AND ea.client_id = e.client_id 
+         AND ea.app_id = e.app_id
+         AND ea.status = ?
+       LEFT JOIN app_users u ON ea.user_id = u.id
+       WHERE ${whereClause}
+         AND (ea.user_id IS NULL OR u.id IS NOT NULL)
+       ORDER BY e.start_date ASC`,
+      params
+    );
+    
+    // Group pending attendees by event
+    const eventMap = new Map();
+    
+    pending.forEach(row => {
+      if (!eventMap.has(row.id)) {
+        eventMap.set(row.id, {
+          id: row.id,
+          title: row.title,
+          start: row.start_date,
+          end: row.end_date,
+          ...formatEventTimes(row, row.start_date, row.end_date, null),
+          isAllDay: Boolean(row.is_all_day),
+          isRecurring: Boolean(row.recurrence_rule),
+          pendingAttendees: []
+        });
+      }
+      
+      eventMap.get(row.id).pendingAttendees.push({
+        id: row.user_id,
+        name: row.name,
+        email: row.email,
+        isExternal: !row.user_id
+      });
+    });
+    
+    const events = Array.from(eventMap.values()).map(event => ({
+      ...event,
+      pendingCount: event.pendingAttendees.length
+    }));
+    
+    return res.json({
+      success: true,
+      events
+    });
+    
+  } catch (error) {
+    console.error('Error fetching events awaiting replies:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events awaiting replies',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get all calendars
+ */
+async function getCalendars(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Initialize default calendars if needed
+    if (req.applyRLS) {
+      await initDefaultCalendars(db, req.clientId, req.appId);
+    }
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = '1=1';
+    let params = [];
+    
+    if (req.applyRLS) {
+      whereClause = 'client_id = ? AND app_id = ?';
+      params = [req.clientId, req.appId];
+    }
+    
+    // Get user's calendar preferences with tenant isolation
+    let prefWhereClause = 'user_id = ?';
+    let prefParams = [req.userId || 0];
+    
+    if (req.applyRLS) {
+      prefWhereClause += ' AND client_id = ? AND app_id = ?';
+      prefParams.push(req.clientId, req.appId);
+    }
+    
+    const [preferences] = await db.query(
+      `SELECT calendar_id, active 
+       FROM user_calendar_preferences 
+       WHERE ${prefWhereClause}`,
+      prefParams
+    );
+    
+    // Create a map of calendar preferences
+    const preferenceMap = {};
+    preferences.forEach(pref => {
+      preferenceMap[pref.calendar_id] = Boolean(pref.active);
+    });
+    
+    // Get all calendars with tenant isolation
+    const [calendars] = await db.query(
+      `SELECT 
+         id, 
+         name, 
+         color,
+         owner_id,
+         is_default,
+         timezone
+       FROM calendars
+       WHERE ${whereClause}
+       ORDER BY is_default DESC, name ASC`,
+      params
+    );
+    
+    // Only calendars shared with the user
+    const access = await loadCalendarAccess(db, req);
+    const visibleCalendars = calendars.filter(calendar =>
+      hasCalendarAccess(access, calendar.id, CALENDAR_ACCESS.FREE_BUSY)
+    );
+    
+    // Format the calendars data
+    const formattedCalendars = visibleCalendars.map(calendar => ({
+      id: calendar.id,
+      name: calendar.name,
+      color: calendar.color,
+      ownerId: calendar.owner_id,
+      isDefault: Boolean(calendar.is_default),
+      timezone: calendar.timezone || null,
+      accessLevel: access ? access[calendar.id] : CALENDAR_ACCESS.MANAGE,
+      active: preferenceMap[calendar.id] !== undefined 
+        ? preferenceMap[calendar.id] 
+        : true // Default to active if no preference
+    }));
+    
+    return res.json({
+      success: true,
+      calendars: formattedCalendars
+    });
+    
+  } catch (error) {
+    console.error('Error fetching calendars:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendars',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a new calendar
+ */
+async function createCalendar(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const { name, color, timezone } = req.body;
+    
+    // Validate required fields
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar name is required'
+      });
+    }
+    
+    // Generate a unique ID with tenant prefix - FIX: Keep the ID short
+    const appIdClean = req.appId ? req.appId.replace(/[^a-zA-Z0-9]/g, '') : 'default';
+    // Take just the first 12 chars of the cleaned app ID
+    const appIdShort = appIdClean.substring(0, 12);
+    const calendarId = `cal_${req.clientId || '0'}_${appIdShort}_${Math.floor(Math.random() * 10000)}`;
+    
+    // Insert the new calendar with tenant isolation
+    await db.query(
+      `INSERT INTO calendars (
+         id,
+         name,
+         color,
+         owner_id,
+         is_default,
+         timezone,
+         client_id,
+         app_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        calendarId,
+        name,
+        color || '#4361ee', // Default to blue if no color specified
+        req.userId || null,
+        0, // Not a default calendar
+        timezone || null,
+        req.clientId,
+        req.appId
+      ]
+    );
+    
+    publishCalendarChanges(db, [
+      await recordCalendarChange(db, req, CHANGE_TYPES.CALENDAR_CREATED, { calendarId })
+    ]);
+    
+    return res.json({
+      success: true,
+      message: 'Calendar created successfully',
+      data: {
+        id: calendarId,
+        name,
+        color: color || '#4361ee',
+        timezone: timezone || null
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error creating calendar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update a calendar
+ */
+async function updateCalendar(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const calendarId = req.params.id;
+    const { name, color, timezone } = req.body;
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = 'id = ?';
+    let params = [calendarId];
+    
+    if (req.applyRLS) {
+      whereClause += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
+    }
+    
+    // Check if calendar exists
+    const [calendarCheck] = await db.query(
+      `SELECT id, is_default FROM calendars WHERE ${whereClause}`,
+      params
+    );
+    
+    if (calendarCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found or you do not have permission to update it'
+      });
+    }
+    
+    // Prevent modification of default calendars
+    if (calendarCheck[0].is_default) {
+      return res.status(403).json({
+        success: false,
+        message: 'Default calendars cannot be modified'
+      });
+    }
+    
+    const access = await loadCalendarAccess(db, req);
+    
+    if (!hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this calendar'
+      });
+    }
+    
+    // Build update query
+    const updateFields = [];
+    const updateParams = [];
+    
+    if (name !== undefined) {
+      updateFields.push('name = ?');
+      updateParams.push(name);
+    }
+    
+    if (color !== undefined) {
+      updateFields.push('color = ?');
+      updateParams.push(color);
+    }
+    
+    if (timezone !== undefined) {
+      updateFields.push('timezone = ?');
+      updateParams.push(timezone || null);
+    }
+    
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+    
+    // Update the calendar with tenant isolation
+    await db.query(
+      `UPDATE calendars 
+       SET ${updateFields.join(', ')} 
+       WHERE ${whereClause}`,
+      [...updateParams, ...params]
+    );
+    
+    publishCalendarChanges(db, [
+      await recordCalendarChange(db, req, CHANGE_TYPES.CALENDAR_UPDATED, { calendarId })
+    ]);
+    
+    return res.json({
+      success: true,
+      message: 'Calendar updated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error updating calendar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update calendar',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete a calendar
+ * Events move to moveEventsTo (a calendar the user manages) when given.
+ * Otherwise events of a tenant-wide calendar move to the default work
+ * calendar, and events of an owned calendar are deleted with it so they
+ * never become visible to the whole tenant.
+ */
+async function deleteCalendar(req, res) {
+  try {
+    const db = req.db;
+    const calendarId = req.params.id;
+    
+    // Apply tenant isolation in WHERE clause
+    let whereClause = 'id = ?';
+    let params = [calendarId];
+    
+    if (req.applyRLS) {
+      whereClause += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
+    }
+    
+    // Check if calendar exists
+    const [calendarCheck] = await db.query(
+      `SELECT id, owner_id, is_default FROM calendars WHERE ${whereClause}`,
+      params
+    );
+    
+    if (calendarCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found or you do not have permission to delete it'
+      });
+    }
+    
+    // Prevent deletion of default calendars
+    if (calendarCheck[0].is_default) {
+      return res.status(403).json({
+        success: false,
+        message: 'Default calendars cannot be deleted'
+      });
+    }
+    
+    const access = await loadCalendarAccess(db, req);
+    
+    if (!hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage this calendar'
+      });
+    }
+    
+    const { moveEventsTo } = req.query;
+    let targetCalendarId = null;
+    
+    if (moveEventsTo) {
+      const [targetCheck] = await db.query(
+        'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+        [moveEventsTo, req.clientId, req.appId]
+      );
+      
+      if (targetCheck.length === 0 || moveEventsTo === calendarId) {
+        return res.status(400).json({
+          success: false,
+          message: 'moveEventsTo must be another calendar of this app'
+        });
+      }
+      
+      if (!hasCalendarAccess(access, moveEventsTo, CALENDAR_ACCESS.MANAGE)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to manage the calendar to move events to'
+        });
+      }
+      
+      targetCalendarId = moveEventsTo;
+    } else if (!calendarCheck[0].owner_id) {
+      // Everyone in the tenant can already write to an unowned calendar
+      const appIdClean = req.appId.replace(/[^a-zA-Z0-9]/g, '');
+      targetCalendarId = `cal_${req.clientId}_${appIdClean}_work`;
+    }
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      let updateWhereClause = 'calendar_id = ?';
+      let updateParams = [calendarId];
+      
+      if (req.applyRLS) {
+        updateWhereClause += ' AND client_id = ? AND app_id = ?';
+        updateParams.push(req.clientId, req.appId);
+      }
+      
+      const [calendarEvents] = await conn.query(
+        `SELECT id FROM calendar_events WHERE ${updateWhereClause}`,
+        updateParams
+      );
+      
+      if (targetCalendarId) {
+        await conn.query(
+          `UPDATE calendar_events 
+           SET calendar_id = ? 
+           WHERE ${updateWhereClause}`,
+          [targetCalendarId, ...updateParams]
+        );
+      } else {
+        // Note: event_attendees will be deleted via ON DELETE CASCADE constraint
+        await conn.query(
+          `DELETE FROM calendar_events WHERE ${updateWhereClause}`,
+          updateParams
+        );
+      }
+      
+      // Delete calendar preferences
+      let prefWhereClause = 'calendar_id = ?';
+      let prefParams = [calendarId];
+      
+      if (req.applyRLS) {
+        prefWhereClause += ' AND client_id = ? AND app_id = ?';
+        prefParams.push(req.clientId, req.appId);
+      }
+      
+      await conn.query(
+        `DELETE FROM user_calendar_preferences 
+         WHERE ${prefWhereClause}`,
+        prefParams
+      );
+      
+      // Delete calendar shares
+      await conn.query(
+        `DELETE FROM calendar_shares 
+         WHERE ${prefWhereClause}`,
+        prefParams
+      );
+      
+      // Delete the calendar with tenant isolation
+      await conn.query(
+        `DELETE FROM calendars WHERE ${whereClause}`,
+        params
+      );
+      
+      const changes = [];
+      
+      for (const calendarEvent of calendarEvents) {
+        if (targetCalendarId) {
+          changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, {
+            eventId: calendarEvent.id,
+            calendarId: targetCalendarId,
+            previousCalendarId: calendarId
+          }));
+        } else {
+          changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_DELETED, {
+            eventId: calendarEvent.id,
+            calendarId
+          }));
+        }
+      }
+      
+      changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.CALENDAR_DELETED, { calendarId }));
+      
+      // Commit the transaction
+      await conn.commit();
+      publishCalendarChanges(db, changes);
+      
+      return res.json({
+        success: true,
+        message: 'Calendar deleted successfully'
+      });
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+  } catch (error) {
+    console.error('Error deleting calendar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete calendar',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Load a calendar the current user manages, or send the error response
+ */
+async function findManagedCalendar(db, req, res) {
+  const [calendars] = await db.query(
+    'SELECT id, owner_id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+    [req.params.id, req.clientId, req.appId]
+  );
+  
+  if (calendars.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Calendar not found'
+    });
+    return null;
+  }
+  
+  const access = await loadCalendarAccess(db, req);
+  
+  if (!hasCalendarAccess(access, calendars[0].id, CALENDAR_ACCESS.MANAGE)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to manage this calendar'
+    });
+    return null;
+  }
+  
+  return calendars[0];
+}
+
+/**
+ * List the shares of a calendar
+ */
+async function getCalendarShares(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const calendar = await findManagedCalendar(db, req, res);
+    
+    if (!calendar) {
+      return;
+    }
+    
+    const [shares] = await db.query(
+      `SELECT s.id, s.grantee_type, s.grantee_id, s.access_level, s.created_at, u.name, u.email
+       FROM calendar_shares s
+       LEFT JOIN app_users u ON s.grantee_type = ? AND u.id = s.grantee_id
+       WHERE s.calendar_id = ? AND s.client_id = ? AND s.app_id = ?
+       ORDER BY s.created_at ASC`,
+      [SHARE_GRANTEE_TYPES.USER, calendar.id, req.clientId, req.appId]
+    );
+    
+    return res.json({
+      success: true,
+      shares: shares.map(share => ({
+        id: share.id,
+        granteeType: share.grantee_type,
+        granteeId: share.grantee_id,
+        granteeName: share.name || null,
+        granteeEmail: share.email || null,
+        accessLevel: share.access_level,
+        createdAt: share.created_at
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error fetching calendar shares:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar shares',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Share a calendar with a user or role (updates the level of an existing share)
+ */
+async function addCalendarShare(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const calendar = await findManagedCalendar(db, req, res);
+    
+    if (!calendar) {
+      return;
+    }
+    
+    const { granteeType, accessLevel } = req.body;
+    const granteeId = String(req.body.granteeId);
+    
+    if (granteeType === SHARE_GRANTEE_TYPES.USER) {
+      // Users must belong to this tenant
+      const [userCheck] = await db.query(
+        'SELECT id FROM app_users WHERE id = ? AND client_id = ? AND app_id = ?',
+        [granteeId, req.clientId, req.appId]
+      );
+      
+      if (userCheck.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      if (calendar.owner_id && String(calendar.owner_id) === granteeId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The owner already has full access to this calendar'
+        });
+      }
+    }
+    
+    await db.query(
+      `INSERT INTO calendar_shares (calendar_id, grantee_type, grantee_id, access_level, created_by, client_id, app_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE access_level = VALUES(access_level)`,
+      [calendar.id, granteeType, granteeId, accessLevel, req.userId || null, req.clientId, req.appId]
+    );
+    
+    const [shares] = await db.query(
+      'SELECT id FROM calendar_shares WHERE calendar_id = ? AND grantee_type = ? AND grantee_id = ?',
+      [calendar.id, granteeType, granteeId]
+    );
+    
+    publishCalendarChanges(db, [
+      await recordCalendarChange(db, req, CHANGE_TYPES.CALENDAR_SHARED, {
+        calendarId: calendar.id,
+        grantee: shareGrantee(granteeType, granteeId)
+      })
+    ]);
+    
+    return res.json({
+      success: true,
+      message: 'Calendar shared successfully',
+      data: {
+        id: shares[0].id,
+        granteeType,
+        granteeId,
+        accessLevel
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error sharing calendar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to share calendar',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Revoke a calendar share
+ */
+async function revokeCalendarShare(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const calendar = await findManagedCalendar(db, req, res);
+    
+    if (!calendar) {
+      return;
+    }
+    
+    const [shares] = await db.query(
+      'SELECT grantee_type, grantee_id FROM calendar_shares WHERE id = ? AND calendar_id = ? AND client_id = ? AND app_id = ?',
+      [req.params.shareId, calendar.id, req.clientId, req.appId]
+    );
+    
+    const [result] = await db.query(
+      'DELETE FROM calendar_shares WHERE id = ? AND calendar_id = ? AND client_id = ? AND app_id = ?',
+      [req.params.shareId, calendar.id, req.clientId, req.appId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+    
+    publishCalendarChanges(db, [
+      await recordCalendarChange(db, req, CHANGE_TYPES.CALENDAR_SHARED, {
+        calendarId: calendar.id,
+        grantee: shareGrantee(shares[0].grantee_type, shares[0].grantee_id)
+      })
+    ]);
+    
+    return res.json({
+      success: true,
+      message: 'Calendar share revoked'
+    });
+    
+  } catch (error) {
+    console.error('Error revoking calendar share:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar share',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Save calendar preferences
+ */
+async function savePreferences(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { preferences } = req.body;
+    const userId = req.userId;
+    
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (!preferences || !Array.isArray(preferences)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid preferences format'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      // Delete existing preferences with tenant isolation
+      let whereClause = 'user_id = ?';
+      let params = [userId];
+      
+      if (req.applyRLS) {
+        whereClause += ' AND client_id = ? AND app_id = ?';
+        params.push(req.clientId, req.appId);
+      }
+      
+      await conn.query(
+        `DELETE FROM user_calendar_preferences 
+         WHERE ${whereClause}`,
+        params
+      );
+      
+      // Insert new preferences with tenant isolation
+      for (const pref of preferences) {
+        // Verify this calendar belongs to this tenant
+        if (req.applyRLS) {
+          const [calendarCheck] = await conn.query(
+            'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+            [pref.calendarId, req.clientId, req.appId]
+          );
+          
+          if (calendarCheck.length === 0) {
+            continue; // Skip calendars that don't belong to this tenant
+          }
+        }
+        
+        await conn.query(
+          `INSERT INTO user_calendar_preferences 
+           (user_id, calendar_id, active, client_id, app_id) 
+           VALUES (?, ?, ?, ?, ?)`,
+          [userId, pref.calendarId, pref.active ? 1 : 0, req.clientId, req.appId]
+        );
+      }
+      
+      // Commit the transaction
+      await conn.commit();
+      
+      return res.json({
+        success: true,
+        message: 'Calendar preferences saved'
+      });
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+  } catch (error) {
+    console.error('Error saving calendar preferences:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save calendar preferences',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get the current user's calendar settings
+ */
+async function getSettings(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const [settings] = await db.query(
+      'SELECT timezone FROM user_calendar_settings WHERE user_id = ? AND client_id = ? AND app_id = ?',
+      [req.userId, req.clientId, req.appId]
+    );
+    
+    return res.json({
+      success: true,
+      settings: {
+        timezone: settings.length > 0 && settings[0].timezone ? settings[0].timezone : DEFAULT_TIMEZONE
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching calendar settings:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar settings',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Save the current user's calendar settings
+ */
+async function saveSettings(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const { timezone } = req.body;
+    
+    await db.query(
+      `INSERT INTO user_calendar_settings (user_id, timezone, client_id, app_id)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE timezone = VALUES(timezone)`,
+      [req.userId, timezone || null, req.clientId, req.appId]
+    );
+    
+    return res.json({
+      success: true,
+      message: 'Calendar settings saved'
+    });
+    
+  } catch (error) {
+    console.error('Error saving calendar settings:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save calendar settings',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Hash a feed token for storage and lookup
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Resolve an active token of the given scope
+ * Returns the token row (user and tenant) or null
+ */
+async function resolveFeedToken(db, token, scope = FEED_TOKEN_SCOPES.FEED) {
+  if (!token) {
+    return null;
+  }
+  
+  const [tokens] = await db.query(
+    'SELECT * FROM calendar_feed_tokens WHERE token_hash = ? AND scope = ? AND revoked_at IS NULL',
+    [hashFeedToken(token), scope]
+  );
+  
+  if (tokens.length === 0) {
+    return null;
+  }
+  
+  await db.query(
+    'UPDATE calendar_feed_tokens SET last_used_at = ? WHERE id = ?',
+    [new Date(), tokens[0].id]
+  );
+  
+  return tokens[0];
+}
+
+/**
+ * Describe a feed token's user like an authenticated request for access checks
+ */
+function feedTokenRequest(feedToken) {
+  return {
+    userId: feedToken.user_id,
+    clientId: feedToken.client_id,
+    appId: feedToken.app_id
+  };
+}
+
+/**
+ * Load the events of the given calendars as iCalendar-ready objects
+ * Pass seriesIds to load only those events and their overridden occurrences
+ * (regardless of age) instead of everything since FEED_PAST_DAYS.
+ */
+async function loadFeedEvents(db, feedToken, calendarIds, access, seriesIds = null) {
+  if (calendarIds.length === 0 || (seriesIds && seriesIds.length === 0)) {
+    return [];
+  }
+  
+  const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  let rangeClause = `AND (
+         e.start_date >= ? OR e.end_date >= ?
+         OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?))
+       )`;
+  let rangeParams = [since, since, since];
+  
+  if (seriesIds) {
+    const placeholders = seriesIds.map(() => '?').join(',');
+    rangeClause = `AND (e.id IN (${placeholders}) OR e.recurrence_parent_id IN (${placeholders}))`;
+    rangeParams = [...seriesIds, ...seriesIds];
+  }
+  
+  const [events] = await db.query(
+    `SELECT 
+       e.*,
+       u.name as organizer_name,
+       u.email as organizer_email
+     FROM calendar_events e
+     LEFT JOIN app_users u ON e.created_by = u.id
+     WHERE e.client_id = ? AND e.app_id = ?
+       AND e.calendar_id IN (${calendarIds.map(() => '?').join(',')})
+       ${rangeClause}
+     ORDER BY e.start_date ASC`,
+    [feedToken.client_id, feedToken.app_id, ...calendarIds, ...rangeParams]
+  );
+  
+  if (events.length === 0) {
+    return [];
+  }
+  
+  // Load attendees for all events in one query
+  const eventIds = events.map(e => e.id);
+  const [attendees] = await db.query(
+    `SELECT ea.event_id, ea.user_id, ea.status,
+            COALESCE(u.name, ea.name) as name,
+            COALESCE(u.email, ea.email) as email
+     FROM event_attendees ea
+     LEFT JOIN app_users u ON ea.user_id = u.id
+     WHERE ea.event_id IN (${eventIds.map(() => '?').join(',')})
+       AND (ea.user_id IS NULL OR u.id IS NOT NULL)
+       AND ea.client_id = ? AND ea.app_id = ?`,
+    [...eventIds, feedToken.client_id, feedToken.app_id]
+  );
+  
+  const attendeeMap = {};
+  attendees.forEach(a => {
+    attendeeMap[a.event_id] = attendeeMap[a.event_id] || [];
+    attendeeMap[a.event_id].push({ userId: a.user_id, name: a.name, email: a.email, status: a.status });
+  });
+  
+  const eventMap = {};
+  events.forEach(e => {
+    eventMap[e.id] = e;
+  });
+  
+  // Overrides of a series in this feed share its UID and carry a RECURRENCE-ID,
+  // so their original slot must not also be listed as an exception date
+  const overriddenStarts = {};
+  events.forEach(e => {
+    if (e.recurrence_parent_id && eventMap[e.recurrence_parent_id]) {
+      overriddenStarts[e.recurrence_parent_id] = overriddenStarts[e.recurrence_parent_id] || new Set();
+      overriddenStarts[e.recurrence_parent_id].add(new Date(e.recurrence_original_start).getTime());
+    }
+  });
+  
+  const eventUid = e => e.ical_uid || `event-${e.id}@calendar`;
+  
+  return events.map(e => {
+    const isOverride = Boolean(e.recurrence_parent_id && eventMap[e.recurrence_parent_id]);
+    const overridden = overriddenStarts[e.id] || new Set();
+    const attendeeList = attendeeMap[e.id] || [];
+    const isParticipant = e.created_by === feedToken.user_id ||
+      attendeeList.some(a => a.userId === feedToken.user_id);
+    
+    const feedEvent = {
+      id: e.id,
+      seriesId: isOverride ? e.recurrence_parent_id : e.id,
+      calendarId: e.calendar_id,
+      davName: e.dav_name,
+      uid: isOverride ? eventUid(eventMap[e.recurrence_parent_id]) : eventUid(e),
+      title: e.title,
+      description: e.description,
+      location: e.location,
+      start: e.start_date,
+      end: e.end_date,
+      isAllDay: Boolean(e.is_all_day),
+      timeZone: e.timezone && e.timezone !== DEFAULT_TIMEZONE && isValidTimeZone(e.timezone) ? e.timezone : null,
+      reminderMinutes: e.reminder_minutes,
+      rrule: e.recurrence_rule,
+      exdates: parseExdates(e.recurrence_exdates).filter(d => !overridden.has(d.getTime())),
+      recurrenceId: isOverride ? e.recurrence_original_start : null,
+      categories: [e.type],
+      created: e.created_at,
+      updated: e.updated_at,
+      organizer: { name: e.organizer_name, email: e.organizer_email },
+      attendees: attendeeList,
+      classification: (e.visibility || EVENT_VISIBILITY.PUBLIC).toUpperCase()
+    };
+    
+    // Subscribers who may not see the details get a busy block
+    if (!canSeeEventDetails(access, e, isParticipant)) {
+      return {
+        ...feedEvent,
+        title: BUSY_TITLE,
+        description: null,
+        location: null,
+        categories: [],
+        reminderMinutes: null,
+        organizer: null,
+        attendees: []
+      };
+    }
+    
+    return feedEvent;
+  });
+}
+
+/**
+ * Send an iCalendar document
+ */
+function sendCalendarFeed(res, name, events) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${name.replace(/[^a-zA-Z0-9_-]/g, '_')}.ics"`);
+  return res.send(buildCalendar({ name, events }));
+}
+
+/**
+ * Get the iCalendar feed for a single calendar (token authenticated)
+ */
+async function getCalendarFeed(req, res) {
+  try {
+    const db = req.db;
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const feedToken = await resolveFeedToken(db, req.query.token);
+    
+    if (!feedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked feed token'
+      });
+    }
+    
+    const [calendars] = await db.query(
+      'SELECT id, name FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+      [req.params.id, feedToken.client_id, feedToken.app_id]
+    );
+    
+    const access = await loadCalendarAccess(db, feedTokenRequest(feedToken));
+    
+    if (calendars.length === 0 || !hasCalendarAccess(access, calendars[0].id, CALENDAR_ACCESS.READ)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+    
+    const events = await loadFeedEvents(db, feedToken, [calendars[0].id], access);
     
-    return res.json({
-      success: true,
-      events: formattedEvents
-    });
+    return sendCalendarFeed(res, calendars[0].name, events);
     
   } catch (error) {
-    console.error('Error fetching calendar events:', error);
+    console.error('Error generating calendar feed:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch events',
+      message: 'Failed to generate calendar feed',
       error: error.message
     });
   }
 }
 
 /**
- * Get upcoming events
+ * Get a combined iCalendar feed of the user's active calendars (token authenticated)
  */
-async function getUpcomingEvents(req, res) {
+async function getCombinedFeed(req, res) {
   try {
     const db = req.db;
-    const limit = parseInt(req.query.limit) || 5;
     
     // Ensure tables exist
     await ensureCalendarTables(db);
     
-    // Initialize default calendars if needed
-    if (req.applyRLS) {
-      await initDefaultCalendars(db, req.clientId, req.appId);
+    const feedToken = await resolveFeedToken(db, req.query.token);
+    
+    if (!feedToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked feed token'
+      });
     }
     
-    // Current date in ISO format
-    const now = new Date().toISOString();
+    // Calendars are active unless the user switched them off
+    const [calendars] = await db.query(
+      `SELECT c.id
+       FROM calendars c
+       LEFT JOIN user_calendar_preferences p ON p.calendar_id = c.id
+         AND p.user_id = ?
+         AND p.client_id = c.client_id
+         AND p.app_id = c.app_id
+       WHERE c.client_id = ? AND c.app_id = ?
+         AND (p.active IS NULL OR p.active = 1)`,
+      [feedToken.user_id, feedToken.client_id, feedToken.app_id]
+    );
     
-    // Apply tenant isolation in WHERE clause
-    let whereClause = 'e.start_date >= ?';
-    let params = [now];
+    // Only calendars the token's user can read
+    const access = await loadCalendarAccess(db, feedTokenRequest(feedToken));
+    const readableIds = calendars
+      .map(c => c.id)
+      .filter(id => hasCalendarAccess(access, id, CALENDAR_ACCESS.READ));
     
-    if (req.applyRLS) {
-      whereClause += ` AND e.client_id = ? AND e.app_id = ?`;
-      params.push(req.clientId, req.appId);
+    const events = await loadFeedEvents(db, feedToken, readableIds, access);
+    
+    return sendCalendarFeed(res, 'Calendar', events);
+    
+  } catch (error) {
+    console.error('Error generating combined calendar feed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate calendar feed',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List the current user's feed tokens
+ */
+async function getFeedTokens(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
     }
     
-    // Query for upcoming events
-    const [events] = await db.query(
-      `SELECT 
-         e.id,
-         e.title,
-         e.description,
-         e.type,
-         e.start_date,
-         e.end_date,
-         e.is_all_day,
-         e.location,
-         e.reminder_minutes,
-         e.calendar_id,
-         c.name as calendar_name,
-         c.color as calendar_color,
-         COUNT(DISTINCT ea.id) as attendee_count
-       FROM calendar_events e
-       LEFT JOIN calendars c ON e.calendar_id = c.id 
-         AND c.client_id = e.client_id 
-         AND c.app_id = e.app_id
-       LEFT JOIN event_attendees ea ON e.id = ea.event_id 
-         AND ea.client_id = e.client_id 
-         AND ea.app_id = e.app_id
-       WHERE ${whereClause}
-       GROUP BY e.id
-       ORDER BY e.start_date ASC
-       LIMIT ?`,
-      [...params, limit]
-    );
+    // Ensure tables exist
+    await ensureCalendarTables(db);
     
-    // Format the event data
-    const formattedEvents = events.map(event => ({
-      id: event.id,
-      title: event.title,
-      start: event.start_date,
-      end: event.end_date,
-      isAllDay: Boolean(event.is_all_day),
-      type: event.type,
-      location: event.location || '',
-      attendeeCount: event.attendee_count,
-      calendar: {
-        id: event.calendar_id,
-        name: event.calendar_name,
-        color: event.calendar_color
-      }
-    }));
+    const [tokens] = await db.query(
+      `SELECT id, scope, created_at, last_used_at
+       FROM calendar_feed_tokens
+       WHERE user_id = ? AND client_id = ? AND app_id = ? AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [req.userId, req.clientId, req.appId]
+    );
     
     return res.json({
       success: true,
-      events: formattedEvents
+      tokens: tokens.map(token => ({
+        id: token.id,
+        scope: token.scope,
+        createdAt: token.created_at,
+        lastUsedAt: token.last_used_at
+      }))
     });
     
   } catch (error) {
-    console.error('Error fetching upcoming events:', error);
+    console.error('Error fetching feed tokens:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch upcoming events',
+      message: 'Failed to fetch feed tokens',
       error: error.message
     });
   }
 }
 
 /**
- * Get a single event by ID
+ * Create a feed token for subscribing from external calendar apps
+ * The token is only returned once; it is stored hashed
  */
-async function getEventById(req, res) {
+async function createFeedToken(req, res) {
   try {
     const db = req.db;
-    const eventId = req.params.id;
-    
-    // Apply tenant isolation in WHERE clause
-    let whereClause = 'e.id = ?';
-    let params = [eventId];
     
-    if (req.applyRLS) {
-      whereClause += ` AND e.client_id = ? AND e.app_id = ?`;
-      params.push(req.clientId, req.appId);
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
     }
     
-    const [events] = await db.query(
-      `SELECT 
-         e.id,
-         e.title,
-         e.description,
-         e.type,
-         e.start_date,
-         e.end_date,
-         e.is_all_day,
-         e.location,
-         e.reminder_minutes,
-         e.calendar_id,
-         c.name as calendar_name,
-         c.color as calendar_color
-       FROM calendar_events e
-       LEFT JOIN calendars c ON e.calendar_id = c.id 
-         AND c.client_id = e.client_id 
-         AND c.app_id = e.app_id
-       WHERE ${whereClause}`,
-      params
-    );
-    
-    if (events.length === 0) {
-      return res.status(404).json({
+    if (!req.userId) {
+      return res.status(401).json({
         success: false,
-        message: 'Event not found'
+        message: 'Authentication required'
       });
     }
     
-    const event = events[0];
-    
-    // Get attendees with tenant isolation
-    let attendeeWhereClause = 'ea.event_id = ?';
-    let attendeeParams = [eventId];
+    // Ensure tables exist
+    await ensureCalendarTables(db);
     
-    if (req.applyRLS) {
-      attendeeWhereClause += ` AND ea.client_id = ? AND ea.app_id = ?`;
-      attendeeParams.push(req.clientId, req.appId);
-    }
+    const token = crypto.randomBytes(24).toString('hex');
+    const scope = req.body.scope || FEED_TOKEN_SCOPES.FEED;
     
-    const [attendees] = await db.query(
-      `SELECT 
-         u.id, 
-         u.name, 
-         u.email,
-         ea.status
-       FROM event_attendees ea
-       JOIN app_users u ON ea.user_id = u.id
-       WHERE ${attendeeWhereClause}`,
-      attendeeParams
+    const [result] = await db.query(
+      `INSERT INTO calendar_feed_tokens (user_id, token_hash, scope, client_id, app_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.userId, hashFeedToken(token), scope, req.clientId, req.appId]
     );
     
-    // Format the response
-    const formattedEvent = {
-      id: event.id,
-      title: event.title,
-      description: event.description || '',
-      type: event.type,
-      start: event.start_date,
-      end: event.end_date,
-      isAllDay: Boolean(event.is_all_day),
-      location: event.location || '',
-      reminderMinutes: event.reminder_minutes,
-      calendar: {
-        id: event.calendar_id,
-        name: event.calendar_name,
-        color: event.calendar_color
-      },
-      attendees: attendees.map(a => ({
-        id: a.id,
-        name: a.name,
-        email: a.email,
-        status: a.status
-      }))
-    };
+    // CalDAV clients sign in with the user ID and the token as password
+    if (scope === FEED_TOKEN_SCOPES.CALDAV) {
+      return res.json({
+        success: true,
+        message: 'CalDAV token created successfully',
+        data: {
+          id: result.insertId,
+          token,
+          scope,
+          username: String(req.userId),
+          caldavUrl: `${req.protocol}://${req.get('host')}${CALDAV_BASE_PATH}/`
+        }
+      });
+    }
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
     
     return res.json({
       success: true,
-      event: formattedEvent
+      message: 'Feed token created successfully',
+      data: {
+        id: result.insertId,
+        token,
+        scope,
+        feedUrl: `${baseUrl}/feed.ics?token=${token}`,
+        calendarFeedUrl: `${baseUrl}/calendars/{calendarId}/feed.ics?token=${token}`
+      }
     });
     
   } catch (error) {
-    console.error('Error fetching event details:', error);
+    console.error('Error creating feed token:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch event details',
+      message: 'Failed to create feed token',
       error: error.message
     });
   }
 }
 
 /**
- * Create a new event
+ * Revoke a feed token
  */
-async function createEvent(req, res) {
+async function revokeFeedToken(req, res) {
   try {
     const db = req.db;
     
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    if (!req.userId) {
+      return res.status(401).json({
         success: false,
-        errors: errors.array()
+        message: 'Authentication required'
+      });
+    }
+    
+    const [result] = await db.query(
+      `UPDATE calendar_feed_tokens 
+       SET revoked_at = ? 
+       WHERE id = ? AND user_id = ? AND client_id = ? AND app_id = ? AND revoked_at IS NULL`,
+      [new Date(), req.params.id, req.userId, req.clientId, req.appId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed token not found'
       });
     }
     
+    return res.json({
+      success: true,
+      message: 'Feed token revoked'
+    });
+    
+  } catch (error) {
+    console.error('Error revoking feed token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke feed token',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Map a parsed iCalendar event to calendar_events column values
+ * recurrenceRule is the normalized RRULE (or null); events without a zone get
+ * the calendar's.
+ */
+function mapICalEvent(event, recurrenceRule, calendarTimeZone) {
+  const type = event.categories
+    .map(category => category.toLowerCase())
+    .find(category => Object.values(EVENT_TYPES).includes(category)) || EVENT_TYPES.MEETING;
+  
+  return {
+    title: event.title || '(No title)',
+    description: event.description,
+    type,
+    start_date: event.start,
+    end_date: event.end,
+    is_all_day: event.isAllDay ? 1 : 0,
+    location: event.location,
+    reminder_minutes: event.reminderMinutes,
+    timezone: event.timeZone || calendarTimeZone,
+    visibility: Object.values(EVENT_VISIBILITY).includes((event.classification || '').toLowerCase())
+      ? event.classification.toLowerCase()
+      : EVENT_VISIBILITY.PUBLIC,
+    recurrence_rule: recurrenceRule ? recurrenceRule.rule : null,
+    recurrence_exdates: formatExdates(event.exdates)
+  };
+}
+
+/**
+ * Import an uploaded .ics file into a calendar
+ * Events are matched by UID so re-importing a file updates them
+ */
+async function importCalendar(req, res) {
+  try {
+    const db = req.db;
+    const calendarId = req.params.id;
+    
     // Ensure tables exist
     await ensureCalendarTables(db);
     
-    // Initialize default calendars if needed
-    if (req.applyRLS) {
-      await initDefaultCalendars(db, req.clientId, req.appId);
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An .ics file is required'
+      });
     }
     
-    const {
-      title,
-      description,
-      type,
-      startDate,
-      endDate,
-      isAllDay,
-      location,
-      reminderMinutes,
-      calendarId,
-      attendees
-    } = req.body;
+    // Verify the calendar belongs to this tenant
+    const [calendarCheck] = await db.query(
+      'SELECT id, timezone FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+      [calendarId, req.clientId, req.appId]
+    );
     
-    // Validate required fields
-    if (!title) {
-      return res.status(400).json({
+    if (calendarCheck.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Event title is required'
+        message: 'Calendar not found or you do not have permission to import into it'
       });
     }
     
-    if (!startDate) {
+    const access = await loadCalendarAccess(db, req);
+    
+    if (!hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.WRITE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add events to this calendar'
+      });
+    }
+    
+    // Times without a zone are wall-clock times in the calendar's zone
+    const calendarTimeZone = calendarCheck[0].timezone || DEFAULT_TIMEZONE;
+    const parsedEvents = parseEvents(req.file.buffer.toString('utf8'), { floatingTimeZone: calendarTimeZone });
+    
+    if (!parsedEvents) {
       return res.status(400).json({
         success: false,
-        message: 'Start date is required'
+        message: 'File is not a valid iCalendar document'
       });
     }
     
+    const summary = { created: 0, updated: 0, skipped: 0, errors: [] };
+    const skip = (event, reason) => {
+      summary.skipped++;
+      summary.errors.push({ uid: event.uid, title: event.title, reason });
+    };
+    
+    // Import series masters before their overridden occurrences
+    const orderedEvents = [
+      ...parsedEvents.filter(e => !e.recurrenceId),
+      ...parsedEvents.filter(e => e.recurrenceId)
+    ];
+    
     // Start a transaction
     const conn = await db.getConnection();
     await conn.beginTransaction();
     
     try {
-      // Ensure valid calendar ID
-      let validCalendarId = calendarId;
-      
-      // Apply tenant isolation to calendar lookup
-      const [calendarCheck] = await conn.query(
-        'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
-        [calendarId, req.clientId, req.appId]
-      );
-      
-      if (calendarCheck.length === 0) {
-        // Use default work calendar if specified calendar doesn't exist
-        const appIdClean = req.appId.replace(/[^a-zA-Z0-9]/g, '');
-        validCalendarId = `cal_${req.clientId}_${appIdClean}_work`;
-      }
+      const changes = [];
       
-      // Insert the event with tenant isolation
-      const [eventResult] = await conn.query(
-        `INSERT INTO calendar_events (
-           title,
-           description,
-           type,
-           start_date,
-           end_date,
-           is_all_day,
-           location,
-           reminder_minutes,
-           calendar_id,
-           created_by,
-           client_id,
-           app_id
-         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          title,
-          description || null,
-          type || EVENT_TYPES.MEETING,
-          new Date(startDate),
-          endDate ? new Date(endDate) : null,
-          isAllDay ? 1 : 0,
-          location || null,
-          reminderMinutes || null,
-          validCalendarId,
-          req.userId || null,
-          req.clientId,
-          req.appId
-        ]
-      );
-      
-      const eventId = eventResult.insertId;
-      
-      // Add attendees if provided
-      if (attendees && Array.isArray(attendees) && attendees.length > 0) {
-        for (const attendee of attendees) {
-          // Check if attendee is an email or a user ID
-          if (typeof attendee === 'string' && attendee.includes('@')) {
-            // Handle email - check if user exists within this tenant
-            const [userCheck] = await conn.query(
-              'SELECT id FROM app_users WHERE email = ? AND client_id = ? AND app_id = ?',
-              [attendee, req.clientId, req.appId]
-            );
+      for (const event of orderedEvents) {
+        if (!event.uid || !event.start) {
+          skip(event, 'Missing UID or DTSTART');
+          continue;
+        }
+        
+        if (event.status === 'CANCELLED') {
+          skip(event, 'Event is cancelled');
+          continue;
+        }
+        
+        let recurrenceRule = null;
+        
+        if (event.rrule) {
+          recurrenceRule = normalizeRecurrence(event.rrule);
+          
+          if (!recurrenceRule) {
+            skip(event, 'Unsupported recurrence rule');
+            continue;
+          }
+        }
+        
+        // Overridden occurrences are attached to their imported series
+        let parentId = null;
+        
+        if (event.recurrenceId) {
+          const [parents] = await conn.query(
+            `SELECT id, recurrence_exdates FROM calendar_events
+             WHERE ical_uid = ? AND calendar_id = ? AND client_id = ? AND app_id = ?
+               AND recurrence_parent_id IS NULL`,
+            [event.uid, calendarId, req.clientId, req.appId]
+          );
+          
+          if (parents.length > 0) {
+            parentId = parents[0].id;
             
-            if (userCheck.length > 0) {
-              // User exists
-              await conn.query(
-                'INSERT INTO event_attendees (event_id, user_id, client_id, app_id) VALUES (?, ?, ?, ?)',
-                [eventId, userCheck[0].id, req.clientId, req.appId]
-              );
-            }
-          } else if (typeof attendee === 'number' || !isNaN(parseInt(attendee))) {
-            // Handle user ID - verify user belongs to this tenant
-            const [userCheck] = await conn.query(
-              'SELECT id FROM app_users WHERE id = ? AND client_id = ? AND app_id = ?',
-              [attendee, req.clientId, req.appId]
-            );
+            const exdates = parseExdates(parents[0].recurrence_exdates);
             
-            if (userCheck.length > 0) {
+            if (!exdates.some(d => d.getTime() === event.recurrenceId.getTime())) {
+              exdates.push(event.recurrenceId);
               await conn.query(
-                'INSERT INTO event_attendees (event_id, user_id, client_id, app_id) VALUES (?, ?, ?, ?)',
-                [eventId, attendee, req.clientId, req.appId]
+                'UPDATE calendar_events SET recurrence_exdates = ? WHERE id = ?',
+                [formatExdates(exdates), parentId]
               );
+              changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, { eventId: parentId, calendarId }));
             }
+          } else {
+            // Without its series the occurrence would match unrelated events
+            skip(event, 'Recurring event for this occurrence not found');
+            continue;
           }
         }
+        
+        const values = {
+          ...mapICalEvent(event, recurrenceRule, calendarTimeZone),
+          recurrence_parent_id: parentId,
+          recurrence_original_start: parentId ? event.recurrenceId : null
+        };
+        
+        // Match a previous import of the same UID (and occurrence) in this calendar
+        const [existing] = await conn.query(
+          `SELECT id FROM calendar_events
+           WHERE ical_uid = ? AND calendar_id = ? AND client_id = ? AND app_id = ?
+             AND recurrence_original_start <=> ?`,
+          [event.uid, calendarId, req.clientId, req.appId, values.recurrence_original_start]
+        );
+        
+        let eventId;
+        
+        if (existing.length > 0) {
+          eventId = existing[0].id;
+          
+          await conn.query(
+            `UPDATE calendar_events 
+             SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')}
+             WHERE id = ?`,
+            [...Object.values(values), eventId]
+          );
+          
+          summary.updated++;
+          changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, { eventId, calendarId }));
+        } else {
+          const [eventResult] = await conn.query(
+            `INSERT INTO calendar_events (
+               ${Object.keys(values).join(', ')},
+               ical_uid,
+               calendar_id,
+               created_by,
+               client_id,
+               app_id
+             ) VALUES (${Object.keys(values).map(() => '?').join(', ')}, ?, ?, ?, ?, ?)`,
+            [...Object.values(values), event.uid, calendarId, req.userId || null, req.clientId, req.appId]
+          );
+          
+          eventId = eventResult.insertId;
+          summary.created++;
+          changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_CREATED, { eventId, calendarId }));
+        }
+        
+        // The file's alarms replace any reminders from a previous import,
+        // within the same limits as the events API
+        const reminders = event.reminders
+          .filter(minutes => minutes <= MAX_REMINDER_MINUTES)
+          .slice(0, 10)
+          .map(minutes => ({ minutes }));
+        
+        await saveEventReminders(conn, req, eventId, reminders);
+        await refreshRecurrenceEnd(conn, eventId);
       }
       
       // Commit the transaction
       await conn.commit();
+      publishCalendarChanges(db, changes);
       
       return res.json({
         success: true,
-        message: 'Event created successfully',
-        data: {
-          id: eventId
-        }
+        message: 'Calendar imported successfully',
+        data: summary
       });
       
     } catch (err) {
@@ -670,445 +5597,607 @@ async function createEvent(req, res) {
     }
     
   } catch (error) {
-    console.error('Error creating event:', error);
+    console.error('Error importing calendar:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to create event',
+      message: 'Failed to import calendar',
       error: error.message
     });
   }
 }
 
 /**
- * Update an existing event
+ * Parse and validate booking page availability windows
+ * Each window is { day: 0-6 (0 = Sunday), start: 'HH:mm', end: 'HH:mm' }.
+ * Returns null when the input is invalid.
  */
-async function updateEvent(req, res) {
-  try {
-    const db = req.db;
+function normalizeAvailability(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return null;
+  }
+  
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const windows = [];
+  
+  for (const window of input) {
+    const day = parseInt(window && window.day);
     
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
+    if (isNaN(day) || day < 0 || day > 6 ||
+        !timePattern.test(window.start) || !timePattern.test(window.end) ||
+        window.end <= window.start) {
+      return null;
     }
     
-    const eventId = req.params.id;
-    const {
-      title,
-      description,
-      type,
-      startDate,
-      endDate,
-      isAllDay,
-      location,
-      reminderMinutes,
-      calendarId,
-      attendees
-    } = req.body;
-    
-    // Start a transaction
-    const conn = await db.getConnection();
-    await conn.beginTransaction();
-    
-    try {
-      // Check if event exists with tenant isolation
-      let whereClause = 'id = ?';
-      let params = [eventId];
-      
-      if (req.applyRLS) {
-        whereClause += ' AND client_id = ? AND app_id = ?';
-        params.push(req.clientId, req.appId);
-      }
-      
-      const [eventCheck] = await conn.query(
-        `SELECT id FROM calendar_events WHERE ${whereClause}`,
-        params
-      );
-      
-      if (eventCheck.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Event not found or you do not have permission to update it'
-        });
-      }
-      
-      // Update the event
-      const updateFields = [];
-      const updateParams = [];
-      
-      if (title !== undefined) {
-        updateFields.push('title = ?');
-        updateParams.push(title);
-      }
-      
-      if (description !== undefined) {
-        updateFields.push('description = ?');
-        updateParams.push(description);
-      }
-      
-      if (type !== undefined) {
-        updateFields.push('type = ?');
-        updateParams.push(type);
-      }
-      
-      if (startDate !== undefined) {
-        updateFields.push('start_date = ?');
-        updateParams.push(new Date(startDate));
-      }
-      
-      if (endDate !== undefined) {
-        updateFields.push('end_date = ?');
-        updateParams.push(endDate ? new Date(endDate) : null);
-      }
-      
-      if (isAllDay !== undefined) {
-        updateFields.push('is_all_day = ?');
-        updateParams.push(isAllDay ? 1 : 0);
-      }
-      
-      if (location !== undefined) {
-        updateFields.push('location = ?');
-        updateParams.push(location);
-      }
-      
-      if (reminderMinutes !== undefined) {
-        updateFields.push('reminder_minutes = ?');
-        updateParams.push(reminderMinutes);
-      }
-      
-      if (calendarId !== undefined) {
-        // Check if calendar exists with tenant isolation
-        const [calendarCheck] = await conn.query(
-          'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
-          [calendarId, req.clientId, req.appId]
-        );
-        
-        if (calendarCheck.length > 0) {
-          updateFields.push('calendar_id = ?');
-          updateParams.push(calendarId);
-        }
-      }
-      
-      if (updateFields.length > 0) {
-        // Apply tenant isolation in WHERE clause
-        let updateWhereClause = 'id = ?';
-        let whereParams = [eventId];
-        
-        if (req.applyRLS) {
-          updateWhereClause += ' AND client_id = ? AND app_id = ?';
-          whereParams.push(req.clientId, req.appId);
-        }
-        
-        const updateQuery = `
-          UPDATE calendar_events 
-          SET ${updateFields.join(', ')}
-          WHERE ${updateWhereClause}
-        `;
-        
-        await conn.query(updateQuery, [...updateParams, ...whereParams]);
-      }
-      
-      // Update attendees if provided
-      if (attendees !== undefined) {
-        // Remove existing attendees with tenant isolation
-        let deleteWhereClause = 'event_id = ?';
-        let deleteParams = [eventId];
-        
-        if (req.applyRLS) {
-          deleteWhereClause += ' AND client_id = ? AND app_id = ?';
-          deleteParams.push(req.clientId, req.appId);
-        }
-        
-        await conn.query(
-          `DELETE FROM event_attendees WHERE ${deleteWhereClause}`, 
-          deleteParams
-        );
-        
-        // Add new attendees
-        if (Array.isArray(attendees) && attendees.length > 0) {
-          for (const attendee of attendees) {
-            // Check if attendee is an email or a user ID
-            if (typeof attendee === 'string' && attendee.includes('@')) {
-              // Handle email - check if user exists within this tenant
-              const [userCheck] = await conn.query(
-                'SELECT id FROM app_users WHERE email = ? AND client_id = ? AND app_id = ?',
-                [attendee, req.clientId, req.appId]
-              );
-              
-              if (userCheck.length > 0) {
-                // User exists
-                await conn.query(
-                  'INSERT INTO event_attendees (event_id, user_id, client_id, app_id) VALUES (?, ?, ?, ?)',
-                  [eventId, userCheck[0].id, req.clientId, req.appId]
-                );
-              }
-            } else if (typeof attendee === 'number' || !isNaN(parseInt(attendee))) {
-              // Handle user ID - verify user belongs to this tenant
-              const [userCheck] = await conn.query(
-                'SELECT id FROM app_users WHERE id = ? AND client_id = ? AND app_id = ?',
-                [attendee, req.clientId, req.appId]
-              );
-              
-              if (userCheck.length > 0) {
-                await conn.query(
-                  'INSERT INTO event_attendees (event_id, user_id, client_id, app_id) VALUES (?, ?, ?, ?)',
-                  [eventId, attendee, req.clientId, req.appId]
-                );
-              }
-            }
-          }
-        }
-      }
-      
-      // Commit the transaction
-      await conn.commit();
-      
-      return res.json({
-        success: true,
-        message: 'Event updated successfully'
+    windows.push({ day, start: window.start, end: window.end });
+  }
+  
+  return windows;
+}
+
+/**
+ * Format a booking page row for API responses
+ */
+function formatBookingPage(page) {
+  return {
+    id: page.id,
+    slug: page.slug,
+    title: page.title,
+    description: page.description || '',
+    calendarId: page.calendar_id,
+    durationMinutes: page.duration_minutes,
+    bufferMinutes: page.buffer_minutes,
+    maxPerDay: page.max_per_day,
+    minNoticeMinutes: page.min_notice_minutes,
+    maxDaysAhead: page.max_days_ahead,
+    availability: JSON.parse(page.availability || '[]'),
+    timezone: page.timezone,
+    location: page.location || '',
+    isActive: Boolean(page.is_active),
+    createdAt: page.created_at,
+    updatedAt: page.updated_at
+  };
+}
+
+/**
+ * Compute the open slots of a booking page between two instants
+ * Honors the owner's busy time, buffers, minimum notice, booking horizon
+ * and the per-day booking limit.
+ */
+async function getBookingSlots(conn, page, rangeStart, rangeEnd) {
+  const now = Date.now();
+  const earliest = new Date(now + page.min_notice_minutes * 60 * 1000);
+  const latest = new Date(now + page.max_days_ahead * 24 * 60 * 60 * 1000);
+  const start = rangeStart < earliest ? earliest : rangeStart;
+  const end = rangeEnd > latest ? latest : rangeEnd;
+  
+  if (end <= start) {
+    return [];
+  }
+  
+  // Booking pages carry their own tenant, so scope queries to it
+  const pageReq = { applyRLS: true, clientId: page.client_id, appId: page.app_id };
+  
+  const windows = JSON.parse(page.availability || '[]')
+    .flatMap(w => buildWorkingWindows(start, end, page.timezone, w.start, w.end, [w.day]))
+    .sort((a, b) => a.start - b.start);
+  
+  const bufferMs = page.buffer_minutes * 60 * 1000;
+  const busyByUser = await loadBusyIntervals(
+    conn,
+    pageReq,
+    [page.owner_id],
+    new Date(start.getTime() - bufferMs),
+    new Date(end.getTime() + bufferMs)
+  );
+  
+  let slots = findOpenSlots(
+    windows,
+    busyByUser[page.owner_id],
+    page.duration_minutes,
+    page.buffer_minutes,
+    Math.min(page.duration_minutes, SLOT_DEFAULTS.STEP_MINUTES)
+  ).sort((a, b) => a.start - b.start);
+  
+  // Drop days that already reached the booking limit
+  if (page.max_per_day) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const [bookings] = await conn.query(
+      `SELECT start_date FROM calendar_events 
+       WHERE booking_page_id = ? AND client_id = ? AND app_id = ?
+       AND start_date >= ? AND start_date < ?`,
+      [page.id, page.client_id, page.app_id, new Date(start.getTime() - dayMs), new Date(end.getTime() + dayMs)]
+    );
+    
+    const perDay = {};
+    bookings.forEach(b => {
+      const day = formatWallClock(b.start_date, page.timezone).substring(0, 10);
+      perDay[day] = (perDay[day] || 0) + 1;
+    });
+    
+    slots = slots.filter(slot => {
+      const day = formatWallClock(slot.start, page.timezone).substring(0, 10);
+      return (perDay[day] || 0) < page.max_per_day;
+    });
+  }
+  
+  return slots.map(slot => ({ start: slot.start, end: slot.end }));
+}
+
+/**
+ * List the current user's booking pages
+ */
+async function getBookingPages(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
       });
-      
-    } catch (err) {
-      // Rollback in case of error
-      await conn.rollback();
-      throw err;
-    } finally {
-      conn.release();
     }
     
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const [pages] = await db.query(
+      `SELECT * FROM booking_pages
+       WHERE owner_id = ? AND client_id = ? AND app_id = ?
+       ORDER BY created_at DESC`,
+      [req.userId, req.clientId, req.appId]
+    );
+    
+    return res.json({
+      success: true,
+      bookingPages: pages.map(formatBookingPage)
+    });
+    
   } catch (error) {
-    console.error('Error updating event:', error);
+    console.error('Error fetching booking pages:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to update event',
+      message: 'Failed to fetch booking pages',
       error: error.message
     });
   }
 }
 
 /**
- * Delete an event
+ * Create a booking page for customer self-scheduling
  */
-async function deleteEvent(req, res) {
+async function createBookingPage(req, res) {
   try {
     const db = req.db;
-    const eventId = req.params.id;
     
-    // Apply tenant isolation in WHERE clause
-    let whereClause = 'id = ?';
-    let params = [eventId];
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
     
-    if (req.applyRLS) {
-      whereClause += ' AND client_id = ? AND app_id = ?';
-      params.push(req.clientId, req.appId);
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
     }
     
-    // Check if event exists
-    const [eventCheck] = await db.query(
-      `SELECT id FROM calendar_events WHERE ${whereClause}`,
-      params
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const {
+      slug,
+      title,
+      description,
+      calendarId,
+      durationMinutes,
+      bufferMinutes,
+      maxPerDay,
+      minNoticeMinutes,
+      maxDaysAhead,
+      availability,
+      timezone,
+      location
+    } = req.body;
+    
+    const windows = normalizeAvailability(availability);
+    
+    if (!windows) {
+      return res.status(400).json({
+        success: false,
+        message: 'Availability must be a list of { day, start, end } windows'
+      });
+    }
+    
+    // The target calendar must belong to this tenant
+    const [calendarCheck] = await db.query(
+      'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+      [calendarId, req.clientId, req.appId]
     );
     
-    if (eventCheck.length === 0) {
-      return res.status(404).json({
+    if (calendarCheck.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Event not found or you do not have permission to delete it'
+        message: 'Calendar not found'
       });
     }
     
-    // Delete the event with tenant isolation
-    // Note: event_attendees will be deleted via ON DELETE CASCADE constraint
-    await db.query(
-      `DELETE FROM calendar_events WHERE ${whereClause}`,
-      params
+    const access = await loadCalendarAccess(db, req);
+    
+    if (!hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.WRITE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add events to this calendar'
+      });
+    }
+    
+    const [slugCheck] = await db.query(
+      'SELECT id FROM booking_pages WHERE slug = ? AND app_id = ?',
+      [slug, req.appId]
+    );
+    
+    if (slugCheck.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking link is already in use'
+      });
+    }
+    
+    const pageTimeZone = await resolveEventTimeZone(db, req, calendarId, timezone);
+    
+    const [result] = await db.query(
+      `INSERT INTO booking_pages (
+         slug,
+         title,
+         description,
+         owner_id,
+         calendar_id,
+         duration_minutes,
+         buffer_minutes,
+         max_per_day,
+         min_notice_minutes,
+         max_days_ahead,
+         availability,
+         timezone,
+         location,
+         client_id,
+         app_id
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        slug,
+        title,
+        description || null,
+        req.userId,
+        calendarId,
+        durationMinutes,
+        bufferMinutes || 0,
+        maxPerDay || null,
+        minNoticeMinutes || 0,
+        maxDaysAhead || 60,
+        JSON.stringify(windows),
+        pageTimeZone,
+        location || null,
+        req.clientId,
+        req.appId
+      ]
     );
     
     return res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: 'Booking page created successfully',
+      data: {
+        id: result.insertId,
+        slug
+      }
     });
     
   } catch (error) {
-    console.error('Error deleting event:', error);
+    console.error('Error creating booking page:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete event',
+      message: 'Failed to create booking page',
       error: error.message
     });
   }
 }
 
 /**
- * Get all calendars
+ * Update one of the current user's booking pages
  */
-async function getCalendars(req, res) {
+async function updateBookingPage(req, res) {
   try {
     const db = req.db;
     
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
     // Ensure tables exist
     await ensureCalendarTables(db);
     
-    // Initialize default calendars if needed
-    if (req.applyRLS) {
-      await initDefaultCalendars(db, req.clientId, req.appId);
+    const pageId = req.params.id;
+    
+    const [pageCheck] = await db.query(
+      'SELECT id FROM booking_pages WHERE id = ? AND owner_id = ? AND client_id = ? AND app_id = ?',
+      [pageId, req.userId, req.clientId, req.appId]
+    );
+    
+    if (pageCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking page not found'
+      });
     }
     
-    // Apply tenant isolation in WHERE clause
-    let whereClause = '1=1';
-    let params = [];
+    const {
+      slug,
+      title,
+      description,
+      calendarId,
+      durationMinutes,
+      bufferMinutes,
+      maxPerDay,
+      minNoticeMinutes,
+      maxDaysAhead,
+      availability,
+      timezone,
+      location,
+      isActive
+    } = req.body;
     
-    if (req.applyRLS) {
-      whereClause = 'client_id = ? AND app_id = ?';
-      params = [req.clientId, req.appId];
+    // Build update query
+    const updateFields = [];
+    const updateParams = [];
+    
+    if (slug !== undefined) {
+      const [slugCheck] = await db.query(
+        'SELECT id FROM booking_pages WHERE slug = ? AND app_id = ? AND id <> ?',
+        [slug, req.appId, pageId]
+      );
+      
+      if (slugCheck.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This booking link is already in use'
+        });
+      }
+      
+      updateFields.push('slug = ?');
+      updateParams.push(slug);
     }
     
-    // Get user's calendar preferences with tenant isolation
-    let prefWhereClause = 'user_id = ?';
-    let prefParams = [req.userId || 0];
+    if (calendarId !== undefined) {
+      const [calendarCheck] = await db.query(
+        'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
+        [calendarId, req.clientId, req.appId]
+      );
+      
+      if (calendarCheck.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Calendar not found'
+        });
+      }
+      
+      const access = await loadCalendarAccess(db, req);
+      
+      if (!hasCalendarAccess(access, calendarId, CALENDAR_ACCESS.WRITE)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add events to this calendar'
+        });
+      }
+      
+      updateFields.push('calendar_id = ?');
+      updateParams.push(calendarId);
+    }
     
-    if (req.applyRLS) {
-      prefWhereClause += ' AND client_id = ? AND app_id = ?';
-      prefParams.push(req.clientId, req.appId);
+    if (availability !== undefined) {
+      const windows = normalizeAvailability(availability);
+      
+      if (!windows) {
+        return res.status(400).json({
+          success: false,
+          message: 'Availability must be a list of { day, start, end } windows'
+        });
+      }
+      
+      updateFields.push('availability = ?');
+      updateParams.push(JSON.stringify(windows));
     }
     
-    const [preferences] = await db.query(
-      `SELECT calendar_id, active 
-       FROM user_calendar_preferences 
-       WHERE ${prefWhereClause}`,
-      prefParams
-    );
+    const simpleFields = {
+      title,
+      description,
+      duration_minutes: durationMinutes,
+      buffer_minutes: bufferMinutes,
+      max_per_day: maxPerDay,
+      min_notice_minutes: minNoticeMinutes,
+      max_days_ahead: maxDaysAhead,
+      timezone,
+      location
+    };
     
-    // Create a map of calendar preferences
-    const preferenceMap = {};
-    preferences.forEach(pref => {
-      preferenceMap[pref.calendar_id] = Boolean(pref.active);
+    Object.entries(simpleFields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        updateFields.push(`${column} = ?`);
+        updateParams.push(value);
+      }
     });
     
-    // Get all calendars with tenant isolation
-    const [calendars] = await db.query(
-      `SELECT 
-         id, 
-         name, 
-         color,
-         owner_id,
-         is_default
-       FROM calendars
-       WHERE ${whereClause}
-       ORDER BY is_default DESC, name ASC`,
-      params
-    );
+    if (isActive !== undefined) {
+      updateFields.push('is_active = ?');
+      updateParams.push(isActive ? 1 : 0);
+    }
     
-    // Format the calendars data
-    const formattedCalendars = calendars.map(calendar => ({
-      id: calendar.id,
-      name: calendar.name,
-      color: calendar.color,
-      ownerId: calendar.owner_id,
-      isDefault: Boolean(calendar.is_default),
-      active: preferenceMap[calendar.id] !== undefined 
-        ? preferenceMap[calendar.id] 
-        : true // Default to active if no preference
-    }));
+    if (updateFields.length > 0) {
+      await db.query(
+        `UPDATE booking_pages SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateParams, pageId]
+      );
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Booking page updated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error updating booking page:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update booking page',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete one of the current user's booking pages
+ * Events already booked through it are kept
+ */
+async function deleteBookingPage(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const [result] = await db.query(
+      'DELETE FROM booking_pages WHERE id = ? AND owner_id = ? AND client_id = ? AND app_id = ?',
+      [req.params.id, req.userId, req.clientId, req.appId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking page not found'
+      });
+    }
     
     return res.json({
       success: true,
-      calendars: formattedCalendars
+      message: 'Booking page deleted successfully'
     });
     
   } catch (error) {
-    console.error('Error fetching calendars:', error);
+    console.error('Error deleting booking page:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to fetch calendars',
+      message: 'Failed to delete booking page',
       error: error.message
     });
   }
 }
 
 /**
- * Create a new calendar
+ * Load an active booking page by slug for the public routes
  */
-async function createCalendar(req, res) {
+async function findPublicBookingPage(db, req) {
+  const [pages] = await db.query(
+    `SELECT p.*, u.name as owner_name
+     FROM booking_pages p
+     JOIN app_users u ON p.owner_id = u.id
+     WHERE p.slug = ? AND p.app_id = ? AND p.is_active = 1`,
+    [req.params.slug, req.appId]
+  );
+  
+  return pages.length > 0 ? pages[0] : null;
+}
+
+/**
+ * Get a public booking page with its open slots (no authentication)
+ */
+async function getPublicBookingPage(req, res) {
   try {
     const db = req.db;
     
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const page = await findPublicBookingPage(db, req);
+    
+    if (!page) {
+      return res.status(404).json({
         success: false,
-        errors: errors.array()
+        message: 'Booking page not found'
       });
     }
     
-    // Ensure tables exist
-    await ensureCalendarTables(db);
+    const viewerTimeZone = isValidTimeZone(req.query.tz) ? req.query.tz : page.timezone;
     
-    const { name, color } = req.body;
+    // Default to the next two weeks
+    const start = (req.query.start && parseDateInput(req.query.start, viewerTimeZone)) || new Date();
+    const end = (req.query.end && parseDateInput(req.query.end, viewerTimeZone)) ||
+      new Date(start.getTime() + 14 * 24 * 60 * 60 * 1000);
     
-    // Validate required fields
-    if (!name) {
+    if (end <= start || end - start > MAX_FREEBUSY_DAYS * 24 * 60 * 60 * 1000) {
       return res.status(400).json({
         success: false,
-        message: 'Calendar name is required'
+        message: `Range must be positive and at most ${MAX_FREEBUSY_DAYS} days`
       });
     }
     
-    // Generate a unique ID with tenant prefix - FIX: Keep the ID short
-    const appIdClean = req.appId ? req.appId.replace(/[^a-zA-Z0-9]/g, '') : 'default';
-    // Take just the first 12 chars of the cleaned app ID
-    const appIdShort = appIdClean.substring(0, 12);
-    const calendarId = `cal_${req.clientId || '0'}_${appIdShort}_${Math.floor(Math.random() * 10000)}`;
-    
-    // Insert the new calendar with tenant isolation
-    await db.query(
-      `INSERT INTO calendars (
-         id,
-         name,
-         color,
-         owner_id,
-         is_default,
-         client_id,
-         app_id
-       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        calendarId,
-        name,
-        color || '#4361ee', // Default to blue if no color specified
-        req.userId || null,
-        0, // Not a default calendar
-        req.clientId,
-        req.appId
-      ]
-    );
+    const slots = await getBookingSlots(db, page, start, end);
     
     return res.json({
       success: true,
-      message: 'Calendar created successfully',
-      data: {
-        id: calendarId,
-        name,
-        color: color || '#4361ee'
-      }
+      bookingPage: {
+        slug: page.slug,
+        title: page.title,
+        description: page.description || '',
+        durationMinutes: page.duration_minutes,
+        location: page.location || '',
+        timezone: page.timezone,
+        host: page.owner_name
+      },
+      timezone: viewerTimeZone,
+      slots: slots.map(slot => ({
+        start: slot.start,
+        end: slot.end,
+        startLocal: formatWallClock(slot.start, viewerTimeZone),
+        endLocal: formatWallClock(slot.end, viewerTimeZone)
+      }))
     });
     
   } catch (error) {
-    console.error('Error creating calendar:', error);
+    console.error('Error fetching booking page:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to create calendar',
+      message: 'Failed to fetch booking page',
       error: error.message
     });
   }
 }
 
 /**
- * Update a calendar
+ * Book a slot on a public booking page (no authentication)
+ * The owner's booking pages are locked for the duration of the transaction so
+ * concurrent requests cannot take the same time.
  */
-async function updateCalendar(req, res) {
+async function createBooking(req, res) {
   try {
     const db = req.db;
     
@@ -1121,292 +6210,675 @@ async function updateCalendar(req, res) {
       });
     }
     
-    const calendarId = req.params.id;
-    const { name, color } = req.body;
+    // Ensure tables exist
+    await ensureCalendarTables(db);
     
-    // Apply tenant isolation in WHERE clause
-    let whereClause = 'id = ?';
-    let params = [calendarId];
+    const page = await findPublicBookingPage(db, req);
     
-    if (req.applyRLS) {
-      whereClause += ' AND client_id = ? AND app_id = ?';
-      params.push(req.clientId, req.appId);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking page not found'
+      });
     }
     
-    // Check if calendar exists
-    const [calendarCheck] = await db.query(
-      `SELECT id, is_default FROM calendars WHERE ${whereClause}`,
-      params
-    );
+    const { name, email, notes } = req.body;
+    const start = parseDateInput(req.body.start, page.timezone);
     
-    if (calendarCheck.length === 0) {
-      return res.status(404).json({
+    if (!start) {
+      return res.status(400).json({
         success: false,
-        message: 'Calendar not found or you do not have permission to update it'
+        message: 'Invalid start time'
       });
     }
     
-    // Prevent modification of default calendars
-    if (calendarCheck[0].is_default) {
-      return res.status(403).json({
-        success: false,
-        message: 'Default calendars cannot be modified'
+    const end = new Date(start.getTime() + page.duration_minutes * 60 * 1000);
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      // Serialize bookings for this owner across all of their pages
+      await conn.query(
+        'SELECT id FROM booking_pages WHERE owner_id = ? AND client_id = ? AND app_id = ? FOR UPDATE',
+        [page.owner_id, page.client_id, page.app_id]
+      );
+      
+      // Re-check availability now that no other booking can interleave
+      const slots = await getBookingSlots(conn, page, start, end);
+      const isOpen = slots.some(slot => slot.start.getTime() === start.getTime());
+      
+      if (!isOpen) {
+        await conn.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'This time is no longer available'
+        });
+      }
+      
+      const [eventResult] = await conn.query(
+        `INSERT INTO calendar_events (
+           title,
+           description,
+           type,
+           start_date,
+           end_date,
+           is_all_day,
+           location,
+           calendar_id,
+           timezone,
+           booking_page_id,
+           created_by,
+           client_id,
+           app_id
+         ) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `${page.title}: ${name}`,
+          notes || null,
+          EVENT_TYPES.MEETING,
+          start,
+          end,
+          page.location || null,
+          page.calendar_id,
+          page.timezone,
+          page.id,
+          page.owner_id,
+          page.client_id,
+          page.app_id
+        ]
+      );
+      
+      const eventId = eventResult.insertId;
+      
+      // The booker is an external attendee who has already accepted
+      const pageReq = { applyRLS: true, clientId: page.client_id, appId: page.app_id };
+      const [attendeeRowId] = await saveEventAttendees(conn, pageReq, eventId, [{ email, name }]);
+      
+      if (attendeeRowId) {
+        await conn.query(
+          'UPDATE event_attendees SET status = ?, responded_at = ? WHERE id = ?',
+          [ATTENDEE_STATUSES.ACCEPTED, new Date(), attendeeRowId]
+        );
+      }
+      
+      const change = await recordCalendarChange(conn, pageReq, CHANGE_TYPES.EVENT_CREATED, {
+        eventId,
+        calendarId: page.calendar_id
+      });
+      
+      // Commit the transaction
+      await conn.commit();
+      publishCalendarChanges(db, [change]);
+      
+      return res.json({
+        success: true,
+        message: 'Booking confirmed',
+        data: {
+          id: eventId,
+          start,
+          end,
+          startLocal: formatWallClock(start, page.timezone),
+          endLocal: formatWallClock(end, page.timezone),
+          timezone: page.timezone
+        }
       });
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
     }
     
-    // Build update query
-    const updateFields = [];
-    const updateParams = [];
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create booking',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Claim a reminder delivery so it is sent at most once
+ * Failed deliveries, and ones stuck in "sending" for REMINDER_SENDING_TIMEOUT_MINUTES,
+ * can be claimed again until MAX_REMINDER_ATTEMPTS is reached.
+ * Returns the delivery ID, or null if it was already sent or is in progress.
+ */
+async function claimReminderDelivery(db, event, occurrenceStart, minutesBefore, channel, recipientKey) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - REMINDER_SENDING_TIMEOUT_MINUTES * 60 * 1000);
+  
+  const [result] = await db.query(
+    `INSERT IGNORE INTO event_reminder_deliveries 
+       (event_id, occurrence_start, minutes_before, channel, recipient, status, claimed_at, client_id, app_id)
+     VALUES (?, ?, ?, ?, ?, 'sending', ?, ?, ?)`,
+    [event.id, occurrenceStart, minutesBefore, channel, recipientKey, now, event.client_id, event.app_id]
+  );
+  
+  if (result.affectedRows > 0) {
+    return result.insertId;
+  }
+  
+  // Rows from before claimed_at existed count as stale
+  const [existing] = await db.query(
+    `SELECT id FROM event_reminder_deliveries 
+     WHERE event_id = ? AND occurrence_start = ? AND minutes_before = ? AND channel = ? AND recipient = ?
+     AND (status = 'failed' OR (status = 'sending' AND (claimed_at IS NULL OR claimed_at < ?)))
+     AND attempts < ?`,
+    [event.id, occurrenceStart, minutesBefore, channel, recipientKey, staleBefore, MAX_REMINDER_ATTEMPTS]
+  );
+  
+  if (existing.length === 0) {
+    return null;
+  }
+  
+  const [retry] = await db.query(
+    `UPDATE event_reminder_deliveries 
+     SET status = 'sending', attempts = attempts + 1, claimed_at = ?
+     WHERE id = ? AND (status = 'failed' OR (status = 'sending' AND (claimed_at IS NULL OR claimed_at < ?)))`,
+    [now, existing[0].id, staleBefore]
+  );
+  
+  return retry.affectedRows > 0 ? existing[0].id : null;
+}
+
+/**
+ * Load the people to remind for an event: the organizer and every attendee who has not declined
+ */
+async function loadReminderRecipients(db, event) {
+  const [rows] = await db.query(
+    `SELECT ea.user_id, COALESCE(u.name, ea.name) as name, COALESCE(u.email, ea.email) as email
+     FROM event_attendees ea
+     LEFT JOIN app_users u ON ea.user_id = u.id
+     WHERE ea.event_id = ? AND ea.status <> ?
+       AND (ea.user_id IS NULL OR u.id IS NOT NULL)`,
+    [event.id, ATTENDEE_STATUSES.DECLINED]
+  );
+  
+  const recipients = rows.map(r => ({ userId: r.user_id, name: r.name, email: r.email }));
+  
+  if (event.created_by && !recipients.some(r => r.userId === event.created_by)) {
+    const [organizer] = await db.query(
+      'SELECT id, name, email FROM app_users WHERE id = ?',
+      [event.created_by]
+    );
     
-    if (name !== undefined) {
-      updateFields.push('name = ?');
-      updateParams.push(name);
+    if (organizer.length > 0) {
+      recipients.push({ userId: organizer[0].id, name: organizer[0].name, email: organizer[0].email });
+    }
+  }
+  
+  return recipients;
+}
+
+/**
+ * Send every reminder that fell due since the last run
+ * Reminders are due once (occurrence start - minutes) has passed, up to
+ * REMINDER_LOOKBACK_MINUTES late. Recurring series are expanded and each
+ * recipient gets each reminder once per channel. Returns delivery counts.
+ */
+async function processDueReminders(db, now = new Date()) {
+  await ensureCalendarTables(db);
+  
+  const windowStart = new Date(now.getTime() - REMINDER_LOOKBACK_MINUTES * 60 * 1000);
+  const horizon = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60 * 1000);
+  const counts = { sent: 0, failed: 0 };
+  
+  const [events] = await db.query(
+    `SELECT e.*
+     FROM calendar_events e
+     WHERE (e.reminder_minutes IS NOT NULL OR EXISTS (SELECT 1 FROM event_reminders r WHERE r.event_id = e.id))
+       AND (
+         (e.recurrence_rule IS NULL AND e.start_date >= ? AND e.start_date <= ?)
+         OR (e.recurrence_rule IS NOT NULL AND e.start_date <= ? AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?))
+       )`,
+    [windowStart, horizon, horizon, windowStart]
+  );
+  
+  if (events.length === 0) {
+    return counts;
+  }
+  
+  const eventIds = events.map(e => e.id);
+  const [reminderRows] = await db.query(
+    `SELECT event_id, minutes_before, channel FROM event_reminders 
+     WHERE event_id IN (${eventIds.map(() => '?').join(',')})`,
+    eventIds
+  );
+  
+  const remindersByEvent = {};
+  reminderRows.forEach(r => {
+    remindersByEvent[r.event_id] = remindersByEvent[r.event_id] || [];
+    remindersByEvent[r.event_id].push({ minutes: r.minutes_before, channel: r.channel });
+  });
+  
+  for (const event of events) {
+    // Events from before multiple reminders only have reminder_minutes
+    const reminders = remindersByEvent[event.id] ||
+      (event.reminder_minutes !== null ? [{ minutes: event.reminder_minutes, channel: null }] : []);
+    
+    const occurrences = event.recurrence_rule
+      ? expandOccurrences(event, windowStart, horizon).map(o => o.start)
+      : [new Date(event.start_date)];
+    
+    const due = [];
+    
+    occurrences.forEach(occurrenceStart => {
+      reminders.forEach(reminder => {
+        const fireAt = occurrenceStart.getTime() - reminder.minutes * 60 * 1000;
+        
+        if (fireAt <= now.getTime() && fireAt > windowStart.getTime()) {
+          due.push({ occurrenceStart, reminder });
+        }
+      });
+    });
+    
+    if (due.length === 0) {
+      continue;
     }
     
-    if (color !== undefined) {
-      updateFields.push('color = ?');
-      updateParams.push(color);
+    const recipients = await loadReminderRecipients(db, event);
+    
+    for (const { occurrenceStart, reminder } of due) {
+      const channelNames = reminder.channel ? [reminder.channel] : DEFAULT_REMINDER_CHANNELS;
+      
+      for (const channelName of channelNames) {
+        const channel = getReminderChannel(channelName);
+        
+        if (!channel) {
+          continue;
+        }
+        
+        for (const recipient of recipients) {
+          if (channel.supports && !channel.supports(recipient)) {
+            continue;
+          }
+          
+          const recipientKey = recipient.userId ? `user:${recipient.userId}` : `email:${recipient.email}`;
+          const deliveryId = await claimReminderDelivery(db, event, occurrenceStart, reminder.minutes, channelName, recipientKey);
+          
+          if (!deliveryId) {
+            continue;
+          }
+          
+          try {
+            await channel.send({ db, event, occurrenceStart, minutesBefore: reminder.minutes, recipient });
+            
+            await db.query(
+              'UPDATE event_reminder_deliveries SET status = ?, sent_at = ?, last_error = NULL WHERE id = ?',
+              ['sent', new Date(), deliveryId]
+            );
+            counts.sent++;
+          } catch (error) {
+            console.error(`Error sending ${channelName} reminder for event ${event.id}:`, error);
+            
+            await db.query(
+              'UPDATE event_reminder_deliveries SET status = ?, last_error = ? WHERE id = ?',
+              ['failed', error.message, deliveryId]
+            );
+            counts.failed++;
+          }
+        }
+      }
+    }
+  }
+  
+  return counts;
+}
+
+/**
+ * Start the reminder scheduler
+ * options: { intervalMs, smtp: { host, port, secure, auth, from }, webhook: { url, secret } }
+ * The in-app channel is always available; email and webhook are enabled when configured.
+ * Returns a function that stops the scheduler.
+ */
+function startReminderScheduler(db, options = {}) {
+  registerReminderChannel(REMINDER_CHANNELS.IN_APP, createInAppChannel());
+  
+  if (options.smtp) {
+    registerReminderChannel(REMINDER_CHANNELS.EMAIL, createEmailChannel(options.smtp));
+  }
+  
+  if (options.webhook && options.webhook.url) {
+    registerReminderChannel(REMINDER_CHANNELS.WEBHOOK, createWebhookChannel(options.webhook));
+  }
+  
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+    
+    running = true;
+    
+    try {
+      const counts = await processDueReminders(db);
+      
+      if (counts.sent > 0 || counts.failed > 0) {
+        console.log(`Calendar reminders: ${counts.sent} sent, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error processing calendar reminders:', error);
+    } finally {
+      running = false;
     }
+  };
+  
+  const timer = setInterval(tick, options.intervalMs || REMINDER_INTERVAL_MS);
+  
+  if (timer.unref) {
+    timer.unref();
+  }
+  
+  console.log('Calendar reminder scheduler started');
+  
+  return () => clearInterval(timer);
+}
+
+/**
+ * List the current user's in-app notifications
+ */
+async function getNotifications(req, res) {
+  try {
+    const db = req.db;
     
-    if (updateFields.length === 0) {
-      return res.status(400).json({
+    if (!req.userId) {
+      return res.status(401).json({
         success: false,
-        message: 'No fields to update'
+        message: 'Authentication required'
       });
     }
     
-    // Update the calendar with tenant isolation
-    await db.query(
-      `UPDATE calendars 
-       SET ${updateFields.join(', ')} 
-       WHERE ${whereClause}`,
-      [...updateParams, ...params]
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let whereClause = 'user_id = ? AND client_id = ? AND app_id = ?';
+    let params = [req.userId, req.clientId, req.appId];
+    
+    if (req.query.unread === 'true') {
+      whereClause += ' AND read_at IS NULL';
+    }
+    
+    const [notifications] = await db.query(
+      `SELECT id, event_id, occurrence_start, title, message, read_at, created_at
+       FROM calendar_notifications
+       WHERE ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [...params, limit]
     );
     
     return res.json({
       success: true,
-      message: 'Calendar updated successfully'
+      notifications: notifications.map(n => ({
+        id: n.id,
+        eventId: n.event_id,
+        occurrenceStart: n.occurrence_start,
+        title: n.title,
+        message: n.message,
+        readAt: n.read_at,
+        createdAt: n.created_at
+      }))
     });
     
   } catch (error) {
-    console.error('Error updating calendar:', error);
+    console.error('Error fetching notifications:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to update calendar',
+      message: 'Failed to fetch notifications',
       error: error.message
     });
   }
 }
 
 /**
- * Delete a calendar
+ * Mark one of the current user's notifications as read
  */
-async function deleteCalendar(req, res) {
+async function markNotificationRead(req, res) {
   try {
     const db = req.db;
-    const calendarId = req.params.id;
-    
-    // Apply tenant isolation in WHERE clause
-    let whereClause = 'id = ?';
-    let params = [calendarId];
     
-    if (req.applyRLS) {
-      whereClause += ' AND client_id = ? AND app_id = ?';
-      params.push(req.clientId, req.appId);
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
     }
     
-    // Check if calendar exists
-    const [calendarCheck] = await db.query(
-      `SELECT id, is_default FROM calendars WHERE ${whereClause}`,
-      params
+    const [result] = await db.query(
+      `UPDATE calendar_notifications 
+       SET read_at = COALESCE(read_at, ?) 
+       WHERE id = ? AND user_id = ? AND client_id = ? AND app_id = ?`,
+      [new Date(), req.params.id, req.userId, req.clientId, req.appId]
     );
     
-    if (calendarCheck.length === 0) {
+    if (result.affectedRows === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Calendar not found or you do not have permission to delete it'
-      });
-    }
-    
-    // Prevent deletion of default calendars
-    if (calendarCheck[0].is_default) {
-      return res.status(403).json({
-        success: false,
-        message: 'Default calendars cannot be deleted'
+        message: 'Notification not found'
       });
     }
     
-    // Start a transaction
-    const conn = await db.getConnection();
-    await conn.beginTransaction();
-    
-    try {
-      // Find default work calendar to move events to
-      const appIdClean = req.appId.replace(/[^a-zA-Z0-9]/g, '');
-      const defaultCalendarId = `cal_${req.clientId}_${appIdClean}_work`;
-      
-      // Move events to default 'work' calendar
-      let updateWhereClause = 'calendar_id = ?';
-      let updateParams = [calendarId];
-      
-      if (req.applyRLS) {
-        updateWhereClause += ' AND client_id = ? AND app_id = ?';
-        updateParams.push(req.clientId, req.appId);
-      }
-      
-      await conn.query(
-        `UPDATE calendar_events 
-         SET calendar_id = ? 
-         WHERE ${updateWhereClause}`,
-        [defaultCalendarId, ...updateParams]
-      );
-      
-      // Delete calendar preferences
-      let prefWhereClause = 'calendar_id = ?';
-      let prefParams = [calendarId];
-      
-      if (req.applyRLS) {
-        prefWhereClause += ' AND client_id = ? AND app_id = ?';
-        prefParams.push(req.clientId, req.appId);
-      }
-      
-      await conn.query(
-        `DELETE FROM user_calendar_preferences 
-         WHERE ${prefWhereClause}`,
-        prefParams
-      );
-      
-      // Delete the calendar with tenant isolation
-      await conn.query(
-        `DELETE FROM calendars WHERE ${whereClause}`,
-        params
-      );
-      
-      // Commit the transaction
-      await conn.commit();
-      
-      return res.json({
-        success: true,
-        message: 'Calendar deleted successfully'
-      });
-      
-    } catch (err) {
-      // Rollback in case of error
-      await conn.rollback();
-      throw err;
-    } finally {
-      conn.release();
-    }
+    return res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
     
   } catch (error) {
-    console.error('Error deleting calendar:', error);
+    console.error('Error updating notification:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete calendar',
+      message: 'Failed to update notification',
       error: error.message
     });
   }
 }
 
 /**
- * Save calendar preferences
+ * Load the IDs of calendars a stream delivers changes for
+ * These are the calendars the user can see and has not switched off.
  */
-async function savePreferences(req, res) {
+async function loadStreamCalendars(db, req) {
+  const [calendars] = await db.query(
+    'SELECT id FROM calendars WHERE client_id = ? AND app_id = ?',
+    [req.clientId, req.appId]
+  );
+  
+  const [inactive] = await db.query(
+    `SELECT calendar_id
+     FROM user_calendar_preferences
+     WHERE user_id = ? AND client_id = ? AND app_id = ? AND active = 0`,
+    [req.userId || 0, req.clientId, req.appId]
+  );
+  
+  const inactiveIds = new Set(inactive.map(pref => pref.calendar_id));
+  const access = await loadCalendarAccess(db, req);
+  
+  return new Set(
+    calendars
+      .map(calendar => calendar.id)
+      .filter(id => !inactiveIds.has(id) && hasCalendarAccess(access, id, CALENDAR_ACCESS.FREE_BUSY))
+  );
+}
+
+/**
+ * Stream calendar changes as server-sent events
+ * Messages only carry IDs so clients refetch what changed through the regular
+ * endpoints, which apply sharing and visibility rules. Reconnecting clients
+ * send Last-Event-ID to replay what they missed; when that is no longer
+ * possible a reset event tells them to reload instead.
+ */
+async function streamCalendarChanges(req, res) {
+  let heartbeat = null;
+  let onChange = null;
+  let closed = false;
+  
+  // Registered first so a client leaving during setup still cleans up
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    
+    if (onChange) {
+      calendarChanges.off('change', onChange);
+    }
+  });
+  
+  const isClosed = () => closed || req.destroyed || res.writableEnded;
+  
   try {
     const db = req.db;
     
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
+    // Ensure tables exist
+    await ensureCalendarTables(db);
+    await pruneCalendarChanges(db);
     
-    const { preferences } = req.body;
-    const userId = req.userId;
+    let calendarIds = await loadStreamCalendars(db, req);
     
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
+    if (isClosed()) {
+      return;
     }
     
-    if (!preferences || !Array.isArray(preferences)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid preferences format'
-      });
-    }
+    let lastSentId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+    let replaying = true;
+    let queue = Promise.resolve();
+    const pending = [];
     
-    // Ensure tables exist
-    await ensureCalendarTables(db);
+    const isTenantChange = change =>
+      String(change.clientId) === String(req.clientId) && change.appId === req.appId;
     
-    // Start a transaction
-    const conn = await db.getConnection();
-    await conn.beginTransaction();
+    const write = (id, type, data) => {
+      if (!isClosed()) {
+        res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
     
-    try {
-      // Delete existing preferences with tenant isolation
-      let whereClause = 'user_id = ?';
-      let params = [userId];
-      
-      if (req.applyRLS) {
-        whereClause += ' AND client_id = ? AND app_id = ?';
-        params.push(req.clientId, req.appId);
+    const deliver = async change => {
+      if (isClosed() || change.id <= lastSentId) {
+        return;
       }
       
-      await conn.query(
-        `DELETE FROM user_calendar_preferences 
-         WHERE ${whereClause}`,
-        params
-      );
+      let isVisible = calendarIds.has(change.calendarId) || calendarIds.has(change.previousCalendarId);
       
-      // Insert new preferences with tenant isolation
-      for (const pref of preferences) {
-        // Verify this calendar belongs to this tenant
-        if (req.applyRLS) {
-          const [calendarCheck] = await conn.query(
-            'SELECT id FROM calendars WHERE id = ? AND client_id = ? AND app_id = ?',
-            [pref.calendarId, req.clientId, req.appId]
-          );
-          
-          if (calendarCheck.length === 0) {
-            continue; // Skip calendars that don't belong to this tenant
-          }
-        }
-        
-        await conn.query(
-          `INSERT INTO user_calendar_preferences 
-           (user_id, calendar_id, active, client_id, app_id) 
-           VALUES (?, ?, ?, ?, ?)`,
-          [userId, pref.calendarId, pref.active ? 1 : 0, req.clientId, req.appId]
-        );
+      // Calendar changes can add or remove calendars from the stream
+      if (change.type.startsWith('calendar.')) {
+        calendarIds = await loadStreamCalendars(db, req);
+        isVisible = isVisible || calendarIds.has(change.calendarId);
       }
       
-      // Commit the transaction
-      await conn.commit();
+      lastSentId = change.id;
       
-      return res.json({
-        success: true,
-        message: 'Calendar preferences saved'
+      if (isVisible) {
+        write(change.id, change.type, {
+          id: change.id,
+          type: change.type,
+          eventId: change.eventId,
+          calendarId: change.calendarId,
+          previousCalendarId: change.previousCalendarId,
+          occurredAt: change.occurredAt
+        });
+      }
+    };
+    
+    const enqueue = change => {
+      queue = queue.then(() => deliver(change)).catch(error => {
+        console.error('Error streaming calendar change:', error);
       });
+    };
+    
+    // Listen before replaying so nothing committed in between is missed
+    onChange = change => {
+      if (!isTenantChange(change)) {
+        return;
+      }
       
-    } catch (err) {
-      // Rollback in case of error
-      await conn.rollback();
-      throw err;
-    } finally {
-      conn.release();
+      if (replaying) {
+        pending.push(change);
+      } else {
+        enqueue(change);
+      }
+    };
+    
+    calendarChanges.on('change', onChange);
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    if (lastSentId > 0) {
+      const [oldest] = await db.query('SELECT MIN(id) as id FROM calendar_changes');
+      const [rows] = await db.query(
+        `SELECT * FROM calendar_changes
+         WHERE client_id = ? AND app_id = ? AND id > ?
+         ORDER BY id ASC
+         LIMIT ?`,
+        [req.clientId, req.appId, lastSentId, MAX_STREAM_REPLAY + 1]
+      );
+      
+      if (isClosed()) {
+        return;
+      }
+      
+      // Changes the client missed were pruned or are too many to replay
+      if ((oldest[0].id && oldest[0].id > lastSentId + 1) || rows.length > MAX_STREAM_REPLAY) {
+        const [latest] = await db.query('SELECT MAX(id) as id FROM calendar_changes');
+        
+        if (isClosed()) {
+          return;
+        }
+        
+        lastSentId = latest[0].id || 0;
+        write(lastSentId, 'reset', { reason: 'Too many changes were missed; reload calendar data' });
+      } else {
+        rows.forEach(row => enqueue(formatCalendarChange(row)));
+      }
     }
     
+    // Deliver live changes buffered during the replay, in order
+    replaying = false;
+    pending.splice(0).forEach(enqueue);
+    
+    heartbeat = setInterval(() => {
+      if (!isClosed()) {
+        res.write(': heartbeat\n\n');
+        
+        // Pick up sharing and preference changes
+        queue = queue
+          .then(async () => {
+            calendarIds = await loadStreamCalendars(db, req);
+          })
+          .catch(error => {
+            console.error('Error refreshing stream calendars:', error);
+          });
+      }
+    }, STREAM_HEARTBEAT_MS);
+    
   } catch (error) {
-    console.error('Error saving calendar preferences:', error);
+    console.error('Error streaming calendar changes:', error);
+    clearInterval(heartbeat);
+    
+    if (onChange) {
+      calendarChanges.off('change', onChange);
+    }
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    
     return res.status(500).json({
       success: false,
-      message: 'Failed to save calendar preferences',
+      message: 'Failed to open calendar stream',
       error: error.message
     });
   }
@@ -1422,6 +6894,9 @@ function registerCalendarRoutes(app) {
   // Event routes
   router.get('/events', getEvents);
   router.get('/events/upcoming', getUpcomingEvents);
+  router.get('/events/awaiting-replies', getAwaitingReplies);
+  router.get('/events/conflicts', getEventConflicts);
+  router.get('/events/sync', getEventsSync);
   router.get('/events/:id', getEventById);
   
   router.post('/events', [
@@ -1429,43 +6904,188 @@ function registerCalendarRoutes(app) {
     body('startDate').notEmpty().withMessage('Start date is required'),
     body('type').isIn(Object.values(EVENT_TYPES)).withMessage('Invalid event type'),
     body('isAllDay').isBoolean().optional(),
-    body('reminderMinutes').isInt().optional()
+    body('reminderMinutes').isInt().optional(),
+    body('timezone').custom(isValidTimeZone).optional().withMessage('Invalid time zone'),
+    body('reminders').isArray({ max: 10 }).optional({ nullable: true }).withMessage('Reminders must be a list of at most 10 reminders'),
+    body('reminders.*.minutes').isInt({ min: 0, max: MAX_REMINDER_MINUTES }).withMessage('Reminder minutes must be between 0 and 4 weeks'),
+    body('reminders.*.channel').custom(isReminderChannel).optional({ nullable: true }).withMessage('Unknown reminder channel'),
+    body('visibility').isIn(Object.values(EVENT_VISIBILITY)).optional().withMessage('Invalid visibility'),
+    body(Object.keys(EVENT_LINKS)).isInt({ min: 1 }).optional({ nullable: true }).withMessage('Company, contact and deal IDs must be integers'),
+    body('attendees').isArray().optional({ nullable: true }).withMessage('Attendees must be a list'),
+    body('attendees.*', 'Attendee emails must be valid email addresses')
+      .if(value => typeof value === 'string' && value.includes('@'))
+      .isEmail()
+      .custom(isSafeAttendeeEmail),
+    body('attendees.*.email', 'Attendee emails must be valid email addresses')
+      .optional({ nullable: true })
+      .isEmail()
+      .custom(isSafeAttendeeEmail),
+    body('strict').isBoolean().optional()
   ], createEvent);
   
   router.put('/events/:id', [
     body('title').notEmpty().optional().withMessage('Title cannot be empty'),
     body('type').isIn(Object.values(EVENT_TYPES)).optional().withMessage('Invalid event type'),
     body('isAllDay').isBoolean().optional(),
-    body('reminderMinutes').isInt().optional()
+    body('reminderMinutes').isInt().optional(),
+    body('timezone').custom(isValidTimeZone).optional().withMessage('Invalid time zone'),
+    body('scope').isIn(Object.values(RECURRENCE_SCOPES)).optional().withMessage('Invalid edit scope'),
+    body('occurrenceStart').isISO8601().optional().withMessage('Occurrence start must be a valid date'),
+    body('reminders').isArray({ max: 10 }).optional({ nullable: true }).withMessage('Reminders must be a list of at most 10 reminders'),
+    body('reminders.*.minutes').isInt({ min: 0, max: MAX_REMINDER_MINUTES }).withMessage('Reminder minutes must be between 0 and 4 weeks'),
+    body('reminders.*.channel').custom(isReminderChannel).optional({ nullable: true }).withMessage('Unknown reminder channel'),
+    body('visibility').isIn(Object.values(EVENT_VISIBILITY)).optional().withMessage('Invalid visibility'),
+    body(Object.keys(EVENT_LINKS)).isInt({ min: 1 }).optional({ nullable: true }).withMessage('Company, contact and deal IDs must be integers'),
+    body('attendees').isArray().optional({ nullable: true }).withMessage('Attendees must be a list'),
+    body('attendees.*', 'Attendee emails must be valid email addresses')
+      .if(value => typeof value === 'string' && value.includes('@'))
+      .isEmail()
+      .custom(isSafeAttendeeEmail),
+    body('attendees.*.email', 'Attendee emails must be valid email addresses')
+      .optional({ nullable: true })
+      .isEmail()
+      .custom(isSafeAttendeeEmail),
+    body('strict').isBoolean().optional()
   ], updateEvent);
   
   router.delete('/events/:id', deleteEvent);
   
+  router.post('/events/:id/rsvp', [
+    body('status')
+      .isIn([ATTENDEE_STATUSES.ACCEPTED, ATTENDEE_STATUSES.DECLINED, ATTENDEE_STATUSES.TENTATIVE])
+      .withMessage('Status must be accepted, declined or tentative'),
+    body('comment').isString().isLength({ max: 1000 }).optional({ nullable: true }).withMessage('Comment must be at most 1000 characters')
+  ], respondToEvent);
+  
+  // Free/busy routes
+  router.post('/freebusy', [
+    body('users').isArray({ min: 1, max: 50 }).withMessage('Users must be a list of 1 to 50 user IDs'),
+    body('users.*').isInt().withMessage('User IDs must be integers'),
+    body('start').isISO8601().withMessage('Start must be a valid date'),
+    body('end').isISO8601().withMessage('End must be a valid date'),
+    body('timezone').custom(isValidTimeZone).optional().withMessage('Invalid time zone')
+  ], getFreeBusy);
+  
+  router.get('/suggest-slots', [
+    query('duration').isInt({ min: 5, max: 24 * 60 }).withMessage('Duration must be between 5 and 1440 minutes'),
+    query('start').isISO8601().optional().withMessage('Start must be a valid date'),
+    query('end').isISO8601().withMessage('End must be a valid date'),
+    query('buffer').isInt({ min: 0, max: 240 }).optional().withMessage('Buffer must be between 0 and 240 minutes'),
+    query('step').isInt({ min: 5, max: 240 }).optional().withMessage('Step must be between 5 and 240 minutes'),
+    query('limit').isInt({ min: 1, max: 100 }).optional().withMessage('Limit must be between 1 and 100'),
+    query('workStart').matches(/^([01]\d|2[0-3]):[0-5]\d$/).optional().withMessage('Working hours must be HH:mm'),
+    query('workEnd').matches(/^([01]\d|2[0-3]):[0-5]\d$/).optional().withMessage('Working hours must be HH:mm'),
+    query('tz').custom(isValidTimeZone).optional().withMessage('Invalid time zone')
+  ], suggestSlots);
+  
   // Calendar routes
   router.get('/calendars', getCalendars);
   
   router.post('/calendars', [
     body('name').notEmpty().withMessage('Calendar name is required'),
-    body('color').matches(/^#[0-9A-F]{6}$/i).optional().withMessage('Color must be a valid hex color')
+    body('color').matches(/^#[0-9A-F]{6}$/i).optional().withMessage('Color must be a valid hex color'),
+    body('timezone').custom(isValidTimeZone).optional({ nullable: true }).withMessage('Invalid time zone')
   ], createCalendar);
   
   router.put('/calendars/:id', [
     body('name').notEmpty().optional().withMessage('Calendar name cannot be empty'),
-    body('color').matches(/^#[0-9A-F]{6}$/i).optional().withMessage('Color must be a valid hex color')
+    body('color').matches(/^#[0-9A-F]{6}$/i).optional().withMessage('Color must be a valid hex color'),
+    body('timezone').custom(isValidTimeZone).optional({ nullable: true }).withMessage('Invalid time zone')
   ], updateCalendar);
   
   router.delete('/calendars/:id', deleteCalendar);
   
+  // Calendar sharing routes
+  router.get('/calendars/:id/shares', getCalendarShares);
+  
+  router.post('/calendars/:id/shares', [
+    body('granteeType').isIn(Object.values(SHARE_GRANTEE_TYPES)).withMessage('Grantee type must be user or role'),
+    body('granteeId').notEmpty().isLength({ max: 100 }).withMessage('Grantee ID is required'),
+    body('accessLevel').isIn(Object.values(CALENDAR_ACCESS)).withMessage('Invalid access level')
+  ], addCalendarShare);
+  
+  router.delete('/calendars/:id/shares/:shareId', revokeCalendarShare);
+  
+  router.post('/calendars/:id/import', icsUpload.single('file'), importCalendar);
+  
   // Preference routes
   router.post('/preferences', [
     body('preferences').isArray().withMessage('Preferences must be an array'),
     body('preferences.*.calendarId').notEmpty().withMessage('Calendar ID is required'),
     body('preferences.*.active').isBoolean().withMessage('Active must be a boolean')
   ], savePreferences);
+  
+  // Settings routes
+  router.get('/settings', getSettings);
+  
+  router.put('/settings', [
+    body('timezone').custom(isValidTimeZone).optional({ nullable: true }).withMessage('Invalid time zone')
+  ], saveSettings);
+  
+  // iCalendar feed routes (authenticated by feed token, not the session)
+  router.get('/feed.ics', getCombinedFeed);
+  router.get('/calendars/:id/feed.ics', getCalendarFeed);
+  
+  router.get('/feed-tokens', getFeedTokens);
+  router.post('/feed-tokens', [
+    body('scope').isIn(Object.values(FEED_TOKEN_SCOPES)).optional().withMessage('Invalid token scope')
+  ], createFeedToken);
+  router.delete('/feed-tokens/:id', revokeFeedToken);
+  
+  // Notification routes
+  router.get('/notifications', getNotifications);
+  router.post('/notifications/:id/read', markNotificationRead);
+  
+  // Live change stream
+  router.get('/stream', streamCalendarChanges);
+  
+  // Booking page management
+  router.get('/booking-pages', getBookingPages);
+  
+  router.post('/booking-pages', [
+    body('slug').matches(BOOKING_SLUG_PATTERN).isLength({ max: 100 }).withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+    body('title').notEmpty().withMessage('Title is required'),
+    body('calendarId').notEmpty().withMessage('Calendar ID is required'),
+    body('durationMinutes').isInt({ min: 5, max: 24 * 60 }).withMessage('Duration must be between 5 and 1440 minutes'),
+    body('bufferMinutes').isInt({ min: 0, max: 240 }).optional().withMessage('Buffer must be between 0 and 240 minutes'),
+    body('maxPerDay').isInt({ min: 1 }).optional({ nullable: true }).withMessage('Max per day must be a positive integer'),
+    body('minNoticeMinutes').isInt({ min: 0 }).optional().withMessage('Minimum notice must be a positive integer'),
+    body('maxDaysAhead').isInt({ min: 1, max: 365 }).optional().withMessage('Booking horizon must be between 1 and 365 days'),
+    body('availability').isArray({ min: 1 }).withMessage('Availability is required'),
+    body('timezone').custom(isValidTimeZone).optional().withMessage('Invalid time zone')
+  ], createBookingPage);
+  
+  router.put('/booking-pages/:id', [
+    body('slug').matches(BOOKING_SLUG_PATTERN).isLength({ max: 100 }).optional().withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+    body('title').notEmpty().optional().withMessage('Title cannot be empty'),
+    body('calendarId').notEmpty().optional().withMessage('Calendar ID cannot be empty'),
+    body('durationMinutes').isInt({ min: 5, max: 24 * 60 }).optional().withMessage('Duration must be between 5 and 1440 minutes'),
+    body('bufferMinutes').isInt({ min: 0, max: 240 }).optional().withMessage('Buffer must be between 0 and 240 minutes'),
+    body('maxPerDay').isInt({ min: 1 }).optional({ nullable: true }).withMessage('Max per day must be a positive integer'),
+    body('minNoticeMinutes').isInt({ min: 0 }).optional().withMessage('Minimum notice must be a positive integer'),
+    body('maxDaysAhead').isInt({ min: 1, max: 365 }).optional().withMessage('Booking horizon must be between 1 and 365 days'),
+    body('timezone').custom(isValidTimeZone).optional().withMessage('Invalid time zone'),
+    body('isActive').isBoolean().optional()
+  ], updateBookingPage);
+  
+  router.delete('/booking-pages/:id', deleteBookingPage);
 
   // Mount all routes under /calendar
   app.use('/api/calendar', router);
   
+  // Public booking routes (no user session; the tenant comes from the app)
+  const bookingRouter = express.Router();
+  
+  bookingRouter.get('/:slug', getPublicBookingPage);
+  bookingRouter.post('/:slug', [
+    body('start').isISO8601().withMessage('Start must be a valid date'),
+    body('name').trim().notEmpty().isLength({ max: 255 }).withMessage('Name is required'),
+    body('email').isEmail().withMessage('A valid email is required'),
+    body('notes').isString().isLength({ max: 2000 }).optional({ nullable: true })
+  ], createBooking);
+  
+  app.use('/api/apps/:appId/calendar/book', auth.getAppClient, bookingRouter);
+  
   // Also mount app-specific routes
   app.use('/api/apps/:appId/calendar', auth.getAppClient, router);
   
@@ -1476,15 +7096,67 @@ function registerCalendarRoutes(app) {
 module.exports = {
   registerCalendarRoutes,
   getEvents,
+  getEventsSync,
   getUpcomingEvents,
   getEventById,
   createEvent,
   updateEvent,
   deleteEvent,
+  getEventConflicts,
+  respondToEvent,
+  getAwaitingReplies,
+  getFreeBusy,
+  suggestSlots,
   getCalendars,
   createCalendar,
   updateCalendar,
   deleteCalendar,
+  getCalendarShares,
+  addCalendarShare,
+  revokeCalendarShare,
   savePreferences,
-  EVENT_TYPES
+  getSettings,
+  saveSettings,
+  getCalendarFeed,
+  getCombinedFeed,
+  getFeedTokens,
+  createFeedToken,
+  revokeFeedToken,
+  importCalendar,
+  getBookingPages,
+  createBookingPage,
+  updateBookingPage,
+  deleteBookingPage,
+  getPublicBookingPage,
+  createBooking,
+  getNotifications,
+  markNotificationRead,
+  streamCalendarChanges,
+  processDueReminders,
+  startReminderScheduler,
+  registerReminderChannel,
+  EVENT_TYPES,
+  EVENT_VISIBILITY,
+  ATTENDEE_STATUSES,
+  CALENDAR_ACCESS,
+  CHANGE_TYPES,
+  FEED_TOKEN_SCOPES,
+  CALDAV_BASE_PATH,
+  DEFAULT_TIMEZONE,
+  RECURRENCE_SCOPES,
+  // Shared with the companies module
+  loadLinkedEvents,
+  findLinkedEvents,
+  // Shared with the CalDAV server
+  ensureCalendarTables,
+  loadCalendarAccess,
+  hasCalendarAccess,
+  canModifyEvent,
+  resolveFeedToken,
+  feedTokenRequest,
+  loadFeedEvents,
+  mapICalEvent,
+  refreshRecurrenceEnd,
+  recordCalendarChange,
+  publishCalendarChanges
 };
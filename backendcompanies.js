@@ -4,7 +4,60 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
+const { triggerWebhook } = require('./backendwebhooks');
+const { loadLinkedEvents } = require('./backendcalendars');
+const { isValidTimeZone } = require('./backendtimezones');
+const {
+  TIMELINE_TYPES,
+  MAX_TIMELINE_LIMIT,
+  recordCompanyActivity,
+  decodeTimelineCursor,
+  loadCompanyTimeline
+} = require('./backendcompanyactivity');
+const { AUDIT_ACTIONS, ensureCompanyAuditTable, recordCompanyAudit, queryCompanyAudit } = require('./backendcompanyaudit');
+const { importCompanies, findCompanyImport, buildImportErrorReport } = require('./backendcompanyimport');
+const { XLSX_MIME_TYPE, buildCsvRows, buildXlsx } = require('./backendspreadsheets');
+const {
+  DEFAULT_MIN_DUPLICATE_SCORE,
+  MAX_MERGE_SOURCES,
+  findDuplicateCompanies,
+  findCompanyDuplicates,
+  mergeCompanies
+} = require('./backendcompanyduplicates');
+const {
+  MAX_CUSTOM_FIELDS,
+  customFieldTenant,
+  formatDefinition,
+  loadCustomFieldDefinitions,
+  validateDefinition,
+  validateCustomFieldValues,
+  saveCustomFieldValues,
+  customFieldName,
+  flattenCustomFieldValues,
+  attachCustomFieldValues,
+  buildCustomFieldFilters,
+  customFieldSortExpression
+} = require('./backendcompanycustomfields');
+const {
+  MAX_BULK_TAG_COMPANIES,
+  ensureCompanyTagTables,
+  normalizeTagNames,
+  addCompanyTags,
+  removeCompanyTags,
+  attachCompanyTags,
+  listCompanyTags,
+  buildTagFilter
+} = require('./backendcompanytags');
+const {
+  validateSegment,
+  listCompanySegments,
+  findCompanySegment,
+  createCompanySegment,
+  updateCompanySegment,
+  deleteCompanySegment
+} = require('./backendcompanysegments');
 
 // Helper function for pagination
 const getPaginationParams = (req) => {
@@ -15,8 +68,141 @@ const getPaginationParams = (req) => {
   return { page, limit, offset };
 };
 
+// Helper function for the tenant fields of new companies
+const getTenantFields = (req) => {
+  const tenant = { client_id: null, app_id: null, created_by: null };
+  
+  if (req.applyRLS) {
+    tenant.client_id = req.clientId;
+    tenant.app_id = req.appId;
+    
+    if (req.authenticatedUser) {
+      tenant.created_by = req.userId;
+    }
+  }
+  
+  return tenant;
+};
+
+// Helper function for the minimum duplicate score (minScore, 0-100)
+const getMinScore = (req) => {
+  if (req.query.minScore === undefined) {
+    return { minScore: DEFAULT_MIN_DUPLICATE_SCORE };
+  }
+  
+  const minScore = parseInt(req.query.minScore);
+  
+  if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+    return { error: 'minScore must be an integer from 0 to 100' };
+  }
+  
+  return { minScore };
+};
+
+// Helper function for streamed responses: waits while the client catches up
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// Uploaded import files are kept in memory and parsed directly
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Fields set by a company update
+const EDITABLE_FIELDS = [
+  'name', 'industry', 'employees_count', 'website', 'phone',
+  'address', 'city', 'state', 'postal_code', 'country',
+  'annual_revenue', 'status', 'notes'
+];
+
+// Fields kept in the audit log
+const AUDITED_FIELDS = [...EDITABLE_FIELDS, 'is_public'];
+
+// Columns of company exports, in order
+const EXPORT_COLUMNS = [
+  'id', ...EDITABLE_FIELDS, 'is_public', 'open_deals',
+  'created_by', 'created_at', 'updated_at'
+];
+
+// Export formats and the content type of each
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: XLSX_MIME_TYPE,
+  json: 'application/json; charset=utf-8'
+};
+
+// Companies read per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+// Most companies in an XLSX export (the workbook is built in memory)
+const MAX_XLSX_EXPORT_ROWS = 50000;
+
+/**
+ * Check whether the caller may run tenant-wide admin actions (audit queries, custom field definitions)
+ * App-level access without a user session counts as an admin.
+ */
+const isTenantAdmin = (req) => !req.authenticatedUser || req.authenticatedUser.role === 'admin';
+
+// Helper function for audit log filters (userId, action, field, from, to)
+const getAuditFilters = (req) => {
+  const filters = {};
+  
+  if (req.applyRLS) {
+    filters.clientId = req.clientId;
+    filters.appId = req.appId;
+  }
+  
+  if (req.query.userId) {
+    filters.userId = parseInt(req.query.userId);
+    
+    if (isNaN(filters.userId)) {
+      return { error: 'userId must be an integer' };
+    }
+  }
+  
+  if (req.query.action) {
+    if (!Object.values(AUDIT_ACTIONS).includes(req.query.action)) {
+      return { error: `Action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}` };
+    }
+    
+    filters.action = req.query.action;
+  }
+  
+  if (req.query.field) {
+    filters.field = req.query.field;
+  }
+  
+  for (const bound of ['from', 'to']) {
+    if (req.query[bound]) {
+      filters[bound] = new Date(req.query[bound]);
+      
+      if (isNaN(filters[bound])) {
+        return { error: `${bound} must be a valid date` };
+      }
+    }
+  }
+  
+  return { filters };
+};
+
 /**
  * Get company statistics
+ * segmentId limits them to the companies of a saved segment.
  * @route GET /api/companies/stats
  */
 router.get('/stats', async (req, res) => {
@@ -35,34 +221,56 @@ router.get('/stats', async (req, res) => {
       }
     }
     
+    // Scope to the companies of a segment
+    let segmentClause = '';
+    let dealSegmentClause = '';
+    let segmentParams = [];
+    
+    if (req.query.segmentId) {
+      const filters = await loadListFilters(req);
+      
+      if (filters.error) {
+        return res.status(filters.status).json({
+          success: false,
+          message: filters.error
+        });
+      }
+      
+      const { idQuery, countParams } = buildCompanyListQuery(req, filters);
+      whereClause = whereClause || 'WHERE 1=1';
+      segmentClause = ` AND id IN (${idQuery})`;
+      dealSegmentClause = ` AND d.company_id IN (${idQuery})`;
+      segmentParams = countParams;
+    }
+    
     // Get total companies count
     const [totalCompaniesResult] = await req.db.query(
       `SELECT COUNT(*) as totalCompanies 
        FROM companies 
-       ${whereClause}`,
-      params
+       ${whereClause}${segmentClause}`,
+      [...params, ...segmentParams]
     );
     
     // Top industries breakdown
     const [topIndustries] = await req.db.query(
       `SELECT industry, COUNT(*) as count 
        FROM companies 
-       ${whereClause}
+       ${whereClause}${segmentClause}
        GROUP BY industry 
        ORDER BY count DESC 
        LIMIT 5`,
-      params
+      [...params, ...segmentParams]
     );
     
     // Build deal stages filter for active deals
-    let dealParams = [...params]; // Clone params array
+    let dealParams = [...params, ...segmentParams]; // Clone params array
     
     // Get active deals count - FIXED QUERY
     const [activeDealsResult] = await req.db.query(
       `SELECT COUNT(*) as activeDeals 
        FROM deals d
        JOIN deal_stages ds ON d.stage_id = ds.id
-       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'} 
+       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'}${dealSegmentClause} 
        AND ds.type = 'active'
        ${req.applyRLS ? ' AND ds.client_id = ? AND ds.app_id = ?' : ''}`,
       req.applyRLS ? [...dealParams, req.clientId, req.appId] : dealParams
@@ -73,7 +281,7 @@ router.get('/stats', async (req, res) => {
       `SELECT IFNULL(SUM(d.value), 0) as totalRevenue 
        FROM deals d
        JOIN deal_stages ds ON d.stage_id = ds.id
-       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'} 
+       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'}${dealSegmentClause} 
        AND ds.type = 'won'
        ${req.applyRLS ? ' AND ds.client_id = ? AND ds.app_id = ?' : ''}`,
       req.applyRLS ? [...dealParams, req.clientId, req.appId] : dealParams
@@ -84,7 +292,7 @@ router.get('/stats', async (req, res) => {
       `SELECT IFNULL(AVG(d.value), 0) as averageDealSize 
        FROM deals d
        JOIN deal_stages ds ON d.stage_id = ds.id
-       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'} 
+       ${whereClause ? whereClause.replace(/\bclient_id\b/g, 'd.client_id').replace(/\bapp_id\b/g, 'd.app_id').replace(/\bcreated_by\b/g, 'd.created_by').replace(/\bis_public\b/g, 'd.is_public') : 'WHERE 1=1'}${dealSegmentClause} 
        AND ds.type = 'won'
        ${req.applyRLS ? ' AND ds.client_id = ? AND ds.app_id = ?' : ''}`,
       req.applyRLS ? [...dealParams, req.clientId, req.appId] : dealParams
@@ -113,248 +321,127 @@ router.get('/stats', async (req, res) => {
 });
 
 /**
- * Get all companies with filtering, sorting and pagination
- * @route GET /api/companies
+ * List the tenant's company tags with how many companies carry each
+ * @route GET /api/companies/tags
  */
-router.get('/', async (req, res) => {
+router.get('/tags', async (req, res) => {
   try {
-    const { page, limit, offset } = getPaginationParams(req);
+    const tags = await listCompanyTags(
+      req.db,
+      req.applyRLS ? { clientId: req.clientId, appId: req.appId } : null,
+      { userId: req.applyRLS && req.authenticatedUser ? req.userId : null }
+    );
     
-    // Get sorting parameters
-    let sortField = 'name'; // Default sort by name
-    let sortDirection = 'ASC';
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (err) {
+    console.error('Error fetching company tags:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Add and remove tags on many companies at once
+ * Body: companyIds, add (tags to add), remove (tags to remove)
+ * @route POST /api/companies/tags/bulk
+ */
+router.post('/tags/bulk', async (req, res) => {
+  try {
+    const { companyIds } = req.body;
     
-    if (req.query.sort) {
-      if (req.query.sort.startsWith('-')) {
-        sortDirection = 'DESC';
-        sortField = req.query.sort.substring(1);
-      } else {
-        sortField = req.query.sort;
-      }
+    if (!Array.isArray(companyIds) || companyIds.length === 0 || companyIds.length > MAX_BULK_TAG_COMPANIES ||
+        !companyIds.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `companyIds must be a list of 1 to ${MAX_BULK_TAG_COMPANIES} company IDs`
+      });
     }
     
-    // Map frontend sort fields to database columns
-    const sortFieldMap = {
-      'name': 'c.name',
-      'industry': 'c.industry',
-      'size': 'c.employees_count',
-      'revenue': 'c.annual_revenue',
-      'location': 'c.city', // Using city as location sort
-      'status': 'c.status',
-      'deals': 'open_deals',
-      'created_at': 'c.created_at',
-      'updated_at': 'c.updated_at'
-    };
-    
-    const dbSortField = sortFieldMap[sortField] || 'c.name';
-    
-    // Build base query with open deals count
-    let baseQuery = `
-      SELECT c.*, 
-             (SELECT COUNT(*) FROM deals d 
-              JOIN deal_stages ds ON d.stage_id = ds.id 
-              WHERE d.company_id = c.id AND ds.type = 'active'
-    `;
+    const toAdd = normalizeTagNames(req.body.add || []);
+    const toRemove = normalizeTagNames(req.body.remove || []);
     
-    // Add RLS to subquery if needed
-    if (req.applyRLS) {
-      baseQuery += ' AND d.client_id = ? AND d.app_id = ?';
+    if (toAdd.error || toRemove.error) {
+      return res.status(400).json({
+        success: false,
+        message: toAdd.error || toRemove.error
+      });
     }
     
-    // Complete subquery
-    baseQuery += `) as open_deals FROM companies c`;
-    
-    // Start building the count query
-    let countQuery = 'SELECT COUNT(*) as total FROM companies c';
+    if (toAdd.tags.length === 0 && toRemove.tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give tags to add or remove'
+      });
+    }
     
-    // Apply RLS filtering
-    let whereAdded = false;
-    let params = [];
-    let countParams = [];
+    // Check the companies exist and user has permission
+    const ids = [...new Set(companyIds)];
+    let query = `SELECT * FROM companies WHERE id IN (${ids.map(() => '?').join(', ')})`;
+    let params = [...ids];
     
     if (req.applyRLS) {
-      whereAdded = true;
-      baseQuery += ' WHERE c.client_id = ? AND c.app_id = ?';
-      countQuery += ' WHERE c.client_id = ? AND c.app_id = ?';
-      
-      // Add parameters for both main query and subquery
-      params.push(req.clientId, req.appId, req.clientId, req.appId);
-      countParams.push(req.clientId, req.appId);
+      query += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
       
-      // Add user-level permissions if authenticated
       if (req.authenticatedUser) {
-        baseQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
-        countQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
+        query += ' AND (created_by = ? OR is_public = 1)';
         params.push(req.userId);
-        countParams.push(req.userId);
-      }
-    }
-    
-    // Apply industry filter
-    if (req.query.industry) {
-      if (whereAdded) {
-        baseQuery += ' AND c.industry = ?';
-        countQuery += ' AND c.industry = ?';
-      } else {
-        baseQuery += ' WHERE c.industry = ?';
-        countQuery += ' WHERE c.industry = ?';
-        whereAdded = true;
       }
-      params.push(req.query.industry);
-      countParams.push(req.query.industry);
     }
     
-    // Apply status filter
-    if (req.query.status) {
-      if (whereAdded) {
-        baseQuery += ' AND c.status = ?';
-        countQuery += ' AND c.status = ?';
-      } else {
-        baseQuery += ' WHERE c.status = ?';
-        countQuery += ' WHERE c.status = ?';
-        whereAdded = true;
-      }
-      params.push(req.query.status);
-      countParams.push(req.query.status);
-    }
+    const [companies] = await req.db.query(query, params);
+    const missingId = ids.find(id => !companies.some(company => company.id === id));
     
-    // Apply company size filter
-    if (req.query.size) {
-      const sizeFilter = req.query.size;
-      let sizeClause = '';
-      
-      if (whereAdded) {
-        sizeClause = ' AND c.employees_count';
-      } else {
-        sizeClause = ' WHERE c.employees_count';
-        whereAdded = true;
-      }
-      
-      // Handle different size ranges
-      switch (sizeFilter) {
-        case '1-10':
-          baseQuery += `${sizeClause} BETWEEN 1 AND 10`;
-          countQuery += `${sizeClause} BETWEEN 1 AND 10`;
-          break;
-        case '11-50':
-          baseQuery += `${sizeClause} BETWEEN 11 AND 50`;
-          countQuery += `${sizeClause} BETWEEN 11 AND 50`;
-          break;
-        case '51-200':
-          baseQuery += `${sizeClause} BETWEEN 51 AND 200`;
-          countQuery += `${sizeClause} BETWEEN 51 AND 200`;
-          break;
-        case '201-500':
-          baseQuery += `${sizeClause} BETWEEN 201 AND 500`;
-          countQuery += `${sizeClause} BETWEEN 201 AND 500`;
-          break;
-        case '501-1000':
-          baseQuery += `${sizeClause} BETWEEN 501 AND 1000`;
-          countQuery += `${sizeClause} BETWEEN 501 AND 1000`;
-          break;
-        case '1001+':
-          baseQuery += `${sizeClause} > 1000`;
-          countQuery += `${sizeClause} > 1000`;
-          break;
-        default:
-          if (!isNaN(parseInt(sizeFilter))) {
-            baseQuery += `${sizeClause} = ?`;
-            countQuery += `${sizeClause} = ?`;
-            params.push(parseInt(sizeFilter));
-            countParams.push(parseInt(sizeFilter));
-          }
-      }
-    }
-    
-    // Apply revenue filter
-    if (req.query.revenue) {
-      const revenueFilter = req.query.revenue;
-      let revenueClause = '';
-      
-      if (whereAdded) {
-        revenueClause = ' AND c.annual_revenue';
-      } else {
-        revenueClause = ' WHERE c.annual_revenue';
-        whereAdded = true;
-      }
-      
-      // Handle different revenue ranges
-      switch (revenueFilter) {
-        case '<1M':
-          baseQuery += `${revenueClause} < 1000000`;
-          countQuery += `${revenueClause} < 1000000`;
-          break;
-        case '1-10M':
-          baseQuery += `${revenueClause} BETWEEN 1000000 AND 10000000`;
-          countQuery += `${revenueClause} BETWEEN 1000000 AND 10000000`;
-          break;
-        case '10-50M':
-          baseQuery += `${revenueClause} BETWEEN 10000000 AND 50000000`;
-          countQuery += `${revenueClause} BETWEEN 10000000 AND 50000000`;
-          break;
-        case '50-100M':
-          baseQuery += `${revenueClause} BETWEEN 50000000 AND 100000000`;
-          countQuery += `${revenueClause} BETWEEN 50000000 AND 100000000`;
-          break;
-        case '100M+':
-          baseQuery += `${revenueClause} > 100000000`;
-          countQuery += `${revenueClause} > 100000000`;
-          break;
-        default:
-          if (!isNaN(parseFloat(revenueFilter))) {
-            baseQuery += `${revenueClause} = ?`;
-            countQuery += `${revenueClause} = ?`;
-            params.push(parseFloat(revenueFilter));
-            countParams.push(parseFloat(revenueFilter));
-          }
-      }
-    }
-    
-    // Apply search filter
-    if (req.query.search) {
-      const searchTerm = `%${req.query.search}%`;
-      
-      if (whereAdded) {
-        baseQuery += ' AND (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
-        countQuery += ' AND (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
-      } else {
-        baseQuery += ' WHERE (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
-        countQuery += ' WHERE (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
-        whereAdded = true;
-      }
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
-      countParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+    if (missingId !== undefined) {
+      return res.status(404).json({
+        success: false,
+        message: `Company ${missingId} not found or you do not have permission to update it`
+      });
     }
     
-    // Add sorting to the base query
-    baseQuery += ` ORDER BY ${dbSortField} ${sortDirection}`;
-    
-    // Add pagination
-    baseQuery += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    // Tables are created before the transaction (DDL would commit it)
+    await ensureCompanyTagTables(req.db);
     
-    // Execute queries
-    console.log('Companies Query:', baseQuery);
-    console.log('Params:', params);
+    // Start a transaction
+    const conn = await req.db.getConnection();
+    await conn.beginTransaction();
+    let removed;
     
-    const [companies] = await req.db.query(baseQuery, params);
-    const [countResult] = await req.db.query(countQuery, countParams);
-    const total = countResult[0].total;
+    try {
+      await addCompanyTags(conn, req, companies, toAdd.tags);
+      removed = await removeCompanyTags(conn, companies, toRemove.tags);
+      
+      // Commit the transaction
+      await conn.commit();
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
     
     res.json({
       success: true,
-      data: companies,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+      message: `Updated tags on ${companies.length} ${companies.length === 1 ? 'company' : 'companies'}`,
+      data: {
+        companyIds: ids,
+        added: toAdd.tags,
+        removed: toRemove.tags,
+        removedCount: removed
       }
     });
   } catch (err) {
-    console.error('Error fetching companies:', err);
-    res.status(500).json({ 
-      success: false, 
+    console.error('Error bulk tagging companies:', err);
+    res.status(500).json({
+      success: false,
       message: 'Server error',
       error: err.message
     });
@@ -362,40 +449,19 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Get a single company by ID
- * @route GET /api/companies/:id
+ * List saved company segments
+ * @route GET /api/companies/segments
  */
-router.get('/:id', async (req, res) => {
+router.get('/segments', async (req, res) => {
   try {
-    // Build query with RLS support
-    let query = 'SELECT * FROM companies WHERE id = ?';
-    let params = [req.params.id];
-    
-    if (req.applyRLS) {
-      query += ' AND client_id = ? AND app_id = ?';
-      params.push(req.clientId, req.appId);
-      
-      if (req.authenticatedUser) {
-        query += ' AND (created_by = ? OR is_public = 1)';
-        params.push(req.userId);
-      }
-    }
-    
-    const [companies] = await req.db.query(query, params);
-    
-    if (companies.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Company not found or you do not have permission to access it'
-      });
-    }
+    const segments = await listCompanySegments(req);
     
     res.json({
       success: true,
-      data: companies[0]
+      data: segments
     });
   } catch (err) {
-    console.error('Error fetching company:', err);
+    console.error('Error fetching company segments:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -405,88 +471,38 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * Create a new company
- * @route POST /api/companies
+ * Save a segment of list filters
+ * Body: name, description, filters (industry, status, size, revenue, search, tags, tagMode)
+ * Run it with GET /api/companies?segmentId=, /export?segmentId= or /stats?segmentId=
+ * @route POST /api/companies/segments
  */
-router.post('/', async (req, res) => {
+router.post('/segments', async (req, res) => {
   try {
-    // Validate required fields
-    if (!req.body.name) {
+    const { segment, error } = validateSegment(req.body);
+    
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Company name is required'
+        message: error
       });
     }
     
-    // Extract fields from request body
-    const {
-      name,
-      industry,
-      employees_count,
-      website,
-      phone,
-      address,
-      city,
-      state,
-      postal_code,
-      country,
-      annual_revenue,
-      status = 'active', // Default status
-      notes,
-      is_public = 1 // Default to public
-    } = req.body;
-    
-    // Apply multi-tenancy
-    let client_id = null;
-    let app_id = null;
-    let created_by = null;
+    const result = await createCompanySegment(req, segment, getTenantFields(req));
     
-    if (req.applyRLS) {
-      client_id = req.clientId;
-      app_id = req.appId;
-      
-      if (req.authenticatedUser) {
-        created_by = req.userId;
-      }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
     }
     
-    // Set timestamps
-    const now = new Date();
-    
-    // Build query and params
-    const query = `
-      INSERT INTO companies (
-        name, industry, employees_count, website, phone, 
-        address, city, state, postal_code, country,
-        annual_revenue, status, notes, is_public,
-        client_id, app_id, created_by, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const params = [
-      name, industry, employees_count, website, phone,
-      address, city, state, postal_code, country,
-      annual_revenue, status, notes, is_public,
-      client_id, app_id, created_by, now, now
-    ];
-    
-    // Execute query
-    const [result] = await req.db.query(query, params);
-    const companyId = result.insertId;
-    
-    // Fetch the created company
-    const [companies] = await req.db.query(
-      'SELECT * FROM companies WHERE id = ?',
-      [companyId]
-    );
-    
     res.status(201).json({
       success: true,
-      message: 'Company created successfully',
-      data: companies[0]
+      message: 'Segment created successfully',
+      data: result.segment
     });
   } catch (err) {
-    console.error('Error creating company:', err);
+    console.error('Error creating company segment:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -496,101 +512,1832 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Update a company
- * @route PUT /api/companies/:id
+ * Get a saved segment
+ * @route GET /api/companies/segments/:segmentId
  */
-router.put('/:id', async (req, res) => {
+router.get('/segments/:segmentId', async (req, res) => {
   try {
-    const companyId = req.params.id;
+    const segment = await findCompanySegment(req, req.params.segmentId);
     
-    // Validate required fields
-    if (!req.body.name) {
-      return res.status(400).json({
+    if (!segment) {
+      return res.status(404).json({
         success: false,
-        message: 'Company name is required'
+        message: 'Segment not found'
       });
     }
     
-    // Check if company exists and user has permission
-    let query = 'SELECT * FROM companies WHERE id = ?';
-    let params = [companyId];
+    res.json({
+      success: true,
+      data: segment
+    });
+  } catch (err) {
+    console.error('Error fetching company segment:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Update a saved segment (its creator or an admin)
+ * @route PUT /api/companies/segments/:segmentId
+ */
+router.put('/segments/:segmentId', async (req, res) => {
+  try {
+    const existing = await findCompanySegment(req, req.params.segmentId);
     
-    if (req.applyRLS) {
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+    
+    if (!isTenantAdmin(req) && existing.createdBy !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator of a segment or an admin can change it'
+      });
+    }
+    
+    const { segment, error } = validateSegment(req.body, { partial: true });
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const updated = await updateCompanySegment(req, existing.id, segment);
+    
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      data: updated
+    });
+  } catch (err) {
+    console.error('Error updating company segment:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Delete a saved segment (its creator or an admin)
+ * @route DELETE /api/companies/segments/:segmentId
+ */
+router.delete('/segments/:segmentId', async (req, res) => {
+  try {
+    const existing = await findCompanySegment(req, req.params.segmentId);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+    
+    if (!isTenantAdmin(req) && existing.createdBy !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator of a segment or an admin can delete it'
+      });
+    }
+    
+    await deleteCompanySegment(req, existing.id);
+    
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting company segment:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get the custom field definitions of the tenant
+ * @route GET /api/companies/custom-fields
+ */
+router.get('/custom-fields', async (req, res) => {
+  try {
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    
+    res.json({
+      success: true,
+      data: definitions
+    });
+  } catch (err) {
+    console.error('Error fetching company custom fields:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Define a custom field (admins only)
+ * Body: key (defaults to one made from the label), label, type, options
+ * (select and multi-select), required, position
+ * @route POST /api/companies/custom-fields
+ */
+router.post('/custom-fields', async (req, res) => {
+  try {
+    if (!isTenantAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can manage custom fields'
+      });
+    }
+    
+    const { definition, error } = validateDefinition(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const tenant = customFieldTenant(req);
+    const definitions = await loadCustomFieldDefinitions(req.db, tenant);
+    
+    if (definitions.some(existing => existing.key === definition.key)) {
+      return res.status(409).json({
+        success: false,
+        message: `A custom field with key "${definition.key}" already exists`
+      });
+    }
+    
+    if (definitions.length >= MAX_CUSTOM_FIELDS) {
+      return res.status(400).json({
+        success: false,
+        message: `A tenant can have at most ${MAX_CUSTOM_FIELDS} custom fields`
+      });
+    }
+    
+    const [result] = await req.db.query(
+      `INSERT INTO company_custom_fields (field_key, label, field_type, options, is_required, position, client_id, app_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        definition.key,
+        definition.label,
+        definition.type,
+        definition.options ? JSON.stringify(definition.options) : null,
+        definition.required ? 1 : 0,
+        definition.position !== undefined ? definition.position : definitions.length,
+        tenant.clientId,
+        tenant.appId
+      ]
+    );
+    
+    const [fields] = await req.db.query('SELECT * FROM company_custom_fields WHERE id = ?', [result.insertId]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: formatDefinition(fields[0])
+    });
+  } catch (err) {
+    console.error('Error creating company custom field:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Update a custom field (admins only); its key and type cannot change
+ * @route PUT /api/companies/custom-fields/:fieldId
+ */
+router.put('/custom-fields/:fieldId', async (req, res) => {
+  try {
+    if (!isTenantAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can manage custom fields'
+      });
+    }
+    
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    const existing = definitions.find(definition => definition.id === parseInt(req.params.fieldId));
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+    
+    const { definition, error } = validateDefinition(req.body, existing);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const columns = {
+      label: definition.label,
+      options: definition.options ? JSON.stringify(definition.options) : undefined,
+      is_required: definition.required !== undefined ? (definition.required ? 1 : 0) : undefined,
+      position: definition.position
+    };
+    const updates = Object.keys(columns).filter(column => columns[column] !== undefined);
+    
+    if (updates.length > 0) {
+      await req.db.query(
+        `UPDATE company_custom_fields SET ${updates.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(column => columns[column]), existing.id]
+      );
+    }
+    
+    const [fields] = await req.db.query('SELECT * FROM company_custom_fields WHERE id = ?', [existing.id]);
+    
+    res.json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: formatDefinition(fields[0])
+    });
+  } catch (err) {
+    console.error('Error updating company custom field:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Delete a custom field and its values (admins only)
+ * @route DELETE /api/companies/custom-fields/:fieldId
+ */
+router.delete('/custom-fields/:fieldId', async (req, res) => {
+  try {
+    if (!isTenantAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can manage custom fields'
+      });
+    }
+    
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    const existing = definitions.find(definition => definition.id === parseInt(req.params.fieldId));
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+    
+    // Values are removed with the definition (ON DELETE CASCADE)
+    await req.db.query('DELETE FROM company_custom_fields WHERE id = ?', [existing.id]);
+    
+    res.json({
+      success: true,
+      message: 'Custom field deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting company custom field:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Query the company audit log across the tenant (admins only)
+ * @route GET /api/companies/audit
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    if (!isTenantAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can query the audit log'
+      });
+    }
+    
+    const { filters, error } = getAuditFilters(req);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    if (req.query.companyId) {
+      filters.companyId = req.query.companyId;
+    }
+    
+    const { page, limit, offset } = getPaginationParams(req);
+    const { entries, total } = await queryCompanyAudit(req.db, filters, { limit, offset });
+    
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching company audit log:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Find likely duplicate companies, best matches first
+ * @route GET /api/companies/duplicates
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { minScore, error } = getMinScore(req);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const { page, limit, offset } = getPaginationParams(req);
+    const pairs = await findDuplicateCompanies(req, { minScore });
+    
+    res.json({
+      success: true,
+      data: pairs.slice(offset, offset + limit),
+      pagination: {
+        page,
+        limit,
+        total: pairs.length,
+        pages: Math.ceil(pairs.length / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error finding duplicate companies:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Resolve the list filters that need the database: a saved segment
+ * (segmentId), custom fields (cf[key]) and tags (tags, tagMode)
+ * A segment's filters are combined with the request's and win where both set one.
+ * Returns { query, definitions, conditions } or { status, error }.
+ */
+const loadListFilters = async (req) => {
+  let query = req.query;
+  
+  if (req.query.segmentId) {
+    const segment = await findCompanySegment(req, req.query.segmentId);
+    
+    if (!segment) {
+      return { status: 404, error: 'Segment not found' };
+    }
+    
+    query = { ...req.query, ...segment.filters };
+  }
+  
+  const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+  const customFilter = buildCustomFieldFilters(definitions, query.cf);
+  
+  if (customFilter.error) {
+    return { status: 400, error: customFilter.error };
+  }
+  
+  const tagFilter = await buildTagFilter(
+    req.db, req.applyRLS ? { clientId: req.clientId, appId: req.appId } : null, query.tags, query.tagMode
+  );
+  
+  if (tagFilter.error) {
+    return { status: 400, error: tagFilter.error };
+  }
+  
+  return { query, definitions, conditions: [...customFilter.conditions, ...tagFilter.conditions] };
+};
+
+/**
+ * Build the company list query from the list filters (industry, status, size,
+ * revenue, search, custom fields, tags) and sort, with RLS applied
+ * filters is the result of loadListFilters.
+ * Returns the queries without ORDER BY or LIMIT; orderBy is the sort expression
+ * and idQuery selects the IDs of the matching companies (with countParams).
+ * withSortKey also selects the sort value as sort_key, for keysetCondition.
+ */
+const buildCompanyListQuery = (req, filters = { query: req.query, definitions: [], conditions: [] }, { withSortKey = false } = {}) => {
+  const { query } = filters;
+  
+  // Get sorting parameters
+  let sortField = 'name'; // Default sort by name
+  let sortDirection = 'ASC';
+  
+  if (query.sort) {
+    if (query.sort.startsWith('-')) {
+      sortDirection = 'DESC';
+      sortField = query.sort.substring(1);
+    } else {
+      sortField = query.sort;
+    }
+  }
+  
+  // Map frontend sort fields to database columns
+  const sortFieldMap = {
+    'name': 'c.name',
+    'industry': 'c.industry',
+    'size': 'c.employees_count',
+    'revenue': 'c.annual_revenue',
+    'location': 'c.city', // Using city as location sort
+    'status': 'c.status',
+    'deals': 'open_deals',
+    'created_at': 'c.created_at',
+    'updated_at': 'c.updated_at'
+  };
+  
+  // Custom fields sort as cf.<key>
+  const customSortField = sortField.startsWith('cf.') &&
+    filters.definitions.find(definition => definition.key === sortField.substring(3));
+  const dbSortField = customSortField
+    ? customFieldSortExpression(customSortField)
+    : sortFieldMap[sortField] || 'c.name';
+  
+  // Open deals count, with RLS in the subquery if needed
+  const openDealsQuery = `(SELECT COUNT(*) FROM deals d 
+            JOIN deal_stages ds ON d.stage_id = ds.id 
+            WHERE d.company_id = c.id AND ds.type = 'active'${req.applyRLS ? ' AND d.client_id = ? AND d.app_id = ?' : ''})`;
+  const openDealsParams = req.applyRLS ? [req.clientId, req.appId] : [];
+  
+  // The sort value as an expression, for keyset pagination (sort_key in rows)
+  const sortKey = dbSortField === 'open_deals'
+    ? { expression: openDealsQuery, params: openDealsParams, direction: sortDirection }
+    : { expression: dbSortField, params: [], direction: sortDirection };
+  
+  // Build base query with open deals count
+  let baseQuery = `
+    SELECT c.*, 
+           ${openDealsQuery} as open_deals${withSortKey ? `,
+           ${sortKey.expression} as sort_key` : ''}
+    FROM companies c`;
+  
+  // Start building the count query
+  const countSelect = 'SELECT COUNT(*) as total';
+  let countQuery = `${countSelect} FROM companies c`;
+  
+  // Apply RLS filtering
+  let whereAdded = false;
+  let params = [...openDealsParams, ...(withSortKey ? sortKey.params : [])];
+  let countParams = [];
+  
+  if (req.applyRLS) {
+    whereAdded = true;
+    baseQuery += ' WHERE c.client_id = ? AND c.app_id = ?';
+    countQuery += ' WHERE c.client_id = ? AND c.app_id = ?';
+    
+    params.push(req.clientId, req.appId);
+    countParams.push(req.clientId, req.appId);
+    
+    // Add user-level permissions if authenticated
+    if (req.authenticatedUser) {
+      baseQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
+      countQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
+      params.push(req.userId);
+      countParams.push(req.userId);
+    }
+  }
+  
+  // Apply industry filter
+  if (query.industry) {
+    if (whereAdded) {
+      baseQuery += ' AND c.industry = ?';
+      countQuery += ' AND c.industry = ?';
+    } else {
+      baseQuery += ' WHERE c.industry = ?';
+      countQuery += ' WHERE c.industry = ?';
+      whereAdded = true;
+    }
+    params.push(query.industry);
+    countParams.push(query.industry);
+  }
+  
+  // Apply status filter
+  if (query.status) {
+    if (whereAdded) {
+      baseQuery += ' AND c.status = ?';
+      countQuery += ' AND c.status = ?';
+    } else {
+      baseQuery += ' WHERE c.status = ?';
+      countQuery += ' WHERE c.status = ?';
+      whereAdded = true;
+    }
+    params.push(query.status);
+    countParams.push(query.status);
+  }
+  
+  // Apply company size filter
+  if (query.size) {
+    const sizeFilter = query.size;
+    let sizeClause = '';
+    
+    if (whereAdded) {
+      sizeClause = ' AND c.employees_count';
+    } else {
+      sizeClause = ' WHERE c.employees_count';
+      whereAdded = true;
+    }
+    
+    // Handle different size ranges
+    switch (sizeFilter) {
+      case '1-10':
+        baseQuery += `${sizeClause} BETWEEN 1 AND 10`;
+        countQuery += `${sizeClause} BETWEEN 1 AND 10`;
+        break;
+      case '11-50':
+        baseQuery += `${sizeClause} BETWEEN 11 AND 50`;
+        countQuery += `${sizeClause} BETWEEN 11 AND 50`;
+        break;
+      case '51-200':
+        baseQuery += `${sizeClause} BETWEEN 51 AND 200`;
+        countQuery += `${sizeClause} BETWEEN 51 AND 200`;
+        break;
+      case '201-500':
+        baseQuery += `${sizeClause} BETWEEN 201 AND 500`;
+        countQuery += `${sizeClause} BETWEEN 201 AND 500`;
+        break;
+      case '501-1000':
+        baseQuery += `${sizeClause} BETWEEN 501 AND 1000`;
+        countQuery += `${sizeClause} BETWEEN 501 AND 1000`;
+        break;
+      case '1001+':
+        baseQuery += `${sizeClause} > 1000`;
+        countQuery += `${sizeClause} > 1000`;
+        break;
+      default:
+        if (!isNaN(parseInt(sizeFilter))) {
+          baseQuery += `${sizeClause} = ?`;
+          countQuery += `${sizeClause} = ?`;
+          params.push(parseInt(sizeFilter));
+          countParams.push(parseInt(sizeFilter));
+        }
+    }
+  }
+  
+  // Apply revenue filter
+  if (query.revenue) {
+    const revenueFilter = query.revenue;
+    let revenueClause = '';
+    
+    if (whereAdded) {
+      revenueClause = ' AND c.annual_revenue';
+    } else {
+      revenueClause = ' WHERE c.annual_revenue';
+      whereAdded = true;
+    }
+    
+    // Handle different revenue ranges
+    switch (revenueFilter) {
+      case '<1M':
+        baseQuery += `${revenueClause} < 1000000`;
+        countQuery += `${revenueClause} < 1000000`;
+        break;
+      case '1-10M':
+        baseQuery += `${revenueClause} BETWEEN 1000000 AND 10000000`;
+        countQuery += `${revenueClause} BETWEEN 1000000 AND 10000000`;
+        break;
+      case '10-50M':
+        baseQuery += `${revenueClause} BETWEEN 10000000 AND 50000000`;
+        countQuery += `${revenueClause} BETWEEN 10000000 AND 50000000`;
+        break;
+      case '50-100M':
+        baseQuery += `${revenueClause} BETWEEN 50000000 AND 100000000`;
+        countQuery += `${revenueClause} BETWEEN 50000000 AND 100000000`;
+        break;
+      case '100M+':
+        baseQuery += `${revenueClause} > 100000000`;
+        countQuery += `${revenueClause} > 100000000`;
+        break;
+      default:
+        if (!isNaN(parseFloat(revenueFilter))) {
+          baseQuery += `${revenueClause} = ?`;
+          countQuery += `${revenueClause} = ?`;
+          params.push(parseFloat(revenueFilter));
+          countParams.push(parseFloat(revenueFilter));
+        }
+    }
+  }
+  
+  // Apply search filter
+  if (query.search) {
+    const searchTerm = `%${query.search}%`;
+    
+    if (whereAdded) {
+      baseQuery += ' AND (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
+      countQuery += ' AND (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
+    } else {
+      baseQuery += ' WHERE (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
+      countQuery += ' WHERE (c.name LIKE ? OR c.industry LIKE ? OR c.city LIKE ? OR c.country LIKE ? OR c.phone LIKE ?)';
+      whereAdded = true;
+    }
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+    countParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+  
+  // Apply custom field and tag filters
+  filters.conditions.forEach(condition => {
+    baseQuery += `${whereAdded ? ' AND' : ' WHERE'} ${condition.clause}`;
+    countQuery += `${whereAdded ? ' AND' : ' WHERE'} ${condition.clause}`;
+    whereAdded = true;
+    params.push(...condition.params);
+    countParams.push(...condition.params);
+  });
+  
+  return {
+    baseQuery,
+    countQuery,
+    params,
+    countParams,
+    idQuery: `SELECT c.id${countQuery.substring(countSelect.length)}`,
+    orderBy: `${dbSortField} ${sortDirection}`,
+    sortKey,
+    hasWhere: whereAdded
+  };
+};
+
+// Helper function for keyset pagination: rows after the last one in (sort key, c.id) order
+// MySQL sorts NULL first ascending and last descending.
+const keysetCondition = ({ expression, params, direction }, last) => {
+  const ascending = direction === 'ASC';
+  
+  if (last.sort_key === null || last.sort_key === undefined) {
+    return ascending
+      ? { clause: `((${expression}) IS NULL AND c.id > ?) OR (${expression}) IS NOT NULL`, params: [...params, last.id, ...params] }
+      : { clause: `(${expression}) IS NULL AND c.id > ?`, params: [...params, last.id] };
+  }
+  
+  let clause = `(${expression}) ${ascending ? '>' : '<'} ? OR ((${expression}) = ? AND c.id > ?)`;
+  const conditionParams = [...params, last.sort_key, ...params, last.sort_key, last.id];
+  
+  if (!ascending) {
+    clause += ` OR (${expression}) IS NULL`;
+    conditionParams.push(...params);
+  }
+  
+  return { clause, params: conditionParams };
+};
+
+/**
+ * Get all companies with filtering, sorting and pagination
+ * @route GET /api/companies
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    
+    const filters = await loadListFilters(req);
+    
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error
+      });
+    }
+    
+    // Build the filtered query
+    const { baseQuery, countQuery, params, countParams, orderBy } = buildCompanyListQuery(req, filters);
+    
+    // Add sorting and pagination
+    const query = `${baseQuery} ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+    
+    // Execute queries
+    console.log('Companies Query:', query);
+    console.log('Params:', params);
+    
+    const [companies] = await req.db.query(query, params);
+    const [countResult] = await req.db.query(countQuery, countParams);
+    const total = countResult[0].total;
+    
+    await attachCustomFieldValues(req.db, companies, filters.definitions);
+    await attachCompanyTags(req.db, companies);
+    
+    res.json({
+      success: true,
+      data: companies,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching companies:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Export all companies matching the list filters (no pagination)
+ * Accepts the filters and sort of GET /api/companies plus format=csv|xlsx|json.
+ * @route GET /api/companies/export
+ */
+router.get('/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  
+  if (!EXPORT_CONTENT_TYPES[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`
+    });
+  }
+  
+  try {
+    const filters = await loadListFilters(req);
+    
+    if (filters.error) {
+      return res.status(filters.status).json({
+        success: false,
+        message: filters.error
+      });
+    }
+    
+    const { baseQuery, countQuery, params, countParams, orderBy, sortKey, hasWhere } = buildCompanyListQuery(req, filters, { withSortKey: true });
+    
+    if (format === 'xlsx') {
+      const [countResult] = await req.db.query(countQuery, countParams);
+      
+      if (countResult[0].total > MAX_XLSX_EXPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `XLSX exports are limited to ${MAX_XLSX_EXPORT_ROWS} companies; narrow the filters or use csv or json`
+        });
+      }
+    }
+    
+    // Page by (sort key, ID) so concurrent changes neither skip nor repeat companies
+    const fetchBatch = async (last) => {
+      let query = baseQuery;
+      let queryParams = params;
+      
+      if (last) {
+        const condition = keysetCondition(sortKey, last);
+        query += `${hasWhere ? ' AND' : ' WHERE'} (${condition.clause})`;
+        queryParams = [...params, ...condition.params];
+      }
+      
+      const [companies] = await req.db.query(`${query} ORDER BY ${orderBy}, c.id ASC LIMIT ?`, [...queryParams, EXPORT_BATCH_SIZE]);
+      return companies;
+    };
+    
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="companies-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    
+    // XLSX files are built in memory; CSV and JSON are written batch by batch
+    if (format === 'xlsx') {
+      const rows = [];
+      let companies;
+      
+      while (!companies || companies.length === EXPORT_BATCH_SIZE) {
+        companies = await fetchBatch(companies && companies[companies.length - 1]);
+        companies.forEach(company => {
+          rows.push(EXPORT_COLUMNS.map(column => (
+            column === 'annual_revenue' && company[column] !== null ? Number(company[column]) : company[column]
+          )));
+        });
+      }
+      
+      return res.send(buildXlsx(EXPORT_COLUMNS, rows, 'Companies'));
+    }
+    
+    await writeChunk(res, format === 'csv' ? buildCsvRows([EXPORT_COLUMNS]) : '{"success":true,"data":[');
+    
+    let exported = 0;
+    let companies;
+    
+    while (!companies || companies.length === EXPORT_BATCH_SIZE) {
+      // Stop when the client has gone away
+      if (res.destroyed) {
+        return;
+      }
+      
+      companies = await fetchBatch(companies && companies[companies.length - 1]);
+      
+      if (format === 'csv') {
+        await writeChunk(res, buildCsvRows(companies.map(company => EXPORT_COLUMNS.map(column => company[column]))));
+      } else {
+        const items = companies.map(company => {
+          const item = {};
+          EXPORT_COLUMNS.forEach(column => {
+            item[column] = company[column];
+          });
+          return `${exported++ > 0 ? ',' : ''}${JSON.stringify(item)}`;
+        });
+        
+        await writeChunk(res, items.join(''));
+      }
+    }
+    
+    res.end(format === 'json' ? `],"total":${exported}}` : undefined);
+  } catch (err) {
+    console.error('Error exporting companies:', err);
+    
+    // A partly written file must not look complete
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get a single company by ID
+ * @route GET /api/companies/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    // Build query with RLS support
+    let query = 'SELECT * FROM companies WHERE id = ?';
+    let params = [req.params.id];
+    
+    if (req.applyRLS) {
+      query += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        query += ' AND (created_by = ? OR is_public = 1)';
+        params.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(query, params);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    await attachCustomFieldValues(req.db, companies, definitions);
+    await attachCompanyTags(req.db, companies);
+    
+    res.json({
+      success: true,
+      data: companies[0]
+    });
+  } catch (err) {
+    console.error('Error fetching company:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Create a new company
+ * @route POST /api/companies
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate required fields
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company name is required'
+      });
+    }
+    
+    // Validate custom field values
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    const customValues = validateCustomFieldValues(definitions, req.body.customFields);
+    
+    if (customValues.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom field values',
+        errors: customValues.errors
+      });
+    }
+    
+    const { tags, error: tagsError } = normalizeTagNames(req.body.tags || []);
+    
+    if (tagsError) {
+      return res.status(400).json({
+        success: false,
+        message: tagsError
+      });
+    }
+    
+    // Extract fields from request body
+    const {
+      name,
+      industry,
+      employees_count,
+      website,
+      phone,
+      address,
+      city,
+      state,
+      postal_code,
+      country,
+      annual_revenue,
+      status = 'active', // Default status
+      notes,
+      is_public = 1 // Default to public
+    } = req.body;
+    
+    // Apply multi-tenancy
+    const { client_id, app_id, created_by } = getTenantFields(req);
+    
+    // Set timestamps
+    const now = new Date();
+    
+    // Build query and params
+    const query = `
+      INSERT INTO companies (
+        name, industry, employees_count, website, phone, 
+        address, city, state, postal_code, country,
+        annual_revenue, status, notes, is_public,
+        client_id, app_id, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const params = [
+      name, industry, employees_count, website, phone,
+      address, city, state, postal_code, country,
+      annual_revenue, status, notes, is_public,
+      client_id, app_id, created_by, now, now
+    ];
+    
+    // Tables are created before the transaction (DDL would commit it)
+    await ensureCompanyTagTables(req.db);
+    await ensureCompanyAuditTable(req.db);
+    
+    // Start a transaction
+    const conn = await req.db.getConnection();
+    await conn.beginTransaction();
+    let companies;
+    
+    try {
+      // Execute query
+      const [result] = await conn.query(query, params);
+      const companyId = result.insertId;
+      
+      await saveCustomFieldValues(conn, companyId, customValues.values);
+      
+      // Fetch the created company
+      [companies] = await conn.query(
+        'SELECT * FROM companies WHERE id = ?',
+        [companyId]
+      );
+      await attachCustomFieldValues(conn, companies, definitions);
+      
+      if (tags.length > 0) {
+        await addCompanyTags(conn, req, companies, tags);
+      }
+      await attachCompanyTags(conn, companies);
+      
+      // Record the initial values, custom fields included, in the audit log
+      await recordCompanyAudit(
+        conn, req, AUDIT_ACTIONS.CREATED,
+        null, flattenCustomFieldValues(companies[0], definitions),
+        [...AUDITED_FIELDS, ...definitions.map(customFieldName)]
+      );
+      
+      // Commit the transaction
+      await conn.commit();
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+    // Notify webhook subscribers
+    triggerWebhook(req.db, { clientId: companies[0].client_id, appId: companies[0].app_id }, 'company.created', companies[0]);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Company created successfully',
+      data: companies[0]
+    });
+  } catch (err) {
+    console.error('Error creating company:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Import companies from a CSV or XLSX file
+ * Fields: file, mapping (JSON of column header to company field or customFields.<key>), dryRun
+ * @route POST /api/companies/import
+ */
+router.post('/import', importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or XLSX file is required'
+      });
+    }
+    
+    const dryRun = ['true', '1'].includes(String(req.body.dryRun || req.query.dryRun).toLowerCase());
+    
+    const result = await importCompanies(req, req.file, {
+      mapping: req.body.mapping,
+      dryRun,
+      tenant: getTenantFields(req)
+    });
+    
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.validRows} of ${result.totalRows} rows can be imported`
+        : `Imported ${result.created} of ${result.totalRows} rows`,
+      data: {
+        ...result,
+        errorReportUrl: result.invalidRows > 0 ? `${req.baseUrl}/imports/${result.importId}/errors` : null
+      }
+    });
+  } catch (err) {
+    console.error('Error importing companies:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Download the error report of a company import as CSV
+ * @route GET /api/companies/imports/:importId/errors
+ */
+router.get('/imports/:importId/errors', async (req, res) => {
+  try {
+    const companyImport = await findCompanyImport(req.db, req.params.importId, getTenantFields(req));
+    
+    if (!companyImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="company-import-${companyImport.id}-errors.csv"`);
+    res.send(buildImportErrorReport(companyImport));
+  } catch (err) {
+    console.error('Error fetching company import errors:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Update a company
+ * @route PUT /api/companies/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Validate required fields
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company name is required'
+      });
+    }
+    
+    // Check if company exists and user has permission
+    let query = 'SELECT * FROM companies WHERE id = ?';
+    let params = [companyId];
+    
+    if (req.applyRLS) {
+      query += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        query += ' AND (created_by = ? OR is_public = 1)';
+        params.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(query, params);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to update it'
+      });
+    }
+    
+    // Validate custom field values (fields left out keep their value)
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    const customValues = validateCustomFieldValues(definitions, req.body.customFields, { partial: true });
+    
+    if (customValues.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom field values',
+        errors: customValues.errors
+      });
+    }
+    
+    await attachCustomFieldValues(req.db, companies, definitions);
+    
+    // Extract fields from request body
+    const {
+      name,
+      industry,
+      employees_count,
+      website,
+      phone,
+      address,
+      city,
+      state,
+      postal_code,
+      country,
+      annual_revenue,
+      status,
+      notes
+    } = req.body;
+    
+    // Set updated timestamp
+    const now = new Date();
+    
+    // Build update query
+    let updateQuery = `
+      UPDATE companies
+      SET name = ?, industry = ?, employees_count = ?, website = ?, phone = ?,
+          address = ?, city = ?, state = ?, postal_code = ?, country = ?,
+          annual_revenue = ?, status = ?, notes = ?, updated_at = ?
+      WHERE id = ?
+    `;
+    
+    let updateParams = [
+      name, industry, employees_count, website, phone,
+      address, city, state, postal_code, country,
+      annual_revenue, status, notes, now, companyId
+    ];
+    
+    // If RLS is applied, add tenant constraints
+    if (req.applyRLS) {
+      updateQuery += ' AND client_id = ? AND app_id = ?';
+      updateParams.push(req.clientId, req.appId);
+    }
+    
+    // Execute update query
+    await req.db.query(updateQuery, updateParams);
+    await saveCustomFieldValues(req.db, companies[0].id, customValues.values);
+    
+    // Fetch updated company
+    const [updatedCompanies] = await req.db.query(
+      'SELECT * FROM companies WHERE id = ?',
+      [companyId]
+    );
+    await attachCustomFieldValues(req.db, updatedCompanies, definitions);
+    await attachCompanyTags(req.db, updatedCompanies);
+    
+    // Record the old and new values, and the edit on the company timeline
+    const changedFields = await recordCompanyAudit(
+      req.db, req, AUDIT_ACTIONS.UPDATED,
+      flattenCustomFieldValues(companies[0], definitions), flattenCustomFieldValues(updatedCompanies[0], definitions),
+      [...AUDITED_FIELDS, ...definitions.map(customFieldName)]
+    );
+    
+    if (changedFields.length > 0) {
+      await recordCompanyActivity(req.db, req, updatedCompanies[0], TIMELINE_TYPES.COMPANY_UPDATED, {
+        data: { changedFields }
+      });
+    }
+    
+    // Notify webhook subscribers
+    triggerWebhook(req.db, { clientId: companies[0].client_id, appId: companies[0].app_id }, 'company.updated', {
+      ...updatedCompanies[0],
+      previous: companies[0]
+    });
+    
+    res.json({
+      success: true,
+      message: 'Company updated successfully',
+      data: updatedCompanies[0]
+    });
+  } catch (err) {
+    console.error('Error updating company:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Delete a company
+ * @route DELETE /api/companies/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let query = 'SELECT * FROM companies WHERE id = ?';
+    let params = [companyId];
+    
+    if (req.applyRLS) {
       query += ' AND client_id = ? AND app_id = ?';
       params.push(req.clientId, req.appId);
       
       if (req.authenticatedUser) {
-        query += ' AND (created_by = ? OR is_public = 1)';
-        params.push(req.userId);
+        query += ' AND (created_by = ? OR is_public = 1)';
+        params.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(query, params);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to delete it'
+      });
+    }
+    
+    // Build delete query
+    let deleteQuery = 'DELETE FROM companies WHERE id = ?';
+    let deleteParams = [companyId];
+    
+    if (req.applyRLS) {
+      deleteQuery += ' AND client_id = ? AND app_id = ?';
+      deleteParams.push(req.clientId, req.appId);
+    }
+    
+    // Execute delete query
+    await req.db.query(deleteQuery, deleteParams);
+    
+    // Record the final values in the audit log
+    await recordCompanyAudit(req.db, req, AUDIT_ACTIONS.DELETED, companies[0], null, AUDITED_FIELDS);
+    
+    // Notify webhook subscribers
+    triggerWebhook(req.db, { clientId: companies[0].client_id, appId: companies[0].app_id }, 'company.deleted', companies[0]);
+    
+    res.json({
+      success: true,
+      message: 'Company deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting company:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get company contacts
+ * @route GET /api/companies/:id/contacts
+ */
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    // Get contacts with RLS support
+    let contactsQuery = `
+      SELECT c.*, 
+             CONCAT(c.first_name, ' ', c.last_name) AS full_name 
+      FROM contacts c 
+      WHERE c.company_id = ?
+    `;
+    
+    let contactsParams = [companyId];
+    
+    if (req.applyRLS) {
+      contactsQuery += ' AND c.client_id = ? AND c.app_id = ?';
+      contactsParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        contactsQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
+        contactsParams.push(req.userId);
+      }
+    }
+    
+    contactsQuery += ' ORDER BY c.first_name, c.last_name';
+    
+    const [contacts] = await req.db.query(contactsQuery, contactsParams);
+    
+    res.json({
+      success: true,
+      data: contacts
+    });
+  } catch (err) {
+    console.error('Error fetching company contacts:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get company deals
+ * @route GET /api/companies/:id/deals
+ */
+router.get('/:id/deals', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    // Get deals with RLS support
+    let dealsQuery = `
+      SELECT d.*, 
+             ds.name AS stage_name, 
+             ds.type AS stage_type,
+             ds.color AS stage_color,
+             c.first_name AS contact_first_name,
+             c.last_name AS contact_last_name,
+             CONCAT(c.first_name, ' ', c.last_name) AS contact_name
+      FROM deals d
+      JOIN deal_stages ds ON d.stage_id = ds.id
+      LEFT JOIN contacts c ON d.contact_id = c.id
+      WHERE d.company_id = ?
+    `;
+    
+    let dealsParams = [companyId];
+    
+    if (req.applyRLS) {
+      dealsQuery += ' AND d.client_id = ? AND d.app_id = ?';
+      dealsParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        dealsQuery += ' AND (d.created_by = ? OR d.is_public = 1)';
+        dealsParams.push(req.userId);
       }
     }
     
-    const [companies] = await req.db.query(query, params);
+    dealsQuery += ' ORDER BY d.expected_close_date ASC';
+    
+    const [deals] = await req.db.query(dealsQuery, dealsParams);
+    
+    res.json({
+      success: true,
+      data: deals
+    });
+  } catch (err) {
+    console.error('Error fetching company deals:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Move a company's deal to another stage, recording it on the company timeline
+ * @route PUT /api/companies/:id/deals/:dealId/stage
+ */
+router.put('/:id/deals/:dealId/stage', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    const stageId = parseInt(req.body.stageId);
+    
+    if (isNaN(stageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'stageId is required'
+      });
+    }
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    // Check if the deal belongs to the company and user has permission
+    let dealQuery = 'SELECT * FROM deals WHERE id = ? AND company_id = ?';
+    let dealParams = [req.params.dealId, companyId];
+    
+    if (req.applyRLS) {
+      dealQuery += ' AND client_id = ? AND app_id = ?';
+      dealParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        dealQuery += ' AND (created_by = ? OR is_public = 1)';
+        dealParams.push(req.userId);
+      }
+    }
+    
+    const [deals] = await req.db.query(dealQuery, dealParams);
+    
+    if (deals.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deal not found or you do not have permission to access it'
+      });
+    }
+    
+    const deal = deals[0];
+    
+    // The stage must be one of the deal's tenant
+    let stageQuery = 'SELECT id, name, type FROM deal_stages WHERE id = ?';
+    let stageParams = [stageId];
+    
+    if (req.applyRLS) {
+      stageQuery += ' AND client_id = ? AND app_id = ?';
+      stageParams.push(req.clientId, req.appId);
+    }
+    
+    const [stages] = await req.db.query(stageQuery, stageParams);
+    
+    if (stages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deal stage not found'
+      });
+    }
+    
+    if (deal.stage_id !== stages[0].id) {
+      await req.db.query('UPDATE deals SET stage_id = ? WHERE id = ?', [stages[0].id, deal.id]);
+      
+      const [previousStages] = await req.db.query('SELECT name FROM deal_stages WHERE id = ?', [deal.stage_id]);
+      
+      await recordCompanyActivity(req.db, req, companies[0], TIMELINE_TYPES.DEAL_STAGE_CHANGED, {
+        dealId: deal.id,
+        data: {
+          fromStageId: deal.stage_id,
+          fromStage: previousStages.length > 0 ? previousStages[0].name : null,
+          toStageId: stages[0].id,
+          toStage: stages[0].name
+        }
+      });
+    }
+    
+    const [updatedDeals] = await req.db.query(
+      `SELECT d.*, ds.name AS stage_name, ds.type AS stage_type, ds.color AS stage_color
+       FROM deals d
+       JOIN deal_stages ds ON d.stage_id = ds.id
+       WHERE d.id = ?`,
+      [deal.id]
+    );
+    
+    res.json({
+      success: true,
+      message: 'Deal stage updated successfully',
+      data: updatedDeals[0]
+    });
+  } catch (err) {
+    console.error('Error updating deal stage:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get company events (past and upcoming), including those of its contacts and deals
+ * @route GET /api/companies/:id/events
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    // Optional viewer time zone for rendering local times
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    const { limit } = getPaginationParams(req);
+    const events = await loadLinkedEvents(req, { companyId: companies[0].id, limit, viewerTimeZone });
+    
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (err) {
+    console.error('Error fetching company events:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get deal events (past and upcoming)
+ * @route GET /api/companies/:id/deals/:dealId/events
+ */
+router.get('/:id/deals/:dealId/events', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
+    
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to access it'
+      });
+    }
+    
+    // Check if the deal belongs to the company and user has permission
+    let dealQuery = 'SELECT * FROM deals WHERE id = ? AND company_id = ?';
+    let dealParams = [req.params.dealId, companyId];
+    
+    if (req.applyRLS) {
+      dealQuery += ' AND client_id = ? AND app_id = ?';
+      dealParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        dealQuery += ' AND (created_by = ? OR is_public = 1)';
+        dealParams.push(req.userId);
+      }
+    }
+    
+    const [deals] = await req.db.query(dealQuery, dealParams);
+    
+    if (deals.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deal not found or you do not have permission to access it'
+      });
+    }
+    
+    // Optional viewer time zone for rendering local times
+    const viewerTimeZone = req.query.tz || null;
+    
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    const { limit } = getPaginationParams(req);
+    const events = await loadLinkedEvents(req, { dealId: deals[0].id, limit, viewerTimeZone });
+    
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (err) {
+    console.error('Error fetching deal events:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get the company timeline: edits, contacts, deals and meetings, newest first
+ * @route GET /api/companies/:id/timeline
+ */
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const companyId = req.params.id;
+    
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
+    
+    if (req.applyRLS) {
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
+      
+      if (req.authenticatedUser) {
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
+      }
+    }
+    
+    const [companies] = await req.db.query(companyQuery, companyParams);
     
     if (companies.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Company not found or you do not have permission to update it'
+        message: 'Company not found or you do not have permission to access it'
       });
     }
     
-    // Extract fields from request body
-    const {
-      name,
-      industry,
-      employees_count,
-      website,
-      phone,
-      address,
-      city,
-      state,
-      postal_code,
-      country,
-      annual_revenue,
-      status,
-      notes
-    } = req.body;
-    
-    // Set updated timestamp
-    const now = new Date();
+    // Optional entry type filter (comma-separated)
+    const types = req.query.types ? req.query.types.split(',') : Object.values(TIMELINE_TYPES);
     
-    // Build update query
-    let updateQuery = `
-      UPDATE companies
-      SET name = ?, industry = ?, employees_count = ?, website = ?, phone = ?,
-          address = ?, city = ?, state = ?, postal_code = ?, country = ?,
-          annual_revenue = ?, status = ?, notes = ?, updated_at = ?
-      WHERE id = ?
-    `;
+    if (types.some(type => !Object.values(TIMELINE_TYPES).includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: `Types must be one of: ${Object.values(TIMELINE_TYPES).join(', ')}`
+      });
+    }
     
-    let updateParams = [
-      name, industry, employees_count, website, phone,
-      address, city, state, postal_code, country,
-      annual_revenue, status, notes, now, companyId
-    ];
+    // Continue after the last entry of the previous page
+    const cursor = req.query.cursor ? decodeTimelineCursor(req.query.cursor) : null;
     
-    // If RLS is applied, add tenant constraints
-    if (req.applyRLS) {
-      updateQuery += ' AND client_id = ? AND app_id = ?';
-      updateParams.push(req.clientId, req.appId);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
     }
     
-    // Execute update query
-    await req.db.query(updateQuery, updateParams);
+    // Optional viewer time zone for rendering meeting times
+    const viewerTimeZone = req.query.tz || null;
     
-    // Fetch updated company
-    const [updatedCompanies] = await req.db.query(
-      'SELECT * FROM companies WHERE id = ?',
-      [companyId]
-    );
+    if (viewerTimeZone && !isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid time zone'
+      });
+    }
+    
+    const limit = Math.min(getPaginationParams(req).limit, MAX_TIMELINE_LIMIT);
+    const timeline = await loadCompanyTimeline(req, companies[0], { types, cursor, limit, viewerTimeZone });
     
     res.json({
       success: true,
-      message: 'Company updated successfully',
-      data: updatedCompanies[0]
+      data: timeline.entries,
+      pagination: {
+        limit,
+        nextCursor: timeline.nextCursor,
+        hasMore: Boolean(timeline.nextCursor)
+      }
     });
   } catch (err) {
-    console.error('Error updating company:', err);
+    console.error('Error fetching company timeline:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -600,54 +2347,62 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * Delete a company
- * @route DELETE /api/companies/:id
+ * Get the change history of a company
+ * @route GET /api/companies/:id/history
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/history', async (req, res) => {
   try {
     const companyId = req.params.id;
     
     // Check if company exists and user has permission
-    let query = 'SELECT * FROM companies WHERE id = ?';
-    let params = [companyId];
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [companyId];
     
     if (req.applyRLS) {
-      query += ' AND client_id = ? AND app_id = ?';
-      params.push(req.clientId, req.appId);
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
       
       if (req.authenticatedUser) {
-        query += ' AND (created_by = ? OR is_public = 1)';
-        params.push(req.userId);
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
       }
     }
     
-    const [companies] = await req.db.query(query, params);
+    const [companies] = await req.db.query(companyQuery, companyParams);
     
     if (companies.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Company not found or you do not have permission to delete it'
+        message: 'Company not found or you do not have permission to access it'
       });
     }
     
-    // Build delete query
-    let deleteQuery = 'DELETE FROM companies WHERE id = ?';
-    let deleteParams = [companyId];
+    const { filters, error } = getAuditFilters(req);
     
-    if (req.applyRLS) {
-      deleteQuery += ' AND client_id = ? AND app_id = ?';
-      deleteParams.push(req.clientId, req.appId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
     }
     
-    // Execute delete query
-    await req.db.query(deleteQuery, deleteParams);
+    filters.companyId = companies[0].id;
+    
+    const { page, limit, offset } = getPaginationParams(req);
+    const { entries, total } = await queryCompanyAudit(req.db, filters, { limit, offset });
     
     res.json({
       success: true,
-      message: 'Company deleted successfully'
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (err) {
-    console.error('Error deleting company:', err);
+    console.error('Error fetching company history:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -657,16 +2412,24 @@ router.delete('/:id', async (req, res) => {
 });
 
 /**
- * Get company contacts
- * @route GET /api/companies/:id/contacts
+ * Add tags to a company
+ * Body: tags (a list of names; new names create tags)
+ * @route POST /api/companies/:id/tags
  */
-router.get('/:id/contacts', async (req, res) => {
+router.post('/:id/tags', async (req, res) => {
   try {
-    const companyId = req.params.id;
+    const { tags, error } = normalizeTagNames(req.body.tags);
+    
+    if (error || tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'At least one tag is required'
+      });
+    }
     
     // Check if company exists and user has permission
     let companyQuery = 'SELECT * FROM companies WHERE id = ?';
-    let companyParams = [companyId];
+    let companyParams = [req.params.id];
     
     if (req.applyRLS) {
       companyQuery += ' AND client_id = ? AND app_id = ?';
@@ -683,40 +2446,78 @@ router.get('/:id/contacts', async (req, res) => {
     if (companies.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Company not found or you do not have permission to access it'
+        message: 'Company not found or you do not have permission to update it'
       });
     }
     
-    // Get contacts with RLS support
-    let contactsQuery = `
-      SELECT c.*, 
-             CONCAT(c.first_name, ' ', c.last_name) AS full_name 
-      FROM contacts c 
-      WHERE c.company_id = ?
-    `;
+    await ensureCompanyTagTables(req.db);
+    await addCompanyTags(req.db, req, companies, tags);
+    await attachCompanyTags(req.db, companies);
     
-    let contactsParams = [companyId];
+    res.json({
+      success: true,
+      message: 'Tags added successfully',
+      data: { tags: companies[0].tags }
+    });
+  } catch (err) {
+    console.error('Error tagging company:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Remove a tag from a company
+ * @route DELETE /api/companies/:id/tags/:tag
+ */
+router.delete('/:id/tags/:tag', async (req, res) => {
+  try {
+    // Check if company exists and user has permission
+    let companyQuery = 'SELECT * FROM companies WHERE id = ?';
+    let companyParams = [req.params.id];
     
     if (req.applyRLS) {
-      contactsQuery += ' AND c.client_id = ? AND c.app_id = ?';
-      contactsParams.push(req.clientId, req.appId);
+      companyQuery += ' AND client_id = ? AND app_id = ?';
+      companyParams.push(req.clientId, req.appId);
       
       if (req.authenticatedUser) {
-        contactsQuery += ' AND (c.created_by = ? OR c.is_public = 1)';
-        contactsParams.push(req.userId);
+        companyQuery += ' AND (created_by = ? OR is_public = 1)';
+        companyParams.push(req.userId);
       }
     }
     
-    contactsQuery += ' ORDER BY c.first_name, c.last_name';
+    const [companies] = await req.db.query(companyQuery, companyParams);
     
-    const [contacts] = await req.db.query(contactsQuery, contactsParams);
+    if (companies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found or you do not have permission to update it'
+      });
+    }
+    
+    await ensureCompanyTagTables(req.db);
+    const { tags } = normalizeTagNames([req.params.tag]);
+    const removed = await removeCompanyTags(req.db, companies, tags);
+    
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'The company does not have this tag'
+      });
+    }
+    
+    await attachCompanyTags(req.db, companies);
     
     res.json({
       success: true,
-      data: contacts
+      message: 'Tag removed successfully',
+      data: { tags: companies[0].tags }
     });
   } catch (err) {
-    console.error('Error fetching company contacts:', err);
+    console.error('Error removing company tag:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -726,10 +2527,10 @@ router.get('/:id/contacts', async (req, res) => {
 });
 
 /**
- * Get company deals
- * @route GET /api/companies/:id/deals
+ * Find likely duplicates of a company
+ * @route GET /api/companies/:id/duplicates
  */
-router.get('/:id/deals', async (req, res) => {
+router.get('/:id/duplicates', async (req, res) => {
   try {
     const companyId = req.params.id;
     
@@ -756,43 +2557,136 @@ router.get('/:id/deals', async (req, res) => {
       });
     }
     
-    // Get deals with RLS support
-    let dealsQuery = `
-      SELECT d.*, 
-             ds.name AS stage_name, 
-             ds.type AS stage_type,
-             ds.color AS stage_color,
-             c.first_name AS contact_first_name,
-             c.last_name AS contact_last_name,
-             CONCAT(c.first_name, ' ', c.last_name) AS contact_name
-      FROM deals d
-      JOIN deal_stages ds ON d.stage_id = ds.id
-      LEFT JOIN contacts c ON d.contact_id = c.id
-      WHERE d.company_id = ?
-    `;
+    const { minScore, error } = getMinScore(req);
     
-    let dealsParams = [companyId];
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const candidates = await findCompanyDuplicates(req, companies[0], { minScore });
+    
+    res.json({
+      success: true,
+      data: candidates
+    });
+  } catch (err) {
+    console.error('Error finding company duplicates:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Merge other companies into a company
+ * Body: sourceIds (companies merged in and deleted) and optionally fields,
+ * mapping a field (or customFields.<key>) to the ID of the company whose value is kept.
+ * @route POST /api/companies/:id/merge
+ */
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const companyId = Number(req.params.id);
+    const { sourceIds, fields: choices = {} } = req.body;
+    
+    // Validate the merge request
+    if (!Number.isInteger(companyId) || companyId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid company ID'
+      });
+    }
+    
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.length > MAX_MERGE_SOURCES ||
+        !sourceIds.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `sourceIds must be a list of 1 to ${MAX_MERGE_SOURCES} company IDs`
+      });
+    }
+    
+    if (sourceIds.includes(companyId) || new Set(sourceIds).size !== sourceIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceIds must be distinct and must not include the company itself'
+      });
+    }
+    
+    if (!choices || typeof choices !== 'object' || Array.isArray(choices)) {
+      return res.status(400).json({
+        success: false,
+        message: 'fields must map field names to company IDs'
+      });
+    }
+    
+    const definitions = await loadCustomFieldDefinitions(req.db, customFieldTenant(req));
+    const mergedFields = [...AUDITED_FIELDS, ...definitions.map(customFieldName)];
+    
+    for (const [field, id] of Object.entries(choices)) {
+      if (!mergedFields.includes(field)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown field "${field}"`
+        });
+      }
+      
+      if (id !== companyId && !sourceIds.includes(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `The value of ${field} must come from one of the merged companies`
+        });
+      }
+    }
+    
+    // Check the companies exist and user has permission
+    const ids = [companyId, ...sourceIds];
+    let query = `SELECT * FROM companies WHERE id IN (${ids.map(() => '?').join(', ')})`;
+    let params = [...ids];
     
     if (req.applyRLS) {
-      dealsQuery += ' AND d.client_id = ? AND d.app_id = ?';
-      dealsParams.push(req.clientId, req.appId);
+      query += ' AND client_id = ? AND app_id = ?';
+      params.push(req.clientId, req.appId);
       
       if (req.authenticatedUser) {
-        dealsQuery += ' AND (d.created_by = ? OR d.is_public = 1)';
-        dealsParams.push(req.userId);
+        query += ' AND (created_by = ? OR is_public = 1)';
+        params.push(req.userId);
       }
     }
     
-    dealsQuery += ' ORDER BY d.expected_close_date ASC';
+    const [companies] = await req.db.query(query, params);
+    const missingId = ids.find(id => !companies.some(company => company.id === id));
     
-    const [deals] = await req.db.query(dealsQuery, dealsParams);
+    if (missingId !== undefined) {
+      return res.status(404).json({
+        success: false,
+        message: `Company ${missingId} not found or you do not have permission to merge it`
+      });
+    }
+    
+    // Keep the request's order of sources (it decides which filled-in values win)
+    const target = companies.find(company => company.id === companyId);
+    const sources = sourceIds.map(id => companies.find(company => company.id === id));
+    
+    const result = await mergeCompanies(req, target, sources, { fields: AUDITED_FIELDS, choices, definitions });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'A merged company was deleted before the merge completed'
+      });
+    }
     
     res.json({
       success: true,
-      data: deals
+      message: `Merged ${sources.length} ${sources.length === 1 ? 'company' : 'companies'} into ${result.company.name}`,
+      data: result
     });
   } catch (err) {
-    console.error('Error fetching company deals:', err);
+    console.error('Error merging companies:', err);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -806,13 +2700,38 @@ const appRouter = express.Router({ mergeParams: true });
 
 // Create the same routes for the app-specific pattern
 appRouter.get('/stats', router.stack.find(layer => layer.route?.path === '/stats').handle);
+appRouter.get('/tags', router.stack.find(layer => layer.route?.path === '/tags').handle);
+appRouter.post('/tags/bulk', router.stack.find(layer => layer.route?.path === '/tags/bulk').handle);
+appRouter.get('/segments', router.stack.find(layer => layer.route?.path === '/segments' && layer.route.methods.get).handle);
+appRouter.post('/segments', router.stack.find(layer => layer.route?.path === '/segments' && layer.route.methods.post).handle);
+appRouter.get('/segments/:segmentId', router.stack.find(layer => layer.route?.path === '/segments/:segmentId' && layer.route.methods.get).handle);
+appRouter.put('/segments/:segmentId', router.stack.find(layer => layer.route?.path === '/segments/:segmentId' && layer.route.methods.put).handle);
+appRouter.delete('/segments/:segmentId', router.stack.find(layer => layer.route?.path === '/segments/:segmentId' && layer.route.methods.delete).handle);
+appRouter.get('/custom-fields', router.stack.find(layer => layer.route?.path === '/custom-fields' && layer.route.methods.get).handle);
+appRouter.post('/custom-fields', router.stack.find(layer => layer.route?.path === '/custom-fields' && layer.route.methods.post).handle);
+appRouter.put('/custom-fields/:fieldId', router.stack.find(layer => layer.route?.path === '/custom-fields/:fieldId' && layer.route.methods.put).handle);
+appRouter.delete('/custom-fields/:fieldId', router.stack.find(layer => layer.route?.path === '/custom-fields/:fieldId' && layer.route.methods.delete).handle);
+appRouter.get('/audit', router.stack.find(layer => layer.route?.path === '/audit').handle);
+appRouter.get('/duplicates', router.stack.find(layer => layer.route?.path === '/duplicates').handle);
+appRouter.get('/export', router.stack.find(layer => layer.route?.path === '/export').handle);
 appRouter.get('/', router.stack.find(layer => layer.route?.path === '/').handle);
 appRouter.get('/:id', router.stack.find(layer => layer.route?.path === '/:id').handle);
 appRouter.post('/', router.stack.find(layer => layer.route?.path === '/' && layer.route.methods.post).handle);
+appRouter.post('/import', router.stack.find(layer => layer.route?.path === '/import').handle);
+appRouter.get('/imports/:importId/errors', router.stack.find(layer => layer.route?.path === '/imports/:importId/errors').handle);
 appRouter.put('/:id', router.stack.find(layer => layer.route?.path === '/:id' && layer.route.methods.put).handle);
 appRouter.delete('/:id', router.stack.find(layer => layer.route?.path === '/:id' && layer.route.methods.delete).handle);
 appRouter.get('/:id/contacts', router.stack.find(layer => layer.route?.path === '/:id/contacts').handle);
 appRouter.get('/:id/deals', router.stack.find(layer => layer.route?.path === '/:id/deals').handle);
+appRouter.put('/:id/deals/:dealId/stage', router.stack.find(layer => layer.route?.path === '/:id/deals/:dealId/stage').handle);
+appRouter.post('/:id/tags', router.stack.find(layer => layer.route?.path === '/:id/tags').handle);
+appRouter.delete('/:id/tags/:tag', router.stack.find(layer => layer.route?.path === '/:id/tags/:tag').handle);
+appRouter.get('/:id/duplicates', router.stack.find(layer => layer.route?.path === '/:id/duplicates').handle);
+appRouter.post('/:id/merge', router.stack.find(layer => layer.route?.path === '/:id/merge').handle);
+appRouter.get('/:id/history', router.stack.find(layer => layer.route?.path === '/:id/history').handle);
+appRouter.get('/:id/timeline', router.stack.find(layer => layer.route?.path === '/:id/timeline').handle);
+appRouter.get('/:id/events', router.stack.find(layer => layer.route?.path === '/:id/events').handle);
+appRouter.get('/:id/deals/:dealId/events', router.stack.find(layer => layer.route?.path === '/:id/deals/:dealId/events').handle);
 
 module.exports = {
   companiesRouter: router,
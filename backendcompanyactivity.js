@@ -0,0 +1,357 @@
+/**
+ * backendcompanyactivity.js
+ * Company activity log and the merged company timeline
+ *
+ * Creation of companies, contacts and deals is read from their own rows.
+ * Changes that leave no trace there (company edits, deal stage moves) are
+ * written to company_activities as they happen.
+ */
+
+const { findLinkedEvents } = require('./backendcalendars');
+
+// Entries of a company timeline
+const TIMELINE_TYPES = {
+  COMPANY_CREATED: 'company.created',
+  COMPANY_UPDATED: 'company.updated',
+  CONTACT_ADDED: 'contact.added',
+  DEAL_CREATED: 'deal.created',
+  DEAL_STAGE_CHANGED: 'deal.stage_changed',
+  MEETING: 'meeting'
+};
+
+// Timeline entries stored in company_activities
+const LOGGED_ACTIVITY_TYPES = [TIMELINE_TYPES.COMPANY_UPDATED, TIMELINE_TYPES.DEAL_STAGE_CHANGED];
+
+// Largest page of timeline entries
+const MAX_TIMELINE_LIMIT = 100;
+
+/**
+ * Create the company activity table if needed
+ */
+async function ensureCompanyActivityTable(db) {
+  const [activityCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_activities'`
+  );
+  
+  if (activityCheck[0].count === 0) {
+    console.log('Creating company_activities table');
+    await db.query(`
+      CREATE TABLE company_activities (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        company_id INT NOT NULL,
+        activity_type VARCHAR(30) NOT NULL,
+        deal_id INT NULL,
+        data TEXT NULL,
+        actor_id INT NULL,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_company (company_id, created_at),
+        INDEX idx_client_app (client_id, app_id)
+      )
+    `);
+  }
+}
+
+/**
+ * Record an activity on a company's timeline
+ * company is the company row (its tenant is used); data is stored as JSON.
+ * Deal stage moves (PUT /api/companies/:id/deals/:dealId/stage) are recorded
+ * as deal.stage_changed with dealId and { fromStageId, toStageId } data.
+ */
+async function recordCompanyActivity(db, req, company, type, { dealId = null, data = null } = {}) {
+  if (!LOGGED_ACTIVITY_TYPES.includes(type)) {
+    throw new Error(`Unknown company activity type "${type}"`);
+  }
+  
+  await ensureCompanyActivityTable(db);
+  
+  const [result] = await db.query(
+    `INSERT INTO company_activities (company_id, activity_type, deal_id, data, actor_id, client_id, app_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      company.id,
+      type,
+      dealId,
+      data ? JSON.stringify(data) : null,
+      req.userId || null,
+      company.client_id,
+      company.app_id
+    ]
+  );
+  
+  return result.insertId;
+}
+
+/**
+ * Encode a timeline position as an opaque cursor
+ */
+function encodeTimelineCursor(entry) {
+  return Buffer.from(`${new Date(entry.occurredAt).getTime()}:${entry.type}:${entry.sourceId}`).toString('base64url');
+}
+
+/**
+ * Decode a timeline cursor; returns null when it is malformed
+ */
+function decodeTimelineCursor(cursor) {
+  const match = /^(\d+):([a-z._]+):(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  
+  if (!match || !Object.values(TIMELINE_TYPES).includes(match[2])) {
+    return null;
+  }
+  
+  return { time: new Date(parseInt(match[1])), type: match[2], id: parseInt(match[3]) };
+}
+
+/**
+ * Order timeline entries newest first (ties by type, then source ID, descending)
+ */
+function compareTimelineEntries(a, b) {
+  return new Date(b.occurredAt) - new Date(a.occurredAt) ||
+    b.type.localeCompare(a.type) ||
+    b.sourceId - a.sourceId;
+}
+
+/**
+ * SQL condition selecting rows of one entry type that come after the cursor
+ */
+function cursorCondition(type, timeColumn, idColumn, cursor) {
+  if (!cursor) {
+    return { clause: '', params: [] };
+  }
+  
+  if (type === cursor.type) {
+    return {
+      clause: ` AND (${timeColumn} < ? OR (${timeColumn} = ? AND ${idColumn} < ?))`,
+      params: [cursor.time, cursor.time, cursor.id]
+    };
+  }
+  
+  // Entries at the cursor's instant sort by type, so some of them come later
+  return {
+    clause: ` AND ${timeColumn} ${type < cursor.type ? '<=' : '<'} ?`,
+    params: [cursor.time]
+  };
+}
+
+/**
+ * Where meetings before the cursor end, as findLinkedEvents options
+ * Meetings at the cursor's instant sort by type like the other sources.
+ */
+function meetingsUntil(cursor, now) {
+  if (!cursor || cursor.time > now) {
+    return { until: now, untilId: null };
+  }
+  
+  if (cursor.type === TIMELINE_TYPES.MEETING) {
+    return { until: cursor.time, untilId: cursor.id };
+  }
+  
+  // untilId 0 leaves out every meeting at the cursor's instant
+  return { until: cursor.time, untilId: TIMELINE_TYPES.MEETING < cursor.type ? null : 0 };
+}
+
+/**
+ * Restrict rows to the company's tenant
+ */
+function tenantCondition(company, alias) {
+  if (company.client_id === null || company.client_id === undefined) {
+    return { clause: '', params: [] };
+  }
+  
+  return { clause: ` AND ${alias}.client_id = ? AND ${alias}.app_id = ?`, params: [company.client_id, company.app_id] };
+}
+
+/**
+ * Row-level visibility of contacts and deals, as on the company endpoints
+ */
+function visibilityCondition(req, alias) {
+  if (req.applyRLS && req.authenticatedUser) {
+    return { clause: ` AND (${alias}.created_by = ? OR ${alias}.is_public = 1)`, params: [req.userId] };
+  }
+  
+  return { clause: '', params: [] };
+}
+
+/**
+ * Parse the JSON data of an activity row
+ */
+function parseActivityData(value) {
+  if (!value) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load one page of a company's timeline
+ * types limits the entry types; cursor continues after the last entry of the
+ * previous page. Returns { entries, nextCursor }.
+ */
+async function loadCompanyTimeline(req, company, { types, cursor = null, limit = 25, viewerTimeZone = null }) {
+  const db = req.db;
+  const wants = type => types.includes(type);
+  const entries = [];
+  
+  // One extra entry per source tells whether there is a next page
+  const sourceLimit = limit + 1;
+  
+  if (wants(TIMELINE_TYPES.COMPANY_CREATED)) {
+    entries.push({
+      type: TIMELINE_TYPES.COMPANY_CREATED,
+      sourceId: company.id,
+      occurredAt: new Date(company.created_at),
+      actorId: company.created_by || null,
+      data: { name: company.name }
+    });
+  }
+  
+  // Logged activity (company edits and deal stage changes)
+  const loggedTypes = LOGGED_ACTIVITY_TYPES.filter(wants);
+  
+  if (loggedTypes.length > 0) {
+    await ensureCompanyActivityTable(db);
+    
+    for (const type of loggedTypes) {
+      const tenant = tenantCondition(company, 'a');
+      const after = cursorCondition(type, 'a.created_at', 'a.id', cursor);
+      
+      // Stage changes of deals the user cannot see are left out
+      const visible = visibilityCondition(req, 'd');
+      const dealVisible = visible.clause
+        ? { clause: ` AND (a.deal_id IS NULL OR a.deal_id IN (SELECT d.id FROM deals d WHERE 1=1${visible.clause}))`, params: visible.params }
+        : visible;
+      
+      const [activities] = await db.query(
+        `SELECT a.*
+         FROM company_activities a
+         WHERE a.company_id = ? AND a.activity_type = ?${tenant.clause}${dealVisible.clause}${after.clause}
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT ?`,
+        [company.id, type, ...tenant.params, ...dealVisible.params, ...after.params, sourceLimit]
+      );
+      
+      activities.forEach(activity => {
+        entries.push({
+          type,
+          sourceId: activity.id,
+          occurredAt: activity.created_at,
+          actorId: activity.actor_id,
+          data: {
+            ...(activity.deal_id ? { dealId: activity.deal_id } : {}),
+            ...parseActivityData(activity.data)
+          }
+        });
+      });
+    }
+  }
+  
+  if (wants(TIMELINE_TYPES.CONTACT_ADDED)) {
+    const after = cursorCondition(TIMELINE_TYPES.CONTACT_ADDED, 'c.created_at', 'c.id', cursor);
+    const tenant = tenantCondition(company, 'c');
+    const visible = visibilityCondition(req, 'c');
+    const [contacts] = await db.query(
+      `SELECT c.id, c.first_name, c.last_name, c.email, c.created_by, c.created_at,
+              CONCAT(c.first_name, ' ', c.last_name) AS full_name
+       FROM contacts c
+       WHERE c.company_id = ?${tenant.clause}${visible.clause}${after.clause}
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT ?`,
+      [company.id, ...tenant.params, ...visible.params, ...after.params, sourceLimit]
+    );
+    
+    contacts.forEach(contact => {
+      entries.push({
+        type: TIMELINE_TYPES.CONTACT_ADDED,
+        sourceId: contact.id,
+        occurredAt: contact.created_at,
+        actorId: contact.created_by || null,
+        data: {
+          contactId: contact.id,
+          name: contact.full_name,
+          email: contact.email || null
+        }
+      });
+    });
+  }
+  
+  if (wants(TIMELINE_TYPES.DEAL_CREATED)) {
+    const after = cursorCondition(TIMELINE_TYPES.DEAL_CREATED, 'd.created_at', 'd.id', cursor);
+    const tenant = tenantCondition(company, 'd');
+    const visible = visibilityCondition(req, 'd');
+    const [deals] = await db.query(
+      `SELECT d.*, ds.name AS stage_name, ds.type AS stage_type
+       FROM deals d
+       LEFT JOIN deal_stages ds ON d.stage_id = ds.id
+       WHERE d.company_id = ?${tenant.clause}${visible.clause}${after.clause}
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT ?`,
+      [company.id, ...tenant.params, ...visible.params, ...after.params, sourceLimit]
+    );
+    
+    deals.forEach(deal => {
+      entries.push({
+        type: TIMELINE_TYPES.DEAL_CREATED,
+        sourceId: deal.id,
+        occurredAt: deal.created_at,
+        actorId: deal.created_by || null,
+        data: deal
+      });
+    });
+  }
+  
+  // Meetings show up when they start; the calendar decides what the user may see
+  if (wants(TIMELINE_TYPES.MEETING)) {
+    const events = await findLinkedEvents(req, {
+      companyId: company.id,
+      ...meetingsUntil(cursor, new Date()),
+      limit: sourceLimit,
+      viewerTimeZone
+    });
+    
+    events.forEach(event => {
+      entries.push({
+        type: TIMELINE_TYPES.MEETING,
+        sourceId: event.id,
+        occurredAt: new Date(event.start),
+        actorId: null,
+        data: event
+      });
+    });
+  }
+  
+  // Merge the sources and keep the entries after the cursor
+  const cursorEntry = cursor ? { occurredAt: cursor.time, type: cursor.type, sourceId: cursor.id } : null;
+  const page = entries
+    .filter(entry => !cursorEntry || compareTimelineEntries(cursorEntry, entry) < 0)
+    .sort(compareTimelineEntries)
+    .slice(0, limit + 1);
+  
+  const hasMore = page.length > limit;
+  const pageEntries = page.slice(0, limit);
+  
+  return {
+    entries: pageEntries.map(({ sourceId, ...entry }) => ({
+      id: `${entry.type}:${sourceId}`,
+      ...entry
+    })),
+    nextCursor: hasMore ? encodeTimelineCursor(pageEntries[pageEntries.length - 1]) : null
+  };
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  MAX_TIMELINE_LIMIT,
+  ensureCompanyActivityTable,
+  recordCompanyActivity,
+  decodeTimelineCursor,
+  loadCompanyTimeline
+};
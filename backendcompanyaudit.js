@@ -0,0 +1,226 @@
+/**
+ * backendcompanyaudit.js
+ * Field-level audit log of company changes
+ *
+ * Every create, update, delete and merge writes one row per affected field
+ * with the old and new value, the acting user and the time.
+ */
+
+// What happened to the company
+const AUDIT_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  MERGED: 'merged'
+};
+
+/**
+ * Create the company audit table if needed
+ */
+async function ensureCompanyAuditTable(db) {
+  const [auditCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_audit_log'`
+  );
+  
+  if (auditCheck[0].count === 0) {
+    console.log('Creating company_audit_log table');
+    await db.query(`
+      CREATE TABLE company_audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        company_id INT NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        field_name VARCHAR(100) NOT NULL,
+        old_value TEXT NULL,
+        new_value TEXT NULL,
+        actor_id INT NULL,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_company (company_id, created_at),
+        INDEX idx_client_app (client_id, app_id, created_at),
+        INDEX idx_actor (actor_id)
+      )
+    `);
+  }
+}
+
+/**
+ * Store a column value as text (dates as ISO strings, empty as null)
+ */
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Build audit rows for the fields that differ between two versions of a company
+ */
+function buildAuditRows(req, action, before, after, fields) {
+  const company = after || before;
+  const rows = [];
+  
+  fields.forEach(field => {
+    const oldValue = before ? formatAuditValue(before[field]) : null;
+    const newValue = after ? formatAuditValue(after[field]) : null;
+    
+    if (oldValue !== newValue) {
+      rows.push([
+        company.id,
+        action,
+        field,
+        oldValue,
+        newValue,
+        req.userId || null,
+        company.client_id,
+        company.app_id
+      ]);
+    }
+  });
+  
+  return rows;
+}
+
+/**
+ * Insert audit rows in one statement
+ */
+async function insertAuditRows(db, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+  
+  await db.query(
+    `INSERT INTO company_audit_log (company_id, action, field_name, old_value, new_value, actor_id, client_id, app_id)
+     VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+    rows.flat()
+  );
+}
+
+/**
+ * Record the fields that differ between two versions of a company
+ * before is null for a created company and after is null for a deleted one.
+ * Returns the names of the changed fields.
+ */
+async function recordCompanyAudit(db, req, action, before, after, fields) {
+  const rows = buildAuditRows(req, action, before, after, fields);
+  
+  if (rows.length > 0) {
+    await ensureCompanyAuditTable(db);
+    await insertAuditRows(db, rows);
+  }
+  
+  return rows.map(row => row[2]);
+}
+
+/**
+ * Record the initial values of many created companies at once (bulk imports)
+ * Call ensureCompanyAuditTable before opening a transaction for db.
+ */
+async function recordCompanyCreations(db, req, companies, fields) {
+  const rows = companies.flatMap(company => buildAuditRows(req, AUDIT_ACTIONS.CREATED, null, company, fields));
+  await insertAuditRows(db, rows);
+}
+
+/**
+ * Query the audit log, newest first
+ * filters: tenant (clientId/appId), companyId, userId, action, field, from, to.
+ * Returns { entries, total }.
+ */
+async function queryCompanyAudit(db, filters, { limit, offset }) {
+  await ensureCompanyAuditTable(db);
+  
+  let whereClause = '1=1';
+  const params = [];
+  
+  // Apply tenant isolation
+  if (filters.clientId !== undefined) {
+    whereClause += ' AND l.client_id = ? AND l.app_id = ?';
+    params.push(filters.clientId, filters.appId);
+  }
+  
+  if (filters.companyId) {
+    whereClause += ' AND l.company_id = ?';
+    params.push(filters.companyId);
+  }
+  
+  if (filters.userId) {
+    whereClause += ' AND l.actor_id = ?';
+    params.push(filters.userId);
+  }
+  
+  if (filters.action) {
+    whereClause += ' AND l.action = ?';
+    params.push(filters.action);
+  }
+  
+  if (filters.field) {
+    whereClause += ' AND l.field_name = ?';
+    params.push(filters.field);
+  }
+  
+  if (filters.from) {
+    whereClause += ' AND l.created_at >= ?';
+    params.push(filters.from);
+  }
+  
+  if (filters.to) {
+    whereClause += ' AND l.created_at <= ?';
+    params.push(filters.to);
+  }
+  
+  const [entries] = await db.query(
+    `SELECT
+       l.id,
+       l.company_id,
+       l.action,
+       l.field_name,
+       l.old_value,
+       l.new_value,
+       l.actor_id,
+       u.name as actor_name,
+       u.email as actor_email,
+       l.created_at
+     FROM company_audit_log l
+     LEFT JOIN app_users u ON l.actor_id = u.id
+     WHERE ${whereClause}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) as total FROM company_audit_log l WHERE ${whereClause}`,
+    params
+  );
+  
+  return {
+    entries: entries.map(entry => ({
+      id: entry.id,
+      companyId: entry.company_id,
+      action: entry.action,
+      field: entry.field_name,
+      oldValue: entry.old_value,
+      newValue: entry.new_value,
+      changedBy: entry.actor_id ? {
+        id: entry.actor_id,
+        name: entry.actor_name || null,
+        email: entry.actor_email || null
+      } : null,
+      changedAt: entry.created_at
+    })),
+    total: countResult[0].total
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  ensureCompanyAuditTable,
+  recordCompanyAudit,
+  recordCompanyCreations,
+  queryCompanyAudit
+};
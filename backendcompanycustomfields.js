@@ -0,0 +1,593 @@
+/**
+ * backendcompanycustomfields.js
+ * Tenant-defined custom fields for companies
+ *
+ * Each tenant defines its own fields (key, label, type, options). Values are
+ * stored one row per company and field, in a column matching the field type
+ * so the company list can filter and sort on them.
+ */
+
+// Types a custom field can have
+const CUSTOM_FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  SELECT: 'select',
+  MULTI_SELECT: 'multi_select',
+  BOOLEAN: 'boolean'
+};
+
+// Value column used by each type
+const VALUE_COLUMNS = {
+  text: 'value_text',
+  number: 'value_number',
+  date: 'value_date',
+  select: 'value_text',
+  multi_select: 'value_text',
+  boolean: 'value_number'
+};
+
+// Field keys: lowercase letters, digits and underscores, starting with a letter
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Keys that would clash with Object.prototype members ("constructor")
+const RESERVED_FIELD_KEYS = new Set(Object.getOwnPropertyNames(Object.prototype));
+
+// Prefix naming a custom field next to company columns (audit entries, merge choices, import mappings)
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+// Limits
+const MAX_CUSTOM_FIELDS = 100;
+const MAX_FIELD_OPTIONS = 200;
+const MAX_TEXT_VALUE_LENGTH = 2000;
+
+// Range operators accepted when filtering number and date fields
+const RANGE_OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+/**
+ * Create the custom field tables if needed
+ */
+async function ensureCustomFieldTables(db) {
+  const [fieldsCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_custom_fields'`
+  );
+  
+  if (fieldsCheck[0].count === 0) {
+    console.log('Creating company_custom_fields table');
+    await db.query(`
+      CREATE TABLE company_custom_fields (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        field_key VARCHAR(64) NOT NULL,
+        label VARCHAR(255) NOT NULL,
+        field_type VARCHAR(20) NOT NULL,
+        options TEXT NULL,
+        is_required TINYINT(1) NOT NULL DEFAULT 0,
+        position INT NOT NULL DEFAULT 0,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_tenant_key (client_id, app_id, field_key)
+      )
+    `);
+  }
+  
+  const [valuesCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_custom_values'`
+  );
+  
+  if (valuesCheck[0].count === 0) {
+    console.log('Creating company_custom_values table');
+    await db.query(`
+      CREATE TABLE company_custom_values (
+        company_id INT NOT NULL,
+        field_id INT NOT NULL,
+        value_text TEXT NULL,
+        value_number DECIMAL(20, 4) NULL,
+        value_date DATE NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, field_id),
+        INDEX idx_field_number (field_id, value_number),
+        INDEX idx_field_date (field_id, value_date),
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (field_id) REFERENCES company_custom_fields(id) ON DELETE CASCADE
+      )
+    `);
+  }
+}
+
+/**
+ * Tenant of the caller's custom field definitions ({ clientId, appId }, null outside RLS)
+ */
+function customFieldTenant(req) {
+  return req.applyRLS ? { clientId: req.clientId, appId: req.appId } : { clientId: null, appId: null };
+}
+
+/**
+ * Format a definition row for responses
+ */
+function formatDefinition(row) {
+  return {
+    id: row.id,
+    key: row.field_key,
+    label: row.label,
+    type: row.field_type,
+    options: row.options ? JSON.parse(row.options) : null,
+    required: Boolean(row.is_required),
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Load the tenant's custom field definitions in display order
+ */
+async function loadCustomFieldDefinitions(db, tenant) {
+  await ensureCustomFieldTables(db);
+  
+  const [rows] = await db.query(
+    `SELECT * FROM company_custom_fields
+     WHERE client_id <=> ? AND app_id <=> ?
+     ORDER BY position ASC, id ASC`,
+    [tenant.clientId, tenant.appId]
+  );
+  
+  return rows.map(formatDefinition);
+}
+
+/**
+ * Validate a custom field definition from a request body
+ * existing is the stored definition on updates (key and type cannot change).
+ * Returns { definition } or { error }.
+ */
+function validateDefinition(body, existing = null) {
+  const definition = {};
+  
+  if (!existing) {
+    const key = body.key !== undefined
+      ? String(body.key)
+      : String(body.label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      return { error: 'key must start with a letter and contain only lowercase letters, digits and underscores' };
+    }
+    
+    if (RESERVED_FIELD_KEYS.has(key)) {
+      return { error: `"${key}" is reserved and cannot be used as a key` };
+    }
+    
+    if (!Object.values(CUSTOM_FIELD_TYPES).includes(body.type)) {
+      return { error: `type must be one of: ${Object.values(CUSTOM_FIELD_TYPES).join(', ')}` };
+    }
+    
+    definition.key = key;
+    definition.type = body.type;
+  } else if ((body.key !== undefined && body.key !== existing.key) || (body.type !== undefined && body.type !== existing.type)) {
+    return { error: 'The key and type of a custom field cannot be changed' };
+  }
+  
+  const type = definition.type || existing.type;
+  
+  if (!existing || body.label !== undefined) {
+    if (typeof body.label !== 'string' || !body.label.trim() || body.label.length > 255) {
+      return { error: 'label is required and must be at most 255 characters' };
+    }
+    
+    definition.label = body.label.trim();
+  }
+  
+  const hasOptions = type === CUSTOM_FIELD_TYPES.SELECT || type === CUSTOM_FIELD_TYPES.MULTI_SELECT;
+  
+  if (hasOptions && (!existing || body.options !== undefined)) {
+    const options = body.options;
+    
+    if (!Array.isArray(options) || options.length === 0 || options.length > MAX_FIELD_OPTIONS ||
+        !options.every(option => typeof option === 'string' && option.trim() && option.length <= 255)) {
+      return { error: `options must be a list of 1 to ${MAX_FIELD_OPTIONS} non-empty strings` };
+    }
+    
+    if (new Set(options).size !== options.length) {
+      return { error: 'options must be distinct' };
+    }
+    
+    definition.options = options;
+  } else if (!hasOptions && body.options !== undefined && body.options !== null) {
+    return { error: 'Only select and multi-select fields have options' };
+  }
+  
+  if (body.required !== undefined) {
+    definition.required = body.required === true || body.required === 'true';
+  }
+  
+  if (body.position !== undefined) {
+    definition.position = parseInt(body.position);
+    
+    if (isNaN(definition.position)) {
+      return { error: 'position must be an integer' };
+    }
+  }
+  
+  return { definition };
+}
+
+/**
+ * Convert one value to its stored form, or return { error }
+ * null and '' clear the value.
+ */
+function parseCustomFieldValue(definition, value) {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+  
+  switch (definition.type) {
+    case CUSTOM_FIELD_TYPES.TEXT:
+      if (typeof value !== 'string' || value.length > MAX_TEXT_VALUE_LENGTH) {
+        return { error: `must be text of at most ${MAX_TEXT_VALUE_LENGTH} characters` };
+      }
+      return { value };
+    case CUSTOM_FIELD_TYPES.NUMBER: {
+      const number = typeof value === 'number' ? value : Number(value);
+      
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+      }
+      return { value: number };
+    }
+    case CUSTOM_FIELD_TYPES.DATE: {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+      
+      if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+      }
+      return { value: String(value) };
+    }
+    case CUSTOM_FIELD_TYPES.SELECT:
+      if (!definition.options.includes(value)) {
+        return { error: `must be one of: ${definition.options.join(', ')}` };
+      }
+      return { value };
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+      if (!Array.isArray(value) || !value.every(option => definition.options.includes(option))) {
+        return { error: `must be a list of: ${definition.options.join(', ')}` };
+      }
+      // Stored in option order without repeats
+      return { value: value.length > 0 ? definition.options.filter(option => value.includes(option)) : null };
+    case CUSTOM_FIELD_TYPES.BOOLEAN:
+      if ([true, 'true', 1, '1'].includes(value)) {
+        return { value: true };
+      }
+      if ([false, 'false', 0, '0'].includes(value)) {
+        return { value: false };
+      }
+      return { error: 'must be true or false' };
+    default:
+      return { error: 'has an unknown type' };
+  }
+}
+
+/**
+ * Validate the customFields of a company create or update
+ * values is { key: value }; on updates (partial) only the given keys change
+ * and required fields may be left out. Returns { values: [{ definition, value }] }
+ * or { errors: [{ field, message }] }.
+ */
+function validateCustomFieldValues(definitions, values, { partial = false } = {}) {
+  const errors = [];
+  const parsed = [];
+  
+  if (values === undefined || values === null) {
+    values = Object.create(null);
+  }
+  
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return { errors: [{ field: 'customFields', message: 'customFields must be an object of field keys to values' }] };
+  }
+  
+  Object.keys(values).forEach(key => {
+    if (!definitions.some(definition => definition.key === key)) {
+      errors.push({ field: key, message: `Unknown custom field "${key}"` });
+    }
+  });
+  
+  definitions.forEach(definition => {
+    if (!Object.prototype.hasOwnProperty.call(values, definition.key)) {
+      if (definition.required && !partial) {
+        errors.push({ field: definition.key, message: `${definition.label} is required` });
+      }
+      return;
+    }
+    
+    const { value, error } = parseCustomFieldValue(definition, values[definition.key]);
+    
+    if (error) {
+      errors.push({ field: definition.key, message: `${definition.label} ${error}` });
+    } else if (value === null && definition.required) {
+      errors.push({ field: definition.key, message: `${definition.label} is required` });
+    } else {
+      parsed.push({ definition, value });
+    }
+  });
+  
+  return errors.length > 0 ? { errors } : { values: parsed };
+}
+
+/**
+ * Store validated custom field values of a company (null values are removed)
+ */
+async function saveCustomFieldValues(db, companyId, values) {
+  for (const { definition, value } of values) {
+    if (value === null) {
+      await db.query(
+        'DELETE FROM company_custom_values WHERE company_id = ? AND field_id = ?',
+        [companyId, definition.id]
+      );
+      continue;
+    }
+    
+    const column = VALUE_COLUMNS[definition.type];
+    let stored = value;
+    
+    if (definition.type === CUSTOM_FIELD_TYPES.MULTI_SELECT) {
+      stored = JSON.stringify(value);
+    } else if (definition.type === CUSTOM_FIELD_TYPES.BOOLEAN) {
+      stored = value ? 1 : 0;
+    }
+    
+    await db.query(
+      `INSERT INTO company_custom_values (company_id, field_id, ${column})
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE ${column} = VALUES(${column})`,
+      [companyId, definition.id, stored]
+    );
+  }
+}
+
+/**
+ * Name of a custom field next to company columns (customFields.<key>)
+ */
+function customFieldName(definition) {
+  return `${CUSTOM_FIELD_PREFIX}${definition.key}`;
+}
+
+/**
+ * Copy of a company with its customFields as customFields.<key> properties, for recordCompanyAudit
+ * Multi-select values are joined and empty ones count as unset.
+ */
+function flattenCustomFieldValues(company, definitions) {
+  const flattened = { ...company };
+  
+  definitions.forEach(definition => {
+    const value = company.customFields ? company.customFields[definition.key] : null;
+    flattened[customFieldName(definition)] = Array.isArray(value)
+      ? (value.length > 0 ? value.join(', ') : null)
+      : value;
+  });
+  
+  return flattened;
+}
+
+/**
+ * Pick the custom field values a merge keeps
+ * target and sources carry customFields (attachCustomFieldValues); choices maps
+ * customFields.<key> to the ID of the company whose value is kept, other fields
+ * keep the target's value or the first value set on the sources. Returns the
+ * values to store on the target with saveCustomFieldValues.
+ */
+function pickMergedCustomFieldValues(definitions, target, sources, choices = {}) {
+  const companies = [target, ...sources];
+  const isSet = value => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0);
+  const values = [];
+  
+  definitions.forEach(definition => {
+    const choice = choices[customFieldName(definition)];
+    const kept = choice !== undefined
+      ? companies.find(company => company.id === choice)
+      : companies.find(company => isSet(company.customFields[definition.key]));
+    
+    if (kept && kept !== target) {
+      const value = kept.customFields[definition.key];
+      values.push({ definition, value: isSet(value) ? value : null });
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Convert a stored value row back to its API form
+ */
+function formatCustomFieldValue(definition, row) {
+  switch (definition.type) {
+    case CUSTOM_FIELD_TYPES.NUMBER:
+      return row.value_number !== null ? Number(row.value_number) : null;
+    case CUSTOM_FIELD_TYPES.BOOLEAN:
+      return row.value_number !== null ? Number(row.value_number) === 1 : null;
+    case CUSTOM_FIELD_TYPES.DATE:
+      return row.value_date;
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+      return row.value_text ? JSON.parse(row.value_text) : [];
+    default:
+      return row.value_text;
+  }
+}
+
+/**
+ * Attach customFields ({ key: value }, null when unset) to company rows
+ */
+async function attachCustomFieldValues(db, companies, definitions) {
+  if (companies.length === 0) {
+    return companies;
+  }
+  
+  const byCompany = new Map(companies.map(company => [company.id, Object.create(null)]));
+  
+  if (definitions.length > 0) {
+    const companyIds = [...byCompany.keys()];
+    const [rows] = await db.query(
+      `SELECT company_id, field_id, value_text, value_number,
+              DATE_FORMAT(value_date, '%Y-%m-%d') AS value_date
+       FROM company_custom_values
+       WHERE company_id IN (${companyIds.map(() => '?').join(', ')})
+       AND field_id IN (${definitions.map(() => '?').join(', ')})`,
+      [...companyIds, ...definitions.map(definition => definition.id)]
+    );
+    
+    rows.forEach(row => {
+      const definition = definitions.find(candidate => candidate.id === row.field_id);
+      byCompany.get(row.company_id)[definition.key] = formatCustomFieldValue(definition, row);
+    });
+  }
+  
+  companies.forEach(company => {
+    const values = byCompany.get(company.id);
+    company.customFields = {};
+    
+    definitions.forEach(definition => {
+      company.customFields[definition.key] = Object.prototype.hasOwnProperty.call(values, definition.key)
+        ? values[definition.key]
+        : (definition.type === CUSTOM_FIELD_TYPES.MULTI_SELECT ? [] : null);
+    });
+  });
+  
+  return companies;
+}
+
+/**
+ * SQL condition on a company's value of one field (companies aliased as c)
+ */
+function valueCondition(definition, condition, params) {
+  return {
+    clause: `EXISTS (SELECT 1 FROM company_custom_values v
+             WHERE v.company_id = c.id AND v.field_id = ? AND ${condition})`,
+    params: [definition.id, ...params]
+  };
+}
+
+/**
+ * Build list filters from the cf query parameter
+ * cf[key]=value matches a value (comma-separated for any of several select
+ * options); number and date fields also take cf[key][gte|gt|lte|lt]=bound.
+ * Returns { conditions: [{ clause, params }] } or { error }.
+ */
+function buildCustomFieldFilters(definitions, filters) {
+  const conditions = [];
+  
+  if (filters === undefined) {
+    return { conditions };
+  }
+  
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Custom field filters must be given as cf[key]=value' };
+  }
+  
+  for (const [key, filter] of Object.entries(filters)) {
+    const definition = definitions.find(candidate => candidate.key === key);
+    
+    if (!definition) {
+      return { error: `Unknown custom field "${key}"` };
+    }
+    
+    const column = `v.${VALUE_COLUMNS[definition.type]}`;
+    const isRange = definition.type === CUSTOM_FIELD_TYPES.NUMBER || definition.type === CUSTOM_FIELD_TYPES.DATE;
+    
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      if (!isRange) {
+        return { error: `Custom field "${key}" cannot be filtered by range` };
+      }
+      
+      for (const [operator, bound] of Object.entries(filter)) {
+        const { value, error } = parseCustomFieldValue(definition, bound);
+        
+        if (!RANGE_OPERATORS[operator] || error || value === null) {
+          return { error: `Invalid filter on custom field "${key}"` };
+        }
+        
+        conditions.push(valueCondition(definition, `${column} ${RANGE_OPERATORS[operator]} ?`, [value]));
+      }
+      continue;
+    }
+    
+    if (typeof filter !== 'string' || filter === '') {
+      return { error: `Invalid filter on custom field "${key}"` };
+    }
+    
+    switch (definition.type) {
+      case CUSTOM_FIELD_TYPES.BOOLEAN: {
+        const { value, error } = parseCustomFieldValue(definition, filter);
+        
+        if (error) {
+          return { error: `Invalid filter on custom field "${key}"` };
+        }
+        
+        // Companies without a value count as false
+        const isTrue = valueCondition(definition, `${column} = 1`, []);
+        conditions.push(value ? isTrue : { clause: `NOT ${isTrue.clause}`, params: isTrue.params });
+        break;
+      }
+      case CUSTOM_FIELD_TYPES.SELECT: {
+        const options = filter.split(',');
+        conditions.push(valueCondition(definition, `${column} IN (${options.map(() => '?').join(', ')})`, options));
+        break;
+      }
+      case CUSTOM_FIELD_TYPES.MULTI_SELECT: {
+        const options = filter.split(',');
+        conditions.push(valueCondition(
+          definition,
+          `(${options.map(() => `JSON_CONTAINS(${column}, JSON_QUOTE(?))`).join(' OR ')})`,
+          options
+        ));
+        break;
+      }
+      default: {
+        const { value, error } = parseCustomFieldValue(definition, filter);
+        
+        if (error) {
+          return { error: `Invalid filter on custom field "${key}"` };
+        }
+        
+        conditions.push(valueCondition(definition, `${column} = ?`, [value]));
+      }
+    }
+  }
+  
+  return { conditions };
+}
+
+/**
+ * SQL expression sorting companies (aliased c) by a custom field
+ */
+function customFieldSortExpression(definition) {
+  return `(SELECT v.${VALUE_COLUMNS[definition.type]} FROM company_custom_values v
+          WHERE v.company_id = c.id AND v.field_id = ${parseInt(definition.id)})`;
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  ensureCustomFieldTables,
+  customFieldTenant,
+  formatDefinition,
+  loadCustomFieldDefinitions,
+  validateDefinition,
+  validateCustomFieldValues,
+  saveCustomFieldValues,
+  customFieldName,
+  flattenCustomFieldValues,
+  pickMergedCustomFieldValues,
+  attachCustomFieldValues,
+  buildCustomFieldFilters,
+  customFieldSortExpression
+};
@@ -0,0 +1,466 @@
+/**
+ * backendcompanyduplicates.js
+ * Duplicate company detection and merging
+ *
+ * Candidates are scored on normalized name, website domain, phone and city.
+ * A merge keeps one company, fills its fields and custom field values from
+ * the chosen companies, adds their tags, moves contacts, deals, calendar
+ * events and activity over and deletes the rest, all in one transaction.
+ */
+
+const { AUDIT_ACTIONS, ensureCompanyAuditTable, recordCompanyAudit } = require('./backendcompanyaudit');
+const { TIMELINE_TYPES, ensureCompanyActivityTable, recordCompanyActivity } = require('./backendcompanyactivity');
+const { CHANGE_TYPES, ensureCalendarTables, recordCalendarChange, publishCalendarChanges } = require('./backendcalendars');
+const { triggerWebhook } = require('./backendwebhooks');
+const {
+  customFieldName,
+  flattenCustomFieldValues,
+  pickMergedCustomFieldValues,
+  saveCustomFieldValues,
+  attachCustomFieldValues
+} = require('./backendcompanycustomfields');
+const { ensureCompanyTagTables, attachCompanyTags } = require('./backendcompanytags');
+
+// Points each matching signal adds to a duplicate score (capped at 100)
+const DUPLICATE_SIGNAL_POINTS = {
+  name: 50,
+  domain: 35,
+  phone: 25,
+  city: 10
+};
+
+// Scores below this are not reported unless the caller asks for them
+const DEFAULT_MIN_DUPLICATE_SCORE = 50;
+
+// Names at least this similar (0-1) count as a partial name match
+const MIN_NAME_SIMILARITY = 0.8;
+
+// Name-prefix groups larger than this are too common to compare pairwise
+const MAX_PREFIX_GROUP_SIZE = 50;
+
+// Companies that can be merged into one at a time
+const MAX_MERGE_SOURCES = 10;
+
+// Legal-form words ignored when comparing names ("Acme Inc" and "ACME, Inc." match)
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'llc', 'llp', 'lp',
+  'ltd', 'limited', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'sarl', 'bv', 'nv', 'srl', 'spa',
+  'pty', 'oy', 'ab', 'as', 'kg'
+]);
+
+/**
+ * Normalize a company name for matching: case, accents, punctuation and legal form are ignored
+ */
+function normalizeCompanyName(name) {
+  if (!name) {
+    return null;
+  }
+  
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  
+  if (words[0] === 'the' && words.length > 1) {
+    words.shift();
+  }
+  
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+/**
+ * Domain of a website without protocol, www, port or path
+ */
+function websiteDomain(website) {
+  if (!website) {
+    return null;
+  }
+  
+  const host = String(website).trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  
+  return host || null;
+}
+
+/**
+ * Last ten digits of a phone number (null when too short to compare)
+ */
+function normalizePhone(phone) {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/**
+ * Similarity of two strings from 0 to 1 (1 - edit distance / longer length)
+ */
+function stringSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    
+    previous = current;
+  }
+  
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Precompute the matching keys of a company
+ */
+function buildMatchKeys(company) {
+  return {
+    name: normalizeCompanyName(company.name),
+    domain: websiteDomain(company.website),
+    phone: normalizePhone(company.phone),
+    city: company.city ? String(company.city).trim().toLowerCase() : null
+  };
+}
+
+/**
+ * Score how likely two companies are the same
+ * Returns { score, reasons } with one reason per matching signal.
+ */
+function scoreDuplicate(a, b) {
+  const reasons = [];
+  
+  if (a.name && b.name) {
+    const similarity = stringSimilarity(a.name, b.name);
+    
+    if (similarity >= MIN_NAME_SIMILARITY) {
+      reasons.push({ signal: 'name', points: Math.round(DUPLICATE_SIGNAL_POINTS.name * similarity) });
+    }
+  }
+  
+  if (a.domain && a.domain === b.domain) {
+    reasons.push({ signal: 'domain', points: DUPLICATE_SIGNAL_POINTS.domain });
+  }
+  
+  if (a.phone && a.phone === b.phone) {
+    reasons.push({ signal: 'phone', points: DUPLICATE_SIGNAL_POINTS.phone });
+  }
+  
+  // A shared city only supports other evidence
+  if (reasons.length > 0 && a.city && a.city === b.city) {
+    reasons.push({ signal: 'city', points: DUPLICATE_SIGNAL_POINTS.city });
+  }
+  
+  return {
+    score: Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0)),
+    reasons
+  };
+}
+
+/**
+ * Load the companies the caller can see, with their matching keys
+ */
+async function loadMatchableCompanies(req) {
+  let query = `SELECT id, name, website, phone, city, industry, status, created_at
+               FROM companies WHERE 1=1`;
+  const params = [];
+  
+  if (req.applyRLS) {
+    query += ' AND client_id = ? AND app_id = ?';
+    params.push(req.clientId, req.appId);
+    
+    if (req.authenticatedUser) {
+      query += ' AND (created_by = ? OR is_public = 1)';
+      params.push(req.userId);
+    }
+  }
+  
+  const [companies] = await req.db.query(`${query} ORDER BY id ASC`, params);
+  return companies.map(company => ({ company, keys: buildMatchKeys(company) }));
+}
+
+/**
+ * Find likely duplicate pairs among the caller's companies, best first
+ * Only companies sharing a name, name prefix, domain or phone are compared.
+ * Returns [{ score, reasons, companies: [a, b] }].
+ */
+async function findDuplicateCompanies(req, { minScore = DEFAULT_MIN_DUPLICATE_SCORE } = {}) {
+  const entries = await loadMatchableCompanies(req);
+  const groups = new Map();
+  
+  const addToGroup = (key, entry) => {
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    
+    groups.get(key).push(entry);
+  };
+  
+  entries.forEach(entry => {
+    const { name, domain, phone } = entry.keys;
+    
+    if (name) {
+      addToGroup(`name:${name}`, entry);
+      addToGroup(`prefix:${name.slice(0, 4)}`, entry);
+    }
+    
+    if (domain) {
+      addToGroup(`domain:${domain}`, entry);
+    }
+    
+    if (phone) {
+      addToGroup(`phone:${phone}`, entry);
+    }
+  });
+  
+  const compared = new Set();
+  const pairs = [];
+  
+  groups.forEach((group, key) => {
+    if (key.startsWith('prefix:') && group.length > MAX_PREFIX_GROUP_SIZE) {
+      return;
+    }
+    
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const pairKey = `${group[i].company.id}:${group[j].company.id}`;
+        
+        if (compared.has(pairKey)) {
+          continue;
+        }
+        
+        compared.add(pairKey);
+        const { score, reasons } = scoreDuplicate(group[i].keys, group[j].keys);
+        
+        if (score >= minScore) {
+          pairs.push({ score, reasons, companies: [group[i].company, group[j].company] });
+        }
+      }
+    }
+  });
+  
+  return pairs.sort((a, b) => b.score - a.score || a.companies[0].id - b.companies[0].id);
+}
+
+/**
+ * Find likely duplicates of one company, best first
+ * Returns [{ company, score, reasons }].
+ */
+async function findCompanyDuplicates(req, company, { minScore = DEFAULT_MIN_DUPLICATE_SCORE } = {}) {
+  const entries = await loadMatchableCompanies(req);
+  const keys = buildMatchKeys(company);
+  
+  return entries
+    .filter(entry => entry.company.id !== company.id)
+    .map(entry => ({ company: entry.company, ...scoreDuplicate(keys, entry.keys) }))
+    .filter(candidate => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.company.id - b.company.id);
+}
+
+/**
+ * Whether a column value counts as filled in
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Pick the surviving value of each field
+ * choices maps a field to the ID of the company whose value is kept; other
+ * fields keep the target's value, or the first filled-in value of the sources.
+ */
+function pickMergedValues(target, sources, fields, choices = {}) {
+  const companies = [target, ...sources];
+  const values = {};
+  
+  fields.forEach(field => {
+    if (choices[field] !== undefined) {
+      values[field] = companies.find(company => company.id === choices[field])[field];
+    } else {
+      const filled = companies.find(company => hasValue(company[field]));
+      values[field] = filled ? filled[field] : target[field];
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Merge sources into target
+ * target and sources are company rows the caller may edit; fields are the
+ * columns merged, definitions the tenant's custom fields and choices the
+ * per-field picks (see pickMergedValues and pickMergedCustomFieldValues).
+ * The rows are locked and read again inside the transaction, so a concurrent
+ * update or delete cannot race the merge.
+ * Returns { company, changedFields, moved: { contacts, deals, events } }, or
+ * null if one of the companies was deleted in the meantime.
+ */
+async function mergeCompanies(req, target, sources, { fields, choices, definitions = [] }) {
+  const db = req.db;
+  const sourceIds = sources.map(source => source.id);
+  const placeholders = sourceIds.map(() => '?').join(', ');
+  const auditFields = [...fields, ...definitions.map(customFieldName)];
+  
+  // Tables are created before the transaction (DDL would commit it)
+  await ensureCompanyAuditTable(db);
+  await ensureCompanyActivityTable(db);
+  await ensureCalendarTables(db);
+  await ensureCompanyTagTables(db);
+  
+  const tenantClause = target.client_id !== null ? ' AND client_id = ? AND app_id = ?' : '';
+  const tenantParams = target.client_id !== null ? [target.client_id, target.app_id] : [];
+  const moved = {};
+  const changes = [];
+  let company;
+  let changedFields;
+  
+  // Start a transaction
+  const conn = await db.getConnection();
+  await conn.beginTransaction();
+  
+  try {
+    const [locked] = await conn.query(
+      `SELECT * FROM companies WHERE id IN (?, ${placeholders})${tenantClause} FOR UPDATE`,
+      [target.id, ...sourceIds, ...tenantParams]
+    );
+    
+    if (locked.length !== sourceIds.length + 1) {
+      await conn.rollback();
+      return null;
+    }
+    
+    target = locked.find(row => row.id === target.id);
+    sources = sourceIds.map(id => locked.find(row => row.id === id));
+    
+    // Custom field values are deleted with the sources, so the kept ones are copied to the target
+    await attachCustomFieldValues(conn, [target, ...sources], definitions);
+    const values = pickMergedValues(target, sources, fields, choices);
+    const customValues = pickMergedCustomFieldValues(definitions, target, sources, choices);
+    
+    await conn.query(
+      `UPDATE companies SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...fields.map(field => values[field]), new Date(), target.id]
+    );
+    await saveCustomFieldValues(conn, target.id, customValues);
+    
+    // Move everything linked to the merged companies
+    for (const table of ['contacts', 'deals']) {
+      const [result] = await conn.query(
+        `UPDATE ${table} SET company_id = ? WHERE company_id IN (${placeholders})${tenantClause}`,
+        [target.id, ...sourceIds, ...tenantParams]
+      );
+      moved[table] = result.affectedRows;
+    }
+    
+    const [events] = await conn.query(
+      `SELECT id, calendar_id FROM calendar_events WHERE company_id IN (${placeholders})${tenantClause}`,
+      [...sourceIds, ...tenantParams]
+    );
+    
+    if (events.length > 0) {
+      await conn.query(
+        `UPDATE calendar_events SET company_id = ? WHERE id IN (${events.map(() => '?').join(', ')})`,
+        [target.id, ...events.map(event => event.id)]
+      );
+      
+      for (const event of events) {
+        changes.push(await recordCalendarChange(conn, req, CHANGE_TYPES.EVENT_UPDATED, {
+          eventId: event.id,
+          calendarId: event.calendar_id
+        }));
+      }
+    }
+    
+    moved.events = events.length;
+    
+    await conn.query(
+      `UPDATE company_activities SET company_id = ? WHERE company_id IN (${placeholders})${tenantClause}`,
+      [target.id, ...sourceIds, ...tenantParams]
+    );
+    
+    // Tag links are deleted with the sources; tags the target already has are kept
+    await conn.query(
+      `INSERT IGNORE INTO company_tag_links (company_id, tag_id, created_by, created_at)
+       SELECT ?, tag_id, created_by, created_at FROM company_tag_links WHERE company_id IN (${placeholders})`,
+      [target.id, ...sourceIds]
+    );
+    
+    await conn.query(
+      `DELETE FROM companies WHERE id IN (${placeholders})${tenantClause}`,
+      [...sourceIds, ...tenantParams]
+    );
+    
+    const [companies] = await conn.query('SELECT * FROM companies WHERE id = ?', [target.id]);
+    await attachCustomFieldValues(conn, companies, definitions);
+    await attachCompanyTags(conn, companies);
+    company = companies[0];
+    
+    // Audit the surviving values and where each merged company went
+    changedFields = await recordCompanyAudit(
+      conn, req, AUDIT_ACTIONS.MERGED,
+      flattenCustomFieldValues(target, definitions), flattenCustomFieldValues(company, definitions),
+      auditFields
+    );
+    
+    for (const source of sources) {
+      await recordCompanyAudit(
+        conn, req, AUDIT_ACTIONS.MERGED,
+        flattenCustomFieldValues(source, definitions),
+        { id: source.id, client_id: source.client_id, app_id: source.app_id, merged_into: target.id },
+        [...auditFields, 'merged_into']
+      );
+    }
+    
+    await recordCompanyActivity(conn, req, company, TIMELINE_TYPES.COMPANY_UPDATED, {
+      data: { changedFields, mergedCompanyIds: sourceIds }
+    });
+    
+    // Commit the transaction
+    await conn.commit();
+    
+  } catch (err) {
+    // Rollback in case of error
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  
+  // Notify streams and webhook subscribers
+  publishCalendarChanges(db, changes);
+  
+  const tenant = { clientId: company.client_id, appId: company.app_id };
+  triggerWebhook(db, tenant, 'company.updated', { ...company, previous: target, mergedCompanyIds: sourceIds });
+  sources.forEach(source => {
+    triggerWebhook(db, tenant, 'company.deleted', { ...source, mergedInto: target.id });
+  });
+  
+  return { company, changedFields, moved };
+}
+
+module.exports = {
+  DEFAULT_MIN_DUPLICATE_SCORE,
+  MAX_MERGE_SOURCES,
+  normalizeCompanyName,
+  websiteDomain,
+  findDuplicateCompanies,
+  findCompanyDuplicates,
+  mergeCompanies
+};
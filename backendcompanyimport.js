@@ -0,0 +1,541 @@
+/**
+ * backendcompanyimport.js
+ * Bulk import of companies from CSV or XLSX files
+ *
+ * Columns are mapped to company fields (or custom fields), every row is validated and checked
+ * for duplicates (by name or website, against the tenant and the rest of the
+ * file), and valid rows are inserted in batches inside one transaction. Each
+ * run (including dry runs) is stored so its error report can be downloaded.
+ */
+
+const { detectSpreadsheetFormat, readSpreadsheet, buildCsv } = require('./backendspreadsheets');
+const { ensureCompanyAuditTable, recordCompanyCreations } = require('./backendcompanyaudit');
+const { websiteDomain } = require('./backendcompanyduplicates');
+const { triggerWebhookBatch } = require('./backendwebhooks');
+const {
+  CUSTOM_FIELD_TYPES,
+  customFieldTenant,
+  customFieldName,
+  loadCustomFieldDefinitions,
+  validateCustomFieldValues,
+  saveCustomFieldValues
+} = require('./backendcompanycustomfields');
+
+// Company fields a column can be mapped to, with their value type
+const IMPORT_FIELDS = {
+  name: 'text',
+  industry: 'text',
+  employees_count: 'integer',
+  website: 'url',
+  phone: 'text',
+  address: 'text',
+  city: 'text',
+  state: 'text',
+  postal_code: 'text',
+  country: 'text',
+  annual_revenue: 'number',
+  status: 'text',
+  notes: 'text',
+  is_public: 'boolean'
+};
+
+const IMPORT_STATUSES = {
+  DRY_RUN: 'dry_run',
+  COMPLETED: 'completed'
+};
+
+// Size limits
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 500;
+
+// Errors returned inline; the full list is in the error report
+const MAX_INLINE_ERRORS = 100;
+
+/**
+ * Create the company imports table if needed
+ */
+async function ensureCompanyImportTable(db) {
+  const [importsCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_imports'`
+  );
+  
+  if (importsCheck[0].count === 0) {
+    console.log('Creating company_imports table');
+    await db.query(`
+      CREATE TABLE company_imports (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        file_name VARCHAR(255) NULL,
+        status VARCHAR(20) NOT NULL,
+        total_rows INT NOT NULL DEFAULT 0,
+        created_count INT NOT NULL DEFAULT 0,
+        error_count INT NOT NULL DEFAULT 0,
+        errors MEDIUMTEXT NULL,
+        headers TEXT NULL,
+        created_by INT NULL,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_client_app (client_id, app_id)
+      )
+    `);
+  }
+}
+
+/**
+ * Normalize a header or field name for automatic mapping ("Postal Code" -> postal_code)
+ */
+function normalizeFieldName(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Resolve the column-to-field mapping for a file
+ * mapping is { "Column header": "field" } (an object or a JSON string), where
+ * custom fields are named customFields.<key>; without one, headers that match
+ * a field name or custom field key are used.
+ */
+function resolveImportMapping(mapping, headers, definitions) {
+  const customFields = definitions.map(customFieldName);
+  let resolved = {};
+  
+  if (mapping) {
+    try {
+      resolved = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+    } catch (error) {
+      return { error: 'Mapping must be a JSON object of column headers to fields' };
+    }
+    
+    if (!resolved || typeof resolved !== 'object' || Array.isArray(resolved)) {
+      return { error: 'Mapping must be a JSON object of column headers to fields' };
+    }
+    
+    for (const [header, field] of Object.entries(resolved)) {
+      if (!headers.includes(header)) {
+        return { error: `Column "${header}" is not in the file` };
+      }
+      
+      if (!IMPORT_FIELDS[field] && !customFields.includes(field)) {
+        return { error: `Unknown field "${field}" for column "${header}"` };
+      }
+    }
+  } else {
+    headers.forEach(header => {
+      const field = normalizeFieldName(header);
+      const definition = definitions.find(candidate => candidate.key === field);
+      
+      if (IMPORT_FIELDS[field]) {
+        resolved[header] = field;
+      } else if (definition) {
+        resolved[header] = customFieldName(definition);
+      }
+    });
+  }
+  
+  const fields = Object.values(resolved);
+  
+  if (new Set(fields).size !== fields.length) {
+    return { error: 'Each field can only be mapped from one column' };
+  }
+  
+  if (!fields.includes('name')) {
+    return { error: 'A column must be mapped to name' };
+  }
+  
+  return { mapping: resolved };
+}
+
+/**
+ * Key used to match companies by name
+ */
+function companyNameKey(name) {
+  return name ? String(name).trim().toLowerCase().replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Convert a spreadsheet cell to the input form of a custom field
+ * Multi-select options are comma-separated; yes/no count as booleans.
+ */
+function customFieldCellValue(definition, raw) {
+  switch (definition.type) {
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+      return raw.split(',').map(option => option.trim()).filter(Boolean);
+    case CUSTOM_FIELD_TYPES.BOOLEAN: {
+      const text = raw.toLowerCase();
+      
+      if (['yes', 'y'].includes(text)) {
+        return true;
+      }
+      if (['no', 'n'].includes(text)) {
+        return false;
+      }
+      return text;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Convert the mapped values of a row to company fields
+ * Custom field values are validated like on single creates (required ones
+ * included) and returned in values.customFields for saveCustomFieldValues.
+ * Returns { values, errors } with errors as [{ field, message }].
+ */
+function validateImportRow(row, mapping, definitions) {
+  const values = {};
+  const customValues = Object.create(null);
+  const errors = [];
+  
+  Object.entries(mapping).forEach(([header, field]) => {
+    const raw = row.values[header];
+    const definition = definitions.find(candidate => customFieldName(candidate) === field);
+    
+    if (raw === undefined || raw === '') {
+      return;
+    }
+    
+    if (definition) {
+      customValues[definition.key] = customFieldCellValue(definition, raw);
+      return;
+    }
+    
+    switch (IMPORT_FIELDS[field]) {
+      case 'integer': {
+        const number = Number(raw.replace(/[,\s]/g, ''));
+        
+        if (!Number.isInteger(number) || number < 0) {
+          errors.push({ field, message: 'Must be a whole number' });
+        } else {
+          values[field] = number;
+        }
+        break;
+      }
+      case 'number': {
+        const number = Number(raw.replace(/[,\s$€£]/g, ''));
+        
+        if (isNaN(number)) {
+          errors.push({ field, message: 'Must be a number' });
+        } else {
+          values[field] = number;
+        }
+        break;
+      }
+      case 'boolean': {
+        const text = raw.toLowerCase();
+        
+        if (['1', 'true', 'yes', 'y'].includes(text)) {
+          values[field] = 1;
+        } else if (['0', 'false', 'no', 'n'].includes(text)) {
+          values[field] = 0;
+        } else {
+          errors.push({ field, message: 'Must be yes or no' });
+        }
+        break;
+      }
+      case 'url':
+        if (!websiteDomain(raw) || /\s/.test(raw)) {
+          errors.push({ field, message: 'Must be a valid website' });
+        } else {
+          values[field] = raw;
+        }
+        break;
+      default:
+        values[field] = raw;
+    }
+  });
+  
+  if (!values.name) {
+    errors.push({ field: 'name', message: 'Company name is required' });
+  }
+  
+  const custom = validateCustomFieldValues(definitions, customValues);
+  
+  if (custom.errors) {
+    custom.errors.forEach(error => {
+      const definition = definitions.find(candidate => candidate.key === error.field);
+      errors.push({ field: definition ? customFieldName(definition) : error.field, message: error.message });
+    });
+  } else {
+    values.customFields = custom.values;
+  }
+  
+  return { values, errors };
+}
+
+/**
+ * Index the tenant's existing companies by name and website
+ */
+async function loadDuplicateIndex(db, tenant) {
+  let query = 'SELECT id, name, website FROM companies';
+  const params = [];
+  
+  if (tenant.client_id !== null) {
+    query += ' WHERE client_id = ? AND app_id = ?';
+    params.push(tenant.client_id, tenant.app_id);
+  }
+  
+  const [companies] = await db.query(query, params);
+  const index = { names: new Map(), websites: new Map() };
+  
+  companies.forEach(company => {
+    const nameKey = companyNameKey(company.name);
+    const siteKey = websiteDomain(company.website);
+    
+    if (nameKey && !index.names.has(nameKey)) {
+      index.names.set(nameKey, { companyId: company.id });
+    }
+    
+    if (siteKey && !index.websites.has(siteKey)) {
+      index.websites.set(siteKey, { companyId: company.id });
+    }
+  });
+  
+  return index;
+}
+
+/**
+ * Describe what a duplicate matches, for errors and reports
+ */
+function describeDuplicate(match, by) {
+  return match.companyId
+    ? `Duplicate ${by} of existing company ${match.companyId}`
+    : `Duplicate ${by} of row ${match.rowNumber}`;
+}
+
+/**
+ * Insert one batch of companies with their custom field values and read the rows back
+ * Rows are inserted one by one so their IDs are known exactly; a multi-row
+ * insert does not promise consecutive IDs under concurrent inserts.
+ */
+async function insertCompanyBatch(conn, batch, tenant, importedAt) {
+  const columns = [...Object.keys(IMPORT_FIELDS), 'client_id', 'app_id', 'created_by', 'created_at', 'updated_at'];
+  const companyIds = [];
+  
+  for (const values of batch) {
+    const [result] = await conn.query(
+      `INSERT INTO companies (${columns.join(', ')})
+       VALUES (${columns.map(() => '?').join(', ')})`,
+      [
+        ...Object.keys(IMPORT_FIELDS).map(field => (values[field] !== undefined ? values[field] : null)),
+        tenant.client_id,
+        tenant.app_id,
+        tenant.created_by,
+        importedAt,
+        importedAt
+      ]
+    );
+    
+    await saveCustomFieldValues(conn, result.insertId, values.customFields);
+    companyIds.push(result.insertId);
+  }
+  
+  const [companies] = await conn.query(
+    `SELECT * FROM companies WHERE id IN (${companyIds.map(() => '?').join(', ')}) ORDER BY id ASC`,
+    companyIds
+  );
+  
+  return companies;
+}
+
+/**
+ * Import companies from an uploaded file
+ * tenant is { client_id, app_id, created_by } as set on single creates.
+ * Returns the stored import summary, or { error } when the file cannot be used.
+ */
+async function importCompanies(req, file, { mapping, dryRun, tenant }) {
+  const db = req.db;
+  const format = detectSpreadsheetFormat(file);
+  
+  if (!format) {
+    return { error: 'File must be a .csv or .xlsx spreadsheet' };
+  }
+  
+  let sheet;
+  
+  try {
+    sheet = readSpreadsheet(file, format, { maxRows: MAX_IMPORT_ROWS });
+  } catch (error) {
+    return { error: 'File could not be read as a spreadsheet' };
+  }
+  
+  if (sheet.error) {
+    return { error: sheet.error };
+  }
+  
+  if (sheet.rows.length === 0) {
+    return { error: 'File has no data rows' };
+  }
+  
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Files can contain at most ${MAX_IMPORT_ROWS} rows` };
+  }
+  
+  const definitions = await loadCustomFieldDefinitions(db, customFieldTenant(req));
+  const resolved = resolveImportMapping(mapping, sheet.headers, definitions);
+  
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  
+  // Tables are created before the transaction (DDL would commit it)
+  await ensureCompanyImportTable(db);
+  await ensureCompanyAuditTable(db);
+  
+  // Validate rows and detect duplicates against the tenant and earlier rows
+  const duplicateIndex = await loadDuplicateIndex(db, tenant);
+  const validRows = [];
+  const errors = [];
+  
+  sheet.rows.forEach(row => {
+    const { values, errors: rowErrors } = validateImportRow(row, resolved.mapping, definitions);
+    
+    if (rowErrors.length === 0) {
+      const nameKey = companyNameKey(values.name);
+      const siteKey = websiteDomain(values.website);
+      const nameMatch = duplicateIndex.names.get(nameKey);
+      const siteMatch = siteKey ? duplicateIndex.websites.get(siteKey) : null;
+      
+      if (nameMatch) {
+        rowErrors.push({ field: 'name', message: describeDuplicate(nameMatch, 'name'), duplicateOf: nameMatch });
+      } else if (siteMatch) {
+        rowErrors.push({ field: 'website', message: describeDuplicate(siteMatch, 'website'), duplicateOf: siteMatch });
+      } else {
+        duplicateIndex.names.set(nameKey, { rowNumber: row.rowNumber });
+        
+        if (siteKey) {
+          duplicateIndex.websites.set(siteKey, { rowNumber: row.rowNumber });
+        }
+      }
+    }
+    
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(error => errors.push({ row: row.rowNumber, ...error, values: row.values }));
+    } else {
+      validRows.push({ ...values, status: values.status || 'active', is_public: values.is_public !== undefined ? values.is_public : 1 });
+    }
+  });
+  
+  let createdCompanies = [];
+  
+  if (!dryRun && validRows.length > 0) {
+    const importedAt = new Date();
+    importedAt.setMilliseconds(0);
+    
+    // Start a transaction
+    const conn = await db.getConnection();
+    await conn.beginTransaction();
+    
+    try {
+      for (let i = 0; i < validRows.length; i += IMPORT_BATCH_SIZE) {
+        const companies = await insertCompanyBatch(conn, validRows.slice(i, i + IMPORT_BATCH_SIZE), tenant, importedAt);
+        await recordCompanyCreations(conn, req, companies, Object.keys(IMPORT_FIELDS));
+        createdCompanies = createdCompanies.concat(companies);
+      }
+      
+      // Commit the transaction
+      await conn.commit();
+      
+    } catch (err) {
+      // Rollback in case of error
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    
+    // Notify webhook subscribers, looking subscriptions up once per batch
+    for (let i = 0; i < createdCompanies.length; i += IMPORT_BATCH_SIZE) {
+      triggerWebhookBatch(
+        db,
+        { clientId: tenant.client_id, appId: tenant.app_id },
+        'company.created',
+        createdCompanies.slice(i, i + IMPORT_BATCH_SIZE)
+      );
+    }
+  }
+  
+  const invalidRows = new Set(errors.map(error => error.row)).size;
+  
+  const [result] = await db.query(
+    `INSERT INTO company_imports (file_name, status, total_rows, created_count, error_count, errors, headers, created_by, client_id, app_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      file.originalname || null,
+      dryRun ? IMPORT_STATUSES.DRY_RUN : IMPORT_STATUSES.COMPLETED,
+      sheet.rows.length,
+      createdCompanies.length,
+      invalidRows,
+      JSON.stringify(errors),
+      JSON.stringify(sheet.headers),
+      tenant.created_by,
+      tenant.client_id,
+      tenant.app_id
+    ]
+  );
+  
+  return {
+    importId: result.insertId,
+    dryRun: Boolean(dryRun),
+    mapping: resolved.mapping,
+    totalRows: sheet.rows.length,
+    validRows: validRows.length,
+    invalidRows,
+    created: createdCompanies.length,
+    errors: errors.slice(0, MAX_INLINE_ERRORS).map(({ values, ...error }) => error),
+    errorsTruncated: errors.length > MAX_INLINE_ERRORS
+  };
+}
+
+/**
+ * Load a stored import of the tenant
+ * created_by limits it to the user who ran it (null for app-level access).
+ */
+async function findCompanyImport(db, importId, tenant) {
+  await ensureCompanyImportTable(db);
+  
+  let query = 'SELECT * FROM company_imports WHERE id = ?';
+  const params = [importId];
+  
+  if (tenant.client_id !== null) {
+    query += ' AND client_id = ? AND app_id = ?';
+    params.push(tenant.client_id, tenant.app_id);
+  }
+  
+  if (tenant.created_by !== null) {
+    query += ' AND created_by = ?';
+    params.push(tenant.created_by);
+  }
+  
+  const [imports] = await db.query(query, params);
+  return imports[0] || null;
+}
+
+/**
+ * Build the CSV error report of an import: row, field, error and the original columns
+ */
+function buildImportErrorReport(companyImport) {
+  const headers = JSON.parse(companyImport.headers || '[]');
+  const errors = JSON.parse(companyImport.errors || '[]');
+  
+  return buildCsv(
+    ['Row', 'Field', 'Error', ...headers],
+    errors.map(error => [
+      error.row,
+      error.field,
+      error.message,
+      ...headers.map(header => (error.values ? error.values[header] : ''))
+    ])
+  );
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_STATUSES,
+  MAX_IMPORT_ROWS,
+  importCompanies,
+  findCompanyImport,
+  buildImportErrorReport
+};
@@ -0,0 +1,231 @@
+/**
+ * backendcompanysegments.js
+ * Saved company segments
+ *
+ * A segment is a named set of company list filters (industry, status, size,
+ * revenue, search and tags) that can be re-run by ID on the list, export and
+ * stats routes with segmentId=.
+ */
+
+const { TAG_MODES, normalizeTagNames } = require('./backendcompanytags');
+
+// List filters a segment can store
+const SEGMENT_FILTER_KEYS = ['industry', 'status', 'size', 'revenue', 'search', 'tags', 'tagMode'];
+
+// Segments a tenant can save
+const MAX_SEGMENTS = 200;
+
+/**
+ * Create the company segments table if needed
+ */
+async function ensureCompanySegmentTable(db) {
+  const [segmentsCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_segments'`
+  );
+  
+  if (segmentsCheck[0].count === 0) {
+    console.log('Creating company_segments table');
+    await db.query(`
+      CREATE TABLE company_segments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        filters TEXT NOT NULL,
+        created_by INT NULL,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_client_app (client_id, app_id)
+      )
+    `);
+  }
+}
+
+/**
+ * Format a segment row for responses
+ */
+function formatSegment(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    filters: JSON.parse(row.filters),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate a segment from a request body
+ * On updates (partial) only the given properties are checked.
+ * Returns { segment: { name, description, filters } } or { error }.
+ */
+function validateSegment(body, { partial = false } = {}) {
+  const segment = {};
+  
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 255) {
+      return { error: 'name is required and must be at most 255 characters' };
+    }
+    
+    segment.name = body.name.trim();
+  }
+  
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be text' };
+    }
+    
+    segment.description = body.description || null;
+  }
+  
+  if (!partial || body.filters !== undefined) {
+    const filters = body.filters;
+    
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: `filters must be an object of: ${SEGMENT_FILTER_KEYS.join(', ')}` };
+    }
+    
+    for (const [key, value] of Object.entries(filters)) {
+      if (!SEGMENT_FILTER_KEYS.includes(key)) {
+        return { error: `Unknown segment filter "${key}"` };
+      }
+      
+      if (typeof value !== 'string' && !(key === 'tags' && Array.isArray(value))) {
+        return { error: `Segment filter "${key}" must be a string` };
+      }
+    }
+    
+    segment.filters = { ...filters };
+    
+    // Tags are stored as the list route takes them
+    if (filters.tags !== undefined) {
+      const { tags, error } = normalizeTagNames(filters.tags);
+      
+      if (error) {
+        return { error };
+      }
+      
+      segment.filters.tags = tags.join(',');
+    }
+    
+    if (filters.tagMode !== undefined && !Object.values(TAG_MODES).includes(filters.tagMode)) {
+      return { error: `tagMode must be one of: ${Object.values(TAG_MODES).join(', ')}` };
+    }
+  }
+  
+  return { segment };
+}
+
+/**
+ * Tenant condition on segments for the caller (all segments outside RLS)
+ */
+function segmentTenantCondition(req) {
+  return req.applyRLS
+    ? { clause: ' AND client_id = ? AND app_id = ?', params: [req.clientId, req.appId] }
+    : { clause: '', params: [] };
+}
+
+/**
+ * List the caller's tenant's segments by name
+ */
+async function listCompanySegments(req) {
+  await ensureCompanySegmentTable(req.db);
+  
+  const tenant = segmentTenantCondition(req);
+  const [rows] = await req.db.query(
+    `SELECT * FROM company_segments WHERE 1=1${tenant.clause} ORDER BY name ASC, id ASC`,
+    tenant.params
+  );
+  
+  return rows.map(formatSegment);
+}
+
+/**
+ * Load one segment of the caller's tenant (null when not found)
+ */
+async function findCompanySegment(req, segmentId) {
+  await ensureCompanySegmentTable(req.db);
+  
+  const tenant = segmentTenantCondition(req);
+  const [rows] = await req.db.query(
+    `SELECT * FROM company_segments WHERE id = ?${tenant.clause}`,
+    [segmentId, ...tenant.params]
+  );
+  
+  return rows.length > 0 ? formatSegment(rows[0]) : null;
+}
+
+/**
+ * Save a new segment for the caller's tenant
+ */
+async function createCompanySegment(req, segment, tenant) {
+  await ensureCompanySegmentTable(req.db);
+  
+  const [countResult] = await req.db.query(
+    'SELECT COUNT(*) as total FROM company_segments WHERE client_id <=> ? AND app_id <=> ?',
+    [tenant.client_id, tenant.app_id]
+  );
+  
+  if (countResult[0].total >= MAX_SEGMENTS) {
+    return { error: `A tenant can have at most ${MAX_SEGMENTS} segments` };
+  }
+  
+  const [result] = await req.db.query(
+    `INSERT INTO company_segments (name, description, filters, created_by, client_id, app_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      segment.name,
+      segment.description || null,
+      JSON.stringify(segment.filters),
+      tenant.created_by,
+      tenant.client_id,
+      tenant.app_id
+    ]
+  );
+  
+  return { segment: await findCompanySegment(req, result.insertId) };
+}
+
+/**
+ * Update a segment's name, description or filters
+ */
+async function updateCompanySegment(req, segmentId, segment) {
+  const columns = {
+    name: segment.name,
+    description: segment.description,
+    filters: segment.filters ? JSON.stringify(segment.filters) : undefined
+  };
+  const updates = Object.keys(columns).filter(column => columns[column] !== undefined);
+  
+  if (updates.length > 0) {
+    await req.db.query(
+      `UPDATE company_segments SET ${updates.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...updates.map(column => columns[column]), segmentId]
+    );
+  }
+  
+  return findCompanySegment(req, segmentId);
+}
+
+/**
+ * Delete a segment
+ */
+async function deleteCompanySegment(req, segmentId) {
+  await req.db.query('DELETE FROM company_segments WHERE id = ?', [segmentId]);
+}
+
+module.exports = {
+  SEGMENT_FILTER_KEYS,
+  validateSegment,
+  listCompanySegments,
+  findCompanySegment,
+  createCompanySegment,
+  updateCompanySegment,
+  deleteCompanySegment
+};
@@ -0,0 +1,311 @@
+/**
+ * backendcompanytags.js
+ * Free-form tags on companies
+ *
+ * Tags belong to the tenant of the companies they are on and are created the
+ * first time they are used. Names match case-insensitively.
+ */
+
+// How a list filter on several tags matches
+const TAG_MODES = {
+  AND: 'and',
+  OR: 'or'
+};
+
+// Limits
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_REQUEST = 50;
+const MAX_BULK_TAG_COMPANIES = 1000;
+
+/**
+ * Create the tag tables if needed
+ */
+async function ensureCompanyTagTables(db) {
+  const [tagsCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_tags'`
+  );
+  
+  if (tagsCheck[0].count === 0) {
+    console.log('Creating company_tags table');
+    await db.query(`
+      CREATE TABLE company_tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(${MAX_TAG_LENGTH}) NOT NULL,
+        client_id INT NULL,
+        app_id VARCHAR(50) NULL,
+        tenant_key VARCHAR(64) AS (CONCAT(IFNULL(client_id, ''), ':', IFNULL(app_id, ''))) STORED,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_tenant_name (tenant_key, name)
+      )
+    `);
+  }
+  
+  const [linksCheck] = await db.query(
+    `SELECT COUNT(*) as count
+     FROM information_schema.tables
+     WHERE table_schema = DATABASE()
+     AND table_name = 'company_tag_links'`
+  );
+  
+  if (linksCheck[0].count === 0) {
+    console.log('Creating company_tag_links table');
+    await db.query(`
+      CREATE TABLE company_tag_links (
+        company_id INT NOT NULL,
+        tag_id INT NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, tag_id),
+        INDEX idx_tag (tag_id),
+        FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES company_tags(id) ON DELETE CASCADE
+      )
+    `);
+  }
+}
+
+/**
+ * Clean up tag names from a list or a comma-separated string
+ * Returns { tags } (trimmed, inner spaces collapsed, without repeats) or { error }.
+ */
+function normalizeTagNames(input) {
+  const names = typeof input === 'string' ? input.split(',') : input;
+  
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    return { error: 'tags must be a list of tag names' };
+  }
+  
+  const tags = [];
+  
+  names.forEach(name => {
+    const tag = name.trim().replace(/\s+/g, ' ');
+    
+    if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  });
+  
+  if (tags.length > MAX_TAGS_PER_REQUEST) {
+    return { error: `At most ${MAX_TAGS_PER_REQUEST} tags can be given at once` };
+  }
+  
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  
+  return { tags };
+}
+
+/**
+ * Group companies by tenant, as tags never cross tenants
+ */
+function groupByTenant(companies) {
+  const groups = new Map();
+  
+  companies.forEach(company => {
+    const key = `${company.client_id}:${company.app_id}`;
+    
+    if (!groups.has(key)) {
+      groups.set(key, { clientId: company.client_id, appId: company.app_id, companyIds: [] });
+    }
+    
+    groups.get(key).companyIds.push(company.id);
+  });
+  
+  return [...groups.values()];
+}
+
+/**
+ * Find the tenant's tags with the given names, creating the missing ones
+ * Returns the tag IDs.
+ */
+async function resolveTagIds(db, tenant, tags) {
+  const placeholders = tags.map(() => '?').join(', ');
+  const findTags = async () => {
+    const [rows] = await db.query(
+      `SELECT id, name FROM company_tags
+       WHERE client_id <=> ? AND app_id <=> ? AND name IN (${placeholders})`,
+      [tenant.clientId, tenant.appId, ...tags]
+    );
+    return rows;
+  };
+  
+  const existing = await findTags();
+  const missing = tags.filter(tag => !existing.some(row => row.name.toLowerCase() === tag.toLowerCase()));
+  
+  if (missing.length === 0) {
+    return existing.map(row => row.id);
+  }
+  
+  await db.query(
+    `INSERT IGNORE INTO company_tags (name, client_id, app_id)
+     VALUES ${missing.map(() => '(?, ?, ?)').join(', ')}`,
+    missing.flatMap(tag => [tag, tenant.clientId, tenant.appId])
+  );
+  
+  return (await findTags()).map(row => row.id);
+}
+
+/**
+ * Add tags to companies (company rows; tags already on a company are kept)
+ * Call ensureCompanyTagTables before opening a transaction for db.
+ */
+async function addCompanyTags(db, req, companies, tags) {
+  if (tags.length === 0) {
+    return;
+  }
+  
+  for (const tenant of groupByTenant(companies)) {
+    const tagIds = await resolveTagIds(db, tenant, tags);
+    const links = tenant.companyIds.flatMap(companyId => tagIds.map(tagId => [companyId, tagId, req.userId || null]));
+    
+    await db.query(
+      `INSERT IGNORE INTO company_tag_links (company_id, tag_id, created_by)
+       VALUES ${links.map(() => '(?, ?, ?)').join(', ')}`,
+      links.flat()
+    );
+  }
+}
+
+/**
+ * Remove tags from companies (company rows)
+ * Returns the number of tags removed.
+ */
+async function removeCompanyTags(db, companies, tags) {
+  if (tags.length === 0 || companies.length === 0) {
+    return 0;
+  }
+  
+  const [result] = await db.query(
+    `DELETE l FROM company_tag_links l
+     JOIN company_tags t ON t.id = l.tag_id
+     WHERE l.company_id IN (${companies.map(() => '?').join(', ')})
+     AND t.name IN (${tags.map(() => '?').join(', ')})`,
+    [...companies.map(company => company.id), ...tags]
+  );
+  
+  return result.affectedRows;
+}
+
+/**
+ * Attach tags (sorted names) to company rows
+ */
+async function attachCompanyTags(db, companies) {
+  if (companies.length === 0) {
+    return companies;
+  }
+  
+  await ensureCompanyTagTables(db);
+  
+  const [rows] = await db.query(
+    `SELECT l.company_id, t.name
+     FROM company_tag_links l
+     JOIN company_tags t ON t.id = l.tag_id
+     WHERE l.company_id IN (${companies.map(() => '?').join(', ')})
+     ORDER BY t.name ASC`,
+    companies.map(company => company.id)
+  );
+  
+  companies.forEach(company => {
+    company.tags = rows.filter(row => row.company_id === company.id).map(row => row.name);
+  });
+  
+  return companies;
+}
+
+/**
+ * List tags with the number of companies carrying each, by name
+ * tenant is { clientId, appId }, or null for all tenants. With a userId only
+ * companies the user can see (their own or public ones) are counted.
+ */
+async function listCompanyTags(db, tenant, { userId = null } = {}) {
+  await ensureCompanyTagTables(db);
+  
+  let visibility = '';
+  const params = [];
+  
+  if (tenant) {
+    visibility += ' AND c.client_id = ? AND c.app_id = ?';
+    params.push(tenant.clientId, tenant.appId);
+    
+    if (userId) {
+      visibility += ' AND (c.created_by = ? OR c.is_public = 1)';
+      params.push(userId);
+    }
+  }
+  
+  const [tags] = await db.query(
+    `SELECT t.id, t.name, COUNT(c.id) AS companyCount
+     FROM company_tags t
+     LEFT JOIN company_tag_links l ON l.tag_id = t.id
+     LEFT JOIN companies c ON c.id = l.company_id${visibility}
+     ${tenant ? 'WHERE t.client_id <=> ? AND t.app_id <=> ?' : ''}
+     GROUP BY t.id, t.name
+     ORDER BY t.name ASC`,
+    tenant ? [...params, tenant.clientId, tenant.appId] : params
+  );
+  
+  return tags;
+}
+
+/**
+ * Build the list filter for tags=a,b (companies aliased as c)
+ * mode 'or' matches companies with any of the tags, 'and' those with all.
+ * tenant is { clientId, appId }, or null for all tenants.
+ * Returns { conditions: [{ clause, params }] } or { error }.
+ */
+async function buildTagFilter(db, tenant, tagsParam, mode = TAG_MODES.OR) {
+  if (!tagsParam) {
+    return { conditions: [] };
+  }
+  
+  const { tags, error } = normalizeTagNames(tagsParam);
+  
+  if (error) {
+    return { error };
+  }
+  
+  if (!Object.values(TAG_MODES).includes(mode)) {
+    return { error: `tagMode must be one of: ${Object.values(TAG_MODES).join(', ')}` };
+  }
+  
+  if (tags.length === 0) {
+    return { conditions: [] };
+  }
+  
+  await ensureCompanyTagTables(db);
+  
+  const placeholders = tags.map(() => '?').join(', ');
+  const matching = `SELECT l.company_id
+                    FROM company_tag_links l
+                    JOIN company_tags t ON t.id = l.tag_id
+                    WHERE t.name IN (${placeholders})${tenant ? ' AND t.client_id <=> ? AND t.app_id <=> ?' : ''}`;
+  const params = tenant ? [...tags, tenant.clientId, tenant.appId] : tags;
+  
+  // Names match case-insensitively, so count names rather than tag rows
+  if (mode === TAG_MODES.AND) {
+    return {
+      conditions: [{
+        clause: `c.id IN (${matching} GROUP BY l.company_id HAVING COUNT(DISTINCT LOWER(t.name)) = ?)`,
+        params: [...params, tags.length]
+      }]
+    };
+  }
+  
+  return { conditions: [{ clause: `c.id IN (${matching})`, params }] };
+}
+
+module.exports = {
+  TAG_MODES,
+  MAX_BULK_TAG_COMPANIES,
+  ensureCompanyTagTables,
+  normalizeTagNames,
+  addCompanyTags,
+  removeCompanyTags,
+  attachCompanyTags,
+  listCompanyTags,
+  buildTagFilter
+};
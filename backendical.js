@@ -0,0 +1,548 @@
+/**
+ * backendical.js
+ * iCalendar (RFC 5545) serialization and parsing helpers for calendar feeds and imports
+ */
+
+const { WEEKDAYS, formatICalDate, parseICalDate } = require('./backendcalendarrecurrence');
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  utcToZonedTime,
+  zonedTimeToUtc
+} = require('./backendtimezones');
+
+const ICAL_PRODID = '-//Calendar API//Calendar Feed//EN';
+
+// Map event_attendees.status values to iCalendar PARTSTAT values
+const PARTSTAT_MAP = {
+  pending: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE'
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote a parameter value when it contains separators
+ */
+function quoteParam(value) {
+  const clean = String(value).replace(/"/g, '').replace(/[\r\n]+/g, ' ');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD)
+ */
+function formatDateValue(date) {
+  return new Date(date).toISOString().substring(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format an instant as a local date-time in a zone (YYYYMMDDTHHMMSS)
+ */
+function formatLocalDateTime(date, timeZone) {
+  return formatICalDate(utcToZonedTime(date, timeZone)).replace('Z', '');
+}
+
+/**
+ * Format a DTSTART/DTEND style property for timed, zoned or all-day values
+ */
+function formatDateProperty(name, date, isAllDay, timeZone) {
+  if (isAllDay) {
+    return `${name};VALUE=DATE:${formatDateValue(date)}`;
+  }
+
+  return timeZone
+    ? `${name};TZID=${timeZone}:${formatLocalDateTime(date, timeZone)}`
+    : `${name}:${formatICalDate(date)}`;
+}
+
+/**
+ * Format a UTC offset in milliseconds as +HHMM/-HHMM
+ */
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Find the UTC offset transitions of a zone during a year
+ */
+function findTransitions(timeZone, year) {
+  const transitions = [];
+  const dayMs = 24 * 60 * 60 * 1000;
+  let previous = new Date(Date.UTC(year, 0, 1));
+  let previousOffset = getTimeZoneOffset(previous, timeZone);
+
+  for (let time = previous.getTime() + dayMs; time <= Date.UTC(year + 1, 0, 1); time += dayMs) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone);
+
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = time - dayMs;
+      let high = time;
+
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+  }
+
+  return transitions;
+}
+
+/**
+ * Build a VTIMEZONE component for an IANA zone
+ * Observances repeat yearly based on the transitions of the given year.
+ */
+function buildTimeZoneLines(timeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = findTransitions(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  }
+
+  transitions.forEach(transition => {
+    // Observance start is the local time just before the change
+    const local = new Date(transition.at.getTime() + transition.from);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const weekday = WEEKDAYS[local.getUTCDay()];
+    const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatICalDate(local).replace('Z', '')}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${weekday}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${kind}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Build the content lines of a VEVENT component
+ * Expects a normalized event: { uid, title, description, location, start, end,
+ * isAllDay, timeZone, reminderMinutes, rrule, exdates, recurrenceId, created,
+ * updated, organizer, attendees, categories, classification }
+ * Timed events with a timeZone are written as TZID local times so clients
+ * expand recurrences on the right wall clock.
+ */
+function buildEventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatICalDate(event.updated || new Date())}`,
+    formatDateProperty('DTSTART', event.start, event.isAllDay, event.timeZone)
+  ];
+
+  if (event.end) {
+    lines.push(formatDateProperty('DTEND', event.end, event.isAllDay, event.timeZone));
+  } else if (event.isAllDay) {
+    // All-day events without an end last the whole start day
+    lines.push(formatDateProperty('DTEND', new Date(new Date(event.start).getTime() + 24 * 60 * 60 * 1000), true));
+  }
+
+  if (event.recurrenceId) {
+    lines.push(formatDateProperty('RECURRENCE-ID', event.recurrenceId, event.isAllDay, event.timeZone));
+  }
+
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+
+  if (event.exdates && event.exdates.length > 0) {
+    if (event.isAllDay) {
+      lines.push(`EXDATE;VALUE=DATE:${event.exdates.map(formatDateValue).join(',')}`);
+    } else if (event.timeZone) {
+      lines.push(`EXDATE;TZID=${event.timeZone}:${event.exdates.map(d => formatLocalDateTime(d, event.timeZone)).join(',')}`);
+    } else {
+      lines.push(`EXDATE:${event.exdates.map(formatICalDate).join(',')}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title || '')}`);
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+
+  if (event.classification) {
+    lines.push(`CLASS:${event.classification}`);
+  }
+
+  if (event.created) {
+    lines.push(`CREATED:${formatICalDate(event.created)}`);
+  }
+
+  if (event.updated) {
+    lines.push(`LAST-MODIFIED:${formatICalDate(event.updated)}`);
+  }
+
+  if (event.organizer && event.organizer.email) {
+    const cn = event.organizer.name ? `;CN=${quoteParam(event.organizer.name)}` : '';
+    lines.push(`ORGANIZER${cn}:mailto:${event.organizer.email}`);
+  }
+
+  (event.attendees || []).forEach(attendee => {
+    if (!attendee.email) {
+      return;
+    }
+
+    const params = [
+      attendee.name ? `CN=${quoteParam(attendee.name)}` : null,
+      `PARTSTAT=${PARTSTAT_MAP[attendee.status] || 'NEEDS-ACTION'}`,
+      'RSVP=TRUE'
+    ].filter(Boolean);
+
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+  });
+
+  if (event.reminderMinutes !== null && event.reminderMinutes !== undefined) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.title || 'Reminder')}`,
+      `TRIGGER:-PT${parseInt(event.reminderMinutes)}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * Pass method: null for stored resources (CalDAV objects must not have METHOD).
+ */
+function buildCalendar({ name, events, method = 'PUBLISH' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  // Every TZID used by an event needs a matching VTIMEZONE. Observances start
+  // the year before the zone's earliest event, so the output (and its ETag)
+  // only depends on the events and not on the current date.
+  const firstYears = new Map();
+  events.filter(e => e.timeZone && !e.isAllDay).forEach(event => {
+    const year = new Date(event.start).getUTCFullYear() - 1;
+    if (!firstYears.has(event.timeZone) || year < firstYears.get(event.timeZone)) {
+      firstYears.set(event.timeZone, year);
+    }
+  });
+  firstYears.forEach((year, timeZone) => lines.push(...buildTimeZoneLines(timeZone, year)));
+
+  events.forEach(event => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Unescape a TEXT value
+ */
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, parameters and value
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.substring(0, colonIndex).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+  const params = {};
+
+  rawParams.forEach(param => {
+    const equalsIndex = param.indexOf('=');
+    if (equalsIndex > 0) {
+      params[param.substring(0, equalsIndex).toUpperCase()] = param.substring(equalsIndex + 1).replace(/"/g, '');
+    }
+  });
+
+  return {
+    name: (name || '').toUpperCase(),
+    params,
+    value: line.substring(colonIndex + 1)
+  };
+}
+
+/**
+ * Parse an iCalendar document into a tree of components
+ * Returns the top-level components, or null if the text is not iCalendar
+ */
+function parseComponents(text) {
+  const lines = String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+
+    if (!property) {
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  const calendars = root.components.filter(c => c.name === 'VCALENDAR');
+  return calendars.length > 0 ? calendars : null;
+}
+
+/**
+ * Parse a DATE or DATE-TIME property value into an instant
+ * Zoned values are converted from their TZID; floating values are read in
+ * floatingTimeZone, or as UTC without one
+ */
+function parseDateProperty(property, floatingTimeZone) {
+  if (!property) {
+    return null;
+  }
+
+  const value = property.value.trim().split(',')[0];
+  const isDate = property.params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+  const date = parseICalDate(value);
+
+  if (!date) {
+    return null;
+  }
+
+  if (!isDate && !value.endsWith('Z') && isValidTimeZone(property.params.TZID)) {
+    return { date: zonedTimeToUtc(date, property.params.TZID), isDate, timeZone: property.params.TZID };
+  }
+
+  if (!isDate && !value.endsWith('Z') && isValidTimeZone(floatingTimeZone)) {
+    return { date: zonedTimeToUtc(date, floatingTimeZone), isDate, timeZone: null };
+  }
+
+  return { date, isDate, timeZone: null };
+}
+
+/**
+ * Parse an iCalendar duration (e.g. -PT15M, P1D, PT1H30M) into minutes
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = parseInt(weeks) * 7 * 24 * 60 + parseInt(days) * 24 * 60 +
+    parseInt(hours) * 60 + parseInt(minutes) + Math.floor(parseInt(seconds) / 60);
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse VEVENT components from an iCalendar document
+ * Floating times (without a TZID) are read in floatingTimeZone, typically the
+ * zone of the calendar they are imported into.
+ * Returns null if the text is not iCalendar; otherwise normalized events:
+ * { uid, title, description, location, start, end, isAllDay, timeZone, rrule,
+ *   exdates, recurrenceId, reminderMinutes, reminders, categories, status,
+ *   classification }
+ * reminders lists the minutes before the start of every alarm; reminderMinutes
+ * is the earliest of them.
+ */
+function parseEvents(text, { floatingTimeZone = null } = {}) {
+  const calendars = parseComponents(text);
+
+  if (!calendars) {
+    return null;
+  }
+
+  const events = [];
+
+  calendars.forEach(calendar => {
+    calendar.components
+      .filter(component => component.name === 'VEVENT')
+      .forEach(component => {
+        const get = name => component.properties.find(p => p.name === name);
+        const getAll = name => component.properties.filter(p => p.name === name);
+
+        const start = parseDateProperty(get('DTSTART'), floatingTimeZone);
+        let end = parseDateProperty(get('DTEND'), floatingTimeZone);
+
+        // DURATION may replace DTEND
+        if (!end && start && get('DURATION')) {
+          const minutes = parseDuration(get('DURATION').value);
+          if (minutes !== null) {
+            end = { date: new Date(start.date.getTime() + minutes * 60 * 1000), isDate: start.isDate };
+          }
+        }
+
+        // Reminders are the alarms triggered relative to the start
+        const reminders = component.components
+          .filter(c => c.name === 'VALARM')
+          .map(alarm => alarm.properties.find(p => p.name === 'TRIGGER'))
+          .filter(trigger => trigger && trigger.params.VALUE !== 'DATE-TIME' && trigger.params.RELATED !== 'END')
+          .map(trigger => parseDuration(trigger.value))
+          .filter(minutes => minutes !== null && minutes <= 0)
+          .map(minutes => -minutes)
+          .filter((minutes, index, list) => list.indexOf(minutes) === index);
+
+        const exdates = [];
+        getAll('EXDATE').forEach(property => {
+          property.value.split(',').forEach(value => {
+            const exdate = parseDateProperty({ ...property, value }, floatingTimeZone);
+            if (exdate) {
+              exdates.push(exdate.date);
+            }
+          });
+        });
+
+        const recurrenceId = parseDateProperty(get('RECURRENCE-ID'), floatingTimeZone);
+        const categories = [];
+        getAll('CATEGORIES').forEach(property => {
+          categories.push(...property.value.split(',').map(c => unescapeText(c.trim())).filter(Boolean));
+        });
+
+        events.push({
+          uid: get('UID') ? get('UID').value.trim() : null,
+          title: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : '',
+          description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : null,
+          location: get('LOCATION') ? unescapeText(get('LOCATION').value) : null,
+          start: start ? start.date : null,
+          end: end ? end.date : null,
+          isAllDay: Boolean(start && start.isDate),
+          timeZone: start ? start.timeZone : null,
+          rrule: get('RRULE') ? get('RRULE').value.trim() : null,
+          exdates,
+          recurrenceId: recurrenceId ? recurrenceId.date : null,
+          reminderMinutes: reminders.length > 0 ? Math.max(...reminders) : null,
+          reminders,
+          categories,
+          status: get('STATUS') ? get('STATUS').value.trim().toUpperCase() : null,
+          classification: get('CLASS') ? get('CLASS').value.trim().toUpperCase() : null
+        });
+      });
+  });
+
+  return events;
+}
+
+module.exports = {
+  ICAL_PRODID,
+  PARTSTAT_MAP,
+  escapeText,
+  foldLine,
+  buildTimeZoneLines,
+  buildEventLines,
+  buildCalendar,
+  unescapeText,
+  parseDuration,
+  parseEvents
+};
@@ -0,0 +1,177 @@
+/**
+ * backendreminderchannels.js
+ * Pluggable delivery channels for calendar event reminders
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { formatWallClock, formatFloatingDate } = require('./backendtimezones');
+
+// Built-in channel names
+const REMINDER_CHANNELS = {
+  IN_APP: 'in_app',
+  EMAIL: 'email',
+  WEBHOOK: 'webhook'
+};
+
+// Registered channel implementations by name
+const channels = {};
+
+/**
+ * Register a reminder channel
+ * A channel is { supports(recipient), send({ db, event, occurrenceStart, minutesBefore, recipient }) }.
+ * recipient is { userId, email, name }; send should throw when delivery fails.
+ */
+function registerReminderChannel(name, channel) {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error(`Reminder channel "${name}" must implement send()`);
+  }
+
+  channels[name] = channel;
+}
+
+/**
+ * Get a registered reminder channel
+ */
+function getReminderChannel(name) {
+  return channels[name] || null;
+}
+
+/**
+ * Check whether a name is a built-in or registered reminder channel
+ */
+function isReminderChannel(name) {
+  return Object.values(REMINDER_CHANNELS).includes(name) || Boolean(channels[name]);
+}
+
+/**
+ * Describe when an occurrence starts in the event's own zone
+ */
+function describeStart(event, occurrenceStart) {
+  if (event.is_all_day) {
+    return formatFloatingDate(occurrenceStart);
+  }
+
+  const timeZone = event.timezone || 'UTC';
+  return `${formatWallClock(occurrenceStart, timeZone).replace('T', ' ').substring(0, 16)} (${timeZone})`;
+}
+
+/**
+ * In-app channel: stores a notification row for app users
+ */
+function createInAppChannel() {
+  return {
+    supports: recipient => Boolean(recipient.userId),
+
+    send: async ({ db, event, occurrenceStart, recipient }) => {
+      await db.query(
+        `INSERT INTO calendar_notifications (user_id, event_id, occurrence_start, title, message, client_id, app_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          recipient.userId,
+          event.id,
+          occurrenceStart,
+          `Reminder: ${event.title}`,
+          `${event.title} starts ${describeStart(event, occurrenceStart)}`,
+          event.client_id,
+          event.app_id
+        ]
+      );
+    }
+  };
+}
+
+/**
+ * Email channel: sends through an SMTP transport
+ * options are passed to nodemailer (host, port, secure, auth) plus a from address,
+ * so a local mail sink works as well as a real relay.
+ */
+function createEmailChannel(options) {
+  const { from, ...transportOptions } = options;
+  const transport = nodemailer.createTransport(transportOptions);
+
+  return {
+    supports: recipient => Boolean(recipient.email),
+
+    send: async ({ event, occurrenceStart, recipient }) => {
+      const lines = [
+        `${event.title} starts ${describeStart(event, occurrenceStart)}.`
+      ];
+
+      if (event.location) {
+        lines.push(`Location: ${event.location}`);
+      }
+
+      if (event.description) {
+        lines.push('', event.description);
+      }
+
+      await transport.sendMail({
+        from,
+        to: recipient.name ? `"${recipient.name.replace(/"/g, '')}" <${recipient.email}>` : recipient.email,
+        subject: `Reminder: ${event.title}`,
+        text: lines.join('\n')
+      });
+    }
+  };
+}
+
+/**
+ * Webhook channel: POSTs a JSON payload, signed with HMAC-SHA256 when a secret is set
+ */
+function createWebhookChannel(options) {
+  const { url, secret, timeoutMs = 10000 } = options;
+
+  return {
+    supports: () => true,
+
+    send: async ({ event, occurrenceStart, minutesBefore, recipient }) => {
+      const payload = JSON.stringify({
+        type: 'event.reminder',
+        event: {
+          id: event.id,
+          title: event.title,
+          location: event.location || null,
+          start: occurrenceStart,
+          timezone: event.timezone || null,
+          isAllDay: Boolean(event.is_all_day)
+        },
+        minutesBefore,
+        recipient: {
+          userId: recipient.userId || null,
+          email: recipient.email || null,
+          name: recipient.name || null
+        },
+        clientId: event.client_id,
+        appId: event.app_id
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (secret) {
+        headers['X-Reminder-Signature'] = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: payload,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  REMINDER_CHANNELS,
+  registerReminderChannel,
+  getReminderChannel,
+  isReminderChannel,
+  createInAppChannel,
+  createEmailChannel,
+  createWebhookChannel
+};
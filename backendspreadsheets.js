@@ -0,0 +1,276 @@
+/**
+ * backendspreadsheets.js
+ * Reading and writing CSV and XLSX files for imports and exports
+ */
+
+const XLSX = require('xlsx');
+
+// Supported spreadsheet formats
+const SPREADSHEET_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Oldest SheetJS build that may parse uploads: earlier npm releases of xlsx have
+// prototype pollution (CVE-2023-30533) and ReDoS (CVE-2024-22363) bugs.
+// Fixed builds are published at https://cdn.sheetjs.com, not on npm.
+const MIN_XLSX_VERSION = '0.20.2';
+
+// Limits on the archive inside an uploaded XLSX file, checked before it is inflated
+const MAX_XLSX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+const MAX_XLSX_ENTRIES = 1000;
+const MAX_XLSX_COMPRESSION_RATIO = 200;
+
+/**
+ * Work out the format of an uploaded file from its name or MIME type
+ */
+function detectSpreadsheetFormat(file) {
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+  
+  if (extension === 'xlsx' || file.mimetype === XLSX_MIME_TYPE) {
+    return SPREADSHEET_FORMATS.XLSX;
+  }
+  
+  if (extension === 'csv' || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype)) {
+    return SPREADSHEET_FORMATS.CSV;
+  }
+  
+  return null;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into rows of strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Compare dotted version numbers; returns a negative number when a is older than b
+ */
+function compareVersions(a, b) {
+  const aParts = String(a).split('.').map(part => parseInt(part) || 0);
+  const bParts = String(b).split('.').map(part => parseInt(part) || 0);
+  
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    if ((aParts[i] || 0) !== (bParts[i] || 0)) {
+      return (aParts[i] || 0) - (bParts[i] || 0);
+    }
+  }
+  
+  return 0;
+}
+
+/**
+ * Check the ZIP archive of an XLSX file before it is inflated
+ * Reads the sizes declared in the central directory and rejects archives that
+ * would inflate past the limits (zip bombs). Returns an error message or null.
+ */
+function checkXlsxArchive(buffer) {
+  // The end of central directory record is in the last 22 bytes plus an optional comment
+  let end = -1;
+  
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  
+  if (end < 0) {
+    return 'File is not a valid XLSX spreadsheet';
+  }
+  
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let uncompressedTotal = 0;
+  
+  if (entries > MAX_XLSX_ENTRIES) {
+    return 'XLSX file has too many parts';
+  }
+  
+  for (let i = 0; i < entries; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      return 'File is not a valid XLSX spreadsheet';
+    }
+    
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    
+    // ZIP64 sizes (0xFFFFFFFF) are far beyond any limit here
+    if (uncompressedSize === 0xFFFFFFFF || uncompressedSize > MAX_XLSX_COMPRESSION_RATIO * Math.max(compressedSize, 1024)) {
+      return 'XLSX file expands too much to be read';
+    }
+    
+    uncompressedTotal += uncompressedSize;
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  
+  if (uncompressedTotal > MAX_XLSX_UNCOMPRESSED_BYTES) {
+    return 'XLSX file expands too much to be read';
+  }
+  
+  return null;
+}
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file
+ * Returns { headers, rows } where each row is { rowNumber, values } keyed by
+ * header (rowNumber is the line in the file, counting the header as 1), or
+ * { error } when an XLSX file cannot be read safely or has more than maxRows
+ * rows below the header. Blank lines are dropped.
+ */
+function readSpreadsheet(file, format, { maxRows = null } = {}) {
+  let lines;
+  
+  if (format === SPREADSHEET_FORMATS.XLSX) {
+    if (compareVersions(XLSX.version, MIN_XLSX_VERSION) < 0) {
+      return { error: `XLSX files cannot be read with SheetJS ${XLSX.version}; version ${MIN_XLSX_VERSION} or later is required` };
+    }
+    
+    const archiveError = checkXlsxArchive(file.buffer);
+    
+    if (archiveError) {
+      return { error: archiveError };
+    }
+    
+    // sheetRows counts the header row and stops reading the sheet after it
+    const workbook = XLSX.read(file.buffer, {
+      type: 'buffer',
+      cellDates: true,
+      ...(maxRows !== null ? { sheetRows: maxRows + 1 } : {})
+    });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    
+    // !fullref is the sheet's real range when sheetRows cut it short
+    if (sheet && sheet['!fullref'] && sheet['!fullref'] !== sheet['!ref']) {
+      return { error: `Files can contain at most ${maxRows} rows` };
+    }
+    
+    lines = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true }) : [];
+  } else {
+    lines = parseCsv(file.buffer.toString('utf8'));
+  }
+  
+  if (lines.length === 0) {
+    return { headers: [], rows: [] };
+  }
+  
+  const headers = lines[0].map(header => String(header).trim());
+  const rows = [];
+  
+  lines.slice(1).forEach((line, index) => {
+    if (line.every(value => String(value).trim() === '')) {
+      return;
+    }
+    
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = line[column] !== undefined ? String(line[column]).trim() : '';
+    });
+    
+    rows.push({ rowNumber: index + 2, values });
+  });
+  
+  return { headers, rows };
+}
+
+/**
+ * Quote a value for CSV output
+ * Text that spreadsheet apps would run as a formula is prefixed with a quote.
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV lines (each ending in CRLF) from rows of values
+ * Used directly when a document is written in parts.
+ */
+function buildCsvRows(rows) {
+  return rows.map(row => `${row.map(formatCsvValue).join(',')}\r\n`).join('');
+}
+
+/**
+ * Build a CSV document from a header row and rows of values
+ */
+function buildCsv(headers, rows) {
+  return buildCsvRows([headers, ...rows]);
+}
+
+/**
+ * Build an XLSX workbook with one sheet from a header row and rows of values
+ * Returns the file as a Buffer.
+ */
+function buildXlsx(headers, rows, sheetName = 'Sheet1') {
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows], { cellDates: true });
+  
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  XLSX_MIME_TYPE,
+  detectSpreadsheetFormat,
+  parseCsv,
+  readSpreadsheet,
+  buildCsvRows,
+  buildCsv,
+  buildXlsx
+};
@@ -0,0 +1,139 @@
+/**
+ * backendtimezones.js
+ * IANA time zone helpers built on Intl (no external tz database needed)
+ */
+
+// Formatters by zone name (a Map, so names like "constructor" never hit Object.prototype)
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that renders wall-clock parts in a time zone
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = {};
+
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const asUtc = Date.UTC(
+    parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+    parseInt(parts.hour), parseInt(parts.minute), parseInt(parts.second)
+  );
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert an instant to wall-clock time in a zone
+ * The result is a Date whose UTC fields hold the local wall-clock values.
+ */
+function utcToZonedTime(date, timeZone) {
+  const instant = new Date(date);
+  return new Date(instant.getTime() + getTimeZoneOffset(instant, timeZone));
+}
+
+/**
+ * Convert wall-clock time in a zone to an instant
+ * wallClock is a Date whose UTC fields hold the local wall-clock values.
+ */
+function zonedTimeToUtc(wallClock, timeZone) {
+  const local = new Date(wallClock).getTime();
+  const firstGuess = local - getTimeZoneOffset(new Date(local), timeZone);
+  const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+
+  return new Date(local - offset);
+}
+
+/**
+ * Format an instant as wall-clock time in a zone (YYYY-MM-DDTHH:mm:ss)
+ */
+function formatWallClock(date, timeZone) {
+  return utcToZonedTime(date, timeZone).toISOString().substring(0, 19);
+}
+
+/**
+ * Format a stored all-day date as a floating date (YYYY-MM-DD)
+ * All-day dates are stored at UTC midnight so the calendar date never shifts
+ */
+function formatFloatingDate(date) {
+  return new Date(date).toISOString().substring(0, 10);
+}
+
+/**
+ * Parse a date from the API into the instant to store
+ * - Values with an explicit offset or Z are instants.
+ * - Values without an offset are wall-clock times in the given zone.
+ * - All-day values are floating dates stored at UTC midnight.
+ */
+function parseDateInput(value, timeZone, isAllDay) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value).trim();
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+
+  if (isAllDay) {
+    const dateText = hasOffset
+      ? formatWallClock(new Date(text), zone).substring(0, 10)
+      : text.substring(0, 10);
+    const date = new Date(`${dateText}T00:00:00Z`);
+    return isNaN(date) ? null : date;
+  }
+
+  if (!hasOffset && /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(text)) {
+    const wallClock = new Date(`${text.replace(' ', 'T')}${text.length === 10 ? 'T00:00:00' : ''}Z`);
+    return isNaN(wallClock) ? null : zonedTimeToUtc(wallClock, zone);
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  utcToZonedTime,
+  zonedTimeToUtc,
+  formatWallClock,
+  formatFloatingDate,
+  parseDateInput
+};
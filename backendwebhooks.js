@@ -0,0 +1,1018 @@
+/**
+ * backendwebhooks.js
+ * Tenant-scoped outbound webhooks with signed, retried and logged deliveries
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('./auth');
+
+// Event types a subscription can listen to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = [
+  'event.created',
+  'event.updated',
+  'event.deleted',
+  'calendar.created',
+  'calendar.updated',
+  'calendar.deleted',
+  'calendar.shared',
+  'company.created',
+  'company.updated',
+  'company.deleted'
+];
+
+// Delivery states stored in webhook_deliveries.status
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+// Minutes to wait before each retry; a delivery gives up after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Deliveries stuck in "sending" this long (e.g. after a crash) are retried
+const SENDING_TIMEOUT_MINUTES = 10;
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const RETRY_INTERVAL_MS = 60 * 1000;
+const MAX_DELIVERIES_PER_RUN = 100;
+const MAX_ERROR_LENGTH = 1000;
+
+// Address ranges webhooks may not reach: loopback, private, link-local,
+// shared, benchmark, multicast and reserved networks
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create the webhook tables if they do not exist
+ */
+async function ensureWebhookTables(db) {
+  try {
+    // Check and create webhook_subscriptions table
+    const [subscriptionsCheck] = await db.query(
+      `SELECT COUNT(*) as count
+       FROM information_schema.tables
+       WHERE table_schema = DATABASE()
+       AND table_name = 'webhook_subscriptions'`
+    );
+    
+    if (subscriptionsCheck[0].count === 0) {
+      console.log('Creating webhook_subscriptions table');
+      await db.query(`
+        CREATE TABLE webhook_subscriptions (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          url VARCHAR(2000) NOT NULL,
+          secret VARCHAR(100) NOT NULL,
+          event_types TEXT NOT NULL,
+          description VARCHAR(255) NULL,
+          is_active BOOLEAN DEFAULT 1,
+          created_by INT NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_client_app (client_id, app_id)
+        )
+      `);
+    }
+    
+    // Check and create webhook_deliveries table
+    const [deliveriesCheck] = await db.query(
+      `SELECT COUNT(*) as count
+       FROM information_schema.tables
+       WHERE table_schema = DATABASE()
+       AND table_name = 'webhook_deliveries'`
+    );
+    
+    if (deliveriesCheck[0].count === 0) {
+      console.log('Creating webhook_deliveries table');
+      await db.query(`
+        CREATE TABLE webhook_deliveries (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          subscription_id INT NOT NULL,
+          event_type VARCHAR(50) NOT NULL,
+          payload MEDIUMTEXT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          next_attempt_at DATETIME NULL,
+          locked_at DATETIME NULL,
+          response_status INT NULL,
+          last_error TEXT NULL,
+          delivered_at DATETIME NULL,
+          replay_of INT NULL,
+          client_id INT NOT NULL,
+          app_id VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_subscription (subscription_id, created_at),
+          INDEX idx_due (status, next_attempt_at),
+          INDEX idx_client_app (client_id, app_id),
+          FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+        )
+      `);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error ensuring webhook tables:', error);
+    return false;
+  }
+}
+
+/**
+ * Parse the stored event types of a subscription
+ */
+function parseEventTypes(value) {
+  try {
+    const types = JSON.parse(value || '[]');
+    return Array.isArray(types) ? types : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check whether a list of event types is valid for a subscription
+ */
+function isValidEventTypes(types) {
+  return Array.isArray(types) && types.length > 0 &&
+    types.every(type => type === '*' || WEBHOOK_EVENTS.includes(type));
+}
+
+/**
+ * Sign a payload with a subscription secret (hex HMAC-SHA256 of "<timestamp>.<payload>")
+ * The timestamp is sent as X-Webhook-Timestamp so receivers can reject replays.
+ */
+function signPayload(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Check whether an IP address is in a blocked range (IPv4-mapped IPv6 included)
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL points at a public host
+ * The host is resolved and every address must be outside BLOCKED_ADDRESSES,
+ * so tenants cannot reach internal services. Returns an error message or null.
+ */
+async function checkWebhookUrl(url) {
+  let parsed;
+  
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'A valid http(s) URL is required';
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'A valid http(s) URL is required';
+  }
+  
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `Webhook host ${host} could not be resolved`;
+  }
+  
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    return 'Webhook URLs must point to a public address';
+  }
+  
+  return null;
+}
+
+/**
+ * express-validator check for webhook URLs (see checkWebhookUrl)
+ */
+async function isPublicWebhookUrl(url) {
+  const error = await checkWebhookUrl(url);
+  
+  if (error) {
+    throw new Error(error);
+  }
+  
+  return true;
+}
+
+/**
+ * Format a subscription for API responses (the secret is only returned on create)
+ */
+function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: parseEventTypes(subscription.event_types),
+    description: subscription.description,
+    isActive: Boolean(subscription.is_active),
+    createdBy: subscription.created_by,
+    createdAt: subscription.created_at,
+    updatedAt: subscription.updated_at
+  };
+}
+
+/**
+ * Format a delivery log entry for API responses
+ */
+function formatDelivery(delivery) {
+  let payload = null;
+  
+  try {
+    payload = JSON.parse(delivery.payload);
+  } catch (error) {
+    payload = delivery.payload;
+  }
+  
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    eventType: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.next_attempt_at,
+    responseStatus: delivery.response_status,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    replayOf: delivery.replay_of,
+    createdAt: delivery.created_at,
+    payload
+  };
+}
+
+/**
+ * Claim a delivery so only one worker sends it
+ * Pending deliveries and ones stuck in "sending" can be claimed.
+ */
+async function claimDelivery(db, deliveryId) {
+  const now = new Date();
+  
+  const [result] = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = ?, locked_at = ?
+     WHERE id = ? AND (status = ? OR (status = ? AND locked_at < ?))`,
+    [
+      DELIVERY_STATUSES.SENDING,
+      now,
+      deliveryId,
+      DELIVERY_STATUSES.PENDING,
+      DELIVERY_STATUSES.SENDING,
+      new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60 * 1000)
+    ]
+  );
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * Send one delivery attempt and record the outcome
+ * Failed attempts are rescheduled with backoff until MAX_DELIVERY_ATTEMPTS.
+ * Returns the delivery's new status.
+ */
+async function attemptDelivery(db, delivery, subscription) {
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let errorMessage = null;
+  
+  try {
+    // Checked again on every attempt, as the host may resolve elsewhere by now
+    errorMessage = await checkWebhookUrl(subscription.url);
+    
+    if (!errorMessage) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      
+      // Redirects are not followed; they could lead to an internal address
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      
+      responseStatus = response.status;
+      
+      if (!response.ok) {
+        errorMessage = `Webhook responded with ${response.status}`;
+      }
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+  
+  if (!errorMessage) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, response_status = ?, last_error = NULL,
+           delivered_at = ?, next_attempt_at = NULL, locked_at = NULL
+       WHERE id = ?`,
+      [DELIVERY_STATUSES.DELIVERED, attempts, responseStatus, new Date(), delivery.id]
+    );
+    
+    return DELIVERY_STATUSES.DELIVERED;
+  }
+  
+  const willRetry = attempts < MAX_DELIVERY_ATTEMPTS;
+  const status = willRetry ? DELIVERY_STATUSES.PENDING : DELIVERY_STATUSES.FAILED;
+  const nextAttemptAt = willRetry
+    ? new Date(Date.now() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000)
+    : null;
+  
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, response_status = ?, last_error = ?,
+         next_attempt_at = ?, locked_at = NULL
+     WHERE id = ?`,
+    [status, attempts, responseStatus, errorMessage.substring(0, MAX_ERROR_LENGTH), nextAttemptAt, delivery.id]
+  );
+  
+  return status;
+}
+
+/**
+ * Claim and send a delivery now; returns its status, or null if another worker has it
+ */
+async function sendDelivery(db, delivery, subscription) {
+  if (!(await claimDelivery(db, delivery.id))) {
+    return null;
+  }
+  
+  return attemptDelivery(db, delivery, subscription);
+}
+
+/**
+ * Queue a webhook event for every matching subscription of a tenant and send it
+ * tenant is { clientId, appId }; data is the changed record. Deliveries are
+ * logged before they are sent, so a failed first attempt is retried by the
+ * scheduler. Returns the created delivery IDs.
+ */
+async function dispatchWebhook(db, tenant, eventType, data) {
+  return dispatchWebhookBatch(db, tenant, eventType, [data]);
+}
+
+/**
+ * Queue and send one webhook event per data item, as dispatchWebhook does
+ * Subscriptions are looked up once for the whole batch (e.g. an import), and
+ * each subscription gets its deliveries one after another.
+ */
+async function dispatchWebhookBatch(db, tenant, eventType, items) {
+  if (!tenant || !tenant.clientId || !tenant.appId || items.length === 0) {
+    return [];
+  }
+  
+  await ensureWebhookTables(db);
+  
+  const [subscriptions] = await db.query(
+    `SELECT * FROM webhook_subscriptions
+     WHERE client_id = ? AND app_id = ? AND is_active = 1`,
+    [tenant.clientId, tenant.appId]
+  );
+  
+  const matching = subscriptions.filter(subscription => {
+    const types = parseEventTypes(subscription.event_types);
+    return types.includes('*') || types.includes(eventType);
+  });
+  
+  const deliveries = [];
+  const sends = [];
+  
+  for (const subscription of matching) {
+    const queued = [];
+    
+    for (const data of items) {
+      const payload = JSON.stringify({
+        type: eventType,
+        occurredAt: new Date(),
+        clientId: tenant.clientId,
+        appId: tenant.appId,
+        data
+      });
+      
+      const [result] = await db.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_type, payload, status, next_attempt_at, client_id, app_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [subscription.id, eventType, payload, DELIVERY_STATUSES.PENDING, new Date(), tenant.clientId, tenant.appId]
+      );
+      
+      queued.push({ id: result.insertId, event_type: eventType, payload, attempts: 0 });
+    }
+    
+    deliveries.push(...queued);
+    sends.push({ subscription, queued });
+  }
+  
+  // Send in the background; failures stay pending for the scheduler
+  sends.forEach(({ subscription, queued }) => {
+    queued.reduce(
+      (previous, delivery) => previous
+        .then(() => sendDelivery(db, delivery, subscription))
+        .catch(error => {
+          console.error('Error sending webhook:', error);
+        }),
+      Promise.resolve()
+    );
+  });
+  
+  return deliveries.map(delivery => delivery.id);
+}
+
+/**
+ * Fire a webhook event without letting failures affect the caller
+ * Use this from request handlers after the change has been saved.
+ */
+function triggerWebhook(db, tenant, eventType, data) {
+  dispatchWebhook(db, tenant, eventType, data).catch(error => {
+    console.error(`Error dispatching ${eventType} webhook:`, error);
+  });
+}
+
+/**
+ * Fire one webhook event per data item without letting failures affect the caller
+ */
+function triggerWebhookBatch(db, tenant, eventType, items) {
+  dispatchWebhookBatch(db, tenant, eventType, items).catch(error => {
+    console.error(`Error dispatching ${eventType} webhooks:`, error);
+  });
+}
+
+/**
+ * Retry deliveries that are due
+ * Returns counts of deliveries that were delivered, rescheduled and given up on.
+ */
+async function processWebhookRetries(db, now = new Date()) {
+  await ensureWebhookTables(db);
+  
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  
+  const [due] = await db.query(
+    `SELECT d.*, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE s.is_active = 1
+       AND ((d.status = ? AND d.next_attempt_at <= ?) OR (d.status = ? AND d.locked_at < ?))
+     ORDER BY d.id ASC
+     LIMIT ?`,
+    [
+      DELIVERY_STATUSES.PENDING,
+      now,
+      DELIVERY_STATUSES.SENDING,
+      new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60 * 1000),
+      MAX_DELIVERIES_PER_RUN
+    ]
+  );
+  
+  for (const delivery of due) {
+    const status = await sendDelivery(db, delivery, { url: delivery.url, secret: delivery.secret });
+    
+    if (status === DELIVERY_STATUSES.DELIVERED) {
+      counts.delivered++;
+    } else if (status === DELIVERY_STATUSES.PENDING) {
+      counts.retrying++;
+    } else if (status === DELIVERY_STATUSES.FAILED) {
+      counts.failed++;
+    }
+  }
+  
+  return counts;
+}
+
+/**
+ * Start retrying failed webhook deliveries on an interval
+ * options: { intervalMs }. Returns a function that stops the scheduler.
+ */
+function startWebhookScheduler(db, options = {}) {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+    
+    running = true;
+    
+    try {
+      const counts = await processWebhookRetries(db);
+      
+      if (counts.delivered > 0 || counts.failed > 0) {
+        console.log(`Webhook retries: ${counts.delivered} delivered, ${counts.retrying} rescheduled, ${counts.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error processing webhook retries:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(tick, options.intervalMs || RETRY_INTERVAL_MS);
+  
+  if (timer.unref) {
+    timer.unref();
+  }
+  
+  console.log('Webhook retry scheduler started');
+  
+  return () => clearInterval(timer);
+}
+
+/**
+ * Only tenant admins may manage webhooks
+ * Payloads carry records whatever their visibility, so a subscription sees
+ * everything in the tenant.
+ */
+function requireWebhookAdmin(req, res, next) {
+  if (req.authenticatedUser && req.authenticatedUser.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can manage webhooks'
+    });
+  }
+  
+  return next();
+}
+
+/**
+ * Find a subscription of the current tenant
+ */
+async function findSubscription(db, req, subscriptionId) {
+  const [subscriptions] = await db.query(
+    'SELECT * FROM webhook_subscriptions WHERE id = ? AND client_id = ? AND app_id = ?',
+    [subscriptionId, req.clientId, req.appId]
+  );
+  
+  return subscriptions[0] || null;
+}
+
+/**
+ * List the tenant's webhook subscriptions
+ */
+async function getSubscriptions(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const [subscriptions] = await db.query(
+      `SELECT * FROM webhook_subscriptions
+       WHERE client_id = ? AND app_id = ?
+       ORDER BY created_at DESC`,
+      [req.clientId, req.appId]
+    );
+    
+    return res.json({
+      success: true,
+      data: subscriptions.map(formatSubscription),
+      events: WEBHOOK_EVENTS
+    });
+    
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook subscriptions',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a webhook subscription
+ * A signing secret is generated unless one is supplied; it is only returned here.
+ */
+async function createSubscription(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const { url, events, description } = req.body;
+    const secret = req.body.secret || crypto.randomBytes(24).toString('hex');
+    
+    const [result] = await db.query(
+      `INSERT INTO webhook_subscriptions (url, secret, event_types, description, created_by, client_id, app_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [url, secret, JSON.stringify(events), description || null, req.userId, req.clientId, req.appId]
+    );
+    
+    const subscription = await findSubscription(db, req, result.insertId);
+    
+    return res.json({
+      success: true,
+      message: 'Webhook subscription created successfully',
+      data: {
+        ...formatSubscription(subscription),
+        secret
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook subscription',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update a webhook subscription
+ * Pass rotateSecret to replace the signing secret; the new one is returned.
+ */
+async function updateSubscription(req, res) {
+  try {
+    const db = req.db;
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const subscription = await findSubscription(db, req, req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+    
+    const { url, events, description, isActive, rotateSecret } = req.body;
+    const updateFields = [];
+    const updateParams = [];
+    let secret = null;
+    
+    if (url !== undefined) {
+      updateFields.push('url = ?');
+      updateParams.push(url);
+    }
+    
+    if (events !== undefined) {
+      updateFields.push('event_types = ?');
+      updateParams.push(JSON.stringify(events));
+    }
+    
+    if (description !== undefined) {
+      updateFields.push('description = ?');
+      updateParams.push(description || null);
+    }
+    
+    if (isActive !== undefined) {
+      updateFields.push('is_active = ?');
+      updateParams.push(isActive ? 1 : 0);
+    }
+    
+    if (rotateSecret) {
+      secret = crypto.randomBytes(24).toString('hex');
+      updateFields.push('secret = ?');
+      updateParams.push(secret);
+    }
+    
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+    
+    await db.query(
+      `UPDATE webhook_subscriptions SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateParams, subscription.id]
+    );
+    
+    const updated = await findSubscription(db, req, subscription.id);
+    
+    return res.json({
+      success: true,
+      message: 'Webhook subscription updated successfully',
+      data: secret ? { ...formatSubscription(updated), secret } : formatSubscription(updated)
+    });
+    
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook subscription',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete a webhook subscription and its delivery log
+ */
+async function deleteSubscription(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const [result] = await db.query(
+      'DELETE FROM webhook_subscriptions WHERE id = ? AND client_id = ? AND app_id = ?',
+      [req.params.id, req.clientId, req.appId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Webhook subscription deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook subscription',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List the delivery log of a subscription, newest first
+ */
+async function getDeliveries(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const subscription = await findSubscription(db, req, req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let whereClause = 'subscription_id = ?';
+    const params = [subscription.id];
+    
+    if (req.query.status) {
+      whereClause += ' AND status = ?';
+      params.push(req.query.status);
+    }
+    
+    const [deliveries] = await db.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE ${whereClause}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    
+    return res.json({
+      success: true,
+      data: deliveries.map(formatDelivery)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook deliveries',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replay a logged delivery
+ * The same payload is sent again as a new delivery (linked through replay_of)
+ * and the result of the attempt is returned.
+ */
+async function replayDelivery(req, res) {
+  try {
+    const db = req.db;
+    
+    if (!req.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    // Ensure tables exist
+    await ensureWebhookTables(db);
+    
+    const [originals] = await db.query(
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND client_id = ? AND app_id = ?',
+      [req.params.deliveryId, req.clientId, req.appId]
+    );
+    
+    if (originals.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+    
+    const original = originals[0];
+    const subscription = await findSubscription(db, req, original.subscription_id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found'
+      });
+    }
+    
+    if (!subscription.is_active) {
+      return res.status(409).json({
+        success: false,
+        message: 'Webhook subscription is inactive'
+      });
+    }
+    
+    const [result] = await db.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_type, payload, status, next_attempt_at, replay_of, client_id, app_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        subscription.id,
+        original.event_type,
+        original.payload,
+        DELIVERY_STATUSES.PENDING,
+        new Date(),
+        original.id,
+        req.clientId,
+        req.appId
+      ]
+    );
+    
+    await sendDelivery(
+      db,
+      { id: result.insertId, event_type: original.event_type, payload: original.payload, attempts: 0 },
+      subscription
+    );
+    
+    const [deliveries] = await db.query(
+      'SELECT * FROM webhook_deliveries WHERE id = ?',
+      [result.insertId]
+    );
+    
+    return res.json({
+      success: true,
+      message: 'Webhook delivery replayed',
+      data: formatDelivery(deliveries[0])
+    });
+    
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook delivery',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Register all webhook routes
+ */
+function registerWebhookRoutes(app) {
+  const router = express.Router();
+  
+  router.use(requireWebhookAdmin);
+  
+  router.get('/', getSubscriptions);
+  
+  router.post('/', [
+    body('url').isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('A valid http(s) URL is required')
+      .bail()
+      .custom(isPublicWebhookUrl),
+    body('events').custom(isValidEventTypes).withMessage(`Events must be a list of: *, ${WEBHOOK_EVENTS.join(', ')}`),
+    body('secret').isString().isLength({ min: 16, max: 100 }).optional().withMessage('Secret must be 16 to 100 characters'),
+    body('description').isString().isLength({ max: 255 }).optional({ nullable: true })
+  ], createSubscription);
+  
+  router.put('/:id', [
+    body('url').isURL({ protocols: ['http', 'https'], require_tld: false }).optional().withMessage('A valid http(s) URL is required')
+      .bail()
+      .custom(isPublicWebhookUrl),
+    body('events').custom(isValidEventTypes).optional().withMessage(`Events must be a list of: *, ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').isString().isLength({ max: 255 }).optional({ nullable: true }),
+    body('isActive').isBoolean().optional(),
+    body('rotateSecret').isBoolean().optional()
+  ], updateSubscription);
+  
+  router.delete('/:id', deleteSubscription);
+  router.get('/:id/deliveries', getDeliveries);
+  router.post('/deliveries/:deliveryId/replay', replayDelivery);
+  
+  // Mount under /webhooks and the app-specific pattern
+  app.use('/api/webhooks', router);
+  app.use('/api/apps/:appId/webhooks', auth.getAppClient, router);
+  
+  console.log('Webhook API routes registered');
+}
+
+module.exports = {
+  registerWebhookRoutes,
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  replayDelivery,
+  dispatchWebhook,
+  dispatchWebhookBatch,
+  triggerWebhook,
+  triggerWebhookBatch,
+  processWebhookRetries,
+  startWebhookScheduler,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES
+};